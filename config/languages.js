@@ -0,0 +1,39 @@
+/**
+ * Content Languages
+ *
+ * Languages content can be translated into. The canonical document is always
+ * written in DEFAULT_LANGUAGE; other languages are stored as translations on
+ * it (see models/base/Translations.js) and fall back to the canonical text
+ * for any field that has not been translated.
+ *
+ * Entry fields:
+ * - name: display name
+ * - locale: value for RSS <language> and HTTP Content-Language
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', locale: 'en-UG' },
+  lg: { name: 'Luganda', locale: 'lg-UG' },
+  sw: { name: 'Swahili', locale: 'sw' }
+};
+
+/**
+ * Languages a translation can be added for (every supported language except the default)
+ */
+export const TRANSLATION_LANGUAGES = Object.keys(SUPPORTED_LANGUAGES).filter(language => language !== DEFAULT_LANGUAGE);
+
+/**
+ * Resolve a language code or locale ("sw", "SW", "sw-KE") to a supported language
+ *
+ * @param {string} value - Language code or locale
+ * @returns {string|null} Supported language code, or null
+ */
+export const resolveLanguage = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES[code] ? code : null;
+};
+
+export default SUPPORTED_LANGUAGES;
@@ -0,0 +1,63 @@
+/**
+ * Livestock Species Configuration
+ *
+ * Every livestock content section (dairy, beef, goats, piggery ...) is a
+ * discriminator of the shared Livestock model, stored in the `livestock`
+ * collection. Adding a new species (e.g. sheep or poultry) only needs an
+ * entry here: the model, the `/api/content/livestock/:species` routes,
+ * revision history and notifications pick it up automatically.
+ *
+ * Entry fields:
+ * - modelName: Mongoose discriminator model name
+ * - path: plural URL segment, also used as the content type key elsewhere (revisions, engagement)
+ * - label: display name and default category
+ * - frontendPath: URL segment of the species section on the website
+ * - readingTimeType: key for utils/readingTimeCalculator.js (defaults to the species key)
+ * - legacyCollection: collection the species lived in before the shared collection (migration only)
+ */
+
+export const LIVESTOCK_SPECIES = {
+  dairy: {
+    modelName: 'Dairy',
+    path: 'dairies',
+    label: 'Dairy',
+    frontendPath: 'dairy',
+    legacyCollection: 'dairies'
+  },
+  beef: {
+    modelName: 'Beef',
+    path: 'beefs',
+    label: 'Beef',
+    frontendPath: 'beef',
+    legacyCollection: 'beefs'
+  },
+  goat: {
+    modelName: 'Goat',
+    path: 'goats',
+    label: 'Goat',
+    frontendPath: 'goats',
+    readingTimeType: 'goats',
+    legacyCollection: 'goats'
+  },
+  piggery: {
+    modelName: 'Piggery',
+    path: 'piggeries',
+    label: 'Piggery',
+    frontendPath: 'piggery',
+    legacyCollection: 'piggeries'
+  }
+};
+
+/**
+ * Resolve a species key from either the species key or its plural path
+ *
+ * @param {string} value - e.g. 'goat' or 'goats'
+ * @returns {string|null} Species key, or null if unknown
+ */
+export const resolveSpeciesKey = (value) => {
+  if (!value) return null;
+  if (LIVESTOCK_SPECIES[value]) return value;
+  return Object.keys(LIVESTOCK_SPECIES).find(species => LIVESTOCK_SPECIES[species].path === value) || null;
+};
+
+export default LIVESTOCK_SPECIES;
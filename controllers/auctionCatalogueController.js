@@ -0,0 +1,117 @@
+// 📋 Auction Catalogue Controller - Lot list imports from spreadsheets
+import Auction from '../models/Auction.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { parseCatalogue, validateCatalogueRows, applyCatalogue } from '../services/lotCatalogueService.js';
+
+// Import a lot catalogue (.xlsx/.csv) into an auction; ?dryRun=true only reports
+export const importLotCatalogue = async (req, res) => {
+  try {
+    const { auctionId } = req.params;
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun).toLowerCase());
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the catalogue as an .xlsx or .csv file in the "catalogue" field'
+      });
+    }
+
+    const auction = await Auction.findById(auctionId);
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(auction.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Lots cannot be imported into a ${auction.status} auction`
+      });
+    }
+
+    const parsed = await parseCatalogue(req.file);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { lots, errors } = validateCatalogueRows(auction, parsed.rows);
+    const report = {
+      dryRun,
+      summary: {
+        totalRows: parsed.rows.length,
+        valid: lots.length,
+        invalid: new Set(errors.map(error => error.row)).size,
+        toCreate: lots.filter(lot => lot.action === 'create').length,
+        toUpdate: lots.filter(lot => lot.action === 'update').length
+      },
+      ignoredColumns: parsed.ignoredColumns,
+      errors,
+      lots: lots.map(({ row, lotNumber, action }) => ({ row, lotNumber, action }))
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: errors.length === 0,
+        message: errors.length === 0
+          ? 'Catalogue is valid and ready to import'
+          : `Catalogue has errors in ${report.summary.invalid} row(s)`,
+        ...report
+      });
+    }
+
+    // All or nothing: a catalogue with any bad row is not imported
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Catalogue has errors in ${report.summary.invalid} row(s); nothing was imported`,
+        ...report
+      });
+    }
+
+    await applyCatalogue(auction, lots);
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'auction_lots_imported',
+      resource: 'auction',
+      resourceId: auction._id.toString(),
+      resourceTitle: auction.title,
+      details: {
+        method: req.method,
+        path: req.path,
+        fileSize: req.file.size,
+        additionalInfo: {
+          fileName: req.file.originalname,
+          created: report.summary.toCreate,
+          updated: report.summary.toUpdate
+        }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${lots.length} lot(s): ${report.summary.toCreate} created, ${report.summary.toUpdate} updated`,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error importing lot catalogue:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to import lot catalogue',
+      error: process.env.NODE_ENV === 'development' || status === 400 ? error.message : undefined
+    });
+  }
+};
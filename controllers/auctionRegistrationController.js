@@ -1,7 +1,51 @@
 // 🎯 Auction Registration Controller - Buyer registration management
 import Auction from '../models/Auction.js';
 import ActivityLog from '../models/ActivityLog.js';
-import { sendEmail } from '../services/emailService.js';
+import liveBiddingService from '../services/liveBiddingService.js';
+import {
+  sendAuctionRegistrationConfirmation,
+  sendAuctionRegistrationApproved,
+  sendAuctionRegistrationRejected
+} from '../services/emailService.js';
+import { buildCalendar, auctionToCalendarEntry, calendarFileName } from '../utils/icalendar.js';
+
+// .ics invite for the auction, attached to registration emails
+const auctionCalendar = (auction) => ({
+  calendar: buildCalendar([auctionToCalendarEntry(auction)], { name: auction.title }),
+  calendarFileName: calendarFileName(auction)
+});
+
+// Bidder numbers are zero-padded per auction: 001, 002, ...
+const formatBidderNumber = (sequence) => String(sequence).padStart(3, '0');
+
+// Quote a CSV field, doubling any embedded quotes
+const csvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Log a registration change; buyers register without an account
+const logRegistrationActivity = (req, action, auction, registration) => ActivityLog.logActivity({
+  userId: req.user?._id || null,
+  username: req.user ? (req.user.username || req.user.companyEmail) : registration.buyerEmail,
+  userRole: req.user?.role || 'unknown',
+  action,
+  resource: 'auction',
+  resourceId: auction._id.toString(),
+  resourceTitle: auction.title,
+  details: {
+    method: req.method,
+    path: req.path,
+    additionalInfo: {
+      registrationId: registration._id.toString(),
+      buyerName: registration.buyerName,
+      buyerEmail: registration.buyerEmail,
+      bidderNumber: registration.bidderNumber,
+      reason: registration.rejectionReason
+    }
+  },
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  status: 'success',
+  severity: 2
+});
 
 // Create registration endpoint
 export const createRegistration = async (req, res) => {
@@ -25,7 +69,7 @@ export const createRegistration = async (req, res) => {
     }
 
     // Find auction
-    const auction = await Auction.findById(auctionId);
+    const auction = await Auction.findOne({ _id: auctionId, published: true });
     if (!auction) {
       return res.status(404).json({
         success: false,
@@ -36,27 +80,16 @@ export const createRegistration = async (req, res) => {
     // Check if registration is still open
     const now = new Date();
     const auctionDate = new Date(auction.date);
-    if (auctionDate <= now) {
+    const deadlinePassed = auction.registrationDeadline && new Date(auction.registrationDeadline) < now;
+    if (auctionDate <= now || deadlinePassed || auction.status !== 'upcoming') {
       return res.status(400).json({
         success: false,
         message: 'Registration is closed for this auction'
       });
     }
 
-    // Check if buyer already registered
-    const existingRegistration = auction.registrations.find(
-      reg => reg.buyerEmail === buyerEmail
-    );
-
-    if (existingRegistration) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already registered for this auction'
-      });
-    }
-
     // Create registration
-    const registration = {
+    const registration = auction.registrations.create({
       buyerName,
       buyerEmail,
       buyerPhone,
@@ -66,44 +99,35 @@ export const createRegistration = async (req, res) => {
       status: 'pending',
       registeredAt: new Date(),
       paymentStatus: 'pending'
-    };
+    });
+
+    // Push only if this email has not registered yet, so concurrent
+    // submissions cannot create duplicates
+    const result = await Auction.updateOne(
+      { _id: auction._id, 'registrations.buyerEmail': { $ne: registration.buyerEmail } },
+      { $push: { registrations: registration } }
+    );
 
-    auction.registrations.push(registration);
-    await auction.save();
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already registered for this auction'
+      });
+    }
 
     // Log activity
-    await ActivityLog.logActivity({
-      userId: req.user?.id || null,
-      username: buyerName,
-      userRole: 'buyer',
-      action: 'auction_registration_created',
-      resource: 'auction',
-      resourceId: auctionId,
-      details: {
-        auctionTitle: auction.title,
-        buyerEmail,
-        buyerPhone
-      }
-    });
+    await logRegistrationActivity(req, 'auction_registration_created', auction, registration);
 
     // Send confirmation email
-    try {
-      await sendEmail({
-        to: buyerEmail,
-        subject: 'Auction Registration Received',
-        templateName: 'auction-registration-confirmation',
-        templateData: {
-          buyerName,
-          auctionTitle: auction.title,
-          auctionDate: auction.date,
-          auctionLocation: auction.location,
-          registrationFee: auction.registrationFee || 0,
-          registrationId: registration._id
-        }
-      });
-    } catch (emailError) {
-      console.error('Failed to send confirmation email:', emailError);
-    }
+    await sendAuctionRegistrationConfirmation(registration.buyerEmail, {
+      title: auction.title,
+      date: auction.date,
+      location: auction.location,
+      buyerName: registration.buyerName,
+      registrationFee: auction.registrationFee,
+      registrationId: registration._id.toString(),
+      ...auctionCalendar(auction)
+    });
 
     res.status(201).json({
       success: true,
@@ -128,7 +152,9 @@ export const createRegistration = async (req, res) => {
 // Get all registrations (admin only)
 export const getAllRegistrations = async (req, res) => {
   try {
-    const { auctionId, status, page = 1, limit = 50 } = req.query;
+    const { auctionId, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
     
     const filter = {};
     if (auctionId && auctionId !== 'all') {
@@ -136,13 +162,14 @@ export const getAllRegistrations = async (req, res) => {
     }
 
     const auctions = await Auction.find(filter)
-      .populate('registrations')
-      .sort({ date: -1 });
+      .select('title date location registrationFee registrations')
+      .sort({ date: -1 })
+      .lean();
 
     let allRegistrations = [];
     auctions.forEach(auction => {
       const registrations = auction.registrations.map(reg => ({
-        ...reg.toObject(),
+        ...reg,
         auction: {
           _id: auction._id,
           title: auction.title,
@@ -161,7 +188,7 @@ export const getAllRegistrations = async (req, res) => {
 
     // Pagination
     const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
+    const endIndex = startIndex + limit;
     const paginatedRegistrations = allRegistrations.slice(startIndex, endIndex);
 
     // Calculate stats
@@ -176,8 +203,8 @@ export const getAllRegistrations = async (req, res) => {
       success: true,
       registrations: paginatedRegistrations,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total: allRegistrations.length,
         pages: Math.ceil(allRegistrations.length / limit)
       },
@@ -194,73 +221,75 @@ export const getAllRegistrations = async (req, res) => {
   }
 };
 
-// Approve registration
+// Approve registration and allocate the buyer's bidder number
 export const approveRegistration = async (req, res) => {
   try {
     const { registrationId } = req.params;
 
-    // Find auction with the registration
-    const auction = await Auction.findOne({
-      'registrations._id': registrationId
-    });
+    // Approve and bump the auction's bidder counter in one atomic update,
+    // so two approvals can never be handed the same number
+    const auction = await Auction.findOneAndUpdate(
+      { registrations: { $elemMatch: { _id: registrationId, status: { $ne: 'approved' } } } },
+      {
+        $inc: { lastBidderNumber: 1 },
+        $set: {
+          'registrations.$.status': 'approved',
+          'registrations.$.approvedAt': new Date(),
+          'registrations.$.approvedBy': req.user._id
+        },
+        $unset: {
+          'registrations.$.rejectedAt': '',
+          'registrations.$.rejectedBy': '',
+          'registrations.$.rejectionReason': ''
+        }
+      },
+      { new: true }
+    );
 
     if (!auction) {
-      return res.status(404).json({
+      const exists = await Auction.exists({ 'registrations._id': registrationId });
+      return res.status(exists ? 400 : 404).json({
         success: false,
-        message: 'Registration not found'
+        message: exists ? 'Registration is already approved' : 'Registration not found'
       });
     }
 
-    const registration = auction.registrations.id(registrationId);
-    if (!registration) {
-      return res.status(404).json({
-        success: false,
-        message: 'Registration not found'
-      });
-    }
+    const bidderNumber = formatBidderNumber(auction.lastBidderNumber);
+    await Auction.updateOne(
+      { _id: auction._id, 'registrations._id': registrationId },
+      { $set: { 'registrations.$.bidderNumber': bidderNumber } }
+    );
 
-    registration.status = 'approved';
-    registration.approvedAt = new Date();
-    registration.approvedBy = req.user.id;
+    const registration = auction.registrations.id(registrationId);
+    registration.bidderNumber = bidderNumber;
 
-    await auction.save();
+    // Personal link for online bidding (see services/liveBiddingService.js)
+    const bidderToken = liveBiddingService.signBidderToken(auction, registration);
+    const biddingUrl = `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/auctions/${auction._id}/live?token=${bidderToken}`;
 
     // Log activity
-    await ActivityLog.logActivity({
-      userId: req.user.id,
-      username: req.user.username,
-      userRole: req.user.role,
-      action: 'auction_registration_approved',
-      resource: 'auction',
-      resourceId: auction._id,
-      details: {
-        auctionTitle: auction.title,
-        buyerName: registration.buyerName,
-        buyerEmail: registration.buyerEmail
-      }
-    });
+    await logRegistrationActivity(req, 'auction_registration_approved', auction, registration);
 
     // Send approval email
-    try {
-      await sendEmail({
-        to: registration.buyerEmail,
-        subject: 'Auction Registration Approved',
-        templateName: 'auction-registration-approved',
-        templateData: {
-          buyerName: registration.buyerName,
-          auctionTitle: auction.title,
-          auctionDate: auction.date,
-          auctionLocation: auction.location,
-          bidderNumber: registration._id.toString().slice(-6).toUpperCase()
-        }
-      });
-    } catch (emailError) {
-      console.error('Failed to send approval email:', emailError);
-    }
+    await sendAuctionRegistrationApproved(registration.buyerEmail, {
+      title: auction.title,
+      date: auction.date,
+      location: auction.location,
+      buyerName: registration.buyerName,
+      bidderNumber,
+      biddingUrl,
+      ...auctionCalendar(auction)
+    });
 
     res.json({
       success: true,
-      message: 'Registration approved successfully'
+      message: 'Registration approved successfully',
+      registration: {
+        id: registration._id,
+        status: registration.status,
+        bidderNumber,
+        approvedAt: registration.approvedAt
+      }
     });
 
   } catch (error) {
@@ -273,70 +302,46 @@ export const approveRegistration = async (req, res) => {
   }
 };
 
-// Reject registration
+// Reject registration; an approved buyer loses their bidder number
 export const rejectRegistration = async (req, res) => {
   try {
     const { registrationId } = req.params;
     const { reason } = req.body;
 
-    // Find auction with the registration
-    const auction = await Auction.findOne({
-      'registrations._id': registrationId
-    });
+    const auction = await Auction.findOneAndUpdate(
+      { registrations: { $elemMatch: { _id: registrationId, status: { $ne: 'rejected' } } } },
+      {
+        $set: {
+          'registrations.$.status': 'rejected',
+          'registrations.$.rejectedAt': new Date(),
+          'registrations.$.rejectedBy': req.user._id,
+          'registrations.$.rejectionReason': reason || ''
+        },
+        $unset: {
+          'registrations.$.bidderNumber': ''
+        }
+      },
+      { new: true }
+    );
 
     if (!auction) {
-      return res.status(404).json({
+      const exists = await Auction.exists({ 'registrations._id': registrationId });
+      return res.status(exists ? 400 : 404).json({
         success: false,
-        message: 'Registration not found'
+        message: exists ? 'Registration is already rejected' : 'Registration not found'
       });
     }
 
     const registration = auction.registrations.id(registrationId);
-    if (!registration) {
-      return res.status(404).json({
-        success: false,
-        message: 'Registration not found'
-      });
-    }
-
-    registration.status = 'rejected';
-    registration.rejectedAt = new Date();
-    registration.rejectedBy = req.user.id;
-    registration.rejectionReason = reason || '';
-
-    await auction.save();
 
     // Log activity
-    await ActivityLog.logActivity({
-      userId: req.user.id,
-      username: req.user.username,
-      userRole: req.user.role,
-      action: 'auction_registration_rejected',
-      resource: 'auction',
-      resourceId: auction._id,
-      details: {
-        auctionTitle: auction.title,
-        buyerName: registration.buyerName,
-        buyerEmail: registration.buyerEmail,
-        reason: reason || 'No reason provided'
-      }
-    });
+    await logRegistrationActivity(req, 'auction_registration_rejected', auction, registration);
 
     // Send rejection email
-    try {
-      await sendEmail({
-        to: registration.buyerEmail,
-        subject: 'Auction Registration Update',
-        templateName: 'auction-registration-rejected',
-        templateData: {
-          buyerName: registration.buyerName,
-          auctionTitle: auction.title,
-          reason: reason || 'Please contact us for more information'
-        }
-      });
-    } catch (emailError) {
-      console.error('Failed to send rejection email:', emailError);
-    }
+    await sendAuctionRegistrationRejected(registration.buyerEmail, {
+      title: auction.title,
+      buyerName: registration.buyerName
+    }, reason);
 
     res.json({
       success: true,
@@ -364,8 +369,9 @@ export const exportRegistrations = async (req, res) => {
     }
 
     const auctions = await Auction.find(filter)
-      .populate('registrations')
-      .sort({ date: -1 });
+      .select('title date location registrations')
+      .sort({ date: -1 })
+      .lean();
 
     let allRegistrations = [];
     auctions.forEach(auction => {
@@ -378,6 +384,7 @@ export const exportRegistrations = async (req, res) => {
         buyerPhone: reg.buyerPhone,
         buyerCompany: reg.buyerCompany || '',
         status: reg.status,
+        bidderNumber: reg.bidderNumber || '',
         registeredAt: reg.registeredAt,
         paymentMethod: reg.paymentMethod || '',
         paymentStatus: reg.paymentStatus || 'pending',
@@ -396,6 +403,7 @@ export const exportRegistrations = async (req, res) => {
       'Phone',
       'Company',
       'Status',
+      'Bidder Number',
       'Registered Date',
       'Payment Method',
       'Payment Status',
@@ -406,33 +414,43 @@ export const exportRegistrations = async (req, res) => {
     
     allRegistrations.forEach(reg => {
       const row = [
-        `"${reg.auctionTitle}"`,
-        `"${new Date(reg.auctionDate).toLocaleDateString()}"`,
-        `"${reg.auctionLocation}"`,
-        `"${reg.buyerName}"`,
-        `"${reg.buyerEmail}"`,
-        `"${reg.buyerPhone}"`,
-        `"${reg.buyerCompany}"`,
-        `"${reg.status}"`,
-        `"${new Date(reg.registeredAt).toLocaleDateString()}"`,
-        `"${reg.paymentMethod}"`,
-        `"${reg.paymentStatus}"`,
-        `"${reg.specialRequirements}"`
-      ];
+        reg.auctionTitle,
+        new Date(reg.auctionDate).toLocaleDateString(),
+        reg.auctionLocation,
+        reg.buyerName,
+        reg.buyerEmail,
+        reg.buyerPhone,
+        reg.buyerCompany,
+        reg.status,
+        reg.bidderNumber,
+        new Date(reg.registeredAt).toLocaleDateString(),
+        reg.paymentMethod,
+        reg.paymentStatus,
+        reg.specialRequirements
+      ].map(csvField);
       csvContent += row.join(',') + '\n';
     });
 
     // Log activity
     await ActivityLog.logActivity({
-      userId: req.user.id,
-      username: req.user.username,
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
       userRole: req.user.role,
       action: 'auction_registrations_exported',
       resource: 'auction',
+      resourceId: auctionId && auctionId !== 'all' ? auctionId : undefined,
       details: {
-        exportCount: allRegistrations.length,
-        auctionFilter: auctionId || 'all'
-      }
+        method: req.method,
+        path: req.path,
+        additionalInfo: {
+          exportCount: allRegistrations.length,
+          auctionFilter: auctionId || 'all'
+        }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
     });
 
     res.setHeader('Content-Type', 'text/csv');
@@ -455,14 +473,14 @@ export const getAuctionStats = async (req, res) => {
     const now = new Date();
     
     // Get all auctions
-    const auctions = await Auction.find({});
+    const auctions = await Auction.find({}).lean();
     
     // Calculate statistics
     const stats = {
       totalAuctions: auctions.length,
       activeAuctions: auctions.filter(a => {
         const auctionDate = new Date(a.date);
-        return auctionDate > now && a.status === 'active';
+        return auctionDate > now && a.status === 'ongoing';
       }).length,
       upcomingAuctions: auctions.filter(a => {
         const auctionDate = new Date(a.date);
@@ -516,8 +534,8 @@ export const getRecentActivity = async (req, res) => {
       type: activity.action,
       description: getActivityDescription(activity),
       timestamp: activity.timestamp,
-      auctionTitle: activity.details?.auctionTitle,
-      buyerName: activity.details?.buyerName
+      auctionTitle: activity.resourceTitle,
+      buyerName: activity.details?.additionalInfo?.buyerName
     }));
 
     res.json({
@@ -598,21 +616,24 @@ export const getPerformanceData = async (req, res) => {
 
 // Helper function to format activity descriptions
 function getActivityDescription(activity) {
+  const auctionTitle = activity.resourceTitle;
+  const buyerName = activity.details?.additionalInfo?.buyerName;
+
   switch (activity.action) {
     case 'auction_created':
-      return `New auction "${activity.details?.auctionTitle}" was created`;
+      return `New auction "${auctionTitle}" was created`;
     case 'auction_updated':
-      return `Auction "${activity.details?.auctionTitle}" was updated`;
+      return `Auction "${auctionTitle}" was updated`;
     case 'auction_cancelled':
-      return `Auction "${activity.details?.auctionTitle}" was cancelled`;
+      return `Auction "${auctionTitle}" was cancelled`;
     case 'auction_completed':
-      return `Auction "${activity.details?.auctionTitle}" was completed`;
+      return `Auction "${auctionTitle}" was completed`;
     case 'auction_registration_created':
-      return `${activity.details?.buyerName} registered for "${activity.details?.auctionTitle}"`;
+      return `${buyerName} registered for "${auctionTitle}"`;
     case 'auction_registration_approved':
-      return `Registration approved for ${activity.details?.buyerName} in "${activity.details?.auctionTitle}"`;
+      return `Registration approved for ${buyerName} in "${auctionTitle}"`;
     case 'auction_registration_rejected':
-      return `Registration rejected for ${activity.details?.buyerName} in "${activity.details?.auctionTitle}"`;
+      return `Registration rejected for ${buyerName} in "${auctionTitle}"`;
     default:
       return 'Unknown activity';
   }
@@ -0,0 +1,226 @@
+// 🧾 Auction Settlement Controller - Post-auction results, invoices and sale reports
+import Auction from '../models/Auction.js';
+import AuctionInvoice from '../models/AuctionInvoice.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { settleAuction as runSettlement, buildSettlement, summarizeSaleResults } from '../services/auctionSettlementService.js';
+
+// Settle an auction: record floor results, total per buyer/seller, issue invoices
+export const settleAuction = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.auctionId);
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    const result = await runSettlement(auction, {
+      results: req.body.results,
+      userId: req.user._id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        errors: result.errors
+      });
+    }
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'auction_settled',
+      resource: 'auction',
+      resourceId: auction._id.toString(),
+      resourceTitle: auction.title,
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: {
+          lotsSold: result.settlement.lotsSold,
+          grossSales: result.settlement.grossSales,
+          invoiceCount: result.invoices.length
+        }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
+
+    res.json({
+      success: true,
+      message: `Auction settled: ${result.settlement.lotsSold} lot(s) sold to ${result.settlement.buyerCount} buyer(s)`,
+      settlement: result.settlement,
+      buyers: result.buyers,
+      sellers: result.sellers,
+      invoices: result.invoices
+    });
+
+  } catch (error) {
+    console.error('Error settling auction:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Failed to settle auction',
+      error: process.env.NODE_ENV === 'development' || status === 400 ? error.message : undefined
+    });
+  }
+};
+
+// Settlement report: totals per buyer and seller plus the invoices issued
+export const getSettlement = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.auctionId)
+      .select('title date location status settlement items registrations')
+      .lean();
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    const { totals, buyers, sellers } = buildSettlement(auction);
+    const invoices = await AuctionInvoice.find({ auction: auction._id }).sort({ bidderNumber: 1 }).lean();
+
+    res.json({
+      success: true,
+      auction: {
+        _id: auction._id,
+        title: auction.title,
+        date: auction.date,
+        location: auction.location,
+        status: auction.status
+      },
+      settlement: auction.settlement?.settledAt ? auction.settlement : null,
+      totals,
+      buyers,
+      sellers,
+      invoices
+    });
+
+  } catch (error) {
+    console.error('Error fetching settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Mark an issued invoice paid, or void it. Paid and void are final.
+export const updateInvoiceStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const invoice = await AuctionInvoice.findOneAndUpdate(
+      { _id: req.params.invoiceId, status: 'issued' },
+      { $set: { status, ...(status === 'paid' ? { paidAt: new Date() } : {}) } },
+      { new: true }
+    );
+
+    if (!invoice) {
+      const existing = await AuctionInvoice.findById(req.params.invoiceId).select('invoiceNumber status').lean();
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Invoice ${existing.invoiceNumber} is already ${existing.status}`
+      });
+    }
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'auction_invoice_updated',
+      resource: 'auction',
+      resourceId: invoice.auction.toString(),
+      resourceTitle: invoice.invoiceNumber,
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: { invoiceNumber: invoice.invoiceNumber, status, total: invoice.total }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} marked ${status}`,
+      invoice
+    });
+
+  } catch (error) {
+    console.error('Error updating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Public sale results of a settled auction (no buyer details)
+export const getSaleResults = async (req, res) => {
+  try {
+    const auction = await Auction.findOne({
+      _id: req.params.auctionId,
+      published: true,
+      'settlement.settledAt': { $exists: true }
+    })
+      .select('title date location settlement items')
+      .lean();
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'No published results for this auction'
+      });
+    }
+
+    const lots = auction.items.slice().sort((a, b) => a.lotNumber - b.lotNumber);
+
+    res.json({
+      success: true,
+      auction: {
+        _id: auction._id,
+        title: auction.title,
+        date: auction.date,
+        location: auction.location,
+        settledAt: auction.settlement.settledAt
+      },
+      summary: summarizeSaleResults(lots),
+      lots: lots.map(lot => ({
+        lotNumber: lot.lotNumber,
+        description: lot.description,
+        category: lot.category,
+        breed: lot.breed,
+        age: lot.age,
+        weight: lot.weight,
+        sold: Boolean(lot.sold),
+        finalPrice: lot.sold ? lot.finalPrice : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching sale results:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sale results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,403 @@
+/**
+ * @file Collection Controller
+ * @description Ordered article series that span content types: editor CRUD,
+ * the public series view, and the series an article belongs to with
+ * previous/next navigation.
+ * @module controllers/collectionController
+ */
+
+import mongoose from 'mongoose';
+import Collection, { COLLECTION_CONTENT_TYPES } from '../models/Collection.js';
+import ActivityLog from '../models/ActivityLog.js';
+import Blog from '../models/Blog.js';
+import News from '../models/News.js';
+import Basic from '../models/Basic.js';
+import { getSpeciesModel } from '../models/Livestock.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+
+// Models behind each collection item content type
+const collectionItemModels = {
+    blogs: Blog,
+    news: News,
+    basics: Basic,
+    ...Object.fromEntries(
+        Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [config.path, getSpeciesModel(species)])
+    )
+};
+
+// Article fields shown in a series outline and in previous/next links
+const ITEM_SUMMARY_FIELDS = 'title slug imageUrl summary description category published publishedAt createdAt translations';
+
+// Collection fields editors can set
+const EDITABLE_FIELDS = ['title', 'description', 'imageUrl', 'tags', 'published'];
+
+/**
+ * Validate submitted items and check every referenced article exists
+ * @returns {Object} { items } or { error }
+ */
+const normalizeItems = async (items) => {
+    if (!Array.isArray(items)) {
+        return { error: 'items must be an array of { contentType, contentId }' };
+    }
+
+    for (const item of items) {
+        if (!item || !COLLECTION_CONTENT_TYPES.includes(item.contentType)) {
+            return { error: `Item content type must be one of: ${COLLECTION_CONTENT_TYPES.join(', ')}` };
+        }
+        if (!mongoose.Types.ObjectId.isValid(item.contentId)) {
+            return { error: `Invalid content ID: ${item.contentId}` };
+        }
+    }
+
+    const missing = [];
+    for (const [contentType, Model] of Object.entries(collectionItemModels)) {
+        const ids = items.filter(item => item.contentType === contentType).map(item => String(item.contentId));
+        if (ids.length === 0) continue;
+
+        const found = await Model.find({ _id: { $in: ids } }).distinct('_id');
+        const foundIds = found.map(id => id.toString());
+        missing.push(...ids.filter(id => !foundIds.includes(id)).map(id => `${contentType}/${id}`));
+    }
+
+    if (missing.length > 0) {
+        return { error: `Content not found: ${missing.join(', ')}` };
+    }
+
+    return {
+        items: items.map(item => ({
+            contentType: item.contentType,
+            contentId: item.contentId,
+            ...(item.label ? { label: item.label } : {})
+        }))
+    };
+};
+
+/**
+ * Load the articles of a collection, in series order
+ * Unpublished and deleted articles are left out of public views.
+ * @returns {Array<Object>} Items with position (1-based) and article summary
+ */
+const resolveItems = async (collection, { publishedOnly = true } = {}) => {
+    const articles = new Map();
+
+    await Promise.all(Object.entries(collectionItemModels).map(async ([contentType, Model]) => {
+        const ids = collection.items.filter(item => item.contentType === contentType).map(item => item.contentId);
+        if (ids.length === 0) return;
+
+        const filter = { _id: { $in: ids } };
+        if (publishedOnly) filter.published = true;
+
+        const found = await Model.find(filter).select(ITEM_SUMMARY_FIELDS).lean();
+        found.forEach(article => articles.set(`${contentType}:${article._id}`, article));
+    }));
+
+    return collection.items
+        .map(item => ({ item, article: articles.get(`${item.contentType}:${item.contentId}`) }))
+        .filter(({ article }) => article || !publishedOnly)
+        .map(({ item, article }, index) => ({
+            position: index + 1,
+            contentType: item.contentType,
+            contentId: item.contentId,
+            label: item.label || null,
+            content: article || null
+        }));
+};
+
+/**
+ * Record a collection change in the activity log
+ */
+const logCollectionActivity = async (req, action, collection) => {
+    await ActivityLog.logActivity({
+        userId: req.user._id,
+        username: req.user.username || req.user.companyEmail,
+        userRole: req.user.role,
+        action,
+        resource: 'collection',
+        resourceId: collection._id.toString(),
+        resourceTitle: collection.title,
+        details: {
+            method: req.method,
+            path: req.path,
+            additionalInfo: { itemCount: collection.items.length }
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        status: 'success',
+        severity: 2
+    });
+};
+
+/**
+ * Create a collection
+ * Body: title, description, imageUrl, tags, published, slug, items [{ contentType, contentId, label }]
+ */
+export const createCollection = async (req, res) => {
+    try {
+        const { items, error } = await normalizeItems(req.body.items || []);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const collection = new Collection({
+            ...Object.fromEntries(EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])),
+            ...(typeof req.body.slug === 'string' && req.body.slug.trim() ? { slug: req.body.slug } : {}),
+            items,
+            createdBy: req.user._id
+        });
+
+        const savedCollection = await collection.save();
+        await logCollectionActivity(req, 'content_created', savedCollection);
+
+        res.status(201).json({
+            success: true,
+            message: 'Collection created successfully',
+            data: savedCollection
+        });
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: 'Failed to create collection',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List published collections (newest first)
+ */
+export const getCollections = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const filter = { published: true };
+        if (req.query.tag) filter.tags = req.query.tag;
+
+        const [collections, total] = await Promise.all([
+            Collection.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-createdBy')
+                .lean(),
+            Collection.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                collections: collections.map(({ items, ...collection }) => ({ ...collection, itemCount: items.length })),
+                total,
+                page,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching collections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch collections',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List all collections, published or not, for editors
+ */
+export const getAdminCollections = async (req, res) => {
+    try {
+        const collections = await Collection.find()
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'username')
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                collections: collections.map(collection => ({ ...collection, itemCount: collection.items.length })),
+                total: collections.length
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching admin collections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch collections',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a published collection with its articles in series order
+ */
+export const getCollectionById = async (req, res) => {
+    try {
+        const collection = await Collection.findOne({ _id: req.params.id, published: true }).select('-createdBy').lean();
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        const items = await resolveItems(collection);
+
+        res.json({
+            success: true,
+            data: { ...collection, items, itemCount: items.length }
+        });
+    } catch (error) {
+        console.error('Error fetching collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch collection',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get any collection for editing, including unpublished articles
+ */
+export const getAdminCollectionById = async (req, res) => {
+    try {
+        const collection = await Collection.findById(req.params.id).lean();
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        const items = await resolveItems(collection, { publishedOnly: false });
+
+        res.json({
+            success: true,
+            data: { ...collection, items, itemCount: items.length }
+        });
+    } catch (error) {
+        console.error('Error fetching collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch collection',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a collection
+ * Sending items replaces the whole series, so reordering is a single update.
+ */
+export const updateCollection = async (req, res) => {
+    try {
+        const collection = await Collection.findById(req.params.id);
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        if (req.body.items !== undefined) {
+            const { items, error } = await normalizeItems(req.body.items);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            collection.items = items;
+        }
+
+        EDITABLE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => collection.set(field, req.body[field]));
+
+        if (typeof req.body.slug === 'string' && req.body.slug.trim()) {
+            collection.slug = req.body.slug;
+        }
+
+        const savedCollection = await collection.save();
+        await logCollectionActivity(req, 'content_updated', savedCollection);
+
+        res.json({
+            success: true,
+            message: 'Collection updated successfully',
+            data: savedCollection
+        });
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: 'Failed to update collection',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a collection (the articles themselves are untouched)
+ */
+export const deleteCollection = async (req, res) => {
+    try {
+        const collection = await Collection.findByIdAndDelete(req.params.id);
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        await logCollectionActivity(req, 'content_deleted', collection);
+
+        res.json({
+            success: true,
+            message: 'Collection deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete collection',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Published series an article belongs to, with previous/next navigation
+ */
+export const getContentSeries = async (req, res) => {
+    try {
+        const { contentType, id } = req.params;
+        if (!COLLECTION_CONTENT_TYPES.includes(contentType)) {
+            return res.status(400).json({ success: false, message: 'Series are not available for this content type' });
+        }
+
+        const collections = await Collection.find({
+            published: true,
+            items: { $elemMatch: { contentType, contentId: id } }
+        }).select('-createdBy').lean();
+
+        const series = [];
+        for (const collection of collections) {
+            const items = await resolveItems(collection);
+            const index = items.findIndex(item => item.contentType === contentType && item.contentId.toString() === id);
+            if (index === -1) continue; // the article itself is unpublished
+
+            // The collection's stored item references are replaced by the resolved items below
+            const summary = { ...collection, itemCount: items.length };
+            delete summary.items;
+            series.push({
+                collection: summary,
+                position: index + 1,
+                total: items.length,
+                previous: items[index - 1] || null,
+                next: items[index + 1] || null,
+                items
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { series }
+        });
+    } catch (error) {
+        console.error('Error fetching content series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch series',
+            error: error.message
+        });
+    }
+};
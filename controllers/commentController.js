@@ -0,0 +1,304 @@
+/**
+ * @file Comment Controller
+ * @description Public reader comments on blogs and livestock articles, with
+ * threaded replies and an editor moderation queue. Comments are embedded in
+ * the content document (see models/base/Comments.js) and stay hidden until an
+ * editor approves them.
+ * @module controllers/commentController
+ */
+
+import mongoose from 'mongoose';
+import ActivityLog from '../models/ActivityLog.js';
+import Blog from '../models/Blog.js';
+import { getSpeciesModel } from '../models/Livestock.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+import { MAX_COMMENT_DEPTH, COMMENT_STATUSES, buildCommentThread } from '../models/base/Comments.js';
+import { sanitizeText, isValidEmail } from '../middleware/sanitization.js';
+
+// Content types that accept comments, with their ActivityLog resource name
+const commentContentTypes = {
+    blogs: { Model: Blog, resource: 'blog' },
+    ...Object.fromEntries(
+        Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [config.path, { Model: getSpeciesModel(species), resource: species }])
+    )
+};
+
+// Moderation actions, with the status they set and the ActivityLog action recorded
+const moderationActions = {
+    approve: { status: 'approved', logAction: 'comment_approved' },
+    reject: { status: 'rejected', logAction: 'comment_rejected' },
+    spam: { status: 'spam', logAction: 'comment_marked_spam' }
+};
+
+/**
+ * Look up the content type from the route, sending an error response if it is invalid
+ * @returns {Object|null} Content type config, or null if a response was sent
+ */
+const resolveContentType = (req, res) => {
+    const config = commentContentTypes[req.params.contentType];
+    if (!config) {
+        res.status(400).json({ success: false, message: 'Comments are not available for this content type' });
+        return null;
+    }
+    return config;
+};
+
+/**
+ * Reduce submitted text to plain text (comments are never rendered as HTML)
+ */
+const toPlainText = (value) => sanitizeText(String(value || '').replace(/<[^>]*>/g, ''));
+
+/**
+ * Get the approved comments for a published content item as a thread
+ */
+export const getComments = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+
+        const item = await config.Model.findOne({ _id: req.params.id, published: true })
+            .select('+comments')
+            .lean();
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Content not found' });
+        }
+
+        const comments = buildCommentThread(item.comments);
+        const total = (item.comments || []).filter(comment => comment.status === 'approved').length;
+
+        res.json({
+            success: true,
+            data: {
+                comments,
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch comments',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Submit a comment or a reply (body: content, author, email, parentId)
+ * The comment is stored as pending until an editor approves it.
+ */
+export const submitComment = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+
+        const content = toPlainText(req.body.content);
+        const author = toPlainText(req.body.author).substring(0, 100) || 'Anonymous';
+        const email = req.body.email ? String(req.body.email).trim() : null;
+        const { parentId } = req.body;
+
+        if (!content) {
+            return res.status(400).json({ success: false, message: 'Comment content is required' });
+        }
+        if (content.length > 2000) {
+            return res.status(400).json({ success: false, message: 'Comments are limited to 2000 characters' });
+        }
+        if (email && !isValidEmail(email)) {
+            return res.status(400).json({ success: false, message: 'Invalid email address' });
+        }
+
+        const item = await config.Model.findOne({ _id: req.params.id, published: true })
+            .select('+comments');
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Content not found' });
+        }
+
+        let depth = 0;
+        if (parentId) {
+            const parent = mongoose.Types.ObjectId.isValid(parentId) ? item.comments.id(parentId) : null;
+            if (!parent || parent.status !== 'approved') {
+                return res.status(400).json({ success: false, message: 'The comment you are replying to does not exist' });
+            }
+            if (parent.depth + 1 >= MAX_COMMENT_DEPTH) {
+                return res.status(400).json({ success: false, message: 'Replies cannot be nested any deeper' });
+            }
+            depth = parent.depth + 1;
+        }
+
+        const comment = item.comments.create({
+            content,
+            author,
+            email,
+            parentId: parentId || null,
+            depth,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        // $push instead of save() so concurrent comments and content edits don't overwrite each other
+        await config.Model.updateOne({ _id: item._id }, { $push: { comments: comment } });
+
+        res.status(201).json({
+            success: true,
+            message: 'Thank you! Your comment will appear once it has been approved.',
+            data: {
+                _id: comment._id,
+                status: comment.status
+            }
+        });
+    } catch (error) {
+        console.error('Error submitting comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit comment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Moderation queue across all commentable content (oldest first)
+ * Query: status (default pending), contentType, page, limit
+ */
+export const getModerationQueue = async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        if (!COMMENT_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid comment status' });
+        }
+
+        const contentTypes = req.query.contentType ? [req.query.contentType] : Object.keys(commentContentTypes);
+        if (contentTypes.some(contentType => !commentContentTypes[contentType])) {
+            return res.status(400).json({ success: false, message: 'Invalid content type' });
+        }
+
+        const results = await Promise.all(contentTypes.map(async (contentType) => {
+            const pipeline = [
+                { $match: { 'comments.status': status } },
+                { $unwind: '$comments' },
+                { $match: { 'comments.status': status } }
+            ];
+
+            const [comments, [{ total = 0 } = {}]] = await Promise.all([
+                commentContentTypes[contentType].Model.aggregate([
+                    ...pipeline,
+                    { $sort: { 'comments.createdAt': 1 } },
+                    { $limit: page * limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            contentId: '$_id',
+                            contentTitle: '$title',
+                            comment: '$comments'
+                        }
+                    }
+                ]),
+                commentContentTypes[contentType].Model.aggregate([...pipeline, { $count: 'total' }])
+            ]);
+
+            return { total, comments: comments.map(entry => ({ ...entry, contentType })) };
+        }));
+
+        const total = results.reduce((sum, result) => sum + result.total, 0);
+        const comments = results
+            .flatMap(result => result.comments)
+            .sort((a, b) => new Date(a.comment.createdAt) - new Date(b.comment.createdAt))
+            .slice((page - 1) * limit, page * limit);
+
+        res.json({
+            success: true,
+            data: {
+                comments,
+                total,
+                page,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching comment moderation queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch moderation queue',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Approve, reject or mark a comment as spam (body: action)
+ */
+export const moderateComment = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+
+        const { id, commentId } = req.params;
+        const moderation = moderationActions[req.body.action];
+        if (!moderation) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid action. Use one of: ${Object.keys(moderationActions).join(', ')}`
+            });
+        }
+        if (!mongoose.Types.ObjectId.isValid(commentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid comment ID' });
+        }
+
+        const item = await config.Model.findOneAndUpdate(
+            { _id: id, 'comments._id': commentId },
+            {
+                $set: {
+                    'comments.$.status': moderation.status,
+                    'comments.$.approved': moderation.status === 'approved',
+                    'comments.$.moderatedBy': req.user._id,
+                    'comments.$.moderatedAt': new Date()
+                }
+            },
+            { new: true, projection: { title: 1, comments: { $elemMatch: { _id: commentId } } } }
+        );
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Comment not found' });
+        }
+
+        await ActivityLog.logActivity({
+            userId: req.user._id,
+            username: req.user.username || req.user.companyEmail,
+            userRole: req.user.role,
+            action: moderation.logAction,
+            resource: config.resource,
+            resourceId: id,
+            resourceTitle: item.title,
+            details: {
+                method: req.method,
+                path: req.path,
+                additionalInfo: {
+                    contentType: req.params.contentType,
+                    commentId
+                }
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            status: 'success',
+            severity: 1
+        });
+
+        res.json({
+            success: true,
+            message: `Comment ${moderation.status}`,
+            data: item.comments[0]
+        });
+    } catch (error) {
+        console.error('Error moderating comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to moderate comment',
+            error: error.message
+        });
+    }
+};
@@ -15,19 +15,43 @@ import mongoose from 'mongoose';
 import Blog from '../models/Blog.js';
 import Event from '../models/Event.js';
 import EventRegistration from '../models/EventRegistration.js';
+import {
+  getAvailability,
+  parseEventCapacityInput,
+  saveTicketTypes,
+  registerAttendee,
+  promoteFromWaitlist,
+  cancelRegistration,
+  changeRegistrationStatus,
+  releaseDeletedRegistration
+} from '../services/eventRegistrationService.js';
+import {
+  isRecurring,
+  expandOccurrences,
+  findOccurrence,
+  parseOccurrenceDate,
+  parseRecurrenceInput,
+  resolveOccurrenceWindow,
+  occurrenceWindowFilter
+} from '../services/eventRecurrenceService.js';
 import News from '../models/News.js';
 import Basic from '../models/Basic.js';
 import Farm from '../models/Farm.js';
 import Magazine from '../models/Magazine.js';
-import Dairy from '../models/Dairy.js';
-import Goat from '../models/Goat.js';
-import Piggery from '../models/Piggery.js';
-import Beef from '../models/Beef.js';
+import { getSpeciesModel } from '../models/Livestock.js';
+import { LIVESTOCK_SPECIES, resolveSpeciesKey } from '../config/livestockSpecies.js';
 import Auction from '../models/Auction.js';
 import Newsletter from '../models/Newsletter.js';
 import Subscriber from '../models/Subscriber.js';
 import User from '../models/User.js';
-import { sendNewsletter as sendNewsletterEmail, sendWelcomeEmailToSubscriber, sendSubscriptionConfirmation } from '../services/emailService.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { WORKFLOW_ACTIONS, getNextStatus } from '../models/base/EditorialWorkflow.js';
+import { parseScheduleDate } from '../models/base/PublishSchedule.js';
+import { sendWelcomeEmailToSubscriber, sendSubscriptionConfirmation } from '../services/emailService.js';
+import { scheduleNewsletterSend, cancelNewsletterSend } from '../services/newsletterDeliveryService.js';
+import { resolveTargetSegments } from '../services/segmentService.js';
+import { parsePreferenceChanges, applyPreferenceChanges, findSubscriberByLink } from '../services/subscriberPreferenceService.js';
+import { SUBSCRIPTION_TOPICS, topicsForSubscriptionType } from '../utils/contentTopics.js';
 import { calculateReadingTimeByType } from '../utils/readingTimeCalculator.js';
 
 /**
@@ -37,6 +61,11 @@ import { calculateReadingTimeByType } from '../utils/readingTimeCalculator.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Livestock species models keyed by their plural path (dairies, beefs, goats, piggeries ...)
+const livestockModels = Object.fromEntries(
+  Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [config.path, getSpeciesModel(species)])
+);
+
 /**
  * Normalize file paths relative to the project root
  * 
@@ -130,6 +159,83 @@ const parseMetadata = (metadata) => {
   }
 };
 
+/**
+ * Parse publishAt / unpublishAt from the request body
+ * Only fields present in the body are returned, so the result can be spread
+ * into both new documents and update objects.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing={}] - Current document, used to validate partial updates
+ * @returns {Object} Schedule fields to store
+ * @throws {Error} If a date is invalid or unpublishAt is not after publishAt
+ */
+const parseScheduleInput = (body, existing = {}) => {
+  const schedule = {};
+  const publishAt = parseScheduleDate(body.publishAt);
+  const unpublishAt = parseScheduleDate(body.unpublishAt);
+
+  if (publishAt !== undefined) schedule.publishAt = publishAt;
+  if (unpublishAt !== undefined) schedule.unpublishAt = unpublishAt;
+
+  const effectivePublishAt = publishAt !== undefined ? publishAt : existing.publishAt;
+  const effectiveUnpublishAt = unpublishAt !== undefined ? unpublishAt : existing.unpublishAt;
+  if (effectivePublishAt && effectiveUnpublishAt && effectiveUnpublishAt <= effectivePublishAt) {
+    throw new Error('unpublishAt must be later than publishAt');
+  }
+
+  return schedule;
+};
+
+/**
+ * Check whether a date is still in the future
+ *
+ * @param {Date|null|undefined} date - Date to check
+ * @returns {boolean} True if the date is set and later than now
+ */
+const isFutureDate = (date) => Boolean(date) && date.getTime() > Date.now();
+
+/**
+ * Pick an editor-supplied slug from the request body
+ * Returned only when present, like parseScheduleInput. The Slug model plugin
+ * normalises it, keeps it unique and records a redirect from the old slug.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} `{ slug }` or an empty object
+ */
+const parseSlugInput = (body) => (typeof body.slug === 'string' && body.slug.trim() ? { slug: body.slug } : {});
+
+/**
+ * Pick reported market prices from the request body (news articles)
+ * Multipart forms send them as a JSON string. Returned only when present.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} `{ marketPrices }` or an empty object
+ * @throws {Error} If the value is not a JSON array or a price is invalid
+ */
+const parseMarketPricesInput = (body) => {
+  if (body.marketPrices === undefined) return {};
+
+  let marketPrices = body.marketPrices;
+  if (typeof marketPrices === 'string') {
+    try {
+      marketPrices = marketPrices.trim() ? JSON.parse(marketPrices) : [];
+    } catch {
+      throw new Error('Invalid marketPrices format. Must be a JSON array.');
+    }
+  }
+  if (!Array.isArray(marketPrices)) {
+    throw new Error('Invalid marketPrices format. Must be a JSON array.');
+  }
+
+  // Checked here so updates (which skip schema validators) get the same rules
+  const validationError = new News({ marketPrices }).validateSync('marketPrices');
+  if (validationError) {
+    throw new Error(Object.values(validationError.errors).map(error => error.message).join('; '));
+  }
+
+  return { marketPrices };
+};
+
 /**
  * Generate consistent response format for all API endpoints
  * 
@@ -177,11 +283,8 @@ export const trackView = async (req, res) => {
     const modelMap = {
       blogs: Blog,
       news: News,
-      dairies: Dairy,
-      beefs: Beef,
       farms: Farm,
-      piggeries: Piggery,
-      goats: Goat,
+      ...livestockModels,
       basics: Basic,
       magazines: Magazine
     };
@@ -229,11 +332,8 @@ export const trackLike = async (req, res) => {
     const modelMap = {
       blogs: Blog,
       news: News,
-      dairies: Dairy,
-      beefs: Beef,
       farms: Farm,
-      piggeries: Piggery,
-      goats: Goat,
+      ...livestockModels,
       basics: Basic,
       magazines: Magazine
     };
@@ -274,11 +374,8 @@ export const trackShare = async (req, res) => {
     const modelMap = {
       blogs: Blog,
       news: News,
-      dairies: Dairy,
-      beefs: Beef,
       farms: Farm,
-      piggeries: Piggery,
-      goats: Goat,
+      ...livestockModels,
       basics: Basic,
       magazines: Magazine
     };
@@ -312,11 +409,8 @@ export const getEngagementStats = async (req, res) => {
     const modelMap = {
       blogs: Blog,
       news: News,
-      dairies: Dairy,
-      beefs: Beef,
       farms: Farm,
-      piggeries: Piggery,
-      goats: Goat,
+      ...livestockModels,
       basics: Basic,
       magazines: Magazine
     };
@@ -326,7 +420,8 @@ export const getEngagementStats = async (req, res) => {
       return sendResponse(res, false, 'Invalid content type');
     }
 
-    const content = await Model.findById(id).select('views likes shares');
+    // Only comment statuses are loaded; content types without comments return none
+    const content = await Model.findById(id).select('views likes shares comments.status');
     if (!content) {
       return sendResponse(res, false, 'Content not found', null, null, 404);
     }
@@ -334,63 +429,315 @@ export const getEngagementStats = async (req, res) => {
     sendResponse(res, true, 'Engagement stats retrieved successfully', {
       views: content.views || 0,
       likes: content.likes || 0,
-      shares: content.shares || 0
+      shares: content.shares || 0,
+      comments: (content.comments || []).filter(comment => comment.status === 'approved').length
     });
   } catch (error) {
     sendResponse(res, false, 'Failed to get engagement stats', null, error.message);
   }
 };
 
-// Comment management system has been removed to improve dashboard accuracy
-// and remove unused functionality. This eliminates comment-related statistics
-// that were skewing engagement metrics.
+/**
+ * EDITORIAL WORKFLOW FUNCTIONS
+ * --------------------------
+ * Content moves draft → in_review → approved → published → archived.
+ * The `published` flag is derived from the workflow status, so publishing
+ * is only possible through these handlers.
+ */
+
+// Content types that go through editorial review, with their ActivityLog resource name
+const workflowContentTypes = {
+  blogs: { Model: Blog, resource: 'blog' },
+  news: { Model: News, resource: 'news' },
+  basics: { Model: Basic, resource: 'basic' },
+  magazines: { Model: Magazine, resource: 'magazine' },
+  ...Object.fromEntries(
+    Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [config.path, { Model: getSpeciesModel(species), resource: species }])
+  )
+};
+
+// ActivityLog action recorded for each workflow action
+const workflowActivityActions = {
+  submit: 'content_submitted_for_review',
+  approve: 'content_approved',
+  reject: 'content_rejected',
+  publish: 'content_published',
+  archive: 'content_archived',
+  restore: 'content_restored'
+};
+
+/**
+ * Record a workflow event in the activity log
+ *
+ * @param {Object} req - Express request object
+ * @param {string} action - ActivityLog action
+ * @param {string} resource - ActivityLog resource
+ * @param {Object} item - Content document
+ * @param {Object} additionalInfo - Extra details to store with the entry
+ */
+const logWorkflowActivity = async (req, action, resource, item, additionalInfo = {}) => {
+  await ActivityLog.logActivity({
+    userId: req.user._id,
+    username: req.user.username || req.user.companyEmail,
+    userRole: req.user.role,
+    action,
+    resource,
+    resourceId: item._id.toString(),
+    resourceTitle: item.title,
+    details: {
+      method: req.method,
+      path: req.path,
+      additionalInfo
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    status: 'success',
+    severity: 2
+  });
+};
+
+/**
+ * Find an active user who can review content
+ *
+ * @param {string} reviewerId - User ID of the proposed reviewer
+ * @returns {Object|null} Reviewer user document, or null if not eligible
+ */
+const findEligibleReviewer = async (reviewerId) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewerId)) return null;
+  return User.findOne({
+    _id: reviewerId,
+    isActive: true,
+    role: { $in: ['system_admin', 'editor'] }
+  }).select('_id username companyEmail role');
+};
 
-// Note: Comment-related routes and models should also be cleaned up
-// to completely remove this functionality from the system.
-export const approveContentComment = async (req, res) => {
+/**
+ * Move content to the next workflow state
+ *
+ * Rules enforced on top of the state machine:
+ * - approve/reject can only be done by the assigned reviewer or a system admin
+ * - editors cannot approve or reject content they submitted themselves
+ * - rejecting requires a comment, which is kept in reviewComments
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.contentType - Content type (blogs, news, goats, etc.)
+ * @param {string} req.params.id - ID of the content item
+ * @param {string} req.body.action - submit, approve, reject, publish, archive or restore
+ * @param {string} [req.body.comment] - Review comment (required when rejecting)
+ * @param {string} [req.body.reviewerId] - Reviewer to assign when submitting
+ * @param {string} [req.body.publishAt] - When publishing, go live at this time instead of now
+ * @param {string} [req.body.unpublishAt] - When publishing, take the content down at this time
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated content item
+ */
+export const transitionContentStatus = async (req, res) => {
   try {
-    const { contentType, id, commentId } = req.params;
+    const { contentType, id } = req.params;
+    const { action, comment, reviewerId } = req.body;
 
-    const modelMap = {
-      blogs: Blog,
-      news: News,
-      dairies: Dairy,
-      beefs: Beef,
-      farms: Farm,
-      piggeries: Piggery,
-      goats: Goat,
-      basics: Basic,
-      magazines: Magazine
-    };
+    const contentConfig = workflowContentTypes[contentType];
+    if (!contentConfig) {
+      return sendResponse(res, false, 'Invalid content type');
+    }
 
-    const Model = modelMap[contentType];
-    if (!Model) {
+    if (!WORKFLOW_ACTIONS[action]) {
+      return sendResponse(res, false, `Invalid workflow action. Allowed actions: ${Object.keys(WORKFLOW_ACTIONS).join(', ')}`);
+    }
+
+    const item = await contentConfig.Model.findById(id);
+    if (!item) {
+      return sendResponse(res, false, 'Content not found', null, null, 404);
+    }
+
+    const previousStatus = item.status;
+    const nextStatus = getNextStatus(previousStatus, action);
+    if (!nextStatus) {
+      return sendResponse(res, false, `Cannot ${action} content with status '${previousStatus}'`, null, null, 409);
+    }
+
+    const userId = req.user._id.toString();
+    const isSystemAdmin = req.user.role === 'system_admin';
+
+    if (action === 'approve' || action === 'reject') {
+      const isReviewer = item.reviewer && item.reviewer.toString() === userId;
+      const isSubmitter = item.submittedBy && item.submittedBy.toString() === userId;
+
+      if (!isSystemAdmin && (!isReviewer || isSubmitter)) {
+        return sendResponse(res, false, 'Only the assigned reviewer or a system admin can review this content', null, null, 403);
+      }
+
+      if (action === 'reject' && !comment?.trim()) {
+        return sendResponse(res, false, 'A comment is required when rejecting content');
+      }
+
+      item.reviewComments.push({
+        reviewer: req.user._id,
+        decision: action === 'approve' ? 'approved' : 'rejected',
+        comment
+      });
+      item.reviewedAt = new Date();
+    }
+
+    if (action === 'submit') {
+      if (reviewerId) {
+        const reviewer = await findEligibleReviewer(reviewerId);
+        if (!reviewer) {
+          return sendResponse(res, false, 'Reviewer must be an active editor or system admin');
+        }
+        if (reviewer._id.toString() === userId && !isSystemAdmin) {
+          return sendResponse(res, false, 'You cannot review your own submission');
+        }
+        item.reviewer = reviewer._id;
+      }
+      item.submittedBy = req.user._id;
+      item.submittedAt = new Date();
+    }
+
+    if (action === 'publish') {
+      try {
+        Object.assign(item, parseScheduleInput(req.body, item));
+      } catch (error) {
+        return sendResponse(res, false, error.message);
+      }
+
+      // Approved content with a future publishAt is left for the publish scheduler
+      if (isFutureDate(item.publishAt)) {
+        const scheduledItem = await item.save();
+
+        await logWorkflowActivity(req, 'content_scheduled', contentConfig.resource, scheduledItem, {
+          contentType,
+          publishAt: scheduledItem.publishAt,
+          unpublishAt: scheduledItem.unpublishAt
+        });
+
+        return sendResponse(res, true, `Content scheduled to publish at ${scheduledItem.publishAt.toISOString()}`, scheduledItem);
+      }
+
+      item.publishAt = null;
+    }
+
+    // Rejected or archived content must not go live from an earlier schedule
+    if (action === 'reject' || action === 'archive') {
+      item.publishAt = null;
+    }
+
+    item.status = nextStatus;
+    const savedItem = await item.save();
+
+    await logWorkflowActivity(req, workflowActivityActions[action], contentConfig.resource, savedItem, {
+      contentType,
+      fromStatus: previousStatus,
+      toStatus: nextStatus,
+      comment
+    });
+
+    sendResponse(res, true, `Content status changed to ${nextStatus}`, savedItem);
+  } catch (error) {
+    console.error('Error changing content status:', error);
+    sendResponse(res, false, 'Failed to change content status', null, error.message, 500);
+  }
+};
+
+/**
+ * Assign a reviewer to a content item
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.contentType - Content type (blogs, news, goats, etc.)
+ * @param {string} req.params.id - ID of the content item
+ * @param {string} req.body.reviewerId - User ID of the reviewer
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated content item
+ */
+export const assignReviewer = async (req, res) => {
+  try {
+    const { contentType, id } = req.params;
+    const { reviewerId } = req.body;
+
+    const contentConfig = workflowContentTypes[contentType];
+    if (!contentConfig) {
       return sendResponse(res, false, 'Invalid content type');
     }
 
-    const item = await Model.findById(id);
+    const reviewer = await findEligibleReviewer(reviewerId);
+    if (!reviewer) {
+      return sendResponse(res, false, 'Reviewer must be an active editor or system admin');
+    }
+
+    const item = await contentConfig.Model.findById(id);
     if (!item) {
       return sendResponse(res, false, 'Content not found', null, null, 404);
     }
 
-    const comment = item.comments.id(commentId);
-    if (!comment) {
-      return sendResponse(res, false, 'Comment not found', null, null, 404);
+    if (['published', 'archived'].includes(item.status)) {
+      return sendResponse(res, false, `Cannot assign a reviewer to ${item.status} content`, null, null, 409);
+    }
+
+    if (item.submittedBy && item.submittedBy.toString() === reviewer._id.toString() && reviewer.role !== 'system_admin') {
+      return sendResponse(res, false, 'The submitter cannot review their own content');
+    }
+
+    item.reviewer = reviewer._id;
+    const savedItem = await item.save();
+
+    await logWorkflowActivity(req, 'reviewer_assigned', contentConfig.resource, savedItem, {
+      contentType,
+      reviewerId: reviewer._id.toString(),
+      reviewer: reviewer.username || reviewer.companyEmail
+    });
+
+    sendResponse(res, true, 'Reviewer assigned successfully', savedItem);
+  } catch (error) {
+    console.error('Error assigning reviewer:', error);
+    sendResponse(res, false, 'Failed to assign reviewer', null, error.message, 500);
+  }
+};
+
+/**
+ * Get content waiting for review across all content types
+ * System admins see every item in review; editors see items assigned to them.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.contentType] - Limit the queue to one content type
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with review queue items grouped by content type
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { contentType } = req.query;
+
+    if (contentType && !workflowContentTypes[contentType]) {
+      return sendResponse(res, false, 'Invalid content type');
+    }
+
+    const query = { status: 'in_review' };
+    if (req.user.role !== 'system_admin') {
+      query.reviewer = req.user._id;
     }
 
-    comment.approved = true;
-    await item.save();
+    const types = contentType ? [contentType] : Object.keys(workflowContentTypes);
+    const queue = {};
+    let total = 0;
+
+    for (const type of types) {
+      const items = await workflowContentTypes[type].Model.find(query)
+        .select('title status reviewer submittedBy submittedAt reviewComments createdAt updatedAt')
+        .populate('reviewer submittedBy', 'username companyEmail role')
+        .sort({ submittedAt: 1 });
+      queue[type] = items;
+      total += items.length;
+    }
 
-    sendResponse(res, true, 'Comment approved successfully', item);
+    sendResponse(res, true, 'Review queue retrieved successfully', { queue, total });
   } catch (error) {
-    sendResponse(res, false, 'Failed to approve comment', null, error.message);
+    console.error('Error retrieving review queue:', error);
+    sendResponse(res, false, 'Failed to retrieve review queue', null, error.message, 500);
   }
 };
 
 // ----- BLOG CRUD -----
 export const createBlog = async (req, res) => {
   try {
-    const { title, content, author, category, tags, metadata, published } = req.body;
+    const { title, content, author, category, tags, metadata } = req.body;
     let imageUrl = null;
 
     if (!title || !content || !author) {
@@ -437,6 +784,13 @@ export const createBlog = async (req, res) => {
       }
     }
     
+    let schedule;
+    try {
+      schedule = parseScheduleInput(req.body);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
     // Calculate accurate reading time
     const calculatedReadTime = calculateReadingTimeByType(content, 'blog');
 
@@ -448,10 +802,13 @@ export const createBlog = async (req, res) => {
       tags: parsedTags,
       image: imageUrl, // Store GridFS file ID in image field (can be null)
       metadata: parsedMetadata,
-      published: published === 'true' || published === true || published === "true",
-      readTime: calculatedReadTime // Store calculated reading time
+      readTime: calculatedReadTime, // Store calculated reading time
+      ...schedule,
+      ...parseSlugInput(req.body)
     });
 
+    newBlog.$locals.revisionEditor = req.user;
+
     const savedBlog = await newBlog.save();
     
     sendResponse(res, true, 'Blog created successfully', savedBlog);
@@ -560,7 +917,7 @@ export const getAdminBlogs = async (req, res) => {
 export const updateBlog = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, author, category, metadata, published } = req.body;
+    const { title, content, author, category, metadata } = req.body;
     
     console.log('Request body:', req.body);
     
@@ -655,18 +1012,20 @@ export const updateBlog = async (req, res) => {
     
     // Only include metadata if it was provided or parsed
     if (metadata !== undefined) updateData.metadata = parsedMetadata;
-    
-    // Handle published explicitly to support boolean or string "true"/"false"
-    if (published !== undefined) {
-      updateData.published = published === 'true' || published === true;
-    }
 
+    // Scheduled publish / unpublish times
+    try {
+      Object.assign(updateData, parseScheduleInput(req.body, existingBlog), parseSlugInput(req.body));
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+    
     // Set the GridFS file ID for the image field
     if (imageUrl) {
       updateData.image = imageUrl;
     }
 
-    const updatedBlog = await Blog.findByIdAndUpdate(id, updateData, { new: true });
+    const updatedBlog = await Blog.findByIdAndUpdate(id, updateData, { new: true, revisionEditor: req.user });
     res.json(updatedBlog);
   } catch (error) {
     console.error('Error updating blog:', error);
@@ -712,7 +1071,7 @@ export const deleteBlog = async (req, res) => {
 // ----- NEWS CRUD -----
 export const createNews = async (req, res) => {
   try {
-    const { title, content, author, category, tags, metadata, published, featured, isBreaking } = req.body;
+    const { title, content, author, category, tags, metadata, featured, isBreaking } = req.body;
     let imageId = null;
 
     if (!title || !content) {
@@ -758,6 +1117,15 @@ export const createNews = async (req, res) => {
       parsedTags = [];
     }
 
+    let schedule;
+    let marketPrices;
+    try {
+      schedule = parseScheduleInput(req.body);
+      marketPrices = parseMarketPricesInput(req.body);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
     const newNews = new News({
       title,
       content,
@@ -766,11 +1134,15 @@ export const createNews = async (req, res) => {
       tags: parsedTags,
       image: imageId, // Store GridFS file ID instead of imageUrl (can be null)
       metadata: parsedMetadata,
-      published: published === 'true' || published === true,
       featured: featured === 'true' || featured === true,
-      isBreaking: isBreaking === 'true' || isBreaking === true
+      isBreaking: isBreaking === 'true' || isBreaking === true,
+      ...schedule,
+      ...marketPrices,
+      ...parseSlugInput(req.body)
     });
 
+    newNews.$locals.revisionEditor = req.user;
+
     const savedNews = await newNews.save();
     sendResponse(res, true, 'News created successfully', savedNews, null, 201);
   } catch (error) {
@@ -853,7 +1225,7 @@ export const getAdminNews = async (req, res) => {
 export const updateNews = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, metadata, published, isBreaking } = req.body;
+    const { title, content, metadata, isBreaking } = req.body;
     
     const existingNews = await News.findById(id);
     if (!existingNews) {
@@ -869,16 +1241,27 @@ export const updateNews = async (req, res) => {
       imageId = await updateGridFSFile(existingNews.image, req.uploadedFiles[0].id);
     }
 
+    let schedule;
+    let marketPrices;
+    try {
+      schedule = parseScheduleInput(req.body, existingNews);
+      marketPrices = parseMarketPricesInput(req.body);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
     let updateData = { 
       title, 
       content, 
       metadata, 
-      published,
       isBreaking: isBreaking === 'true' || isBreaking === true,
-      image: imageId
+      image: imageId,
+      ...schedule,
+      ...marketPrices,
+      ...parseSlugInput(req.body)
     };
 
-    const updatedNews = await News.findByIdAndUpdate(id, updateData, { new: true });
+    const updatedNews = await News.findByIdAndUpdate(id, updateData, { new: true, revisionEditor: req.user });
     sendResponse(res, true, 'News updated successfully', updatedNews);
   } catch (error) {
     console.error('Error updating news:', error);
@@ -915,7 +1298,7 @@ export const deleteNews = async (req, res) => {
 // Create a new Basic media
 export const createBasic = async (req, res) => {
   try {
-    const { title, description, fileType, metadata, published, duration } = req.body;
+    const { title, description, fileType, metadata, duration } = req.body;
 
     // Extract uploaded files
     const files = req.files || {};
@@ -953,11 +1336,12 @@ export const createBasic = async (req, res) => {
       thumbnail: thumbnailId, // GridFS file ID for thumbnail
       fileType,
       duration: duration ? parseInt(duration) : null,
-      published: published === 'true' || published === true,
       metadata: parsedMetadata,
+      ...parseSlugInput(req.body)
     });
 
     try {
+      newBasic.$locals.revisionEditor = req.user;
       const savedBasic = await newBasic.save();
       sendResponse(res, true, 'Basic media created successfully', savedBasic, null, 201);
     } catch (error) {
@@ -974,7 +1358,7 @@ export const getBasics = async (req, res) => {
   const { page = 1, limit = 10, fileType } = req.query;
 
   try {
-    const query = fileType ? { fileType } : {};
+    const query = fileType ? { fileType, published: true } : { published: true };
     const basics = await Basic.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -1032,7 +1416,7 @@ export const getBasicById = async (req, res) => {
 export const updateBasic = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, fileType, metadata, published, duration } = req.body;
+    const { title, description, fileType, metadata, duration } = req.body;
 
     // Extract uploaded files (if any)
     const files = req.files || {};
@@ -1052,12 +1436,10 @@ export const updateBasic = async (req, res) => {
       description,
       fileType,
       metadata: parsedMetadata,
+      ...parseSlugInput(req.body)
     };
 
     // Add optional fields if provided
-    if (published !== undefined) {
-      updateData.published = published === 'true' || published === true;
-    }
     if (duration !== undefined) {
       updateData.duration = duration ? parseInt(duration) : null;
     }
@@ -1070,7 +1452,7 @@ export const updateBasic = async (req, res) => {
       updateData.thumbnail = image.id; // GridFS file ID
     }
 
-    const updatedBasic = await Basic.findByIdAndUpdate(id, updateData, { new: true });
+    const updatedBasic = await Basic.findByIdAndUpdate(id, updateData, { new: true, revisionEditor: req.user });
     if (!updatedBasic) {
       return sendResponse(res, false, 'Basic media not found');
     }
@@ -1183,6 +1565,7 @@ export const createFarm = async (req, res) => {
       description,
       image: imageId, // Use GridFS file ID (can be null)
       metadata: parsedMetadata,
+      ...parseSlugInput(req.body)
     });
 
     const savedFarm = await newFarm.save();
@@ -1267,7 +1650,7 @@ export const updateFarm = async (req, res) => {
       return res.status(404).json({ message: 'Farm not found' });
     }
 
-    let updateData = { name, location, price, description, metadata };
+    let updateData = { name, location, price, description, metadata, ...parseSlugInput(req.body) };
 
     // Handle GridFS file update
     if (req.file && req.file.gridFS) {
@@ -1321,7 +1704,7 @@ export const createMagazine = async (req, res) => {
   console.log('📖 createMagazine: Starting function');
   try {
     console.log('📖 createMagazine: Extracting body fields');
-    const { title, description, issue, price, discount, metadata, featured, author, category, tags, keywords, summary, published } = req.body;
+    const { title, description, issue, price, discount, metadata, featured, author, category, tags, keywords, summary } = req.body;
 
     console.log('📖 createMagazine: Got title:', title, 'description:', description, 'issue:', issue);
 
@@ -1451,12 +1834,13 @@ export const createMagazine = async (req, res) => {
         keywords: parsedKeywords,
         summary: summary || ''
       },
-      published: published === 'true' || published === true,
-      featured: featured === 'true' || featured === true
+      featured: featured === 'true' || featured === true,
+      ...parseSlugInput(req.body)
     });
 
     console.log('📖 createMagazine: Saving to database');
     try {
+      newMagazine.$locals.revisionEditor = req.user;
       const savedMagazine = await newMagazine.save();
       console.log('📖 createMagazine: Saved successfully');
       
@@ -1532,7 +1916,7 @@ export const getAdminMagazines = async (req, res) => {
 export const updateMagazine = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, issue, price, discount, metadata, published } = req.body;
+    const { title, description, issue, price, discount, metadata } = req.body;
     const files = req.files || {};
 
     const existingMagazine = await Magazine.findById(id);
@@ -1554,7 +1938,7 @@ export const updateMagazine = async (req, res) => {
       price,
       discount,
       metadata: parsedMetadata,
-      published,
+      ...parseSlugInput(req.body)
     };
 
     // Handle GridFS file updates
@@ -1570,7 +1954,7 @@ export const updateMagazine = async (req, res) => {
       updateData.pdf = await updateGridFSFile(existingMagazine.pdf, pdfId);
     }
 
-    const updatedMagazine = await Magazine.findByIdAndUpdate(id, updateData, { new: true });
+    const updatedMagazine = await Magazine.findByIdAndUpdate(id, updateData, { new: true, revisionEditor: req.user });
     if (!updatedMagazine) {
       return sendResponse(res, false, 'Magazine not found');
     }
@@ -1609,10 +1993,32 @@ export const deleteMagazine = async (req, res) => {
 };
 
 
-// ----- PIGGERY CRUD -----
-export const createPiggery = async (req, res) => {
+// ----- LIVESTOCK CRUD -----
+// One set of handlers for every species in config/livestockSpecies.js.
+// Routes: /livestock/:species (species key or plural path) and the legacy /:path routes.
+
+/**
+ * Look up the species from the route, sending a 404 if it is not configured
+ * @returns {Object|null} { species, config, Model }, or null if a response was sent
+ */
+const resolveLivestockSpecies = (req, res) => {
+  const species = resolveSpeciesKey(req.params.species);
+  const Model = species && getSpeciesModel(species);
+
+  if (!Model) {
+    sendResponse(res, false, 'Unknown livestock species', null, null, 404);
+    return null;
+  }
+  return { species, config: LIVESTOCK_SPECIES[species], Model };
+};
+
+export const createLivestock = async (req, res) => {
+  const livestock = resolveLivestockSpecies(req, res);
+  if (!livestock) return;
+  const { species, config, Model } = livestock;
+
   try {
-    const { title, content, metadata, published, featured, category, tags, readTime } = req.body;
+    const { title, content, metadata, featured, author, category, tags, keywords, summary, readTime } = req.body;
     let imageId = null;
 
     if (!title || !content) {
@@ -1646,30 +2052,52 @@ export const createPiggery = async (req, res) => {
       parsedTags = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
     }
 
+    // Parse keywords if it's a JSON string
+    let parsedKeywords = [];
+    try {
+      parsedKeywords = keywords ? JSON.parse(keywords) : [];
+    } catch (error) {
+      // If parsing fails, try splitting as comma-separated string
+      parsedKeywords = keywords ? keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [];
+    }
+
     // Calculate accurate reading time if not provided
-    const calculatedReadTime = readTime || calculateReadingTimeByType(content, 'piggery');
+    const calculatedReadTime = readTime || calculateReadingTimeByType(content, config.readingTimeType || species);
 
-    const newPiggery = new Piggery({
+    let schedule;
+    try {
+      schedule = parseScheduleInput(req.body);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
+    const newItem = new Model({
       title,
       content,
-      category: category || 'Piggery',
+      author: author || '',
+      category: category || config.label,
       tags: parsedTags,
-      image: imageId, // GridFS file ID
+      image: imageId, // GridFS file ID (can be null)
       metadata: {
         ...parsedMetadata,
+        keywords: parsedKeywords,
+        summary: summary || '',
         readTime: calculatedReadTime
       },
-      published: published === 'true' || published === true,
       featured: featured === 'true' || featured === true,
-      readTime: calculatedReadTime // Store in main document for queries
+      readTime: calculatedReadTime, // Store in main document for queries
+      ...schedule,
+      ...parseSlugInput(req.body)
     });
 
-    const savedPiggery = await newPiggery.save();
-    sendResponse(res, true, 'Piggery content created successfully', savedPiggery, null, 201);
+    newItem.$locals.revisionEditor = req.user;
+
+    const savedItem = await newItem.save();
+    sendResponse(res, true, `${config.label} content created successfully`, savedItem, null, 201);
   } catch (error) {
-    console.error('Error creating piggery content:', error);
-    
-    // Cleanup uploaded file if piggery creation failed
+    console.error(`Error creating ${species} content:`, error);
+
+    // Cleanup uploaded file if creation failed
     if (req.file && req.file.gridFS) {
       try {
         await cleanupGridFSFile(req.file.gridFS.id);
@@ -1677,53 +2105,64 @@ export const createPiggery = async (req, res) => {
         console.error('Error cleaning up uploaded file:', cleanupError);
       }
     }
-    
-    sendResponse(res, false, 'Failed to create piggery content', null, error.message, 500);
+
+    sendResponse(res, false, `Failed to create ${species} content`, null, error.message, 500);
   }
 };
 
-export const getPiggeryById = async (req, res) => {
+export const getLivestockById = async (req, res) => {
+  const livestock = resolveLivestockSpecies(req, res);
+  if (!livestock) return;
+  const { config, Model } = livestock;
+
   try {
-    const piggery = await Piggery.findById(req.params.id);
-    if (!piggery) {
-      return res.status(404).json({ success: false, message: 'Piggery not found' });
+    const item = await Model.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: `${config.label} content not found` });
     }
-    res.json({ success: true, data: piggery });
+    res.json({ success: true, data: item });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
 };
 
-export const getPiggeries = async (req, res) => {
+export const getLivestockList = async (req, res) => {
+  const livestock = resolveLivestockSpecies(req, res);
+  if (!livestock) return;
+  const { species, config, Model } = livestock;
   const { page = 1, limit = 10, admin } = req.query;
 
   try {
     const query = admin ? {} : { published: true };
-    const piggeries = await Piggery.find(query)
+    const items = await Model.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(Number(limit));
-    const total = await Piggery.countDocuments(query);
-    sendResponse(res, true, 'Piggeries retrieved successfully', { piggeries, total, page, limit });
+    const total = await Model.countDocuments(query);
+    // Keyed by the plural path (goats, dairies, ...) as the per-species endpoints were
+    sendResponse(res, true, `${config.label} content retrieved successfully`, { [config.path]: items, total, page, limit });
   } catch (error) {
-    sendResponse(res, false, 'Failed to retrieve piggeries', null, error.message);
+    sendResponse(res, false, `Failed to retrieve ${species} content`, null, error.message);
   }
 };
 
-export const getAdminPiggeries = async (req, res) => {
+export const getAdminLivestock = async (req, res) => {
+  const livestock = resolveLivestockSpecies(req, res);
+  if (!livestock) return;
+  const { config, Model } = livestock;
   const { page = 1, limit = 1000 } = req.query; // Increased default limit for admin
-  
+
   try {
-    const piggeries = await Piggery.find()
+    const items = await Model.find()
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
-    const count = await Piggery.countDocuments();
+    const count = await Model.countDocuments();
 
     res.json({
-      piggeries,
+      [config.path]: items,
       totalPages: Math.ceil(count / limit),
       currentPage: page
     });
@@ -1732,675 +2171,105 @@ export const getAdminPiggeries = async (req, res) => {
   }
 };
 
-export const updatePiggery = async (req, res) => {
+export const updateLivestock = async (req, res) => {
+  const livestock = resolveLivestockSpecies(req, res);
+  if (!livestock) return;
+  const { species, config, Model } = livestock;
+
   try {
     const { id } = req.params;
-    const { title, content, metadata, published, featured } = req.body;
-    
-    const existingPiggery = await Piggery.findById(id);
-    if (!existingPiggery) {
-      return sendResponse(res, false, 'Piggery content not found', null, null, 404);
+    const { title, content, metadata, featured } = req.body;
+
+    const existingItem = await Model.findById(id);
+    if (!existingItem) {
+      return sendResponse(res, false, `${config.label} content not found`, null, null, 404);
     }
 
-    let imageId = existingPiggery.image;
-    
+    let imageId = existingItem.image;
+
     // Handle new file upload
     if (req.file && req.file.gridFS) {
-      imageId = await updateGridFSFile(existingPiggery.image, req.file.gridFS.id);
+      imageId = await updateGridFSFile(existingItem.image, req.file.gridFS.id);
     } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      imageId = await updateGridFSFile(existingPiggery.image, req.uploadedFiles[0].id);
+      imageId = await updateGridFSFile(existingItem.image, req.uploadedFiles[0].id);
     }
 
     // Parse metadata to ensure it's stored as an object
-    const parsedMetadata = metadata ? parseMetadata(metadata) : existingPiggery.metadata;
-    
-    let updateData = { 
-      title: title || existingPiggery.title,
-      content: content || existingPiggery.content,
+    const parsedMetadata = metadata ? parseMetadata(metadata) : existingItem.metadata;
+
+    let schedule;
+    try {
+      schedule = parseScheduleInput(req.body, existingItem);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
+    let updateData = {
+      title: title || existingItem.title,
+      content: content || existingItem.content,
       metadata: parsedMetadata,
-      published: published !== undefined ? (published === 'true' || published === true) : existingPiggery.published,
-      featured: featured !== undefined ? (featured === 'true' || featured === true) : existingPiggery.featured,
-      image: imageId
+      featured: featured !== undefined ? (featured === 'true' || featured === true) : existingItem.featured,
+      image: imageId,
+      ...schedule,
+      ...parseSlugInput(req.body)
     };
 
-    const updatedPiggery = await Piggery.findByIdAndUpdate(id, updateData, { new: true });
-    sendResponse(res, true, 'Piggery content updated successfully', updatedPiggery);
+    const updatedItem = await Model.findByIdAndUpdate(id, updateData, { new: true, revisionEditor: req.user });
+    sendResponse(res, true, `${config.label} content updated successfully`, updatedItem);
   } catch (error) {
-    console.error('Error updating piggery content:', error);
-    sendResponse(res, false, 'Failed to update piggery content', null, error.message, 500);
+    console.error(`Error updating ${species} content:`, error);
+    sendResponse(res, false, `Failed to update ${species} content`, null, error.message, 500);
   }
 };
 
-export const deletePiggery = async (req, res) => {
+export const deleteLivestock = async (req, res) => {
+  const livestock = resolveLivestockSpecies(req, res);
+  if (!livestock) return;
+  const { species, config, Model } = livestock;
+
   try {
     const { id } = req.params;
-    const piggery = await Piggery.findById(id);
+    const item = await Model.findById(id);
 
-    if (!piggery) {
-      return sendResponse(res, false, 'Piggery content not found', null, null, 404);
+    if (!item) {
+      return sendResponse(res, false, `${config.label} content not found`, null, null, 404);
     }
 
     // Delete the associated image file from GridFS if it exists
-    if (piggery.image) {
-      await cleanupGridFSFile(piggery.image);
+    if (item.image) {
+      await cleanupGridFSFile(item.image);
     }
 
-    // Delete the piggery content from the database
-    await Piggery.findByIdAndDelete(id);
+    await Model.findByIdAndDelete(id);
 
-    sendResponse(res, true, 'Piggery content deleted successfully');
+    sendResponse(res, true, `${config.label} content deleted successfully`);
   } catch (error) {
-    console.error('Error deleting piggery content:', error);
-    sendResponse(res, false, 'Failed to delete piggery content', null, error.message, 500);
+    console.error(`Error deleting ${species} content:`, error);
+    sendResponse(res, false, `Failed to delete ${species} content`, null, error.message, 500);
   }
 };
 
-// ----- GOAT CRUD -----
-
 
-export const createGoat = async (req, res) => {
+// Enhanced subscriber management functions
+export const getSubscribers = async (req, res) => {
   try {
-    const { title, content, metadata, published, featured, author, category, tags, keywords, summary, readTime } = req.body;
-    let imageId = null;
-
-    if (!title || !content) {
-      return sendResponse(res, false, 'Title and content are required.', null, null, 400);
+    const { page = 1, limit = 10, subscriptionType, topic = subscriptionType, isActive } = req.query;
+    
+    // Build query filters
+    const query = {};
+    if (topic && topic !== 'all') {
+      query['preferences.topics'] = topic;
     }
-
-    // Handle file from GridFS (optional)
-    if (req.file && req.file.gridFS) {
-      imageId = req.file.gridFS.id; // Store GridFS file ID
-    } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      // Defensive access pattern for file ID
-      const uploadedFile = req.uploadedFiles[0];
-      imageId = uploadedFile.gridFS ? uploadedFile.gridFS.id : uploadedFile.id;
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
     }
 
-    // Parse metadata
-    let parsedMetadata = {};
-    try {
-      parsedMetadata = metadata ? JSON.parse(metadata) : {};
-    } catch (error) {
-      console.warn('Invalid metadata format, using empty object:', error);
-      parsedMetadata = {};
-    }
+    const subscribers = await Subscriber.find(query)
+      .sort({ subscribedAt: -1 })
+      .skip((page -  1) * limit)
+      .limit(Number(limit));
 
-    // Parse tags if it's a JSON string
-    let parsedTags = [];
-    try {
-      parsedTags = tags ? JSON.parse(tags) : [];
-    } catch (error) {
-      // If parsing fails, try splitting as comma-separated string
-      parsedTags = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
-    }
-
-    // Parse keywords if it's a JSON string
-    let parsedKeywords = [];
-    try {
-      parsedKeywords = keywords ? JSON.parse(keywords) : [];
-    } catch (error) {
-      // If parsing fails, try splitting as comma-separated string
-      parsedKeywords = keywords ? keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [];
-    }
-
-    const newGoat = new Goat({
-      title,
-      content,
-      author: author || '',
-      category: category || 'Goat',
-      tags: parsedTags,
-      image: imageId, // GridFS file ID (can be null)
-      metadata: {
-        ...parsedMetadata,
-        keywords: parsedKeywords,
-        summary: summary || '',
-        readTime: readTime || 5
-      },
-      published: published === 'true' || published === true,
-      featured: featured === 'true' || featured === true
-    });
-
-    const savedGoat = await newGoat.save();
-    sendResponse(res, true, 'Goat content created successfully', savedGoat, null, 201);
-  } catch (error) {
-    console.error('Error creating goat content:', error);
-    
-    // Cleanup uploaded file if goat creation failed
-    if (req.file && req.file.gridFS) {
-      try {
-        await cleanupGridFSFile(req.file.gridFS.id);
-      } catch (cleanupError) {
-        console.error('Error cleaning up uploaded file:', cleanupError);
-      }
-    }
-    
-    sendResponse(res, false, 'Failed to create goat content', null, error.message, 500);
-  }
-};
-
-export const getGoatById = async (req, res) => {
-  try {
-    const goat = await Goat.findById(req.params.id);
-    if (!goat) {
-      return res.status(404).json({ success: false, message: 'Goat content not found' });
-    }
-    res.json({ success: true, data: goat });
-  } catch (error) {
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
-  }
-};
-
-export const getGoats = async (req, res) => {
-  const { page = 1, limit = 10, admin } = req.query;
-
-  try {
-    const query = admin ? {} : { published: true };
-    const goats = await Goat.find(query)
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
-    const total = await Goat.countDocuments(query);
-    sendResponse(res, true, 'Goats retrieved successfully', { goats, total, page, limit });
-  } catch (error) {
-    sendResponse(res, false, 'Failed to retrieve goats', null, error.message);
-  }
-};
-
-export const getAdminGoats = async (req, res) => {
-  const { page = 1, limit = 1000 } = req.query; // Increased default limit for admin
-  
-  try {
-    const goats = await Goat.find()
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-
-    const count = await Goat.countDocuments();
-
-    res.json({
-      goats,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page
-    });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-};
-
-
-export const updateGoat = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, content, metadata, published, featured } = req.body;
-    
-    const existingGoat = await Goat.findById(id);
-    if (!existingGoat) {
-      return sendResponse(res, false, 'Goat content not found', null, null, 404);
-    }
-
-    let imageId = existingGoat.image;
-    
-    // Handle new file upload
-    if (req.file && req.file.gridFS) {
-      imageId = await updateGridFSFile(existingGoat.image, req.file.gridFS.id);
-    } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      imageId = await updateGridFSFile(existingGoat.image, req.uploadedFiles[0].id);
-    }
-
-    // Parse metadata to ensure it's stored as an object
-    const parsedMetadata = metadata ? parseMetadata(metadata) : existingGoat.metadata;
-    
-    let updateData = { 
-      title: title || existingGoat.title,
-      content: content || existingGoat.content,
-      metadata: parsedMetadata,
-      published: published !== undefined ? (published === 'true' || published === true) : existingGoat.published,
-      featured: featured !== undefined ? (featured === 'true' || featured === true) : existingGoat.featured,
-      image: imageId
-    };
-
-    const updatedGoat = await Goat.findByIdAndUpdate(id, updateData, { new: true });
-    sendResponse(res, true, 'Goat content updated successfully', updatedGoat);
-  } catch (error) {
-    console.error('Error updating goat content:', error);
-    sendResponse(res, false, 'Failed to update goat content', null, error.message, 500);
-  }
-};
-
-export const deleteGoat = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const goat = await Goat.findById(id);
-
-    if (!goat) {
-      return sendResponse(res, false, 'Goat content not found', null, null, 404);
-    }
-
-    // Delete the associated image file from GridFS if it exists
-    if (goat.image) {
-      await cleanupGridFSFile(goat.image);
-    }
-
-    // Delete the goat content from the database
-    await Goat.findByIdAndDelete(id);
-
-    sendResponse(res, true, 'Goat content deleted successfully');
-  } catch (error) {
-    console.error('Error deleting goat content:', error);
-    sendResponse(res, false, 'Failed to delete goat content', null, error.message, 500);
-  }
-};
-
-// ----- DAIRY CRUD -----
-
-export const createDairy = async (req, res) => {
-  try {
-    const { title, content, metadata, published, featured, author, category, tags, keywords, summary, readTime } = req.body;
-    let imageId = null;
-
-    if (!title || !content) {
-      return sendResponse(res, false, 'Title and content are required.', null, null, 400);
-    }
-
-    // Handle file from GridFS (optional)
-    if (req.file && req.file.gridFS) {
-      imageId = req.file.gridFS.id; // Store GridFS file ID
-    } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      // Defensive access pattern for file ID
-      const uploadedFile = req.uploadedFiles[0];
-      imageId = uploadedFile.gridFS ? uploadedFile.gridFS.id : uploadedFile.id;
-    }
-
-    // Parse metadata
-    let parsedMetadata = {};
-    try {
-      parsedMetadata = metadata ? JSON.parse(metadata) : {};
-    } catch (error) {
-      console.warn('Invalid metadata format, using empty object:', error);
-      parsedMetadata = {};
-    }
-
-    // Parse tags if it's a JSON string
-    let parsedTags = [];
-    try {
-      parsedTags = tags ? JSON.parse(tags) : [];
-    } catch (error) {
-      // If parsing fails, try splitting as comma-separated string
-      parsedTags = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
-    }
-
-    // Parse keywords if it's a JSON string
-    let parsedKeywords = [];
-    try {
-      parsedKeywords = keywords ? JSON.parse(keywords) : [];
-    } catch (error) {
-      // If parsing fails, try splitting as comma-separated string
-      parsedKeywords = keywords ? keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [];
-    }
-
-    const newDairy = new Dairy({
-      title,
-      content,
-      author: author || '',
-      category: category || 'Dairy',
-      tags: parsedTags,
-      image: imageId, // GridFS file ID (can be null)
-      metadata: {
-        ...parsedMetadata,
-        keywords: parsedKeywords,
-        summary: summary || '',
-        readTime: readTime || 5
-      },
-      published: published === 'true' || published === true,
-      featured: featured === 'true' || featured === true
-    });
-
-    const savedDairy = await newDairy.save();
-    sendResponse(res, true, 'Dairy content created successfully', savedDairy, null, 201);
-  } catch (error) {
-    console.error('Error creating dairy content:', error);
-    
-    // Cleanup uploaded file if dairy creation failed
-    if (req.file && req.file.gridFS) {
-      try {
-        await cleanupGridFSFile(req.file.gridFS.id);
-      } catch (cleanupError) {
-        console.error('Error cleaning up uploaded file:', cleanupError);
-      }
-    }
-    
-    sendResponse(res, false, 'Failed to create dairy content', null, error.message, 500);
-  }
-};
-
-export const getDairyById = async (req, res) => {
-  try {
-    const dairy = await Dairy.findById(req.params.id);
-    if (!dairy) {
-      return res.status(404).json({ success: false, message: 'Dairy content not found' });
-    }
-    res.json({ success: true, data: dairy });
-  } catch (error) {
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
-  }
-};
-
-export const getDairies = async (req, res) => {
-  const { page = 1, limit = 10, admin } = req.query;
-
-  try {
-    const query = admin ? {} : { published: true };
-    const dairies = await Dairy.find(query)
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
-    const total = await Dairy.countDocuments(query);
-    sendResponse(res, true, 'Dairy content retrieved successfully', { dairies, total, page, limit });
-  } catch (error) {
-    sendResponse(res, false, 'Failed to retrieve dairy content', null, error.message);
-  }
-};
-
-export const getAdminDairies = async (req, res) => {
-  const { page = 1, limit = 1000 } = req.query; // Increased default limit for admin
-  
-  try {
-    const dairies = await Dairy.find()
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-
-    const count = await Dairy.countDocuments();
-
-    res.json({
-      dairies,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page
-    });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-};
-
-export const updateDairy = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, content, metadata, published, featured } = req.body;
-    
-    const existingDairy = await Dairy.findById(id);
-    if (!existingDairy) {
-      return sendResponse(res, false, 'Dairy content not found', null, null, 404);
-    }
-
-    let imageId = existingDairy.image;
-    
-    // Handle new file upload
-    if (req.file && req.file.gridFS) {
-      imageId = await updateGridFSFile(existingDairy.image, req.file.gridFS.id);
-    } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      imageId = await updateGridFSFile(existingDairy.image, req.uploadedFiles[0].id);
-    }
-
-    // Parse metadata to ensure it's stored as an object
-    const parsedMetadata = metadata ? parseMetadata(metadata) : existingDairy.metadata;
-    
-    let updateData = { 
-      title: title || existingDairy.title,
-      content: content || existingDairy.content,
-      metadata: parsedMetadata,
-      published: published !== undefined ? (published === 'true' || published === true) : existingDairy.published,
-      featured: featured !== undefined ? (featured === 'true' || featured === true) : existingDairy.featured,
-      image: imageId
-    };
-
-    const updatedDairy = await Dairy.findByIdAndUpdate(id, updateData, { new: true });
-    sendResponse(res, true, 'Dairy content updated successfully', updatedDairy);
-  } catch (error) {
-    console.error('Error updating dairy content:', error);
-    sendResponse(res, false, 'Failed to update dairy content', null, error.message, 500);
-  }
-};
-
-export const deleteDairy = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const dairy = await Dairy.findById(id);
-
-    if (!dairy) {
-      return sendResponse(res, false, 'Dairy content not found', null, null, 404);
-    }
-
-    // Delete the associated image file from GridFS if it exists
-    if (dairy.image) {
-      await cleanupGridFSFile(dairy.image);
-    }
-
-    // Delete the dairy content from the database
-    await Dairy.findByIdAndDelete(id);
-
-    sendResponse(res, true, 'Dairy content deleted successfully');
-  } catch (error) {
-    console.error('Error deleting dairy content:', error);
-    sendResponse(res, false, 'Failed to delete dairy content', null, error.message, 500);
-  }
-};
-// ----- BEEF CRUD -----
-
-export const createBeef = async (req, res) => {
-  try {
-    const { title, content, metadata, published, featured, author, category, tags, keywords, summary, readTime } = req.body;
-    let imageId = null;
-
-    if (!title || !content) {
-      return sendResponse(res, false, 'Title and content are required.', null, null, 400);
-    }
-
-    // Handle file from GridFS (optional)
-    if (req.file && req.file.gridFS) {
-      imageId = req.file.gridFS.id; // Store GridFS file ID
-    } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      // Defensive access pattern for file ID
-      const uploadedFile = req.uploadedFiles[0];
-      imageId = uploadedFile.gridFS ? uploadedFile.gridFS.id : uploadedFile.id;
-    }
-
-    // Parse metadata
-    let parsedMetadata = {};
-    try {
-      parsedMetadata = metadata ? JSON.parse(metadata) : {};
-    } catch (error) {
-      console.warn('Invalid metadata format, using empty object:', error);
-      parsedMetadata = {};
-    }
-
-    // Parse tags if it's a JSON string
-    let parsedTags = [];
-    try {
-      parsedTags = tags ? JSON.parse(tags) : [];
-    } catch (error) {
-      // If parsing fails, try splitting as comma-separated string
-      parsedTags = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
-    }
-
-    // Parse keywords if it's a JSON string
-    let parsedKeywords = [];
-    try {
-      parsedKeywords = keywords ? JSON.parse(keywords) : [];
-    } catch (error) {
-      // If parsing fails, try splitting as comma-separated string
-      parsedKeywords = keywords ? keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [];
-    }
-
-    const newBeef = new Beef({
-      title,
-      content,
-      author: author || '',
-      category: category || 'Beef',
-      tags: parsedTags,
-      image: imageId, // GridFS file ID (can be null)
-      metadata: {
-        ...parsedMetadata,
-        keywords: parsedKeywords,
-        summary: summary || '',
-        readTime: readTime || 5
-      },
-      published: published === 'true' || published === true,
-      featured: featured === 'true' || featured === true
-    });
-
-    const savedBeef = await newBeef.save();
-    sendResponse(res, true, 'Beef content created successfully', savedBeef, null, 201);
-  } catch (error) {
-    console.error('Error creating beef content:', error);
-    
-    // Cleanup uploaded file if beef creation failed
-    if (req.file && req.file.gridFS) {
-      try {
-        await cleanupGridFSFile(req.file.gridFS.id);
-      } catch (cleanupError) {
-        console.error('Error cleaning up uploaded file:', cleanupError);
-      }
-    }
-    
-    sendResponse(res, false, 'Failed to create beef content', null, error.message, 500);
-  }
-};
-
-export const getBeefById = async (req, res) => {
-  try {
-    const beef = await Beef.findById(req.params.id);
-    if (!beef) {
-      return sendResponse(res, false, 'Beef content not found', null, null, 404);
-    }
-    sendResponse(res, true, 'Beef content retrieved successfully', beef);
-  } catch (error) {
-    sendResponse(res, false, 'Failed to retrieve beef content', null, error.message, 500);
-  }
-};
-
-export const getBeefs = async (req, res) => {
-  const { page = 1, limit = 10, admin } = req.query;
-
-  try {
-    const query = admin ? {} : { published: true };
-    const beefs = await Beef.find(query)
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
-    const total = await Beef.countDocuments(query);
-    sendResponse(res, true, 'Beef content retrieved successfully', { beefs, total, page, limit });
-  } catch (error) {
-    sendResponse(res, false, 'Failed to retrieve beef content', null, error.message);
-  }
-};
-
-export const getAdminBeefs = async (req, res) => {
-  const { page = 1, limit = 1000 } = req.query; // Increased default limit for admin
-  
-  try {
-    const beefs = await Beef.find()
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
-
-    const total = await Beef.countDocuments();
-
-    sendResponse(res, true, 'Admin beefs retrieved successfully', {
-      beefs,
-      totalPages: Math.ceil(total / limit),
-      currentPage: Number(page),
-      total
-    });
-  } catch (error) {
-    sendResponse(res, false, 'Failed to retrieve admin beefs', null, error.message);
-  }
-};
-export const updateBeef = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, content, metadata, published, featured } = req.body;
-    
-    const existingBeef = await Beef.findById(id);
-    if (!existingBeef) {
-      return sendResponse(res, false, 'Beef content not found', null, null, 404);
-    }
-
-    let imageId = existingBeef.image;
-    
-    // Handle new file upload
-    if (req.file && req.file.gridFS) {
-      imageId = await updateGridFSFile(existingBeef.image, req.file.gridFS.id);
-    } else if (req.uploadedFiles && req.uploadedFiles.length > 0) {
-      imageId = await updateGridFSFile(existingBeef.image, req.uploadedFiles[0].id);
-    }
-
-    // Parse metadata to ensure it's stored as an object
-    const parsedMetadata = metadata ? parseMetadata(metadata) : existingBeef.metadata;
-    
-    let updateData = { 
-      title: title || existingBeef.title,
-      content: content || existingBeef.content,
-      metadata: parsedMetadata,
-      published: published !== undefined ? (published === 'true' || published === true) : existingBeef.published,
-      featured: featured !== undefined ? (featured === 'true' || featured === true) : existingBeef.featured,
-      image: imageId
-    };
-
-    const updatedBeef = await Beef.findByIdAndUpdate(id, updateData, { new: true });
-    sendResponse(res, true, 'Beef content updated successfully', updatedBeef);
-  } catch (error) {
-    console.error('Error updating beef content:', error);
-    sendResponse(res, false, 'Failed to update beef content', null, error.message, 500);
-  }
-};
-
-export const deleteBeef = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const beef = await Beef.findById(id);
-
-    if (!beef) {
-      return sendResponse(res, false, 'Beef content not found', null, null, 404);
-    }
-
-    // Delete the associated image file from GridFS if it exists
-    if (beef.image) {
-      await cleanupGridFSFile(beef.image);
-    }
-
-    // Delete the beef content from the database
-    await Beef.findByIdAndDelete(id);
-
-    sendResponse(res, true, 'Beef content deleted successfully');
-  } catch (error) {
-    console.error('Error deleting beef content:', error);
-    sendResponse(res, false, 'Failed to delete beef content', null, error.message, 500);
-  }
-};
-
-
-// Enhanced subscriber management functions
-export const getSubscribers = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, subscriptionType, isActive } = req.query;
-    
-    // Build query filters
-    const query = {};
-    if (subscriptionType && subscriptionType !== 'all') {
-      query.subscriptionType = subscriptionType;
-    }
-    if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
-    }
-
-    const subscribers = await Subscriber.find(query)
-      .sort({ subscribedAt: -1 })
-      .skip((page -  1) * limit)
-      .limit(Number(limit));
-
-    const total = await Subscriber.countDocuments(query);
+    const total = await Subscriber.countDocuments(query);
 
     // Analytics data
     const analytics = {
@@ -2409,6 +2278,11 @@ export const getSubscribers = async (req, res) => {
       inactiveSubscribers: await Subscriber.countDocuments({ isActive: false }),
       subscriptionTypes: await Subscriber.aggregate([
         { $group: { _id: '$subscriptionType', count: { $sum: 1 } } }
+      ]),
+      topics: await Subscriber.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$preferences.topics' },
+        { $group: { _id: '$preferences.topics', count: { $sum: 1 } } }
       ])
     };
 
@@ -2444,6 +2318,20 @@ export const createSubscriber = async (req, res) => {
     });
   }
 
+  // Topics, channels and frequency may be chosen at sign-up; otherwise subscriptionType picks the topics
+  const preferences = parsePreferenceChanges({
+    subscriptionType,
+    topics: req.body.topics,
+    channels: req.body.channels,
+    frequency: req.body.frequency
+  });
+  if (preferences.error) {
+    return res.status(preferences.status).json({
+      success: false,
+      message: preferences.error
+    });
+  }
+
   // Validate email format
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   if (!emailRegex.test(email)) {
@@ -2466,11 +2354,16 @@ export const createSubscriber = async (req, res) => {
         existingSubscriber.isActive = true;
         existingSubscriber.subscriptionType = subscriptionType;
         existingSubscriber.subscribedAt = new Date();
+        existingSubscriber.unsubscribedAt = null;
+        applyPreferenceChanges(existingSubscriber, preferences.value);
         await existingSubscriber.save();
 
         // Send welcome back email (don't let email errors block reactivation)
         try {
-          const emailResult = await sendWelcomeEmailToSubscriber(email, { subscriptionType });
+          const emailResult = await sendWelcomeEmailToSubscriber(email, {
+            subscriptionType,
+            unsubscribeToken: existingSubscriber.unsubscribeToken
+          });
           if (!emailResult || !emailResult.success) {
             console.error('Failed to send welcome back email:', emailResult?.error || 'Unknown email error');
           }
@@ -2492,11 +2385,15 @@ export const createSubscriber = async (req, res) => {
       subscriptionType,
       isActive: true 
     });
+    applyPreferenceChanges(subscriber, preferences.value);
     await subscriber.save();
 
     // Send welcome email (don't let email errors block subscription)
     try {
-      const emailResult = await sendWelcomeEmailToSubscriber(email, { subscriptionType });
+      const emailResult = await sendWelcomeEmailToSubscriber(email, {
+        subscriptionType,
+        unsubscribeToken: subscriber.unsubscribeToken
+      });
       if (!emailResult || !emailResult.success) {
         console.error('Failed to send welcome email:', emailResult?.error || 'Unknown email error');
       }
@@ -2548,7 +2445,7 @@ export const deleteSubscriber = async (req, res) => {
 // Bulk operations for subscribers
 export const bulkUpdateSubscribers = async (req, res) => {
   try {
-    const { action, subscriberIds, subscriptionType } = req.body;
+    const { action, subscriberIds, subscriptionType, topics } = req.body;
 
     if (!action || !subscriberIds || !Array.isArray(subscriberIds)) {
       return res.status(400).json({
@@ -2572,7 +2469,7 @@ export const bulkUpdateSubscribers = async (req, res) => {
         );
         break;
       case 'updateType':
-        if (!subscriptionType) {
+        if (!subscriptionType || topicsForSubscriptionType(subscriptionType).length === 0) {
           return res.status(400).json({
             success: false,
             message: 'Subscription type is required for update action'
@@ -2580,7 +2477,22 @@ export const bulkUpdateSubscribers = async (req, res) => {
         }
         result = await Subscriber.updateMany(
           { _id: { $in: subscriberIds } },
-          { subscriptionType }
+          { subscriptionType, 'preferences.topics': topicsForSubscriptionType(subscriptionType) }
+        );
+        break;
+      case 'addTopics':
+      case 'removeTopics':
+        if (!Array.isArray(topics) || topics.length === 0 || topics.some(topic => !SUBSCRIPTION_TOPICS.includes(topic))) {
+          return res.status(400).json({
+            success: false,
+            message: `Topics are required for this action and must be among: ${SUBSCRIPTION_TOPICS.join(', ')}`
+          });
+        }
+        result = await Subscriber.updateMany(
+          { _id: { $in: subscriberIds } },
+          action === 'addTopics'
+            ? { $addToSet: { 'preferences.topics': { $each: topics } } }
+            : { $pull: { 'preferences.topics': { $in: topics } } }
         );
         break;
       case 'delete':
@@ -2630,6 +2542,7 @@ export const getNewsletters = async (req, res) => {
     const analytics = {
       totalNewsletters: await Newsletter.countDocuments(),
       draftNewsletters: await Newsletter.countDocuments({ status: 'draft' }),
+      scheduledNewsletters: await Newsletter.countDocuments({ status: { $in: ['scheduled', 'sending'] } }),
       sentNewsletters: await Newsletter.countDocuments({ status: 'sent' }),
       totalEmailsSent: await Newsletter.aggregate([
         { $match: { status: 'sent' } },
@@ -2660,13 +2573,18 @@ export const getNewsletters = async (req, res) => {
 
 // Enhanced newsletter creation
 export const createNewsletter = async (req, res) => {
-  const { title, body, subject, targetSubscriptionTypes = ['all'], featured = false, createdBy } = req.body;
+  const { title, body, subject, targetSubscriptionTypes = ['all'], targetSegments = [], featured = false, createdBy } = req.body;
   
   if (!title || !body || !subject) {
     return sendResponse(res, false, 'Title, subject, and body are required', null, null, 400);
   }
 
   try {
+    const segments = await resolveTargetSegments(targetSegments);
+    if (segments.error) {
+      return sendResponse(res, false, segments.error, null, null, segments.status);
+    }
+
     // Use createdBy from request body if req.admin._id is not available
     // Get admin ID from request context
     const adminId = req.admin?._id || createdBy;
@@ -2680,6 +2598,7 @@ export const createNewsletter = async (req, res) => {
       body, 
       subject,
       targetSubscriptionTypes,
+      targetSegments: segments.segmentIds,
       featured,
       createdBy: adminId
     });
@@ -2695,7 +2614,7 @@ export const createNewsletter = async (req, res) => {
 // Enhanced newsletter update
 export const updateNewsletter = async (req, res) => {
   try {
-    const { title, body, subject, targetSubscriptionTypes, featured } = req.body;
+    const { title, body, subject, targetSubscriptionTypes, targetSegments, featured } = req.body;
     
     const newsletter = await Newsletter.findById(req.params.id);
     if (!newsletter) {
@@ -2713,9 +2632,28 @@ export const updateNewsletter = async (req, res) => {
       });
     }
 
+    if (newsletter.status === 'sending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot edit a newsletter while it is being sent'
+      });
+    }
+
+    const update = { title, body, subject, targetSubscriptionTypes, featured };
+    if (targetSegments !== undefined) {
+      const segments = await resolveTargetSegments(targetSegments);
+      if (segments.error) {
+        return res.status(segments.status).json({
+          success: false,
+          message: segments.error
+        });
+      }
+      update.targetSegments = segments.segmentIds;
+    }
+
     const updatedNewsletter = await Newsletter.findByIdAndUpdate(
       req.params.id,
-      { title, body, subject, targetSubscriptionTypes, featured },
+      update,
       { new: true }
     );
     
@@ -2753,6 +2691,13 @@ export const deleteNewsletter = async (req, res) => {
       });
     }
 
+    if (['scheduled', 'sending'].includes(newsletter.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cancel the scheduled send before deleting this newsletter'
+      });
+    }
+
     await Newsletter.findByIdAndDelete(req.params.id);
     
     res.status(200).json({ 
@@ -2769,7 +2714,7 @@ export const deleteNewsletter = async (req, res) => {
   }
 };
 
-// Enhanced newsletter sending with analytics tracking
+// Queue a newsletter for sending, now or at req.body.scheduledFor
 export const sendNewsletter = async (req, res) => {
   try {
     const newsletter = await Newsletter.findById(req.params.id);
@@ -2780,58 +2725,48 @@ export const sendNewsletter = async (req, res) => {
       });
     }
 
-    if (newsletter.status === 'sent') {
-      return res.status(400).json({
-        success: false,
-        message: 'This newsletter has already been sent'
-      });
-    }
-
-    // Get subscribers based on target subscription types
-    const subscriberQuery = {
-      isActive: true
-    };
-
-    if (!newsletter.targetSubscriptionTypes.includes('all')) {
-      subscriberQuery.subscriptionType = { 
-        $in: newsletter.targetSubscriptionTypes 
-      };
-    }
-
-    const subscribers = await Subscriber.find(subscriberQuery);
-
-    if (subscribers.length === 0) {
-      return res.status(400).json({
+    const result = await scheduleNewsletterSend(newsletter, {
+      scheduledFor: req.body.scheduledFor,
+      userId: req.user?._id
+    });
+    if (result.error) {
+      return res.status(result.status).json({
         success: false,
-        message: 'No active subscribers found for the selected subscription types'
+        message: result.error
       });
     }
 
-    // Send newsletter using email service
-    const sendResult = await sendNewsletterEmail(newsletter, subscribers);
-
-    // Update newsletter status and analytics
-    newsletter.status = 'sent';
-    newsletter.sentAt = new Date();
-    newsletter.sentTo = sendResult.sent;
-    await newsletter.save();
+    const later = result.newsletter.scheduledFor > new Date();
 
-    // Update subscriber analytics
-    await Subscriber.updateMany(
-      { _id: { $in: subscribers.map(s => s._id) } },
-      { 
-        $inc: { emailsSent: 1 },
-        $set: { lastEmailSent: new Date() }
-      }
-    );
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'newsletter_scheduled',
+      resource: 'newsletter',
+      resourceId: newsletter._id.toString(),
+      resourceTitle: newsletter.title,
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: { scheduledFor: result.newsletter.scheduledFor, recipients: result.recipients, jobId: result.job._id.toString() }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
 
-    res.status(200).json({ 
+    res.status(202).json({ 
       success: true, 
-      message: `Newsletter sent successfully to ${sendResult.sent} subscribers`,
+      message: later
+        ? `Newsletter scheduled for ${result.newsletter.scheduledFor.toISOString()} to ${result.recipients} subscribers`
+        : `Newsletter queued for sending to ${result.recipients} subscribers`,
       data: {
-        sent: sendResult.sent,
-        failed: sendResult.failed,
-        errors: sendResult.errors
+        status: result.newsletter.status,
+        scheduledFor: result.newsletter.scheduledFor,
+        recipients: result.recipients,
+        jobId: result.job._id
       }
     });
   } catch (error) {
@@ -2844,6 +2779,62 @@ export const sendNewsletter = async (req, res) => {
   }
 };
 
+// Cancel a scheduled send, or stop one in progress
+export const cancelNewsletterSending = async (req, res) => {
+  try {
+    const newsletter = await Newsletter.findById(req.params.id);
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found'
+      });
+    }
+
+    const wasSending = newsletter.status === 'sending';
+    const result = await cancelNewsletterSend(newsletter);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'newsletter_send_cancelled',
+      resource: 'newsletter',
+      resourceId: newsletter._id.toString(),
+      resourceTitle: newsletter.title,
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: result.counts ? { sent: result.counts.sent, notSent: result.counts.failed } : {}
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasSending
+        ? `Sending stopped after ${result.counts.sent} of ${result.counts.total} subscribers`
+        : 'Scheduled send cancelled; the newsletter is a draft again',
+      data: result.newsletter
+    });
+  } catch (error) {
+    console.error('Error cancelling newsletter send:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling newsletter send',
+      error: error.message
+    });
+  }
+};
+
 // ----- EVENT CRUD -----
 export const createEvent = async (req, res) => {
   try {
@@ -2873,6 +2864,18 @@ export const createEvent = async (req, res) => {
       return sendResponse(res, false, 'Invalid metadata format. Please provide valid JSON.');
     }
 
+    let schedule;
+    let capacity;
+    let recurrence;
+    try {
+      schedule = parseScheduleInput(req.body);
+      capacity = await parseEventCapacityInput(req.body);
+      recurrence = await parseRecurrenceInput(req.body);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
+    // Events scheduled for later stay hidden until the publish scheduler releases them
     const newEvent = new Event({
       title,
       description,
@@ -2881,7 +2884,11 @@ export const createEvent = async (req, res) => {
       location: location || "",
       image: imageId, // Use GridFS file ID
       metadata: parsedMetadata,
-      published: published === 'true' || published === true
+      published: (published === 'true' || published === true) && !isFutureDate(schedule.publishAt),
+      ...schedule,
+      ...capacity,
+      ...recurrence,
+      ...parseSlugInput(req.body)
     });
 
     const savedEvent = await newEvent.save();
@@ -2905,11 +2912,47 @@ export const getEventById = async (req, res) => {
 };
 
 export const getEvents = async (req, res) => {
-  const { page = 1, limit = 10, admin } = req.query;
+  const { page = 1, limit = 10, admin, from, to } = req.query;
 
   try {
     const query = admin ? {} : { published: true };
 
+    // With a date window (?from=&to=), each occurrence of a recurring event is listed
+    if (from || to) {
+      const window = resolveOccurrenceWindow({ from, to });
+      if (window.error) {
+        return sendResponse(res, false, window.error, null, null, window.status);
+      }
+
+      const candidates = await Event.find({ ...query, ...occurrenceWindowFilter(window) });
+      const occurrences = candidates
+        .flatMap(event => {
+          // Stored per-occurrence changes are already applied to each listed occurrence
+          const fields = event.toObject();
+          delete fields.occurrences;
+          return expandOccurrences(event, window).map(occurrence => ({
+            ...fields,
+            startDate: occurrence.startDate,
+            endDate: occurrence.endDate,
+            location: occurrence.location,
+            occurrenceDate: occurrence.occurrenceDate,
+            occurrenceStatus: occurrence.status,
+            occurrenceReason: occurrence.reason
+          }));
+        })
+        .sort((a, b) => a.startDate - b.startDate);
+
+      const events = occurrences.slice((page - 1) * limit, page * limit);
+      return sendResponse(res, true, 'Events retrieved successfully', {
+        events,
+        total: occurrences.length,
+        page,
+        limit,
+        from: window.from,
+        to: window.to
+      });
+    }
+
     console.log("🔥 API HIT: Fetching events...");
     console.log("🔍 Query:", query);
 
@@ -2978,6 +3021,20 @@ export const updateEvent = async (req, res) => {
       return res.status(400).json({ message: 'Invalid metadata format. Please provide valid JSON.' });
     }
     
+    let schedule;
+    let capacity;
+    let recurrence;
+    try {
+      schedule = parseScheduleInput(req.body, existingEvent);
+      capacity = await parseEventCapacityInput(req.body, existingEvent);
+      recurrence = await parseRecurrenceInput(req.body, existingEvent);
+    } catch (error) {
+      return sendResponse(res, false, error.message);
+    }
+
+    // Ticket types are saved separately so seat counts taken meanwhile are kept
+    const { ticketTypes, ...capacityFields } = capacity;
+
     let updateData = { 
       title, 
       description, 
@@ -2985,9 +3042,22 @@ export const updateEvent = async (req, res) => {
       endDate,
       location,
       metadata: parsedMetadata,
-      published: published === 'true' || published === true
+      published: published === 'true' || published === true,
+      ...schedule,
+      ...capacityFields,
+      ...recurrence,
+      ...parseSlugInput(req.body)
     };
 
+    // Hold the event back if it is (re)scheduled for later
+    if (isFutureDate(schedule.publishAt)) {
+      updateData.published = false;
+    } else if (schedule.publishAt === undefined && existingEvent.publishAt &&
+      (updateData.published || existingEvent.published)) {
+      // Published or unpublished by hand: the earlier schedule no longer applies
+      updateData.publishAt = null;
+    }
+
     // Handle GridFS file update
     if (req.file && req.file.gridFS) {
       updateData.image = await updateGridFSFile(existingEvent.image, req.file.gridFS.id);
@@ -2995,7 +3065,16 @@ export const updateEvent = async (req, res) => {
       updateData.image = await updateGridFSFile(existingEvent.image, req.uploadedFiles[0].id);
     }
 
-    const updatedEvent = await Event.findByIdAndUpdate(id, updateData, { new: true });
+    if (ticketTypes) {
+      await saveTicketTypes(id, ticketTypes);
+    }
+
+    let updatedEvent = await Event.findByIdAndUpdate(id, updateData, { new: true });
+
+    // Raised capacity goes to the waitlist
+    if (Object.keys(capacity).length > 0 && (await promoteFromWaitlist(id)).length > 0) {
+      updatedEvent = await Event.findById(id);
+    }
     
     sendResponse(res, true, 'Event updated successfully', updatedEvent);
   } catch (error) {
@@ -3083,7 +3162,8 @@ export const createAuction = async (req, res) => {
       registrationFee: Number(registrationFee) || 0,
       terms: terms || 'Standard auction terms and conditions apply',
       image: imageId, // Store GridFS file ID in image field
-      published: published !== 'false'
+      published: published !== 'false',
+      ...parseSlugInput(req.body)
     });
 
     await auction.save();
@@ -3225,6 +3305,7 @@ export const updateAuction = async (req, res) => {
     if (registrationRequired !== undefined) auction.registrationRequired = registrationRequired === 'true';
     if (registrationDeadline) auction.registrationDeadline = new Date(registrationDeadline);
     if (published !== undefined) auction.published = published !== 'false';
+    Object.assign(auction, parseSlugInput(req.body));
 
     // Update livestock data
     if (livestock) {
@@ -3328,7 +3409,7 @@ export const getUpcomingAuctions = async (req, res) => {
 export const registerForEvent = async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { name, email, phone } = req.body;
+    const { name, email, phone, ticketType, occurrence: occurrenceKey } = req.body;
 
     // Validate required fields
     if (!name || !email) {
@@ -3345,61 +3426,52 @@ export const registerForEvent = async (req, res) => {
       return sendResponse(res, false, 'Event is not available for registration');
     }
 
-    // Check if event is in the past
-    if (new Date(event.startDate) < new Date()) {
-      return sendResponse(res, false, 'Cannot register for past events');
+    // Recurring events are booked per date
+    let occurrence = null;
+    if (isRecurring(event)) {
+      if (!occurrenceKey) {
+        return sendResponse(res, false, 'Please choose the date (occurrence) to register for');
+      }
+      occurrence = findOccurrence(event, parseOccurrenceDate(occurrenceKey));
+      if (!occurrence) {
+        return sendResponse(res, false, 'This event does not take place on that date', null, null, 404);
+      }
+      if (occurrence.status === 'cancelled') {
+        return sendResponse(res, false, 'This date of the event has been cancelled', null, null, 409);
+      }
     }
 
-    // Check if already registered
-    const existingRegistration = await EventRegistration.findOne({
-      eventId,
-      email: email.toLowerCase()
-    });
-
-    if (existingRegistration) {
-      return sendResponse(res, false, 'You are already registered for this event');
+    // Check if event is in the past
+    if (new Date(occurrence ? occurrence.startDate : event.startDate) < new Date()) {
+      return sendResponse(res, false, 'Cannot register for past events');
     }
 
-    // Create registration
-    const registration = new EventRegistration({
-      eventId,
+    // Confirmed while seats are left, otherwise waitlisted; sends the email
+    const result = await registerAttendee(event, {
       name: name.trim(),
       email: email.toLowerCase().trim(),
-      phone: phone ? phone.trim() : undefined
-    });
-
-    const savedRegistration = await registration.save();
-
-    // Populate event details for response
-    await savedRegistration.populate('eventId', 'title startDate location');
+      phone: phone ? phone.trim() : undefined,
+      ticketType
+    }, occurrence?.occurrenceDate);
 
-    // Send event registration confirmation email
-    try {
-      const { sendEventRegistrationConfirmation } = await import('../services/emailService.js');
-      const emailResult = await sendEventRegistrationConfirmation(email, {
-        eventTitle: event.title,
-        eventDate: new Date(event.startDate).toLocaleDateString(),
-        eventLocation: event.location || 'Location TBD',
-        registrantName: name,
-        registrationId: savedRegistration._id.toString()
-      });
-      
-      if (!emailResult || !emailResult.success) {
-        console.error('Failed to send event registration confirmation email:', emailResult?.error || 'Unknown email error');
-      } else {
-        console.log(`[SUCCESS] Event registration confirmation sent to: ${email}`);
-      }
-    } catch (emailError) {
-      console.error('Event registration confirmation email error:', emailError.message);
-      // Log but don't fail the registration
+    if (result.error) {
+      return sendResponse(res, false, result.error, null, null, result.status);
     }
 
-    sendResponse(res, true, 'Successfully registered for event', {
-      registration: savedRegistration,
+    // Populate event details for response
+    await result.registration.populate('eventId', 'title startDate location');
+
+    sendResponse(res, true, result.waitlisted
+      ? `The event is full; you are number ${result.waitlistPosition} on the waitlist`
+      : 'Successfully registered for event', {
+      registration: result.registration,
+      waitlisted: result.waitlisted,
+      waitlistPosition: result.waitlistPosition,
       event: {
         title: event.title,
-        startDate: event.startDate,
-        location: event.location
+        startDate: occurrence ? occurrence.startDate : event.startDate,
+        location: occurrence ? occurrence.location : event.location,
+        occurrenceDate: occurrence?.occurrenceDate
       }
     });
 
@@ -3412,10 +3484,61 @@ export const registerForEvent = async (req, res) => {
   }
 };
 
+// Seats left per event and ticket type
+// Recurring events: for ?occurrence=, or for each upcoming occurrence
+export const getEventAvailability = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.eventId, published: true })
+      .select('title startDate endDate location capacity confirmedCount waitlistEnabled ticketTypes recurrence occurrences');
+
+    if (!event) {
+      return sendResponse(res, false, 'Event not found', null, null, 404);
+    }
+
+    if (isRecurring(event)) {
+      let occurrences;
+      if (req.query.occurrence) {
+        const occurrence = findOccurrence(event, parseOccurrenceDate(req.query.occurrence));
+        if (!occurrence) {
+          return sendResponse(res, false, 'This event does not take place on that date', null, null, 404);
+        }
+        occurrences = [occurrence];
+      } else {
+        occurrences = expandOccurrences(event, { ...resolveOccurrenceWindow(), limit: 20 });
+      }
+
+      const waitlists = await EventRegistration.aggregate([
+        { $match: { eventId: event._id, status: 'waitlisted', occurrenceDate: { $in: occurrences.map(occurrence => occurrence.occurrenceDate) } } },
+        { $group: { _id: '$occurrenceDate', count: { $sum: 1 } } }
+      ]);
+
+      return sendResponse(res, true, 'Event availability retrieved successfully', {
+        occurrences: occurrences.map(occurrence => ({
+          occurrenceDate: occurrence.occurrenceDate,
+          startDate: occurrence.startDate,
+          status: occurrence.status,
+          ...getAvailability(event, occurrence.occurrenceDate),
+          waitlisted: waitlists.find(entry => entry._id.getTime() === occurrence.occurrenceDate.getTime())?.count || 0
+        }))
+      });
+    }
+
+    const waitlisted = await EventRegistration.countDocuments({ eventId: event._id, status: 'waitlisted' });
+
+    sendResponse(res, true, 'Event availability retrieved successfully', {
+      ...getAvailability(event),
+      waitlisted
+    });
+  } catch (error) {
+    console.error('Error fetching event availability:', error);
+    sendResponse(res, false, 'Failed to retrieve event availability', null, error.message, 500);
+  }
+};
+
 export const getEventRegistrations = async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, occurrence } = req.query;
 
     // Check if event exists
     const event = await Event.findById(eventId);
@@ -3427,6 +3550,13 @@ export const getEventRegistrations = async (req, res) => {
     if (status) {
       query.status = status;
     }
+    if (occurrence) {
+      const occurrenceDate = parseOccurrenceDate(occurrence);
+      if (!occurrenceDate) {
+        return sendResponse(res, false, 'Invalid occurrence date');
+      }
+      query.occurrenceDate = occurrenceDate;
+    }
 
     const skip = (page - 1) * limit;
     
@@ -3466,16 +3596,20 @@ export const getEventRegistrations = async (req, res) => {
 export const getRegistrationByEmail = async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { email } = req.query;
+    const { email, occurrence } = req.query;
 
     if (!email) {
       return sendResponse(res, false, 'Email is required');
     }
 
+    // Without an occurrence, the registration for the latest date of a recurring event
     const registration = await EventRegistration.findOne({
       eventId,
-      email: email.toLowerCase()
-    }).populate('eventId', 'title startDate location');
+      email: email.toLowerCase(),
+      ...(occurrence ? { occurrenceDate: parseOccurrenceDate(occurrence) } : {})
+    })
+      .sort({ occurrenceDate: -1 })
+      .populate('eventId', 'title startDate location');
 
     if (!registration) {
       return sendResponse(res, false, 'Registration not found');
@@ -3492,26 +3626,33 @@ export const getRegistrationByEmail = async (req, res) => {
 export const cancelEventRegistration = async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { email } = req.body;
+    const { email, registrationId } = req.body;
 
-    if (!email) {
-      return sendResponse(res, false, 'Email is required');
+    // The registration ID from the confirmation email proves the request comes from the registrant
+    if (!email || !registrationId) {
+      return sendResponse(res, false, 'Email and registration ID are required');
+    }
+    if (!mongoose.Types.ObjectId.isValid(registrationId)) {
+      return sendResponse(res, false, 'Registration not found', null, null, 404);
     }
 
     const registration = await EventRegistration.findOne({
+      _id: registrationId,
       eventId,
       email: email.toLowerCase()
     });
 
     if (!registration) {
-      return sendResponse(res, false, 'Registration not found');
+      return sendResponse(res, false, 'Registration not found', null, null, 404);
     }
 
-    // Update status to cancelled instead of deleting
-    registration.status = 'cancelled';
-    await registration.save();
+    // Update status to cancelled instead of deleting; a freed seat goes to the waitlist
+    const result = await cancelRegistration(registration);
+    if (result.error) {
+      return sendResponse(res, false, result.error, null, null, result.status);
+    }
 
-    sendResponse(res, true, 'Registration cancelled successfully', registration);
+    sendResponse(res, true, 'Registration cancelled successfully', result.registration);
 
   } catch (error) {
     console.error('Error cancelling registration:', error);
@@ -3545,6 +3686,7 @@ export const getEventRegistrationStats = async (req, res) => {
       total: totalRegistrations,
       confirmed: 0,
       pending: 0,
+      waitlisted: 0,
       cancelled: 0
     };
 
@@ -3554,6 +3696,7 @@ export const getEventRegistrationStats = async (req, res) => {
 
     sendResponse(res, true, 'Event registration statistics retrieved successfully', {
       stats: formattedStats,
+      availability: getAvailability(event),
       event: {
         title: event.title,
         startDate: event.startDate,
@@ -3589,6 +3732,7 @@ export const getAdminNewsletters = async (req, res) => {
     const analytics = {
       totalNewsletters: await Newsletter.countDocuments(),
       draftNewsletters: await Newsletter.countDocuments({ status: 'draft' }),
+      scheduledNewsletters: await Newsletter.countDocuments({ status: { $in: ['scheduled', 'sending'] } }),
       sentNewsletters: await Newsletter.countDocuments({ status: 'sent' }),
       totalEmailsSent: await Newsletter.aggregate([
         { $match: { status: 'sent' } },
@@ -3652,6 +3796,7 @@ export const getAllEventRegistrations = async (req, res) => {
       totalRegistrations: await EventRegistration.countDocuments(),
       confirmedRegistrations: await EventRegistration.countDocuments({ status: 'confirmed' }),
       pendingRegistrations: await EventRegistration.countDocuments({ status: 'pending' }),
+      waitlistedRegistrations: await EventRegistration.countDocuments({ status: 'waitlisted' }),
       cancelledRegistrations: await EventRegistration.countDocuments({ status: 'cancelled' }),
       recentRegistrations: await EventRegistration.countDocuments({
         registrationDate: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
@@ -3723,6 +3868,9 @@ export const getAdminRegistrations = async (req, res) => {
       email: registration.email,
       phone: registration.phone || 'Not provided',
       status: registration.status,
+      ticketType: registration.ticketType || null,
+      price: registration.price ?? null,
+      waitlistedAt: registration.waitlistedAt || null,
       eventTitle: registration.eventId?.title || 'Unknown Event',
       eventDate: registration.eventId?.date,
       eventLocation: registration.eventId?.location || 'TBD',
@@ -3743,6 +3891,7 @@ export const getAdminRegistrations = async (req, res) => {
           totalRegistrations: await EventRegistration.countDocuments(),
           confirmedRegistrations: await EventRegistration.countDocuments({ status: 'confirmed' }),
           pendingRegistrations: await EventRegistration.countDocuments({ status: 'pending' }),
+          waitlistedRegistrations: await EventRegistration.countDocuments({ status: 'waitlisted' }),
           cancelledRegistrations: await EventRegistration.countDocuments({ status: 'cancelled' }),
           recentRegistrations: await EventRegistration.countDocuments({
             registrationDate: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
@@ -3761,18 +3910,27 @@ export const getAdminRegistrations = async (req, res) => {
   }
 };
 
+// Attendee details an admin may edit directly; seat and check-in fields are kept by the services
+const EDITABLE_REGISTRATION_FIELDS = ['name', 'email', 'phone', 'metadata'];
+
 // Update event registration (admin function)
 export const updateEventRegistration = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // Seat counts follow status changes, so status goes through the registration service
+    const { status, ticketType, eventId, occurrenceDate } = req.body;
+    const updateData = Object.fromEntries(EDITABLE_REGISTRATION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
 
-    // Find and update the registration
-    const registration = await EventRegistration.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    if (ticketType !== undefined || eventId !== undefined || occurrenceDate !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The event, date and ticket type of a registration cannot be changed; cancel it and register again'
+      });
+    }
+
+    let registration = await EventRegistration.findById(id);
 
     if (!registration) {
       return res.status(404).json({
@@ -3781,10 +3939,38 @@ export const updateEventRegistration = async (req, res) => {
       });
     }
 
+    let promoted = [];
+    if (status !== undefined && status !== registration.status) {
+      if (!EventRegistration.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status "${status}"`
+        });
+      }
+
+      const result = await changeRegistrationStatus(registration, status);
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+      registration = result.registration;
+      promoted = result.promoted;
+    }
+
+    if (Object.keys(updateData).length > 0) {
+      registration = await EventRegistration.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'Event registration updated successfully',
-      data: { registration }
+      data: { registration, promoted }
     });
 
   } catch (error) {
@@ -3812,10 +3998,13 @@ export const deleteEventRegistration = async (req, res) => {
       });
     }
 
+    // A deleted confirmed registration frees its seat for the waitlist
+    const promoted = await releaseDeletedRegistration(registration);
+
     res.status(200).json({
       success: true,
       message: 'Event registration deleted successfully',
-      data: { deletedRegistration: registration }
+      data: { deletedRegistration: registration, promoted }
     });
 
   } catch (error) {
@@ -3869,7 +4058,10 @@ export const confirmSubscription = async (req, res) => {
 
     // Send welcome email
     try {
-      await sendWelcomeEmailToSubscriber(subscriber.email, { subscriptionType: subscriber.subscriptionType });
+      await sendWelcomeEmailToSubscriber(subscriber.email, {
+        subscriptionType: subscriber.subscriptionType,
+        unsubscribeToken: subscriber.unsubscribeToken
+      });
     } catch (emailError) {
       console.error('Failed to send welcome email:', emailError);
     }
@@ -3949,38 +4141,35 @@ export const unsubscribeHandler = async (req, res) => {
 
 /**
  * Update email preferences
+ * Needs the signed token and sig from an email link, like the preference
+ * centre (routes/preferenceRoutes.js); an email address alone is not enough.
  */
 export const updateEmailPreferences = async (req, res) => {
   try {
-    const { email, subscriptionType, frequency } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({
+    const { token, sig, subscriptionType, topics, channels, frequency } = req.body;
+
+    const changes = parsePreferenceChanges({ subscriptionType, topics, channels, frequency });
+    if (changes.error) {
+      return res.status(changes.status).json({
         success: false,
-        message: 'Email is required'
+        message: changes.error
       });
     }
 
-    const subscriber = await Subscriber.findOne({ email: email.toLowerCase() });
-    
-    if (!subscriber) {
-      return res.status(404).json({
+    const found = await findSubscriberByLink(token, sig);
+    if (found.error) {
+      return res.status(found.status).json({
         success: false,
-        message: 'Subscriber not found'
+        message: found.error
       });
     }
+    const { subscriber } = found;
 
     // Update preferences
     if (subscriptionType) {
       subscriber.subscriptionType = subscriptionType;
     }
-    
-    if (frequency) {
-      if (!subscriber.preferences) {
-        subscriber.preferences = {};
-      }
-      subscriber.preferences.frequency = frequency;
-    }
+    applyPreferenceChanges(subscriber, changes.value);
 
     await subscriber.save();
 
@@ -4054,10 +4243,10 @@ export const verifyReadingTimeAccuracy = async (req, res) => {
       { model: Farm, type: 'farm', key: 'farms' },
       { model: Magazine, type: 'magazine', key: 'magazines' },
       { model: Basic, type: 'basic', key: 'basics' },
-      { model: Dairy, type: 'dairy', key: 'dairy' },
-      { model: Beef, type: 'beef', key: 'beef' },
-      { model: Goat, type: 'goats', key: 'goats' },
-      { model: Piggery, type: 'piggery', key: 'piggery' }
+      { model: livestockModels.dairies, type: 'dairy', key: 'dairy' },
+      { model: livestockModels.beefs, type: 'beef', key: 'beef' },
+      { model: livestockModels.goats, type: 'goats', key: 'goats' },
+      { model: livestockModels.piggeries, type: 'piggery', key: 'piggery' }
     ];
 
     // Process each content type
@@ -4159,10 +4348,10 @@ export const verifyStatisticsAccuracy = async (req, res) => {
       { model: Farm, name: 'farms' },
       { model: Magazine, name: 'magazines' },
       { model: Basic, name: 'basics' },
-      { model: Dairy, name: 'dairy' },
-      { model: Beef, name: 'beef' },
-      { model: Goat, name: 'goats' },
-      { model: Piggery, name: 'piggery' },
+      { model: livestockModels.dairies, name: 'dairy' },
+      { model: livestockModels.beefs, name: 'beef' },
+      { model: livestockModels.goats, name: 'goats' },
+      { model: livestockModels.piggeries, name: 'piggery' },
       { model: Newsletter, name: 'newsletters' }
     ];
 
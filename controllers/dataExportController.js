@@ -12,6 +12,10 @@ import Event from '../models/Event.js';
 import Newsletter from '../models/Newsletter.js';
 import Subscriber from '../models/Subscriber.js';
 import Notification from '../models/Notification.js';
+import Auction from '../models/Auction.js';
+import { getAttendanceReport } from '../services/eventCheckInService.js';
+import { getOccurrenceStart } from '../services/eventRecurrenceService.js';
+import { isValidObjectId } from 'mongoose';
 import { Parser } from 'json2csv';
 import ExcelJS from 'exceljs';
 
@@ -308,8 +312,11 @@ export const exportSubscribers = async (req, res) => {
             id: subscriber._id,
             email: subscriber.email,
             isActive: subscriber.isActive,
-            subscriptionType: subscriber.subscriptionType?.join('; ') || '',
-            preferences: JSON.stringify(subscriber.preferences || {}),
+            subscriptionType: subscriber.subscriptionType || '',
+            topics: subscriber.preferences?.topics?.join('; ') || '',
+            emailEnabled: subscriber.preferences?.channels?.email !== false,
+            pushEnabled: subscriber.preferences?.channels?.push === true,
+            frequency: subscriber.preferences?.frequency || 'immediate',
             source: subscriber.source || '',
             ipAddress: subscriber.ipAddress || '',
             userAgent: subscriber.userAgent || '',
@@ -425,6 +432,157 @@ export const exportNotifications = async (req, res) => {
     }
 };
 
+/**
+ * Export auction sale results (one row per lot)
+ */
+export const exportAuctionResults = async (req, res) => {
+    try {
+        const { format = 'csv', auctionId, from, to } = req.query;
+        
+        const query = {};
+        if (auctionId) {
+            query._id = auctionId;
+        } else {
+            query['settlement.settledAt'] = { $exists: true };
+            if (from || to) {
+                query.date = {};
+                if (from) query.date.$gte = new Date(from);
+                if (to) query.date.$lte = new Date(to);
+            }
+        }
+        
+        const auctions = await Auction.find(query)
+            .select('title date location status items')
+            .sort({ date: -1 })
+            .lean();
+        
+        // Prepare data for export
+        const exportData = auctions.flatMap(auction => auction.items
+            .slice()
+            .sort((a, b) => a.lotNumber - b.lotNumber)
+            .map(lot => ({
+                auction: auction.title,
+                auctionId: auction._id,
+                date: auction.date,
+                location: auction.location,
+                lotNumber: lot.lotNumber,
+                description: lot.description,
+                category: lot.category,
+                breed: lot.breed || '',
+                age: lot.age || '',
+                weight: lot.weight ?? '',
+                seller: lot.seller || '',
+                sold: Boolean(lot.sold),
+                finalPrice: lot.sold ? lot.finalPrice : '',
+                bidderNumber: lot.sold ? lot.winningBidderNumber || '' : ''
+            })));
+        
+        // Log export activity
+        await ActivityLog.logActivity({
+            userId: req.user._id,
+            username: req.user.username || req.user.companyEmail,
+            userRole: req.user.role,
+            action: 'auction_results_exported',
+            resource: 'auction',
+            details: {
+                format,
+                auctionCount: auctions.length,
+                lotCount: exportData.length,
+                filters: { auctionId, from, to },
+                method: req.method,
+                path: req.path
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            status: 'success',
+            severity: 3
+        });
+        
+        if (format === 'excel') {
+            return exportToExcel(res, exportData, 'auction-results', 'Auction Results Export');
+        } else {
+            return exportToCSV(res, exportData, 'auction-results');
+        }
+        
+    } catch (error) {
+        console.error('Error exporting auction results:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export auction results',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Export event attendance (one row per registration)
+ */
+export const exportEventAttendance = async (req, res) => {
+    try {
+        const { format = 'csv', eventId } = req.query;
+        
+        const event = isValidObjectId(eventId) ? await Event.findById(eventId) : null;
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        
+        const report = await getAttendanceReport(event, { includeAttendees: true });
+        
+        // Prepare data for export
+        const exportData = report.attendees.map(attendee => ({
+            event: event.title,
+            eventDate: attendee.occurrenceDate ? getOccurrenceStart(event, attendee.occurrenceDate) : event.startDate,
+            name: attendee.name,
+            email: attendee.email,
+            phone: attendee.phone || '',
+            ticketType: attendee.ticketType || '',
+            status: attendee.status,
+            registrationDate: attendee.registrationDate,
+            attended: Boolean(attendee.checkedInAt),
+            checkedInAt: attendee.checkedInAt || '',
+            checkInDevice: attendee.checkInDevice || ''
+        }));
+        
+        // Log export activity
+        await ActivityLog.logActivity({
+            userId: req.user._id,
+            username: req.user.username || req.user.companyEmail,
+            userRole: req.user.role,
+            action: 'event_attendance_exported',
+            resource: 'event',
+            resourceId: event._id.toString(),
+            details: {
+                format,
+                registrationCount: exportData.length,
+                attended: report.attended,
+                method: req.method,
+                path: req.path
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            status: 'success',
+            severity: 3
+        });
+        
+        if (format === 'excel') {
+            return exportToExcel(res, exportData, 'event-attendance', 'Event Attendance Export');
+        } else {
+            return exportToCSV(res, exportData, 'event-attendance');
+        }
+        
+    } catch (error) {
+        console.error('Error exporting event attendance:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export event attendance',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Generate comprehensive system report
  */
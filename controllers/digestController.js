@@ -0,0 +1,123 @@
+// 📰 Digest Controller - Subscriber digest status, previews and manual sweeps
+import Subscriber from '../models/Subscriber.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { previewDigest, runDigestSweepNow, getDigestStatus } from '../services/digestService.js';
+import { renderEmail } from '../services/emailService.js';
+
+// Subscribers per frequency, the next queued sweep and the result of the last one
+export const getDigestOverview = async (req, res) => {
+  try {
+    const status = await getDigestStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error getting digest status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get digest status',
+      error: error.message
+    });
+  }
+};
+
+// The digest a subscriber would get now (?format=html or text for the rendered email)
+export const previewSubscriberDigest = async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findById(req.params.subscriberId)
+      .select('email subscriptionType preferences lastDigestAt subscribedAt isActive unsubscribeToken')
+      .lean();
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscriber not found'
+      });
+    }
+
+    const { since, until, digest } = await previewDigest(subscriber);
+    const email = digest
+      ? renderEmail('newsletter', {
+        ...digest,
+        subscriberEmail: subscriber.email,
+        subscriptionType: subscriber.subscriptionType,
+        unsubscribeToken: subscriber.unsubscribeToken
+      })
+      : null;
+
+    if (req.query.format === 'html' || req.query.format === 'text') {
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Nothing new for this subscriber since their last digest'
+        });
+      }
+      return req.query.format === 'html' ? res.type('html').send(email.html) : res.type('text').send(email.text);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subscriber: {
+          email: subscriber.email,
+          topics: subscriber.preferences?.topics || [],
+          frequency: subscriber.preferences?.frequency || 'immediate',
+          isActive: subscriber.isActive
+        },
+        since,
+        until,
+        digest,
+        text: email?.text || null
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing digest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview digest',
+      error: error.message
+    });
+  }
+};
+
+// Send due digests now instead of at the next hourly sweep
+export const runDigestSweep = async (req, res) => {
+  try {
+    const job = await runDigestSweepNow();
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'digest_sweep_started',
+      resource: 'email',
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: { jobId: job._id.toString() }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Digest sweep started',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        runAt: job.runAt
+      }
+    });
+  } catch (error) {
+    console.error('Error starting digest sweep:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start digest sweep',
+      error: error.message
+    });
+  }
+};
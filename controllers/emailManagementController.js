@@ -8,7 +8,17 @@ import User from '../models/User.js';
 import ActivityLog from '../models/ActivityLog.js';
 import Newsletter from '../models/Newsletter.js';
 import Subscriber from '../models/Subscriber.js';
-import { getStats, getTemplates, sendEmail, healthCheck } from '../services/emailService.js';
+import {
+    getStats,
+    getTemplates,
+    sendEmail,
+    healthCheck,
+    renderEmail,
+    getTemplateSampleData,
+    reloadTemplates,
+    TemplateError
+} from '../services/emailService.js';
+import { parseTemplate } from '../utils/templateEngine.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -86,6 +96,25 @@ export const createEmailTemplate = async (req, res) => {
             });
         }
         
+        if (!/^[a-z0-9][a-z0-9-]*$/i.test(name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template name may only contain letters, numbers and dashes'
+            });
+        }
+        
+        // Reject templates that would not render
+        try {
+            parseTemplate(content, name);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template has a syntax error',
+                error: error.message,
+                line: error.line
+            });
+        }
+        
         const templatesPath = path.resolve(__dirname, '../templates/email');
         const templatePath = path.join(templatesPath, `${name}.html`);
         
@@ -102,8 +131,9 @@ export const createEmailTemplate = async (req, res) => {
             });
         }
         
-        // Write template file
+        // Write template file and make it available for sending
         fs.writeFileSync(templatePath, content);
+        await reloadTemplates();
         
         // Log activity
         await ActivityLog.logActivity({
@@ -255,18 +285,28 @@ export const testEmailTemplate = async (req, res) => {
             });
         }
         
-        // Send test email
-        await sendEmail({
+        // Send test email (sample data fills anything not given in testData)
+        const sampleData = await getTemplateSampleData(templateName);
+        const result = await sendEmail({
             to: testEmail,
             subject: `Test Email - ${templateName}`,
             templateName,
             templateData: {
+                ...sampleData,
                 ...testData,
                 testMode: true,
                 testTimestamp: new Date().toISOString()
             }
         });
         
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send test email',
+                error: result.error || result.message
+            });
+        }
+        
         // Log activity
         await ActivityLog.logActivity({
             userId: req.user._id,
@@ -301,6 +341,64 @@ export const testEmailTemplate = async (req, res) => {
     }
 };
 
+/**
+ * Preview an email template rendered with sample data
+ * GET uses templates/email/samples/<name>.json; POST merges body.data over it.
+ * ?format=html returns the page itself (for an iframe or browser tab),
+ * ?format=text the plain-text alternative, otherwise both as JSON.
+ */
+export const previewEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const format = req.query.format || 'json';
+        const overrides = req.body && typeof req.body.data === 'object' && req.body.data !== null ? req.body.data : {};
+        
+        if (!getTemplates().templates.includes(name)) {
+            return res.status(404).json({
+                success: false,
+                message: `Email template "${name}" not found`
+            });
+        }
+        
+        const sampleData = await getTemplateSampleData(name);
+        const data = { ...sampleData, ...overrides };
+        const { html, text } = renderEmail(name, data);
+        
+        if (format === 'html') {
+            return res.type('html').send(html);
+        }
+        if (format === 'text') {
+            return res.type('text').send(text);
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                name,
+                html,
+                text,
+                sampleData: data
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(422).json({
+                success: false,
+                message: 'Template could not be rendered',
+                error: error.message,
+                line: error.line
+            });
+        }
+        console.error('Error previewing email template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview email template',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Get email tracking data
  */
@@ -12,6 +12,7 @@
 import Newsletter from '../models/Newsletter.js';
 import Subscriber from '../models/Subscriber.js';
 import Notification from '../models/Notification.js';
+import { getNewsletterDeliveryProgress } from '../services/newsletterDeliveryService.js';
 
 /**
  * @function trackEmailOpen
@@ -223,16 +224,16 @@ export const trackNotificationClick = async (req, res) => {
 
 /**
  * @function getNewsletterAnalytics
- * @description Retrieves detailed performance metrics for a specific newsletter
+ * @description Retrieves detailed performance metrics and delivery progress for a specific newsletter
  * @param {Object} req - Express request object
  * @param {Object} req.params - URL parameters
- * @param {string} req.params.newsletterId - ID of the newsletter to analyze
+ * @param {string} req.params.id - ID of the newsletter to analyze
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with newsletter analytics
  */
 export const getNewsletterAnalytics = async (req, res) => {
   try {
-    const { newsletterId } = req.params;
+    const newsletterId = req.params.id || req.params.newsletterId;
     
     const newsletter = await Newsletter.findById(newsletterId);
     if (!newsletter) {
@@ -253,13 +254,15 @@ export const getNewsletterAnalytics = async (req, res) => {
       newsletterId,
       title: newsletter.title,
       status: newsletter.status,
+      scheduledFor: newsletter.scheduledFor,
       sentAt: newsletter.sentAt,
       sentTo,
       openCount: newsletter.openCount || 0,
       clickCount: newsletter.clickCount || 0,
       openRate: `${openRate}%`,
       clickRate: `${clickRate}%`,
-      clickThroughRate: `${clickThroughRate}%`
+      clickThroughRate: `${clickThroughRate}%`,
+      delivery: await getNewsletterDeliveryProgress(newsletter._id)
     };
 
     res.status(200).json({
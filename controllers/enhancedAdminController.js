@@ -9,11 +9,6 @@ import ActivityLog from '../models/ActivityLog.js';
 import { createPasswordSetupToken, generatePasswordSetupLink } from './passwordSetupController.js';
 import { sendEmail } from '../services/emailService.js';
 import jwt from 'jsonwebtoken';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * Enhanced login supporting both username and email authentication
@@ -688,17 +683,6 @@ export const createAdminUser = async (req, res) => {
         const setupToken = await createPasswordSetupToken(user._id);
         const passwordSetupLink = generatePasswordSetupLink(setupToken);
 
-        // Read email template
-        const templatePath = path.join(process.env.EMAIL_TEMPLATES_PATH || path.join(__dirname, '../templates/email'), 'welcome-admin.html');
-        
-        let emailTemplate;
-        try {
-            emailTemplate = await fs.readFile(templatePath, 'utf8');
-        } catch (error) {
-            console.error('Error reading email template:', error);
-            throw new Error('Failed to load email template');
-        }
-
         // Sanitize and validate environment variables
         if (!process.env.SUPPORT_EMAIL) {
             throw new Error('SUPPORT_EMAIL environment variable is not configured');
@@ -707,25 +691,25 @@ export const createAdminUser = async (req, res) => {
             throw new Error('FRONTEND_URL environment variable is not configured');
         }
 
-        // Replace template variables with sanitized values
-        emailTemplate = emailTemplate
-            .replace('{{companyName}}', (companyName || '').trim())
-            .replace('{{companyEmail}}', email.trim())
-            .replace(
-                '{{createdBy}}',
-                req.user ? `${req.user.firstName.trim()} ${req.user.lastName.trim()}` : 'System Admin'
-            )
-            .replace('{{passwordSetupLink}}', passwordSetupLink)
-            .replace('{{supportEmail}}', process.env.SUPPORT_EMAIL.trim())
-            .replace('{{loginUrl}}', `${process.env.FRONTEND_URL.trim()}/login`);
-
         // Send welcome email
         try {
-            await sendEmail({
+            const result = await sendEmail({
                 to: email,
                 subject: 'Welcome to Ishaazi Livestock Services Admin Portal',
-                html: emailTemplate
+                templateName: 'welcome-admin',
+                templateData: {
+                    companyEmail: email.trim(),
+                    createdBy: req.user ? `${req.user.firstName.trim()} ${req.user.lastName.trim()}` : 'System Admin',
+                    passwordSetupLink,
+                    supportEmail: process.env.SUPPORT_EMAIL.trim(),
+                    loginUrl: `${process.env.FRONTEND_URL.trim()}/login`
+                },
+                emailType: 'admin-welcome',
+                categories: ['admin', 'welcome']
             });
+            if (!result.success) {
+                throw new Error(result.error || result.message);
+            }
             console.log(`[SUCCESS] Welcome email sent to ${email}`);
         } catch (emailError) {
             console.error('Failed to send welcome email:', emailError);
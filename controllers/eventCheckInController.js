@@ -0,0 +1,148 @@
+// 🎟️ Event Check-In Controller - QR code check-in and attendance reports
+import Event from '../models/Event.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { checkIn, checkInBatch, getAttendanceReport } from '../services/eventCheckInService.js';
+import { parseOccurrenceDate } from '../services/eventRecurrenceService.js';
+
+// HTTP status for each check-in outcome
+const OUTCOME_STATUS = {
+  checked_in: 200,
+  duplicate: 409,
+  cancelled: 409,
+  not_confirmed: 409,
+  wrong_event: 409,
+  wrong_occurrence: 409,
+  invalid: 400,
+  not_found: 404
+};
+
+const findEvent = (eventId) => Event.findById(eventId).select('title startDate endDate location capacity ticketTypes recurrence occurrences');
+
+// Check in one scanned code
+export const checkInAttendee = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const result = await checkIn(req.body.code, {
+      eventId: event._id,
+      occurrenceDate: parseOccurrenceDate(req.body.occurrence),
+      userId: req.user._id,
+      scannedAt: req.body.scannedAt,
+      deviceId: req.body.deviceId
+    });
+
+    res.status(OUTCOME_STATUS[result.outcome]).json({
+      success: result.outcome === 'checked_in',
+      outcome: result.outcome,
+      message: result.message,
+      registration: result.registration
+    });
+
+  } catch (error) {
+    console.error('Error checking in attendee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in attendee',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sync scans recorded by an offline scanner
+export const syncCheckIns = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { summary, results } = await checkInBatch(req.body.scans, {
+      eventId: event._id,
+      occurrenceDate: parseOccurrenceDate(req.body.occurrence),
+      userId: req.user._id,
+      deviceId: req.body.deviceId
+    });
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action: 'event_check_ins_synced',
+      resource: 'event',
+      resourceId: event._id.toString(),
+      resourceTitle: event.title,
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: { scans: results.length, deviceId: req.body.deviceId, occurrence: req.body.occurrence, summary }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 1
+    });
+
+    res.json({
+      success: true,
+      message: `${summary.checked_in || 0} of ${results.length} scan(s) checked in`,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error syncing check-ins:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync check-ins',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Registered vs attended, no-show rate and arrivals for an event
+export const getEventAttendance = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const occurrenceDate = parseOccurrenceDate(req.query.occurrence);
+    if (req.query.occurrence && !occurrenceDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid occurrence date'
+      });
+    }
+
+    const report = await getAttendanceReport(event, {
+      includeAttendees: req.query.include === 'attendees',
+      occurrenceDate
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Error building attendance report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build attendance report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,216 @@
+// 🔁 Event Occurrence Controller - Dates of recurring events, single-date cancellations and changes
+import Event from '../models/Event.js';
+import ActivityLog from '../models/ActivityLog.js';
+import {
+  isRecurring,
+  expandOccurrences,
+  parseOccurrenceDate,
+  resolveOccurrenceWindow,
+  rescheduleOccurrence,
+  cancelOccurrence,
+  restoreOccurrence
+} from '../services/eventRecurrenceService.js';
+import { getAvailability } from '../services/eventRegistrationService.js';
+import { formatRecurrenceRule } from '../utils/icalendar.js';
+
+const logOccurrenceActivity = (req, action, event, occurrenceDate, additionalInfo = {}) => ActivityLog.logActivity({
+  userId: req.user._id,
+  username: req.user.username || req.user.companyEmail,
+  userRole: req.user.role,
+  action,
+  resource: 'event',
+  resourceId: event._id.toString(),
+  resourceTitle: event.title,
+  details: {
+    method: req.method,
+    path: req.path,
+    additionalInfo: { occurrenceDate: occurrenceDate.toISOString(), ...additionalInfo }
+  },
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  status: 'success',
+  severity: 2
+});
+
+// Load the event and occurrence key of an occurrence request, or answer with the error
+const loadOccurrenceRequest = async (req, res) => {
+  const occurrenceDate = parseOccurrenceDate(req.params.occurrenceDate);
+  if (!occurrenceDate) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid occurrence date; use the ISO date-time of the occurrence'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  return { event, occurrenceDate };
+};
+
+// Dates of an event in a window (?from=&to=, default the next 90 days) with seats left
+export const getEventOccurrences = async (req, res) => {
+  try {
+    const window = resolveOccurrenceWindow(req.query);
+    if (window.error) {
+      return res.status(window.status).json({
+        success: false,
+        message: window.error
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.eventId, published: true });
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Seat counts are summed up in availability rather than listed raw
+    const occurrences = expandOccurrences(event, window).map(({ occurrenceDate, startDate, endDate, location, status, reason }) => ({
+      occurrenceDate,
+      startDate,
+      endDate,
+      location,
+      status,
+      reason,
+      availability: getAvailability(event, occurrenceDate)
+    }));
+
+    res.json({
+      success: true,
+      event: {
+        _id: event._id,
+        title: event.title,
+        slug: event.slug,
+        recurring: isRecurring(event),
+        recurrenceRule: isRecurring(event) ? formatRecurrenceRule(event.recurrence) : null
+      },
+      from: window.from,
+      to: window.to,
+      occurrences
+    });
+
+  } catch (error) {
+    console.error('Error fetching event occurrences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event occurrences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Move one date of a recurring event (time, place or both)
+export const rescheduleEventOccurrence = async (req, res) => {
+  try {
+    const request = await loadOccurrenceRequest(req, res);
+    if (!request) return;
+    const { event, occurrenceDate } = request;
+
+    const result = await rescheduleOccurrence(event, occurrenceDate, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await logOccurrenceActivity(req, 'event_occurrence_rescheduled', event, occurrenceDate, {
+      startDate: result.occurrence.startDate,
+      location: result.occurrence.location
+    });
+
+    res.json({
+      success: true,
+      message: 'Occurrence rescheduled',
+      occurrence: result.occurrence
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling event occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Cancel one date of a recurring event, with its registrations
+export const cancelEventOccurrence = async (req, res) => {
+  try {
+    const request = await loadOccurrenceRequest(req, res);
+    if (!request) return;
+    const { event, occurrenceDate } = request;
+
+    const result = await cancelOccurrence(event, occurrenceDate, { reason: req.body.reason });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await logOccurrenceActivity(req, 'event_occurrence_cancelled', event, occurrenceDate, {
+      reason: req.body.reason,
+      cancelledRegistrations: result.cancelledRegistrations
+    });
+
+    res.json({
+      success: true,
+      message: `Occurrence cancelled; ${result.cancelledRegistrations} registration(s) cancelled with it`,
+      occurrence: result.occurrence,
+      cancelledRegistrations: result.cancelledRegistrations
+    });
+
+  } catch (error) {
+    console.error('Error cancelling event occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Undo a cancellation or rescheduling
+export const restoreEventOccurrence = async (req, res) => {
+  try {
+    const request = await loadOccurrenceRequest(req, res);
+    if (!request) return;
+    const { event, occurrenceDate } = request;
+
+    const result = await restoreOccurrence(event, occurrenceDate);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await logOccurrenceActivity(req, 'event_occurrence_restored', event, occurrenceDate);
+
+    res.json({
+      success: true,
+      message: 'Occurrence restored to its regular schedule',
+      occurrence: result.occurrence
+    });
+
+  } catch (error) {
+    console.error('Error restoring event occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,174 @@
+// 🔨 Live Bidding Controller - Online bidding on auction lots
+import ActivityLog from '../models/ActivityLog.js';
+import liveBiddingService from '../services/liveBiddingService.js';
+
+// Ledger context for an auctioneer command
+const getLotContext = (req) => ({
+  actor: {
+    userId: req.user._id,
+    username: req.user.username || req.user.companyEmail
+  },
+  channel: 'http',
+  ipAddress: req.ip
+});
+
+// Shared handler for the open/close/hammer commands
+const runLotCommand = (command, action, successMessage) => async (req, res) => {
+  try {
+    const { auctionId } = req.params;
+    const lotNumber = parseInt(req.params.lotNumber);
+    if (!Number.isInteger(lotNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lot number'
+      });
+    }
+
+    const result = await liveBiddingService[command](auctionId, lotNumber, getLotContext(req));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await ActivityLog.logActivity({
+      userId: req.user._id,
+      username: req.user.username || req.user.companyEmail,
+      userRole: req.user.role,
+      action,
+      resource: 'auction',
+      resourceId: auctionId,
+      resourceTitle: result.auction.title,
+      details: {
+        method: req.method,
+        path: req.path,
+        additionalInfo: {
+          lotNumber,
+          lotStatus: result.lot.lotStatus,
+          currentBid: result.lot.currentBid,
+          bidderNumber: result.lot.currentBidderNumber
+        }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success',
+      severity: 2
+    });
+
+    res.json({
+      success: true,
+      message: successMessage(result),
+      lot: result.lot
+    });
+
+  } catch (error) {
+    console.error(`Error running lot command (${command}):`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update lot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Open a lot for bidding (auctioneer)
+export const openLot = runLotCommand('openLot', 'auction_lot_opened', ({ lot }) => `Lot ${lot.lotNumber} is open for bidding`);
+
+// Stop taking bids on the open lot (auctioneer)
+export const closeLot = runLotCommand('closeLot', 'auction_lot_closed', ({ lot }) => `Bidding closed on lot ${lot.lotNumber}`);
+
+// Hammer the lot: sold if the reserve was met, passed otherwise (auctioneer)
+export const hammerLot = runLotCommand('hammerLot', 'auction_lot_hammered', ({ lot, sold }) => (sold
+  ? `Lot ${lot.lotNumber} sold to bidder ${lot.winningBidderNumber} for ${lot.finalPrice}`
+  : `Lot ${lot.lotNumber} passed`));
+
+// Live state of an auction: lot on the block and every lot's bidding status
+export const getLiveAuction = async (req, res) => {
+  try {
+    const state = await liveBiddingService.getLiveState(req.params.auctionId);
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      auction: state
+    });
+
+  } catch (error) {
+    console.error('Error fetching live auction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch live auction',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Place a bid on the open lot (bidder)
+export const placeBid = async (req, res) => {
+  try {
+    const result = await liveBiddingService.placeBid({
+      bidder: req.bidder,
+      lotNumber: req.body.lotNumber,
+      amount: req.body.amount,
+      channel: 'http',
+      ipAddress: req.ip
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Bid placed',
+      bid: result.bid,
+      lot: result.lot
+    });
+
+  } catch (error) {
+    console.error('Error placing bid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place bid',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Bid ledger of an auction, optionally for one lot (dispute resolution)
+export const getBidLedger = async (req, res) => {
+  try {
+    const lotNumber = req.query.lotNumber !== undefined ? parseInt(req.query.lotNumber) : undefined;
+    if (lotNumber !== undefined && !Number.isInteger(lotNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lot number'
+      });
+    }
+
+    const entries = await liveBiddingService.getLedger(req.params.auctionId, { lotNumber });
+
+    res.json({
+      success: true,
+      entries,
+      total: entries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching bid ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bid ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,69 @@
+// 📈 Market Price Controller - Livestock price index from auction results and market reports
+import { buildPriceIndex, toChartData, DEFAULT_LOOKBACK_MONTHS } from '../services/marketPriceService.js';
+
+// Price time series per category and region, or chart datasets with ?format=chart
+export const getMarketPrices = async (req, res) => {
+  try {
+    const {
+      category,
+      breed,
+      region,
+      source = 'all',
+      interval = 'month',
+      groupBy = 'category,region',
+      format = 'series',
+      metric = 'averagePrice',
+      limit = 20
+    } = req.query;
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to);
+    if (!req.query.from) from.setUTCMonth(from.getUTCMonth() - DEFAULT_LOOKBACK_MONTHS);
+
+    const index = await buildPriceIndex({
+      from,
+      to,
+      interval,
+      category: category?.toLowerCase(),
+      breed,
+      region,
+      source: source === 'all' ? undefined : source,
+      groupBy: [...new Set(groupBy.split(','))],
+      limit: parseInt(limit)
+    });
+
+    if (index.error) {
+      return res.status(index.status).json({
+        success: false,
+        message: index.error
+      });
+    }
+
+    const filters = { category, breed, region, source };
+
+    if (format === 'chart') {
+      return res.json({
+        success: true,
+        interval: index.interval,
+        from: index.from,
+        to: index.to,
+        filters,
+        chart: toChartData(index, metric)
+      });
+    }
+
+    res.json({
+      success: true,
+      filters,
+      ...index
+    });
+
+  } catch (error) {
+    console.error('Error building market price index:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch market prices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,91 @@
+// ⚙️ Preference Centre Controller - Subscribers manage topics, channels and frequency from their email links
+import {
+  findSubscriberByLink,
+  updatePreferencesByLink,
+  unsubscribeByLink,
+  summarizePreferences
+} from '../services/subscriberPreferenceService.js';
+
+// The signature travels as ?sig= in the link; forms may post it in the body instead
+const getSignature = (req) => req.query.sig || req.body?.sig;
+
+// Current preferences of the subscriber the link belongs to
+export const getPreferences = async (req, res) => {
+  try {
+    const result = await findSubscriberByLink(req.params.token, getSignature(req));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summarizePreferences(result.subscriber)
+    });
+  } catch (error) {
+    console.error('Error loading subscriber preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load preferences',
+      error: error.message
+    });
+  }
+};
+
+// Change topics, channels, frequency or the push subscription ({ resubscribe: true } also reactivates)
+export const updatePreferences = async (req, res) => {
+  try {
+    const result = await updatePreferencesByLink(req.params.token, getSignature(req), req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.subscriber.isActive
+        ? 'Your preferences have been saved'
+        : 'Your preferences have been saved. You are still unsubscribed and will not receive anything.',
+      data: summarizePreferences(result.subscriber)
+    });
+  } catch (error) {
+    console.error('Error updating subscriber preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences',
+      error: error.message
+    });
+  }
+};
+
+// Unsubscribe from everything
+export const unsubscribe = async (req, res) => {
+  try {
+    const result = await unsubscribeByLink(req.params.token, getSignature(req), req.body?.reason);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.alreadyUnsubscribed
+        ? 'You are already unsubscribed'
+        : 'You have been unsubscribed and will not receive any more emails or notifications from us',
+      data: summarizePreferences(result.subscriber)
+    });
+  } catch (error) {
+    console.error('Error unsubscribing through preference link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process unsubscribe request',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,238 @@
+/**
+ * @file Related Content Controller
+ * @description "More like this" recommendations for an article. Candidates
+ * come from the search model list (Blog, News, Basic and the livestock
+ * models) and are ranked by:
+ *  - shared tags
+ *  - same category
+ *  - keyword overlap with the article's title and body
+ *  - recency
+ * Responses are cached per article by cacheProfiles.related and dropped by
+ * invalidateRelatedContent when the article changes.
+ * @module controllers/relatedContentController
+ */
+
+import { SEARCHABLE_MODELS, getModelByContentType } from './searchController.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+
+/**
+ * @constant {Object} RELATED_CONTENT_TYPES
+ * @description Model name → content type path for models that take part in
+ * recommendations
+ * @private
+ */
+const RELATED_CONTENT_TYPES = {
+  Blog: 'blogs',
+  News: 'news',
+  Basic: 'basics',
+  ...Object.fromEntries(Object.values(LIVESTOCK_SPECIES).map(config => [config.modelName, config.path]))
+};
+
+const RELATED_MODELS = SEARCHABLE_MODELS.filter(Model => RELATED_CONTENT_TYPES[Model.modelName]);
+
+/**
+ * @constant {Object} RELATED_WEIGHTS
+ * @description Score weights for each ranking signal
+ * @private
+ */
+const RELATED_WEIGHTS = {
+  tag: 3,        // per shared tag
+  category: 2,   // same category
+  text: 5,       // keyword overlap, 0-1
+  recency: 1     // 1 for today, halving every RECENCY_HALF_LIFE_DAYS
+};
+
+const RECENCY_HALF_LIFE_DAYS = 90;
+const CANDIDATES_PER_MODEL = 30;
+const MAX_KEYWORDS = 15;
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 20;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who', 'did', 'get', 'use',
+  'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'more', 'when', 'what',
+  'which', 'their', 'there', 'about', 'would', 'these', 'other', 'into', 'than', 'them', 'also',
+  'some', 'such', 'only', 'over', 'most', 'very', 'just', 'should', 'could', 'each', 'many'
+]);
+
+/**
+ * @function tokenize
+ * @description Lowercase words of 3+ letters with HTML and stop words removed
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ * @private
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * @function extractKeywords
+ * @description The most frequent words of an article, title words counting triple
+ * @param {Object} item - Article with title and content/description
+ * @returns {Array<string>} Up to MAX_KEYWORDS keywords
+ * @private
+ */
+function extractKeywords(item) {
+  const counts = new Map();
+  const add = (words, weight) => words.forEach(word => counts.set(word, (counts.get(word) || 0) + weight));
+
+  add(tokenize(item.title), 3);
+  add(tokenize(item.content || item.description), 1);
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_KEYWORDS)
+    .map(([word]) => word);
+}
+
+/**
+ * @function escapeRegex
+ * @description Escape a keyword for use inside a regular expression
+ * @private
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @function scoreCandidate
+ * @description Combine the ranking signals for one candidate
+ * @param {Object} candidate - Candidate article (lean)
+ * @param {Object} source - { tags, category, keywords } of the source article
+ * @returns {Object} Score breakdown and total
+ * @private
+ */
+function scoreCandidate(candidate, source) {
+  const candidateTags = (candidate.tags || []).map(tag => tag.toLowerCase());
+  const sharedTags = candidateTags.filter(tag => source.tags.includes(tag)).length;
+
+  const sameCategory = Boolean(source.category && candidate.category &&
+    candidate.category.toLowerCase() === source.category.toLowerCase());
+
+  const candidateWords = new Set(tokenize(`${candidate.title || ''} ${candidate.summary || candidate.description || ''}`));
+  const sharedWords = source.keywords.filter(word => candidateWords.has(word)).length;
+  const textSimilarity = candidateWords.size > 0 && source.keywords.length > 0
+    ? sharedWords / Math.min(candidateWords.size, source.keywords.length)
+    : 0;
+
+  const ageDays = (Date.now() - new Date(candidate.publishedAt || candidate.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+  const recency = Math.pow(0.5, Math.max(ageDays, 0) / RECENCY_HALF_LIFE_DAYS);
+
+  const score = sharedTags * RELATED_WEIGHTS.tag
+    + (sameCategory ? RELATED_WEIGHTS.category : 0)
+    + textSimilarity * RELATED_WEIGHTS.text
+    + recency * RELATED_WEIGHTS.recency;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    signals: { sharedTags, sameCategory, textSimilarity: Math.round(textSimilarity * 100) / 100 }
+  };
+}
+
+/**
+ * @function getRelatedContent
+ * @description Articles related to one article, across content types
+ * @param {Object} req - Express request object
+ * @param {string} req.params.contentType - Source content type (blogs, news, basics, dairies ...)
+ * @param {string} req.params.id - Source article ID
+ * @param {number} [req.query.limit=6] - Number of recommendations (max 20)
+ * @param {string} [req.query.contentTypes] - Comma-separated content types to recommend from
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the ranked recommendations
+ */
+export const getRelatedContent = async (req, res) => {
+  try {
+    const SourceModel = getModelByContentType(req.params.contentType);
+    if (!SourceModel || !RELATED_CONTENT_TYPES[SourceModel.modelName]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Related content is not available for this content type'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const article = await SourceModel.findOne({ _id: req.params.id, published: true })
+      .select('title content description tags category')
+      .lean();
+
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Content not found' });
+    }
+
+    const source = {
+      tags: (article.tags || []).map(tag => tag.toLowerCase()),
+      category: article.category,
+      keywords: extractKeywords(article)
+    };
+
+    let models = RELATED_MODELS;
+    if (req.query.contentTypes) {
+      const requested = String(req.query.contentTypes).split(',').map(type => getModelByContentType(type.trim()));
+      models = RELATED_MODELS.filter(Model => requested.includes(Model));
+    }
+
+    // Any shared signal makes a candidate; ranking happens below
+    const matchers = [
+      ...(article.tags?.length ? [{ tags: { $in: article.tags } }] : []),
+      ...(article.category ? [{ category: article.category }] : []),
+      ...(source.keywords.length ? [{ title: { $regex: source.keywords.map(escapeRegex).join('|'), $options: 'i' } }] : [])
+    ];
+
+    const candidateLists = await Promise.all(models.map(async (Model) => {
+      const filter = { _id: { $ne: article._id }, published: true };
+      if (matchers.length > 0) {
+        filter.$or = matchers;
+      }
+
+      const candidates = await Model.find(filter)
+        .sort({ publishedAt: -1, createdAt: -1 })
+        .limit(CANDIDATES_PER_MODEL)
+        .select('title summary description tags category imageUrl slug author publishedAt createdAt translations')
+        .lean();
+
+      return candidates.map(candidate => ({ ...candidate, contentType: RELATED_CONTENT_TYPES[Model.modelName] }));
+    }));
+
+    const related = candidateLists
+      .flat()
+      .map(candidate => {
+        const { score, signals } = scoreCandidate(candidate, source);
+        return { ...candidate, relevanceScore: score, relevanceSignals: signals };
+      })
+      .sort((a, b) => b.relevanceScore - a.relevanceScore)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        source: {
+          _id: article._id,
+          title: article.title,
+          contentType: RELATED_CONTENT_TYPES[SourceModel.modelName],
+          category: article.category || null,
+          tags: article.tags || []
+        },
+        related
+      }
+    });
+  } catch (error) {
+    console.error('Error getting related content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get related content',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getRelatedContent
+};
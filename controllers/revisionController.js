@@ -0,0 +1,277 @@
+/**
+ * @file Revision Controller
+ * @description Revision history for editorial content: list revisions,
+ * compare any two revisions and restore an old revision. Restoring saves the
+ * old values as a new revision, so history is never rewritten. A restore is
+ * a content edit: the item keeps its workflow status and schedule.
+ * @module controllers/revisionController
+ */
+
+import mongoose from 'mongoose';
+import ContentRevision from '../models/ContentRevision.js';
+import ActivityLog from '../models/ActivityLog.js';
+import Blog from '../models/Blog.js';
+import News from '../models/News.js';
+import Basic from '../models/Basic.js';
+import Magazine from '../models/Magazine.js';
+import { getSpeciesModel } from '../models/Livestock.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+import { diffSnapshots } from '../utils/contentDiff.js';
+
+// Content types with revision history, with their ActivityLog resource name
+const revisionContentTypes = {
+    blogs: { Model: Blog, resource: 'blog' },
+    news: { Model: News, resource: 'news' },
+    basics: { Model: Basic, resource: 'basic' },
+    magazines: { Model: Magazine, resource: 'magazine' },
+    ...Object.fromEntries(
+        Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [config.path, { Model: getSpeciesModel(species), resource: species }])
+    )
+};
+
+/**
+ * Check whether a GridFS file still exists
+ * Replaced images are removed from GridFS, so old revisions can point to missing files.
+ */
+const gridFSFileExists = async (fileId) => {
+    if (!fileId || !mongoose.Types.ObjectId.isValid(fileId)) return false;
+    const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db);
+    const files = await bucket.find({ _id: new mongoose.Types.ObjectId(fileId) }).limit(1).toArray();
+    return files.length > 0;
+};
+
+/**
+ * Look up the content type from the route, sending an error response if it is invalid
+ * @returns {Object|null} Content type config, or null if a response was sent
+ */
+const resolveContentType = (req, res) => {
+    const config = revisionContentTypes[req.params.contentType];
+    if (!config) {
+        res.status(400).json({ success: false, message: 'Invalid content type' });
+        return null;
+    }
+    return config;
+};
+
+/**
+ * Revision number from the route, sending an error response if it is not a positive integer
+ * @returns {number|null} Revision number, or null if a response was sent
+ */
+const parseRevisionNumber = (req, res) => {
+    const revisionNumber = Number(req.params.revisionNumber);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+        res.status(400).json({ success: false, message: 'Revision number must be a positive integer' });
+        return null;
+    }
+    return revisionNumber;
+};
+
+/**
+ * List revisions for a content item (newest first, without full snapshots)
+ */
+export const listRevisions = async (req, res) => {
+    try {
+        if (!resolveContentType(req, res)) return;
+
+        const { contentType, id } = req.params;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const query = { contentType, contentId: id };
+        const [revisions, total] = await Promise.all([
+            ContentRevision.find(query)
+                .select('revisionNumber action restoredFrom changedFields editor editorName createdAt snapshot.title')
+                .sort({ revisionNumber: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            ContentRevision.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                revisions,
+                total,
+                page,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error listing revisions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list revisions',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a single revision with its full snapshot
+ */
+export const getRevision = async (req, res) => {
+    try {
+        if (!resolveContentType(req, res)) return;
+        const revisionNumber = parseRevisionNumber(req, res);
+        if (!revisionNumber) return;
+
+        const { contentType, id } = req.params;
+        const revision = await ContentRevision.findOne({
+            contentType,
+            contentId: id,
+            revisionNumber
+        }).lean();
+
+        if (!revision) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        res.json({ success: true, data: revision });
+    } catch (error) {
+        console.error('Error fetching revision:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch revision',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Compare two revisions field by field
+ * Query: from, to (revision numbers). Defaults to the latest revision and the one before it.
+ */
+export const diffRevisions = async (req, res) => {
+    try {
+        if (!resolveContentType(req, res)) return;
+
+        const { contentType, id } = req.params;
+        const baseQuery = { contentType, contentId: id };
+
+        let to = parseInt(req.query.to);
+        if (!to) {
+            const latest = await ContentRevision.findOne(baseQuery).sort({ revisionNumber: -1 }).select('revisionNumber').lean();
+            if (!latest) {
+                return res.status(404).json({ success: false, message: 'No revisions found' });
+            }
+            to = latest.revisionNumber;
+        }
+        const from = parseInt(req.query.from) || to - 1;
+
+        if (from < 1 || from === to) {
+            return res.status(400).json({ success: false, message: 'Two different revision numbers are required' });
+        }
+
+        const revisions = await ContentRevision.find({ ...baseQuery, revisionNumber: { $in: [from, to] } }).lean();
+        const fromRevision = revisions.find(revision => revision.revisionNumber === from);
+        const toRevision = revisions.find(revision => revision.revisionNumber === to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        const fields = [...new Set([...Object.keys(fromRevision.snapshot), ...Object.keys(toRevision.snapshot)])];
+        const changes = diffSnapshots(fromRevision.snapshot, toRevision.snapshot, fields);
+
+        res.json({
+            success: true,
+            data: {
+                from: { revisionNumber: from, editorName: fromRevision.editorName, createdAt: fromRevision.createdAt },
+                to: { revisionNumber: to, editorName: toRevision.editorName, createdAt: toRevision.createdAt },
+                changedFields: changes.filter(change => change.changed).map(change => change.field),
+                changes
+            }
+        });
+    } catch (error) {
+        console.error('Error comparing revisions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare revisions',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Restore a revision by saving its values as a new revision
+ * File references whose GridFS file no longer exists are left unchanged and reported.
+ */
+export const restoreRevision = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+        const revisionNumber = parseRevisionNumber(req, res);
+        if (!revisionNumber) return;
+
+        const { contentType, id } = req.params;
+        const revision = await ContentRevision.findOne({
+            contentType,
+            contentId: id,
+            revisionNumber
+        }).lean();
+
+        if (!revision) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        const item = await config.Model.findById(id);
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Content not found' });
+        }
+
+        const skippedFields = [];
+        for (const [field, value] of Object.entries(revision.snapshot)) {
+            const isFileReference = config.Model.schema.path(field)?.instance === 'ObjectId';
+            if (isFileReference && value && !(await gridFSFileExists(value))) {
+                skippedFields.push(field);
+                continue;
+            }
+            item.set(field, value);
+        }
+
+        item.$locals.revisionEditor = req.user;
+        item.$locals.revisionAction = 'restore';
+        item.$locals.restoredFrom = revision.revisionNumber;
+        const savedItem = await item.save();
+
+        await ActivityLog.logActivity({
+            userId: req.user._id,
+            username: req.user.username || req.user.companyEmail,
+            userRole: req.user.role,
+            action: 'revision_restored',
+            resource: config.resource,
+            resourceId: id,
+            resourceTitle: savedItem.title,
+            details: {
+                method: req.method,
+                path: req.path,
+                additionalInfo: {
+                    contentType,
+                    restoredFrom: revision.revisionNumber,
+                    skippedFields
+                }
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            status: 'success',
+            severity: 2
+        });
+
+        res.json({
+            success: true,
+            message: `Revision ${revision.revisionNumber} restored`,
+            data: {
+                content: savedItem,
+                skippedFields
+            }
+        });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore revision',
+            error: error.message
+        });
+    }
+};
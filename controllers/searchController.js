@@ -19,8 +19,10 @@ import Dairy from '../models/Dairy.js';
 import Goat from '../models/Goat.js';
 import Piggery from '../models/Piggery.js';
 import Beef from '../models/Beef.js';
+import Collection from '../models/Collection.js';
 import mongoose from 'mongoose';
-import { optimizeSearchQuery } from '../middleware/searchOptimization.js';
+import { parseSearchQuery, buildTextSearch } from '../middleware/searchOptimization.js';
+import { SEARCH_WEIGHTS } from '../models/base/SearchIndex.js';
 
 /**
  * @constant {mongoose.Schema} searchAnalyticsSchema
@@ -78,6 +80,13 @@ const searchAnalyticsSchema = new mongoose.Schema({
  */
 const SearchAnalytics = mongoose.model('SearchAnalytics', searchAnalyticsSchema);
 
+/**
+ * @constant {Array<mongoose.Model>} SEARCHABLE_MODELS
+ * @description Models searched when no contentTypes filter is given
+ * (also the candidate pool for related-content recommendations)
+ */
+export const SEARCHABLE_MODELS = [Blog, News, Basic, Farm, Magazine, Dairy, Goat, Piggery, Beef, Collection];
+
 /**
  * @function levenshteinDistance
  * @description Calculates the edit distance between two strings 
@@ -162,10 +171,172 @@ function highlightSearchTerms(text, searchTerms) {
   return highlightedText;
 }
 
+/**
+ * @constant {Object} REGEX_SEARCH_FIELDS
+ * @description Fields the regex fallback searches, with their search index
+ * weight tier (see models/base/SearchIndex.js)
+ * @private
+ */
+const REGEX_SEARCH_FIELDS = {
+  title: 'title',
+  name: 'title',
+  tags: 'tags',
+  location: 'tags',
+  content: 'body',
+  description: 'body',
+  'translations.title': 'title',
+  'translations.content': 'body',
+  'translations.description': 'body'
+};
+
+/**
+ * @function escapeRegex
+ * @description Escapes a search term for use inside a regular expression
+ * @param {string} value - Search term
+ * @returns {string} Escaped term
+ * @private
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @function isMissingTextIndexError
+ * @description Whether a query failed because the collection has no text index
+ * @param {Error} error - Query error
+ * @returns {boolean}
+ * @private
+ */
+function isMissingTextIndexError(error) {
+  return error?.code === 27 || /text index required/i.test(error?.message || '');
+}
+
+/**
+ * @function getSortCriteria
+ * @description MongoDB sort for a sortBy option
+ * @param {string} sortBy - relevance|date|title|views
+ * @param {boolean} textScore - Whether the query has a $text score to sort by
+ * @returns {Object} Sort criteria
+ * @private
+ */
+function getSortCriteria(sortBy, textScore) {
+  switch (sortBy) {
+    case 'date':
+      return { createdAt: -1 };
+    case 'title':
+      return { title: 1 };
+    case 'views':
+      return { views: -1 };
+    case 'relevance':
+    default:
+      return textScore ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+  }
+}
+
+/**
+ * @function compareSearchResults
+ * @description Comparator for merging results from several models
+ * @param {string} sortBy - relevance|date|title|views
+ * @returns {Function} Array sort comparator
+ * @private
+ */
+function compareSearchResults(sortBy) {
+  switch (sortBy) {
+    case 'date':
+      return (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    case 'title':
+      return (a, b) => String(a.title || a.name || '').localeCompare(String(b.title || b.name || ''));
+    case 'views':
+      return (a, b) => (b.views || 0) - (a.views || 0);
+    case 'relevance':
+    default:
+      return (a, b) => (b.searchScore || 0) - (a.searchScore || 0) || new Date(b.createdAt) - new Date(a.createdAt);
+  }
+}
+
+/**
+ * @function runTextSearch
+ * @description Searches one model through its weighted text index
+ * @param {mongoose.Model} Model - Model to search
+ * @param {string} textSearch - $search string (phrases, terms, -exclusions)
+ * @param {Array<Object>} filters - Additional filters (published, dates, tags ...)
+ * @param {string} sortBy - relevance|date|title|views
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Object>} { results, total }
+ * @private
+ */
+async function runTextSearch(Model, textSearch, filters, sortBy, limit) {
+  const query = { $text: { $search: textSearch }, $and: filters };
+
+  const [results, total] = await Promise.all([
+    Model.find(query, { score: { $meta: 'textScore' } })
+      .sort(getSortCriteria(sortBy, true))
+      .limit(limit)
+      .lean(),
+    Model.countDocuments(query)
+  ]);
+
+  return { results, total };
+}
+
+/**
+ * @function runRegexSearch
+ * @description Fallback for models without a text index. Mirrors $text
+ * semantics: every phrase must match, any term may match (terms are required
+ * only when there is no phrase), excluded terms must not match. Scores use
+ * the search index weights so results merge with text-scored ones.
+ * @param {mongoose.Model} Model - Model to search
+ * @param {Object} parsedQuery - { phrases, terms, excluded } from parseSearchQuery
+ * @param {Array<string>} terms - Regex patterns for the terms (escaped, plus fuzzy variations)
+ * @param {Array<Object>} filters - Additional filters (published, dates, tags ...)
+ * @param {string} sortBy - relevance|date|title|views
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Object>} { results, total }
+ * @private
+ */
+async function runRegexSearch(Model, parsedQuery, terms, filters, sortBy, limit) {
+  const fields = Object.keys(REGEX_SEARCH_FIELDS).filter(field => Model.schema.path(field));
+  const phrasePatterns = parsedQuery.phrases.map(phrase => escapeRegex(phrase).replace(/ /g, '\\W+'));
+  const matchAny = (patterns) => patterns.flatMap(pattern =>
+    fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+  );
+
+  const conditions = [...filters];
+  phrasePatterns.forEach(pattern => conditions.push({ $or: matchAny([pattern]) }));
+  if (phrasePatterns.length === 0) {
+    conditions.push({ $or: matchAny(terms) });
+  }
+  if (parsedQuery.excluded.length > 0) {
+    conditions.push({ $nor: matchAny(parsedQuery.excluded.map(escapeRegex)) });
+  }
+
+  const query = { $and: conditions };
+  const [results, total] = await Promise.all([
+    Model.find(query).sort(getSortCriteria(sortBy, false)).limit(limit).lean(),
+    Model.countDocuments(query)
+  ]);
+
+  const patterns = [...phrasePatterns, ...terms].map(pattern => new RegExp(pattern, 'i'));
+  const scoreField = (value, pattern) => [].concat(value || []).some(entry => typeof entry === 'string' && pattern.test(entry));
+
+  return {
+    results: results.map(result => ({
+      ...result,
+      score: patterns.reduce((score, pattern) => score + Object.entries(REGEX_SEARCH_FIELDS)
+        .filter(([field]) => !field.startsWith('translations.') && scoreField(result[field], pattern))
+        .reduce((sum, [, tier]) => sum + SEARCH_WEIGHTS[tier], 0), 0)
+    })),
+    total
+  };
+}
+
 /**
  * @function searchAll
  * @description Performs comprehensive search across all content types with advanced features:
- * - Fuzzy matching for typo tolerance
+ * - Weighted text index search (title > tags > content) ranked by textScore across collections
+ * - Query operators: "quoted phrases" and -excluded terms
+ * - Regex fallback for collections without a text index
+ * - Fuzzy matching for typo tolerance (regex fallback only)
  * - Result highlighting
  * - Content filtering by type, date, tags, views
  * - Sorting options (relevance, date, title, views)
@@ -173,7 +344,7 @@ function highlightSearchTerms(text, searchTerms) {
  * - Search analytics tracking
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} req.query.query - Search query string
+ * @param {string} req.query.query - Search query string, e.g. "foot and mouth" -cattle
  * @param {number} [req.query.page=1] - Result page number
  * @param {number} [req.query.limit=10] - Results per page
  * @param {Array<string>} [req.query.contentTypes] - Content types to search
@@ -232,151 +403,120 @@ export const searchAll = async (req, res) => {
       sessionId: req.sessionID || 'anonymous'
     });
 
-    // Optimize search query using search optimization middleware
-    const optimizedQuery = optimizeSearchQuery(query);
-    console.log('🔍 Original query:', query);
-    console.log('🔍 Optimized query:', optimizedQuery);
-
-    // Create search terms (optimized + fuzzy if enabled)
-    let searchTerms = [optimizedQuery || query];
-    if (fuzzy) {
-      const fuzzyTerms = createFuzzyTerms(optimizedQuery || query);
-      searchTerms = [...searchTerms, ...fuzzyTerms];
-      console.log('🔍 Fuzzy search terms:', fuzzyTerms);
+    // Split the query into phrases, terms and exclusions ("foot and mouth" -cattle)
+    const parsedQuery = parseSearchQuery(query);
+    if (parsedQuery.phrases.length === 0 && parsedQuery.terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query needs at least one word or quoted phrase',
+      });
     }
 
+    const textSearch = buildTextSearch(parsedQuery);
+    const highlightTerms = [...parsedQuery.phrases, ...parsedQuery.terms].map(escapeRegex);
+    console.log('🔍 Parsed query:', parsedQuery);
+
+    // Typo variations only apply to the regex fallback; the text index already stems words
+    const useFuzzy = fuzzy === true || fuzzy === 'true';
+    const fallbackTerms = useFuzzy
+      ? [...new Set([...parsedQuery.terms.map(escapeRegex), ...parsedQuery.terms.flatMap(term => createFuzzyTerms(term))])]
+      : parsedQuery.terms.map(escapeRegex);
+
     // Define which models to search based on contentTypes parameter
     const modelsToSearch = contentTypes.length > 0 
       ? getModelsByContentTypes(contentTypes) 
-      : [Blog, News, Basic, Farm, Magazine, Dairy, Goat, Piggery, Beef];
+      : SEARCHABLE_MODELS;
 
-    // Create enhanced search promises for each model
+    // Every model returns enough results to fill the requested page once merged
+    const perModelLimit = parseInt(page) * parsedLimit;
+
+    // Create search promises for each model
     const searchPromises = modelsToSearch.map(async (Model) => {
       const modelName = Model.modelName.toLowerCase();
-      
-      // Create advanced search query with optimization
-      const searchQuery = {
-        $and: [
-          {
-            $or: [
-              // Optimized text search with MongoDB's text index if available
-              { $text: { $search: optimizedQuery || query } },
-              // Fallback regex search with optimized query
-              { title: { $regex: optimizedQuery || query, $options: 'i' } },
-              { content: { $regex: optimizedQuery || query, $options: 'i' } },
-            ]
-          },
-          { published: true } // Only return published content
-        ]
-      };
+      const filters = [{ published: true }]; // Only return published content
 
       // Add date range filter
       if (dateStart || dateEnd) {
         const dateFilter = {};
         if (dateStart) dateFilter.$gte = new Date(dateStart);
         if (dateEnd) dateFilter.$lte = new Date(dateEnd);
-        searchQuery.$and.push({ createdAt: dateFilter });
+        filters.push({ createdAt: dateFilter });
       }
 
       // Add tags filter (for models that support tags)
-      if (tags && ['blog', 'news', 'dairy', 'beef', 'goat', 'piggery'].includes(modelName)) {
+      if (tags && ['blog', 'news', 'dairy', 'beef', 'goat', 'piggery', 'collection'].includes(modelName)) {
         const tagArray = Array.isArray(tags) ? tags : tags.split(',');
-        searchQuery.$and.push({ tags: { $in: tagArray } });
+        filters.push({ tags: { $in: tagArray } });
       }
 
       // Add minimum views filter
       if (minViews && ['blog', 'news', 'farm', 'magazine'].includes(modelName)) {
-        searchQuery.$and.push({ views: { $gte: parseInt(minViews) } });
-      }
-
-      // Add description field if the model has it
-      if (['blog', 'news', 'farm', 'magazine'].includes(modelName)) {
-        searchQuery.$and[0].$or.push({ description: { $regex: query, $options: 'i' } });
-      }
-
-      // Add fuzzy search terms if enabled
-      if (fuzzy && searchTerms.length > 1) {
-        const fuzzyOr = searchTerms.slice(1).map(term => ({
-          $or: [
-            { title: { $regex: term, $options: 'i' } },
-            { content: { $regex: term, $options: 'i' } }
-          ]
-        }));
-        searchQuery.$and[0].$or.push(...fuzzyOr.flat());
+        filters.push({ views: { $gte: parseInt(minViews) } });
       }
 
       try {
-        // Determine sort criteria
-        let sortCriteria = {};
-        switch (sortBy) {
-          case 'date':
-            sortCriteria = { createdAt: -1 };
-            break;
-          case 'title':
-            sortCriteria = { title: 1 };
-            break;
-          case 'views':
-            sortCriteria = { views: -1, createdAt: -1 };
-            break;
-          case 'relevance':
-          default:
-            // Use text score if text search is used, otherwise sort by date
-            sortCriteria = { score: { $meta: 'textScore' }, createdAt: -1 };
-            break;
+        let searchMode = 'text';
+        let found;
+        try {
+          found = await runTextSearch(Model, textSearch, filters, sortBy, perModelLimit);
+        } catch (error) {
+          if (!isMissingTextIndexError(error)) throw error;
+          console.warn(`⚠️ No text index for ${modelName}, falling back to regex search`);
+          searchMode = 'regex';
+          found = await runRegexSearch(Model, parsedQuery, fallbackTerms, filters, sortBy, perModelLimit);
         }
 
-        const results = await Model
-          .find(searchQuery)
-          .sort(sortCriteria)
-          .limit(parsedLimit)
-          .skip(skip)
-          .lean(); // Use lean() for better performance
-
-        console.log(`📊 ${modelName} search results:`, results.length);
+        console.log(`📊 ${modelName} search results (${searchMode}):`, found.results.length, 'of', found.total);
 
         // Process results with highlighting and metadata
-        const processedResults = results.map(result => {
+        const processedResults = found.results.map(result => {
           const processedResult = {
             ...result,
             contentType: modelName,
             searchScore: result.score || 0
           };
 
+          // Collections list their size instead of every item
+          if (modelName === 'collection') {
+            processedResult.itemCount = (result.items || []).length;
+            delete processedResult.items;
+          }
+
           // Add highlighting if enabled
           if (highlight) {
             if (processedResult.title) {
-              processedResult.highlightedTitle = highlightSearchTerms(processedResult.title, [query]);
+              processedResult.highlightedTitle = highlightSearchTerms(processedResult.title, highlightTerms);
             }
             if (processedResult.content) {
               // Create excerpt with highlighting
               const excerpt = processedResult.content.substring(0, 300) + '...';
-              processedResult.highlightedExcerpt = highlightSearchTerms(excerpt, [query]);
+              processedResult.highlightedExcerpt = highlightSearchTerms(excerpt, highlightTerms);
             }
             if (processedResult.description) {
-              processedResult.highlightedDescription = highlightSearchTerms(processedResult.description, [query]);
+              processedResult.highlightedDescription = highlightSearchTerms(processedResult.description, highlightTerms);
             }
           }
 
           return processedResult;
         });
 
-        return processedResults;
+        return { results: processedResults, total: found.total, searchMode };
       } catch (error) {
         console.error(`❌ Error searching ${modelName}:`, error.message);
-        return [];
+        return { results: [], total: 0, searchMode: 'failed' };
       }
     });
 
     // Execute all search promises
     const searchResults = await Promise.all(searchPromises);
     
-    // Flatten and combine results
-    const allResults = searchResults.flat();
-    
-    // Sort combined results by relevance score if using relevance sort
-    if (sortBy === 'relevance') {
-      allResults.sort((a, b) => (b.searchScore || 0) - (a.searchScore || 0));
-    }
+    // Merge results across collections; text scores share one weight scale
+    const allResults = searchResults
+      .flatMap(result => result.results)
+      .sort(compareSearchResults(sortBy));
+    const totalResults = searchResults.reduce((sum, result) => sum + result.total, 0);
+    const pageResults = allResults.slice(skip, skip + parsedLimit);
+    const searchModes = [...new Set(searchResults.map(result => result.searchMode))];
 
     // Collect available tags from all models
     const availableTags = new Set();
@@ -391,11 +531,10 @@ export const searchAll = async (req, res) => {
     }
 
     // Update search analytics with result count
-    searchRecord.resultCount = allResults.length;
+    searchRecord.resultCount = totalResults;
     await searchRecord.save();
 
     // Calculate pagination info
-    const totalResults = allResults.length;
     const totalPages = Math.ceil(totalResults / parsedLimit);
     const hasNextPage = page < totalPages;
     const hasPrevPage = page > 1;
@@ -404,14 +543,15 @@ export const searchAll = async (req, res) => {
       totalResults,
       currentPage: page,
       totalPages,
-      fuzzyEnabled: fuzzy,
-      highlightEnabled: highlight
+      fuzzyEnabled: useFuzzy,
+      highlightEnabled: highlight,
+      searchModes
     });
 
     res.json({
       success: true,
       data: {
-        results: allResults,
+        results: pageResults,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -422,10 +562,12 @@ export const searchAll = async (req, res) => {
         },
         searchMeta: {
           query,
-          fuzzySearch: fuzzy,
+          parsedQuery,
+          fuzzySearch: useFuzzy,
           highlighting: highlight,
           sortBy,
-          searchTermsUsed: searchTerms.length,
+          searchMode: searchModes.length === 1 ? searchModes[0] : 'mixed',
+          searchTermsUsed: parsedQuery.phrases.length + parsedQuery.terms.length,
           processingTime: Date.now() - searchRecord.timestamp
         },
         availableTags: Array.from(availableTags).sort()
@@ -957,9 +1099,8 @@ export const getSearchAnalytics = async (req, res) => {
  * @description Maps content type string to corresponding Mongoose model
  * @param {string} contentType - Content type identifier
  * @returns {mongoose.Model|undefined} Mongoose model or undefined if not found
- * @private
  */
-function getModelByContentType(contentType) {
+export function getModelByContentType(contentType) {
   const contentTypeMap = {
     blog: Blog,
     blogs: Blog,
@@ -977,7 +1118,9 @@ function getModelByContentType(contentType) {
     piggery: Piggery,
     piggeries: Piggery,
     beef: Beef,
-    beefs: Beef
+    beefs: Beef,
+    collection: Collection,
+    collections: Collection
   };
 
   return contentTypeMap[contentType];
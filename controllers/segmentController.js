@@ -0,0 +1,263 @@
+// 🎯 Segment Controller - Saved subscriber segments and newsletter audience previews
+import SubscriberSegment from '../models/SubscriberSegment.js';
+import ActivityLog from '../models/ActivityLog.js';
+import {
+  SEGMENT_FIELDS,
+  parseSegmentDefinition,
+  previewSegment,
+  refreshSegmentCount,
+  previewNewsletterAudience,
+  resolveTargetSegments,
+  deleteSegment as removeSegment
+} from '../services/segmentService.js';
+
+const logSegmentActivity = (req, action, segment, additionalInfo = {}) => ActivityLog.logActivity({
+  userId: req.user._id,
+  username: req.user.username || req.user.companyEmail,
+  userRole: req.user.role,
+  action,
+  resource: 'subscriber',
+  resourceId: segment._id.toString(),
+  resourceTitle: segment.name,
+  details: {
+    method: req.method,
+    path: req.path,
+    additionalInfo
+  },
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  status: 'success',
+  severity: 2
+});
+
+// Fields, operators and values the audience builder offers
+export const getSegmentFields = async (req, res) => {
+  res.json({
+    success: true,
+    data: SEGMENT_FIELDS
+  });
+};
+
+// Saved segments with their last count
+export const getSegments = async (req, res) => {
+  try {
+    const segments = await SubscriberSegment.find()
+      .populate('createdBy', 'username email')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: segments
+    });
+  } catch (error) {
+    console.error('Error fetching segments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch segments',
+      error: error.message
+    });
+  }
+};
+
+// One segment, counted now
+export const getSegment = async (req, res) => {
+  try {
+    const segment = await SubscriberSegment.findById(req.params.id).populate('createdBy updatedBy', 'username email');
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    const preview = await refreshSegmentCount(segment);
+
+    res.json({
+      success: true,
+      data: { segment, ...preview }
+    });
+  } catch (error) {
+    console.error('Error fetching segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch segment',
+      error: error.message
+    });
+  }
+};
+
+// Count unsaved rules while the segment is being built
+export const previewSegmentRules = async (req, res) => {
+  try {
+    const parsed = parseSegmentDefinition(req.body, { requireName: false });
+    if (parsed.error) {
+      return res.status(parsed.status).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await previewSegment(parsed.value)
+    });
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview segment',
+      error: error.message
+    });
+  }
+};
+
+// Count a newsletter audience: { targetSubscriptionTypes, targetSegments }
+export const previewAudience = async (req, res) => {
+  try {
+    const { targetSubscriptionTypes = ['all'], targetSegments = [] } = req.body;
+    if (!Array.isArray(targetSubscriptionTypes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'targetSubscriptionTypes must be a list'
+      });
+    }
+
+    const segments = await resolveTargetSegments(targetSegments);
+    if (segments.error) {
+      return res.status(segments.status).json({
+        success: false,
+        message: segments.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await previewNewsletterAudience({ targetSubscriptionTypes, targetSegments: segments.segmentIds })
+    });
+  } catch (error) {
+    console.error('Error previewing newsletter audience:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview audience',
+      error: error.message
+    });
+  }
+};
+
+export const createSegment = async (req, res) => {
+  try {
+    const parsed = parseSegmentDefinition(req.body);
+    if (parsed.error) {
+      return res.status(parsed.status).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const segment = new SubscriberSegment({ ...parsed.value, createdBy: req.user._id });
+    await segment.save();
+    const preview = await refreshSegmentCount(segment);
+
+    await logSegmentActivity(req, 'segment_created', segment, { rules: segment.rules.length, count: preview.count });
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      data: { segment, ...preview }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A segment with this name already exists'
+      });
+    }
+    console.error('Error creating segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create segment',
+      error: error.message
+    });
+  }
+};
+
+export const updateSegment = async (req, res) => {
+  try {
+    const segment = await SubscriberSegment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    // Fields left out keep their current values
+    const parsed = parseSegmentDefinition({
+      name: segment.name,
+      description: segment.description,
+      match: segment.match,
+      rules: segment.rules.map(rule => rule.toObject()),
+      ...req.body
+    });
+    if (parsed.error) {
+      return res.status(parsed.status).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    segment.set({ ...parsed.value, updatedBy: req.user._id });
+    await segment.save();
+    const preview = await refreshSegmentCount(segment);
+
+    await logSegmentActivity(req, 'segment_updated', segment, { rules: segment.rules.length, count: preview.count });
+
+    res.json({
+      success: true,
+      message: 'Segment updated successfully',
+      data: { segment, ...preview }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A segment with this name already exists'
+      });
+    }
+    console.error('Error updating segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update segment',
+      error: error.message
+    });
+  }
+};
+
+export const deleteSegment = async (req, res) => {
+  try {
+    const result = await removeSegment(req.params.id);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await logSegmentActivity(req, 'segment_deleted', result.segment, { detachedFromDrafts: result.detachedFrom });
+
+    res.json({
+      success: true,
+      message: result.detachedFrom > 0
+        ? `Segment deleted and removed from ${result.detachedFrom} draft newsletter${result.detachedFrom === 1 ? '' : 's'}`
+        : 'Segment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete segment',
+      error: error.message
+    });
+  }
+};
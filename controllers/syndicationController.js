@@ -8,9 +8,20 @@ import Beef from '../models/Beef.js';
 import Goat from '../models/Goat.js';
 import Piggery from '../models/Piggery.js';
 import Basic from '../models/Basic.js';
+import Auction from '../models/Auction.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resolveLanguage } from '../config/languages.js';
+import { localizeContent } from '../models/base/Translations.js';
+import { buildCalendar, eventToCalendarEntries, auctionToCalendarEntry, calendarFileName } from '../utils/icalendar.js';
+import cacheService from '../middleware/cache.js';
 
 const BASE_URL = process.env.BASE_URL || 'https://ishaazilivestockservices.com';
 
+// Most events and most auctions in one calendar feed (?limit= may ask for fewer)
+const CALENDAR_FEED_LIMIT = 200;
+
+// Seconds a generated calendar feed is kept in the cache
+const CALENDAR_FEED_TTL = 3600;
+
 // Helper function to escape XML characters
 const escapeXml = (str) => {
   if (!str) return '';
@@ -22,6 +33,14 @@ const escapeXml = (str) => {
     .replace(/'/g, '&#39;');
 };
 
+// Helper function to add the ?lang= parameter for non-default languages
+const withLanguage = (url, language) => {
+  return language && language !== DEFAULT_LANGUAGE ? `${url}?lang=${language}` : url;
+};
+
+// Helper function to read the feed language from ?lang= (falls back to the default language)
+const getFeedLanguage = (req) => resolveLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+
 // Helper function to strip HTML tags
 const stripHtml = (html) => {
   if (!html) return '';
@@ -29,10 +48,10 @@ const stripHtml = (html) => {
 };
 
 // Helper function to create RSS item
-const createRSSItem = (item, contentType) => {
+const createRSSItem = (item, contentType, language = DEFAULT_LANGUAGE) => {
   const title = escapeXml(item.title || item.name || 'Untitled');
   const description = escapeXml(stripHtml(item.content || item.description || item.summary || '').substring(0, 500));
-  const link = `${BASE_URL}/${contentType}/${item._id}`;
+  const link = withLanguage(`${BASE_URL}/${contentType}/${item.slug || item._id}`, language);
   const pubDate = item.publishedAt || item.createdAt;
   const author = escapeXml(item.author || 'Ishaazi Livestock Services');
   const category = escapeXml(item.category || 'Agriculture');
@@ -51,8 +70,8 @@ const createRSSItem = (item, contentType) => {
 };
 
 // Helper function to create RSS feed structure
-const createRSSFeed = (items, feedTitle, feedDescription, contentType) => {
-  const rssItems = items.map(item => createRSSItem(item, contentType)).join('');
+const createRSSFeed = (items, feedTitle, feedDescription, contentType, language = DEFAULT_LANGUAGE) => {
+  const rssItems = items.map(item => createRSSItem(item, contentType, language)).join('');
   
   return `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">
@@ -60,7 +79,7 @@ const createRSSFeed = (items, feedTitle, feedDescription, contentType) => {
     <title>${escapeXml(feedTitle)}</title>
     <link>${BASE_URL}</link>
     <description>${escapeXml(feedDescription)}</description>
-    <language>en-US</language>
+    <language>${SUPPORTED_LANGUAGES[language].locale}</language>
     <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
     <generator>Ishaazi Livestock Services RSS Generator</generator>
     <webMaster>admin@ishaazilivestockservices.com (Ishaazi Livestock Services)</webMaster>
@@ -72,7 +91,7 @@ const createRSSFeed = (items, feedTitle, feedDescription, contentType) => {
       <width>144</width>
       <height>144</height>
     </image>
-    <atom:link href="${BASE_URL}/api/syndication/rss/${contentType}" rel="self" type="application/rss+xml" />
+    <atom:link href="${withLanguage(`${BASE_URL}/api/syndication/rss/${contentType}`, language)}" rel="self" type="application/rss+xml" />
     ${rssItems}
   </channel>
 </rss>`;
@@ -82,17 +101,18 @@ const createRSSFeed = (items, feedTitle, feedDescription, contentType) => {
 export const getBlogRSSFeed = async (req, res) => {
   try {
     const { limit = 50 } = req.query;
+    const language = getFeedLanguage(req);
     
     const blogs = await Blog.find({ published: true })
       .sort({ publishedAt: -1, createdAt: -1 })
       .limit(parseInt(limit))
-      .select('title content author category imageUrl publishedAt createdAt')
+      .select('title content author category imageUrl publishedAt createdAt slug translations')
       .lean();
 
     const feedTitle = 'Ishaazi Livestock Services - Blog Articles';
     const feedDescription = 'Latest farming insights, tips, and agricultural innovations from East Africa\'s leading livestock services provider.';
     
-    const rssXml = createRSSFeed(blogs, feedTitle, feedDescription, 'blogs');
+    const rssXml = createRSSFeed(blogs.map(item => localizeContent(item, language)), feedTitle, feedDescription, 'blogs', language);
     
     res.set({
       'Content-Type': 'application/rss+xml; charset=utf-8',
@@ -114,17 +134,18 @@ export const getBlogRSSFeed = async (req, res) => {
 export const getNewsRSSFeed = async (req, res) => {
   try {
     const { limit = 50 } = req.query;
+    const language = getFeedLanguage(req);
     
     const news = await News.find({ published: true })
       .sort({ publishedAt: -1, createdAt: -1 })
       .limit(parseInt(limit))
-      .select('title content summary author category imageUrl publishedAt createdAt')
+      .select('title content summary author category imageUrl publishedAt createdAt slug translations')
       .lean();
 
     const feedTitle = 'Ishaazi Livestock Services - Latest News';
     const feedDescription = 'Breaking news and updates from the agricultural and livestock industry in East Africa.';
     
-    const rssXml = createRSSFeed(news, feedTitle, feedDescription, 'news');
+    const rssXml = createRSSFeed(news.map(item => localizeContent(item, language)), feedTitle, feedDescription, 'news', language);
     
     res.set({
       'Content-Type': 'application/rss+xml; charset=utf-8',
@@ -146,6 +167,7 @@ export const getNewsRSSFeed = async (req, res) => {
 export const getAllContentRSSFeed = async (req, res) => {
   try {
     const { limit = 100 } = req.query;
+    const language = getFeedLanguage(req);
     const perTypeLimit = Math.floor(parseInt(limit) / 5); // Distribute across content types
     
     // Fetch different content types
@@ -153,37 +175,38 @@ export const getAllContentRSSFeed = async (req, res) => {
       Blog.find({ published: true })
         .sort({ publishedAt: -1, createdAt: -1 })
         .limit(perTypeLimit)
-        .select('title content author category imageUrl publishedAt createdAt')
+        .select('title content author category imageUrl publishedAt createdAt slug translations')
         .lean(),
       News.find({ published: true })
         .sort({ publishedAt: -1, createdAt: -1 })
         .limit(perTypeLimit)
-        .select('title content summary author category imageUrl publishedAt createdAt')
+        .select('title content summary author category imageUrl publishedAt createdAt slug translations')
         .lean(),
       Event.find({ published: true })
         .sort({ eventDate: -1, createdAt: -1 })
         .limit(perTypeLimit)
-        .select('title description location eventDate imageUrl createdAt category')
+        .select('title description location eventDate imageUrl createdAt category slug translations')
         .lean(),
       Magazine.find({ published: true })
         .sort({ createdAt: -1 })
         .limit(perTypeLimit)
-        .select('title description imageUrl createdAt category')
+        .select('title description imageUrl createdAt category slug translations')
         .lean(),
       Dairy.find({ published: true })
         .sort({ createdAt: -1 })
         .limit(perTypeLimit)
-        .select('title content category imageUrl createdAt')
+        .select('title content category imageUrl createdAt slug translations')
         .lean()
     ]);
 
     // Combine and sort all content by date
+    const localize = items => items.map(item => localizeContent(item, language));
     const allContent = [
-      ...blogs.map(item => ({ ...item, contentType: 'blogs' })),
-      ...news.map(item => ({ ...item, contentType: 'news' })),
-      ...events.map(item => ({ ...item, contentType: 'events', content: item.description })),
-      ...magazines.map(item => ({ ...item, contentType: 'magazines', content: item.description })),
-      ...dairies.map(item => ({ ...item, contentType: 'dairies' }))
+      ...localize(blogs).map(item => ({ ...item, contentType: 'blogs' })),
+      ...localize(news).map(item => ({ ...item, contentType: 'news' })),
+      ...localize(events).map(item => ({ ...item, contentType: 'events', content: item.description })),
+      ...localize(magazines).map(item => ({ ...item, contentType: 'magazines', content: item.description })),
+      ...localize(dairies).map(item => ({ ...item, contentType: 'dairies' }))
     ].sort((a, b) => new Date(b.publishedAt || b.createdAt) - new Date(a.publishedAt || a.createdAt))
      .slice(0, parseInt(limit));
 
@@ -191,7 +214,7 @@ export const getAllContentRSSFeed = async (req, res) => {
     const feedDescription = 'Complete feed of all content from East Africa\'s premier agricultural and livestock services platform.';
     
     // Create RSS with mixed content types
-    const rssItems = allContent.map(item => createRSSItem(item, item.contentType)).join('');
+    const rssItems = allContent.map(item => createRSSItem(item, item.contentType, language)).join('');
     
     const rssXml = `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">
@@ -199,7 +222,7 @@ export const getAllContentRSSFeed = async (req, res) => {
     <title>${escapeXml(feedTitle)}</title>
     <link>${BASE_URL}</link>
     <description>${escapeXml(feedDescription)}</description>
-    <language>en-US</language>
+    <language>${SUPPORTED_LANGUAGES[language].locale}</language>
     <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
     <generator>Ishaazi Livestock Services RSS Generator</generator>
     <webMaster>admin@ishaazilivestockservices.com (Ishaazi Livestock Services)</webMaster>
@@ -211,7 +234,7 @@ export const getAllContentRSSFeed = async (req, res) => {
       <width>144</width>
       <height>144</height>
     </image>
-    <atom:link href="${BASE_URL}/api/syndication/rss/all" rel="self" type="application/rss+xml" />
+    <atom:link href="${withLanguage(`${BASE_URL}/api/syndication/rss/all`, language)}" rel="self" type="application/rss+xml" />
     ${rssItems}
   </channel>
 </rss>`;
@@ -232,28 +255,161 @@ export const getAllContentRSSFeed = async (req, res) => {
   }
 };
 
+// Upcoming published events: not yet finished (multi-day events stay listed until they end)
+const findUpcomingEvents = (limit) => {
+  const now = new Date();
+  return Event.find({
+    published: true,
+    $or: [
+      { startDate: { $gte: now } },
+      { endDate: { $gte: now } },
+      // Recurring events stay in the feed until their last occurrence ends
+      { 'recurrence.frequency': { $exists: true }, seriesEndsAt: { $not: { $lt: now } } }
+    ]
+  })
+    .sort({ startDate: 1 })
+    .limit(limit)
+    .select('title description location startDate endDate recurrence occurrences slug updatedAt translations')
+    .lean();
+};
+
+// Send an iCalendar document, as a download when a file name is given
+const sendCalendar = (res, calendar, fileName) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600',
+    ...(fileName ? { 'Content-Disposition': `attachment; filename="${fileName}"` } : {})
+  });
+
+  res.send(calendar);
+};
+
+// Get Events & Auctions Calendar Feed (iCalendar, for subscribing from phone calendars)
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const { type = 'all' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || CALENDAR_FEED_LIMIT, 1), CALENDAR_FEED_LIMIT);
+    const language = getFeedLanguage(req);
+
+    const cacheKey = cacheService.generateKey('syndication:calendar', { type, limit, language });
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return sendCalendar(res, cached);
+    }
+
+    const [events, auctions] = await Promise.all([
+      type === 'auctions' ? [] : findUpcomingEvents(limit),
+      type === 'events' ? [] : Auction.findUpcoming()
+        .limit(limit)
+        .select('title description location date startTime endTime status auctioneer registrationDeadline slug updatedAt')
+        .lean()
+    ]);
+
+    const entries = [
+      ...events.flatMap(item => eventToCalendarEntries(localizeContent(item, language))),
+      ...auctions.map(auctionToCalendarEntry)
+    ].sort((a, b) => a.start - b.start);
+
+    const calendar = buildCalendar(entries, {
+      name: 'Ishaazi Livestock Services - Events & Auctions',
+      description: 'Upcoming field days, training events and livestock auctions from Ishaazi Livestock Services.'
+    });
+
+    await cacheService.set(cacheKey, calendar, CALENDAR_FEED_TTL);
+    sendCalendar(res, calendar);
+  } catch (error) {
+    console.error('Error generating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Get a single Event as an .ics download
+export const getEventCalendar = async (req, res) => {
+  try {
+    const language = getFeedLanguage(req);
+    const event = await Event.findOne({ _id: req.params.id, published: true })
+      .select('title description location startDate endDate recurrence occurrences slug updatedAt translations')
+      .lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const localized = localizeContent(event, language);
+    sendCalendar(res, buildCalendar(eventToCalendarEntries(localized), { name: localized.title }), calendarFileName(event));
+  } catch (error) {
+    console.error('Error generating event calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating event calendar',
+      error: error.message
+    });
+  }
+};
+
+// Get a single Auction as an .ics download
+export const getAuctionCalendar = async (req, res) => {
+  try {
+    const auction = await Auction.findOne({ _id: req.params.id, published: true })
+      .select('title description location date startTime endTime status auctioneer registrationDeadline slug updatedAt')
+      .lean();
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    sendCalendar(res, buildCalendar([auctionToCalendarEntry(auction)], { name: auction.title }), calendarFileName(auction));
+  } catch (error) {
+    console.error('Error generating auction calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating auction calendar',
+      error: error.message
+    });
+  }
+};
+
 // Generate XML Sitemap
 export const generateSitemap = async (req, res) => {
   try {
     // Fetch all published content
     const [blogs, news, events, farms, magazines, dairies, beefs, goats, piggeries, basics] = await Promise.all([
-      Blog.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      News.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Event.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Farm.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Magazine.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Dairy.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Beef.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Goat.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Piggery.find({ published: true }).select('_id updatedAt createdAt').lean(),
-      Basic.find({ published: true }).select('_id updatedAt createdAt').lean()
+      Blog.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      News.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Event.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Farm.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Magazine.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Dairy.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Beef.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Goat.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Piggery.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean(),
+      Basic.find({ published: true }).select('_id slug updatedAt createdAt translations.language').lean()
     ]);
 
     // Helper function to create sitemap URL
-    const createSitemapUrl = (path, lastmod, changefreq = 'weekly', priority = '0.7') => {
+    // Translated content lists every language version as an hreflang alternate
+    const createSitemapUrl = (path, lastmod, changefreq = 'weekly', priority = '0.7', translations = []) => {
+      const languages = [DEFAULT_LANGUAGE, ...translations.map(entry => entry.language)];
+      const alternates = translations.length === 0 ? '' : [
+        ...languages.map(language => `
+    <xhtml:link rel="alternate" hreflang="${language}" href="${withLanguage(`${BASE_URL}${path}`, language)}" />`),
+        `
+    <xhtml:link rel="alternate" hreflang="x-default" href="${BASE_URL}${path}" />`
+      ].join('');
+
       return `
   <url>
-    <loc>${BASE_URL}${path}</loc>
+    <loc>${BASE_URL}${path}</loc>${alternates}
     <lastmod>${new Date(lastmod).toISOString()}</lastmod>
     <changefreq>${changefreq}</changefreq>
     <priority>${priority}</priority>
@@ -279,29 +435,30 @@ export const generateSitemap = async (req, res) => {
       createSitemapUrl('/suppliers', new Date(), 'monthly', '0.6')
     ].join('');
 
-    // Dynamic content URLs
+    // Dynamic content URLs (slug when set, ID for content not yet migrated)
     const contentUrls = [
-      ...blogs.map(item => createSitemapUrl(`/blogs/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.8')),
-      ...news.map(item => createSitemapUrl(`/news/${item._id}`, item.updatedAt || item.createdAt, 'weekly', '0.8')),
-      ...events.map(item => createSitemapUrl(`/events/${item._id}`, item.updatedAt || item.createdAt, 'weekly', '0.7')),
-      ...farms.map(item => createSitemapUrl(`/farm/${item._id}`, item.updatedAt || item.createdAt, 'weekly', '0.7')),
-      ...magazines.map(item => createSitemapUrl(`/magazines/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.6')),
-      ...dairies.map(item => createSitemapUrl(`/dairy/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7')),
-      ...beefs.map(item => createSitemapUrl(`/beef/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7')),
-      ...goats.map(item => createSitemapUrl(`/goats/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7')),
-      ...piggeries.map(item => createSitemapUrl(`/piggery/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7')),
-      ...basics.map(item => createSitemapUrl(`/basics/${item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.6'))
+      ...blogs.map(item => createSitemapUrl(`/blogs/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.8', item.translations)),
+      ...news.map(item => createSitemapUrl(`/news/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'weekly', '0.8', item.translations)),
+      ...events.map(item => createSitemapUrl(`/events/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'weekly', '0.7', item.translations)),
+      ...farms.map(item => createSitemapUrl(`/farm/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'weekly', '0.7', item.translations)),
+      ...magazines.map(item => createSitemapUrl(`/magazines/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.6', item.translations)),
+      ...dairies.map(item => createSitemapUrl(`/dairy/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7', item.translations)),
+      ...beefs.map(item => createSitemapUrl(`/beef/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7', item.translations)),
+      ...goats.map(item => createSitemapUrl(`/goats/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7', item.translations)),
+      ...piggeries.map(item => createSitemapUrl(`/piggery/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.7', item.translations)),
+      ...basics.map(item => createSitemapUrl(`/basics/${item.slug || item._id}`, item.updatedAt || item.createdAt, 'monthly', '0.6', item.translations))
     ].join('');
 
     // RSS feed URLs
     const rssUrls = [
       createSitemapUrl('/api/syndication/rss/blogs', new Date(), 'daily', '0.5'),
       createSitemapUrl('/api/syndication/rss/news', new Date(), 'daily', '0.5'),
-      createSitemapUrl('/api/syndication/rss/all', new Date(), 'daily', '0.5')
+      createSitemapUrl('/api/syndication/rss/all', new Date(), 'daily', '0.5'),
+      createSitemapUrl('/api/syndication/calendar.ics', new Date(), 'daily', '0.5')
     ].join('');
 
     const sitemapXml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
 ${staticUrls}${contentUrls}${rssUrls}
 </urlset>`;
 
@@ -0,0 +1,213 @@
+/**
+ * @file Translation Controller
+ * @description Editor endpoints for content translations. Translations are
+ * stored on the canonical document (see models/base/Translations.js) and are
+ * served to readers by middleware/language.js.
+ * @module controllers/translationController
+ */
+
+import ActivityLog from '../models/ActivityLog.js';
+import Blog from '../models/Blog.js';
+import News from '../models/News.js';
+import Basic from '../models/Basic.js';
+import Magazine from '../models/Magazine.js';
+import Event from '../models/Event.js';
+import { getSpeciesModel } from '../models/Livestock.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+import { SUPPORTED_LANGUAGES, TRANSLATION_LANGUAGES, resolveLanguage } from '../config/languages.js';
+
+// Translatable content types, with their ActivityLog resource name
+const translatableContentTypes = {
+    blogs: { Model: Blog, resource: 'blog' },
+    news: { Model: News, resource: 'news' },
+    basics: { Model: Basic, resource: 'basic' },
+    magazines: { Model: Magazine, resource: 'magazine' },
+    events: { Model: Event, resource: 'event' },
+    ...Object.fromEntries(
+        Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [config.path, { Model: getSpeciesModel(species), resource: species }])
+    )
+};
+
+/**
+ * Look up the content type from the route, sending an error response if it is invalid
+ * @returns {Object|null} Content type config, or null if a response was sent
+ */
+const resolveContentType = (req, res) => {
+    const config = translatableContentTypes[req.params.contentType];
+    if (!config) {
+        res.status(400).json({ success: false, message: 'Translations are not available for this content type' });
+        return null;
+    }
+    return config;
+};
+
+/**
+ * Look up the translation language from the route, sending an error response if it is invalid
+ * @returns {string|null} Language code, or null if a response was sent
+ */
+const resolveTranslationLanguage = (req, res) => {
+    const language = resolveLanguage(req.params.language);
+    if (!language || !TRANSLATION_LANGUAGES.includes(language)) {
+        res.status(400).json({
+            success: false,
+            message: `Translations can be added for: ${TRANSLATION_LANGUAGES.join(', ')}`
+        });
+        return null;
+    }
+    return language;
+};
+
+/**
+ * Record a translation change in the activity log
+ */
+const logTranslationActivity = async (req, action, resource, item, language) => {
+    await ActivityLog.logActivity({
+        userId: req.user._id,
+        username: req.user.username || req.user.companyEmail,
+        userRole: req.user.role,
+        action,
+        resource,
+        resourceId: item._id.toString(),
+        resourceTitle: item.title,
+        details: {
+            method: req.method,
+            path: req.path,
+            additionalInfo: {
+                contentType: req.params.contentType,
+                language
+            }
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        status: 'success',
+        severity: 2
+    });
+};
+
+/**
+ * List a content item's translations, with the languages still missing
+ */
+export const listTranslations = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+
+        const item = await config.Model.findById(req.params.id).select('title translations').lean();
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Content not found' });
+        }
+
+        const translations = item.translations || [];
+        const translated = translations.map(entry => entry.language);
+
+        res.json({
+            success: true,
+            data: {
+                translations,
+                fields: config.Model.getTranslatableFields(),
+                missingLanguages: TRANSLATION_LANGUAGES.filter(language => !translated.includes(language)),
+                languages: SUPPORTED_LANGUAGES
+            }
+        });
+    } catch (error) {
+        console.error('Error listing translations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list translations',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create or replace the translation for one language
+ * Body: the translatable fields (title, content / description). Fields left
+ * out are cleared, so they fall back to the canonical text.
+ */
+export const saveTranslation = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+        const language = resolveTranslationLanguage(req, res);
+        if (!language) return;
+
+        const fields = config.Model.getTranslatableFields();
+        const values = Object.fromEntries(
+            fields
+                .filter(field => typeof req.body[field] === 'string' && req.body[field].trim())
+                .map(field => [field, req.body[field]])
+        );
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Provide at least one of: ${fields.join(', ')}`
+            });
+        }
+
+        const item = await config.Model.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Content not found' });
+        }
+
+        const existing = item.translations.find(entry => entry.language === language);
+        if (existing) {
+            fields.forEach(field => existing.set(field, values[field]));
+            existing.set({ translatedBy: req.user._id, updatedAt: new Date() });
+        } else {
+            item.translations.push({ language, ...values, translatedBy: req.user._id, updatedAt: new Date() });
+        }
+
+        const savedItem = await item.save();
+        await logTranslationActivity(req, 'translation_saved', config.resource, savedItem, language);
+
+        res.json({
+            success: true,
+            message: `${SUPPORTED_LANGUAGES[language].name} translation saved`,
+            data: savedItem.translations.find(entry => entry.language === language)
+        });
+    } catch (error) {
+        console.error('Error saving translation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save translation',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Remove the translation for one language
+ */
+export const deleteTranslation = async (req, res) => {
+    try {
+        const config = resolveContentType(req, res);
+        if (!config) return;
+        const language = resolveTranslationLanguage(req, res);
+        if (!language) return;
+
+        const item = await config.Model.findOneAndUpdate(
+            { _id: req.params.id, 'translations.language': language },
+            { $pull: { translations: { language } } },
+            { new: true }
+        );
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Translation not found' });
+        }
+
+        await logTranslationActivity(req, 'translation_deleted', config.resource, item, language);
+
+        res.json({
+            success: true,
+            message: `${SUPPORTED_LANGUAGES[language].name} translation deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting translation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete translation',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,33 @@
+// middleware/bidderAuth.js
+import liveBiddingService from '../services/liveBiddingService.js';
+
+/**
+ * @function authenticateBidder
+ * @description Authenticates a live-auction bidder by the bidder token sent
+ * with their registration approval (registrants have no user account).
+ * - Accepts `Authorization: Bearer <token>` or a bare token
+ * - The token must belong to the auction in `req.params.auctionId`
+ * - Sets req.bidder to { auctionId, registrationId, bidderNumber }
+ */
+export const authenticateBidder = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : authHeader;
+  const bidder = token ? liveBiddingService.verifyBidderToken(token) : null;
+
+  if (!bidder) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied: A valid bidder token is required'
+    });
+  }
+
+  if (req.params.auctionId && bidder.auctionId !== req.params.auctionId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This bidder token is for a different auction'
+    });
+  }
+
+  req.bidder = bidder;
+  next();
+};
@@ -209,8 +209,9 @@ export const cacheMiddleware = (ttlSeconds = 300) => {
     }
 
     // Generate cache key based on URL and query parameters
+    // (baseUrl included so routers mounted at several paths don't share keys)
     const cacheKey = cacheService.generateKey(
-      `api:${req.path}`,
+      `api:${req.baseUrl}${req.path}`,
       req.query
     );
 
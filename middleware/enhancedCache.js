@@ -196,6 +196,13 @@ export const cacheProfiles = {
   userSpecific: smartCache({ 
     ttl: 30 * 1000, // 30 seconds
     condition: (req) => !!req.user
+  }),
+
+  // Related content - cache for 30 minutes, keyed by the source article
+  // so invalidateRelatedContent can find it
+  related: smartCache({
+    profile: 'long',
+    keyGenerator: (req) => `related:${req.params.id}:${generateCacheKey(req)}`
   })
 };
 
@@ -233,6 +240,34 @@ export const invalidateCache = (pattern) => {
   return removed;
 };
 
+/**
+ * Drop cached related-content lists for an article: its own list and every
+ * list it appears in
+ * @param {ObjectId|String} contentId
+ * @returns {number} Entries removed
+ */
+export const invalidateRelatedContentFor = (contentId) => {
+  const id = String(contentId);
+  return invalidateCache((key, entry) => key.startsWith('related:') && (
+    key.startsWith(`related:${id}:`) || JSON.stringify(entry.data).includes(id)
+  ));
+};
+
+/**
+ * Drop cached related-content lists once a change to the article in
+ * req.params.id succeeds
+ */
+export const invalidateRelatedContent = (req, res, next) => {
+  const contentId = req.params.id;
+
+  res.on('finish', () => {
+    if (!contentId || res.statusCode < 200 || res.statusCode >= 300) return;
+    invalidateRelatedContentFor(contentId);
+  });
+
+  next();
+};
+
 /**
  * Cache middleware for specific routes
  */
@@ -297,6 +332,8 @@ export default {
   smartCache,
   cacheProfiles,
   invalidateCache,
+  invalidateRelatedContent,
+  invalidateRelatedContentFor,
   cacheRoute,
   getCacheStats,
   clearCache,
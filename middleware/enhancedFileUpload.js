@@ -21,6 +21,17 @@ const allowedTypes = {
   media: {
     extensions: ['.mp3', '.mp4', '.wav', '.avi', '.mov', '.wmv'],
     mimeTypes: ['audio/mpeg', 'audio/wav', 'video/mp4', 'video/avi', 'video/quicktime', 'video/x-ms-wmv']
+  },
+  // Auction lot catalogues (spreadsheets); browsers report CSV under several types
+  catalogue: {
+    extensions: ['.xlsx', '.csv'],
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/csv',
+      'application/csv',
+      'application/vnd.ms-excel',
+      'text/plain'
+    ]
   }
 };
 
@@ -75,6 +86,28 @@ export const uploadMedia = multer({
   }
 });
 
+// Auction lot catalogue upload: kept in memory for parsing, never stored
+const catalogueUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+}).single('catalogue');
+
+export const uploadCatalogue = (req, res, next) => {
+  catalogueUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'Catalogue file is too large (max 5MB)' : err.message
+      });
+    }
+    next();
+  });
+};
+
 // Helper function for image optimization
 const optimizeImage = async (file) => {
   // Add null checks to prevent errors
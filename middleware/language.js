@@ -0,0 +1,99 @@
+// middleware/language.js
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resolveLanguage } from '../config/languages.js';
+import { localizeContent } from '../models/base/Translations.js';
+
+// Deep enough for { data: { blogs: [item] } } and search result groups
+const MAX_LOCALIZE_DEPTH = 5;
+
+/**
+ * Pick the best supported language from an Accept-Language header
+ * ("sw-KE,sw;q=0.9,en;q=0.8" → "sw")
+ *
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null} Supported language code, or null
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranked = header
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { language: resolveLanguage(range), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.language && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return ranked.length > 0 ? ranked[0].language : null;
+};
+
+/**
+ * @function negotiateLanguage
+ * @description Sets req.language from ?lang= (takes precedence) or the
+ * Accept-Language header, falling back to the default language
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const negotiateLanguage = (req, res, next) => {
+  req.language = resolveLanguage(req.query.lang)
+    || parseAcceptLanguage(req.get('Accept-Language'))
+    || DEFAULT_LANGUAGE;
+
+  res.vary('Accept-Language');
+  res.set('Content-Language', SUPPORTED_LANGUAGES[req.language].locale);
+  next();
+};
+
+/**
+ * Recursively localize every content object (anything with a translations array)
+ * @private
+ */
+const localizeBody = (value, language, depth = 0) => {
+  if (depth > MAX_LOCALIZE_DEPTH || value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    return value.map(entry => localizeBody(entry, language, depth + 1));
+  }
+
+  if (Array.isArray(value.translations)) {
+    return localizeContent(value, language);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [key, localizeBody(entry, language, depth + 1)])
+  );
+};
+
+/**
+ * @function localizeResponse
+ * @description Serves content in req.language by rewriting JSON responses.
+ * Runs after response caches (they store the canonical body), and leaves
+ * authenticated requests untouched so editors always work on the canonical text.
+ * Must be mounted after negotiateLanguage.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const localizeResponse = (req, res, next) => {
+  const originalJson = res.json;
+
+  res.json = function(body) {
+    if (req.method !== 'GET' || req.user || !body || typeof body !== 'object') {
+      return originalJson.call(this, body);
+    }
+
+    // Work on a copy: the original body may be held by the response cache
+    const plainBody = JSON.parse(JSON.stringify(body));
+    return originalJson.call(this, localizeBody(plainBody, req.language || DEFAULT_LANGUAGE));
+  };
+
+  next();
+};
+
+export default {
+  negotiateLanguage,
+  localizeResponse
+};
@@ -88,3 +88,69 @@ export const generalRateLimiter = rateLimit({
     });
   }
 });
+
+/**
+ * Rate limiter for public comment submission
+ */
+export const commentRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 comments per windowMs
+  message: {
+    success: false,
+    message: 'Too many comments from this IP, please try again later.',
+    retryAfter: 15 * 60 * 1000
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many comments from this IP, please try again later.',
+      retryAfter: 15 * 60 * 1000
+    });
+  }
+});
+
+/**
+ * Rate limiter for public auction registrations
+ */
+export const auctionRegistrationRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 registrations per windowMs
+  message: {
+    success: false,
+    message: 'Too many auction registrations from this IP, please try again later.',
+    retryAfter: 60 * 60 * 1000
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many auction registrations from this IP, please try again later.',
+      retryAfter: 60 * 60 * 1000
+    });
+  }
+});
+
+/**
+ * Rate limiter for live auction bids
+ */
+export const bidRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Limit each IP to 30 bids per windowMs
+  message: {
+    success: false,
+    message: 'Too many bids from this IP, please slow down.',
+    retryAfter: 60 * 1000
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many bids from this IP, please slow down.',
+      retryAfter: 60 * 1000
+    });
+  }
+});
@@ -118,6 +118,45 @@ export const optimizeSearchQuery = (searchTerm) => {
   }
 };
 
+// Split a search string into the operators MongoDB $text understands:
+// quoted phrases ("foot and mouth"), terms, and exclusions (-cattle)
+export const parseSearchQuery = (searchTerm) => {
+  const parsed = { phrases: [], terms: [], excluded: [] };
+  if (!searchTerm || typeof searchTerm !== 'string') {
+    return parsed;
+  }
+
+  const normalize = (text) => text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const remainder = searchTerm.replace(/"([^"]*)"/g, (match, phrase) => {
+    const normalized = normalize(phrase);
+    if (normalized) parsed.phrases.push(normalized);
+    return ' ';
+  });
+
+  remainder.split(/\s+/).forEach(token => {
+    const excluded = token.startsWith('-');
+    const word = normalize(token.replace(/^-+/, '')).replace(/\s/g, '');
+    if (word.length < 2) return;
+
+    const list = excluded ? parsed.excluded : parsed.terms;
+    if (!list.includes(word)) list.push(word);
+  });
+
+  return parsed;
+};
+
+// Turn a parsed query back into a $text $search string
+export const buildTextSearch = ({ phrases, terms, excluded }) => [
+  ...phrases.map(phrase => `"${phrase}"`),
+  ...terms,
+  ...excluded.map(term => `-${term}`)
+].join(' ');
+
 // Get enhanced search performance metrics
 export const getSearchMetrics = () => {
   return {
@@ -0,0 +1,57 @@
+// middleware/slugResolver.js
+import mongoose from 'mongoose';
+import SlugRedirect from '../models/SlugRedirect.js';
+
+/**
+ * @function resolveSlug
+ * @description Lets public GET routes take a slug wherever they take an ID.
+ * - ObjectIds pass through unchanged
+ * - A current slug is replaced by the content's ID in req.params, so the
+ *   handler works as before
+ * - An old slug (see models/SlugRedirect.js) answers with a 301 to the
+ *   same URL using the current slug
+ * @param {string|Function} model - Content model name (Blog, News ...), or a function returning the model for the request
+ * @param {string} [paramName='id'] - Route parameter holding the ID or slug
+ * @returns {Function} Express middleware function
+ */
+export const resolveSlug = (model, paramName = 'id') => {
+  return async (req, res, next) => {
+    const value = req.params[paramName];
+    if (!value || /^[0-9a-fA-F]{24}$/.test(value)) {
+      return next();
+    }
+
+    try {
+      const Model = typeof model === 'string' ? mongoose.model(model) : model(req);
+      if (!Model) return next();
+
+      const slug = value.toLowerCase();
+      const item = await Model.findOne({ slug }).select('_id').lean();
+      if (item) {
+        req.params[paramName] = item._id.toString();
+        return next();
+      }
+
+      const redirect = await SlugRedirect.findOne({ modelName: Model.modelName, fromSlug: slug }).lean();
+      const target = redirect && await Model.findById(redirect.contentId).select('slug').lean();
+      if (!target || !target.slug) {
+        return res.status(404).json({ success: false, message: 'Content not found' });
+      }
+
+      const [pathname, query] = req.originalUrl.split('?');
+      const segment = `/${encodeURIComponent(value)}`;
+      const index = pathname.lastIndexOf(segment);
+      if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Content not found' });
+      }
+      const location = `${pathname.slice(0, index)}/${target.slug}${pathname.slice(index + segment.length)}`;
+
+      res.redirect(301, query ? `${location}?${query}` : location);
+    } catch (error) {
+      console.error('Error resolving slug:', error);
+      res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    }
+  };
+};
+
+export default resolveSlug;
@@ -113,6 +113,9 @@ export const blogSchemas = {
     // Accept any type for tags (we'll handle conversion in the controller)
     tags: Joi.any().optional(),
     summary: Joi.string().max(500).optional(),
+    publishAt: Joi.date().allow(null, '').optional(),
+    unpublishAt: Joi.date().allow(null, '').optional(),
+    slug: Joi.string().trim().max(100).allow('').optional(),
     published: Joi.boolean().default(false),
     featured: Joi.boolean().default(false),
     readTime: Joi.number().min(1).max(120).default(5)
@@ -135,6 +138,9 @@ export const blogSchemas = {
     // Accept any type for tags (we'll handle conversion in the controller)
     tags: Joi.any().optional(),
     summary: Joi.string().max(500).optional(),
+    publishAt: Joi.date().allow(null, '').optional(),
+    unpublishAt: Joi.date().allow(null, '').optional(),
+    slug: Joi.string().trim().max(100).allow('').optional(),
     published: Joi.alternatives().try(
       Joi.boolean(),
       Joi.string().valid('true', 'false')
@@ -172,6 +178,9 @@ export const newsSchemas = {
     category: Joi.string().valid('Breaking', 'Market', 'Weather', 'Policy', 'General').default('General'),
     // Accept any type for tags like blogs (we'll handle conversion in the controller)
     tags: Joi.any().optional(),
+    publishAt: Joi.date().allow(null, '').optional(),
+    unpublishAt: Joi.date().allow(null, '').optional(),
+    slug: Joi.string().trim().max(100).allow('').optional(),
     published: Joi.alternatives().try(
       Joi.boolean(),
       Joi.string().valid('true', 'false')
@@ -196,6 +205,9 @@ export const newsSchemas = {
     ).optional(),
     category: Joi.string().valid('Breaking', 'Market', 'Weather', 'Policy', 'General').optional(),
     tags: Joi.any().optional(),
+    publishAt: Joi.date().allow(null, '').optional(),
+    unpublishAt: Joi.date().allow(null, '').optional(),
+    slug: Joi.string().trim().max(100).allow('').optional(),
     published: Joi.alternatives().try(
       Joi.boolean(),
       Joi.string().valid('true', 'false')
@@ -340,6 +352,151 @@ export const querySchemas = {
   })
 };
 
+/**
+ * Auction buyer registration validation
+ */
+export const auctionRegistrationSchemas = {
+  create: Joi.object({
+    buyerName: Joi.string().trim().min(2).max(100).required(),
+    buyerEmail: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+    buyerPhone: Joi.string().trim().pattern(/^[+\d\s()-]{7,20}$/).required().messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+    buyerCompany: Joi.string().trim().max(100).allow('').optional(),
+    paymentMethod: Joi.string().valid('cash', 'check', 'bank_transfer', 'credit_card').default('cash'),
+    specialRequirements: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  query: Joi.object({
+    auctionId: Joi.alternatives().try(
+      Joi.string().valid('all'),
+      Joi.string().hex().length(24)
+    ).optional(),
+    status: Joi.string().valid('all', 'pending', 'approved', 'rejected').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(200).optional()
+  })
+};
+
+/**
+ * Live auction bid validation
+ */
+export const liveBiddingSchemas = {
+  bid: Joi.object({
+    lotNumber: Joi.number().integer().min(1).required(),
+    amount: Joi.number().positive().required()
+  })
+};
+
+/**
+ * Auction settlement validation
+ */
+export const auctionSettlementSchemas = {
+  settle: Joi.object({
+    results: Joi.array().items(Joi.alternatives().try(
+      Joi.object({
+        lotNumber: Joi.number().integer().min(1).required(),
+        sold: Joi.boolean().valid(false).required()
+      }),
+      Joi.object({
+        lotNumber: Joi.number().integer().min(1).required(),
+        sold: Joi.boolean().valid(true).optional(),
+        finalPrice: Joi.number().min(0).required(),
+        bidderNumber: Joi.string().trim().pattern(/^\d+$/).required()
+      })
+    )).max(1000).optional()
+  }),
+
+  invoiceStatus: Joi.object({
+    status: Joi.string().valid('paid', 'void').required()
+  })
+};
+
+/**
+ * Data export query validation
+ */
+export const dataExportSchemas = {
+  auctionResults: Joi.object({
+    format: Joi.string().valid('csv', 'excel').optional(),
+    auctionId: Joi.string().hex().length(24).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    })
+  })
+};
+
+/**
+ * Event check-in validation
+ */
+const checkInScan = {
+  code: Joi.string().trim().max(200).required(),
+  scannedAt: Joi.date().iso().optional(),
+  deviceId: Joi.string().trim().max(100).optional()
+};
+
+export const eventCheckInSchemas = {
+  checkIn: Joi.object({
+    ...checkInScan,
+    occurrence: Joi.date().iso().optional()
+  }),
+
+  batch: Joi.object({
+    deviceId: Joi.string().trim().max(100).optional(),
+    occurrence: Joi.date().iso().optional(),
+    scans: Joi.array().items(Joi.object(checkInScan)).min(1).max(500).required()
+  })
+};
+
+/**
+ * Recurring event occurrence validation
+ */
+export const eventOccurrenceSchemas = {
+  query: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional()
+  }),
+
+  reschedule: Joi.object({
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    location: Joi.string().trim().max(200).optional(),
+    reason: Joi.string().trim().max(500).optional()
+  }).or('startDate', 'location'),
+
+  cancel: Joi.object({
+    reason: Joi.string().trim().max(500).optional()
+  })
+};
+
+/**
+ * Market price index query validation
+ */
+export const marketPriceSchemas = {
+  query: Joi.object({
+    category: Joi.string().lowercase().valid('cattle', 'dairy', 'beef', 'goats', 'sheep', 'pigs', 'poultry', 'equipment', 'other').optional(),
+    breed: Joi.string().trim().max(100).optional(),
+    region: Joi.string().trim().max(100).optional(),
+    source: Joi.string().valid('all', 'auction', 'market_report').optional(),
+    interval: Joi.string().valid('week', 'month').optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    groupBy: Joi.string().pattern(/^(category|region|breed|weightBand)(,(category|region|breed|weightBand))*$/).optional().messages({
+      'string.pattern.base': 'groupBy must be a comma-separated list of category, region, breed, weightBand'
+    }),
+    format: Joi.string().valid('series', 'chart').optional(),
+    metric: Joi.string().valid('averagePrice', 'medianPrice', 'averagePricePerKg').optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
 /**
  * File upload validation
  */
@@ -405,6 +562,12 @@ export default {
   magazineSchemas,
   userSchemas,
   querySchemas,
+  auctionRegistrationSchemas,
+  liveBiddingSchemas,
+  auctionSettlementSchemas,
+  marketPriceSchemas,
+  eventCheckInSchemas,
+  eventOccurrenceSchemas,
   validateObjectId,
   validateFileUpload
 };
@@ -5,6 +5,7 @@
  */
 
 import mongoose from 'mongoose';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
 
 /**
  * @constant {mongoose.Schema} ActivityLogSchema
@@ -54,6 +55,28 @@ const ActivityLogSchema = new mongoose.Schema({
             // Content actions
             'content_created', 'content_updated', 'content_deleted', 'content_published', 'content_unpublished',
             
+            // Editorial workflow actions
+            'content_submitted_for_review', 'content_approved', 'content_rejected', 'content_archived',
+            'content_restored', 'reviewer_assigned', 'content_scheduled', 'revision_restored',
+            
+            // Comment moderation actions
+            'comment_approved', 'comment_rejected', 'comment_marked_spam',
+            
+            // Translation actions
+            'translation_saved', 'translation_deleted',
+            
+            // Auction registration actions
+            'auction_registration_created', 'auction_registration_approved', 'auction_registration_rejected',
+            'auction_registrations_exported', 'auction_lots_imported', 'auction_settled', 'auction_invoice_updated',
+            'auction_results_exported',
+            
+            // Event actions
+            'event_check_ins_synced', 'event_attendance_exported',
+            'event_occurrence_rescheduled', 'event_occurrence_cancelled', 'event_occurrence_restored',
+            
+            // Live bidding actions
+            'auction_lot_opened', 'auction_lot_closed', 'auction_lot_hammered',
+            
             // System actions
             'settings_updated', 'security_settings_changed', 'backup_created', 'system_maintenance',
             
@@ -61,7 +84,8 @@ const ActivityLogSchema = new mongoose.Schema({
             'dashboard_accessed', 'report_generated', 'export_data',
             
             // Email actions
-            'email_sent', 'bulk_email_sent', 'newsletter_sent',
+            'email_sent', 'bulk_email_sent', 'newsletter_sent', 'newsletter_scheduled', 'newsletter_send_cancelled',
+            'digest_sweep_started', 'segment_created', 'segment_updated', 'segment_deleted',
             
             // General actions
             'file_uploaded', 'file_deleted', 'api_access', 'data_export', 'data_import'
@@ -78,7 +102,10 @@ const ActivityLogSchema = new mongoose.Schema({
         enum: [
             'user', 'blog', 'news', 'event', 'farm', 'auction', 'newsletter', 'magazine',
             'subscriber', 'notification', 'file', 'system', 'dashboard', 'security',
-            'email', 'settings', 'api', 'performance', 'analytics', 'authentication'
+            'email', 'settings', 'api', 'performance', 'analytics', 'authentication',
+            'basic', 'collection',
+            // Livestock species (config/livestockSpecies.js)
+            ...Object.keys(LIVESTOCK_SPECIES)
         ],
         index: true
     },
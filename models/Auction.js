@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { applySlug } from './base/Slug.js';
 
 const auctionSchema = new mongoose.Schema({
   title: {
@@ -96,6 +97,32 @@ const auctionSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Registration fee cannot be negative']
   },
+  // Minimum raise over the current bid during live bidding; lots can override it
+  bidIncrement: {
+    type: Number,
+    default: 1000,
+    min: [1, 'Bid increment must be at least 1']
+  },
+  // Live bidding state: the lot currently on the block (null between lots)
+  liveBidding: {
+    currentLot: {
+      type: Number,
+      default: null
+    },
+    startedAt: Date
+  },
+  // Post-auction settlement (see services/auctionSettlementService.js)
+  settlement: {
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lotsSold: Number,
+    lotsUnsold: Number,
+    grossSales: Number,
+    buyerCount: Number
+  },
   terms: {
     type: String,
     default: 'Standard auction terms and conditions apply'
@@ -184,6 +211,12 @@ const auctionSchema = new mongoose.Schema({
     rejectionReason: String,
     bidderNumber: String
   }],
+  // Last bidder number handed out; incremented atomically on each approval
+  lastBidderNumber: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   items: [{
     lotNumber: {
       type: Number,
@@ -219,16 +252,49 @@ const auctionSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Farmer or trader consigning the lot, for seller settlement totals
+    seller: {
+      type: String,
+      trim: true
+    },
     sold: {
       type: Boolean,
       default: false
     },
-    notes: String
+    notes: String,
+    // Live bidding
+    bidIncrement: {
+      type: Number,
+      min: 1
+    },
+    lotStatus: {
+      type: String,
+      enum: ['pending', 'open', 'closed', 'sold', 'passed'],
+      default: 'pending'
+    },
+    currentBid: {
+      type: Number,
+      min: 0
+    },
+    currentBidderNumber: String,
+    currentRegistration: mongoose.Schema.Types.ObjectId,
+    bidCount: {
+      type: Number,
+      default: 0
+    },
+    winningBidderNumber: String,
+    winningRegistration: mongoose.Schema.Types.ObjectId,
+    openedAt: Date,
+    closedAt: Date,
+    hammeredAt: Date
   }]
 }, {
   timestamps: true
 });
 
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(auctionSchema);
+
 // Indexes for better query performance
 auctionSchema.index({ date: 1, status: 1 });
 auctionSchema.index({ 'livestock.category': 1 });
@@ -0,0 +1,127 @@
+/**
+ * @file AuctionInvoice Model
+ * @description Buyer invoice produced by auction settlement: one per bidder
+ * per auction, listing the lots they won at their hammer prices. Settling an
+ * auction again refreshes every invoice that has not been paid.
+ * @module models/AuctionInvoice
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {mongoose.Schema} invoiceLineSchema
+ * @description One lot on an invoice
+ */
+const invoiceLineSchema = new mongoose.Schema({
+  lotNumber: {
+    type: Number,
+    required: true
+  },
+  description: String,
+  category: String,
+  breed: String,
+  weight: Number,
+  seller: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * @constant {mongoose.Schema} auctionInvoiceSchema
+ * @description Schema definition for buyer invoices
+ */
+const auctionInvoiceSchema = new mongoose.Schema({
+  /**
+   * @property {String} invoiceNumber - Human-readable number (INV-<yyyymmdd>-<auction>-<bidder>)
+   */
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} auction - Settled auction
+   */
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+
+  /**
+   * @property {String} bidderNumber - Buyer's bidder number in the auction
+   */
+  bidderNumber: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} registrationId - Buyer's auction registration
+   */
+  registrationId: mongoose.Schema.Types.ObjectId,
+
+  /**
+   * @property {Object} buyer - Buyer details copied from the registration
+   */
+  buyer: {
+    name: String,
+    email: String,
+    phone: String,
+    company: String
+  },
+
+  /**
+   * @property {Array<Object>} lines - Lots won
+   */
+  lines: {
+    type: [invoiceLineSchema],
+    default: []
+  },
+
+  /**
+   * @property {Number} total - Sum of hammer prices
+   */
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  /**
+   * @property {String} status - issued, paid or void
+   */
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'void'],
+    default: 'issued'
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Indexes for optimizing common query patterns
+ */
+// One invoice per bidder per auction
+auctionInvoiceSchema.index({ auction: 1, bidderNumber: 1 }, { unique: true });
+
+// Unpaid invoices
+auctionInvoiceSchema.index({ status: 1, issuedAt: -1 });
+
+/**
+ * @constant {mongoose.Model} AuctionInvoice
+ * @description Mongoose model for auction buyer invoices
+ */
+export default mongoose.model('AuctionInvoice', auctionInvoiceSchema);
@@ -0,0 +1,133 @@
+/**
+ * @file AuctionLedger Model
+ * @description Append-only record of everything that happens on the block
+ * during live bidding: every bid attempt (accepted or rejected, with the
+ * reason) and every lot open/close/hammer by the auctioneer. Used to settle
+ * bidding disputes, so entries can never be updated or deleted.
+ * @module models/AuctionLedger
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {Array<String>} LEDGER_ENTRY_TYPES
+ * @description Kinds of ledger entries
+ */
+export const LEDGER_ENTRY_TYPES = ['bid', 'bid_rejected', 'lot_opened', 'lot_closed', 'lot_sold', 'lot_passed'];
+
+/**
+ * @constant {mongoose.Schema} auctionLedgerSchema
+ * @description Schema definition for ledger entries
+ */
+const auctionLedgerSchema = new mongoose.Schema({
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} auction - Auction the entry belongs to
+   */
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+
+  /**
+   * @property {Number} lotNumber - Lot on the block
+   */
+  lotNumber: {
+    type: Number,
+    required: true
+  },
+
+  /**
+   * @property {String} entryType - What happened (see LEDGER_ENTRY_TYPES)
+   */
+  entryType: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+
+  /**
+   * @property {Number} amount - Bid amount, or the hammer price for lot_sold
+   */
+  amount: {
+    type: Number,
+    min: 0
+  },
+
+  /**
+   * @property {Number} sequence - Position of an accepted bid on its lot (1, 2, ...)
+   */
+  sequence: Number,
+
+  /**
+   * @property {String} bidderNumber - Bidder who placed the bid or won the lot
+   */
+  bidderNumber: String,
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} registrationId - Auction registration of that bidder
+   */
+  registrationId: mongoose.Schema.Types.ObjectId,
+
+  /**
+   * @property {String} rejectionReason - Why a bid was refused
+   */
+  rejectionReason: String,
+
+  /**
+   * @property {Object} actor - Auctioneer (staff user) for lot entries
+   */
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String
+  },
+
+  /**
+   * @property {String} channel - How the bid or command arrived
+   */
+  channel: {
+    type: String,
+    enum: ['http', 'websocket'],
+    default: 'http'
+  },
+
+  /**
+   * @property {String} ipAddress - Client IP address
+   */
+  ipAddress: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes for optimizing common query patterns
+ */
+// Bid history of a lot, in order
+auctionLedgerSchema.index({ auction: 1, lotNumber: 1, createdAt: 1 });
+
+// Everything a bidder did in an auction
+auctionLedgerSchema.index({ auction: 1, bidderNumber: 1, createdAt: 1 });
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Auction ledger entries cannot be modified or deleted'));
+};
+
+auctionLedgerSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+auctionLedgerSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+/**
+ * @constant {mongoose.Model} AuctionLedger
+ * @description Mongoose model for auction ledger entries
+ */
+export default mongoose.model('AuctionLedger', auctionLedgerSchema);
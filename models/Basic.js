@@ -9,6 +9,11 @@
  * @module models/Basic
  */
 import mongoose from 'mongoose';
+import { applyEditorialWorkflow } from './base/EditorialWorkflow.js';
+import { applyRevisionHistory } from './base/RevisionHistory.js';
+import { applySlug } from './base/Slug.js';
+import { applyTranslations } from './base/Translations.js';
+import { applySearchIndex } from './base/SearchIndex.js';
 
 /**
  * Schema for basic media content (videos/audio)
@@ -83,8 +88,25 @@ const basicSchema = new mongoose.Schema(
   { timestamps: true } // Auto-manages createdAt and updatedAt
 );
 
-// Create indexes for better search and filtering
-basicSchema.index({ title: 'text', description: 'text' });
+// Editorial workflow (draft → in_review → approved → published → archived)
+applyEditorialWorkflow(basicSchema);
+
+// Snapshot edits into ContentRevision
+applyRevisionHistory(basicSchema, {
+  contentType: 'basics',
+  fields: ['title', 'description', 'metadata', 'mediaFile', 'thumbnail']
+});
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(basicSchema);
+
+// Per-language translations (see config/languages.js)
+applyTranslations(basicSchema, { fields: ['title', 'description'] });
+
+// Weighted text index for search (title > description)
+applySearchIndex(basicSchema, { title: ['title'], body: ['description'] });
+
+// Create indexes for better filtering
 basicSchema.index({ fileType: 1, published: 1 });
 basicSchema.index({ createdAt: -1 });
 
@@ -7,6 +7,14 @@
  * @module models/Blog
  */
 import mongoose from 'mongoose';
+import { applyEditorialWorkflow } from './base/EditorialWorkflow.js';
+import { applyRevisionHistory } from './base/RevisionHistory.js';
+import { applyPublishSchedule } from './base/PublishSchedule.js';
+import { applySlug } from './base/Slug.js';
+import { applyTranslations } from './base/Translations.js';
+import { applySearchIndex } from './base/SearchIndex.js';
+import { commentSchema } from './base/Comments.js';
+import { getContentSubscriptionTypes } from '../utils/contentTopics.js';
 
 /**
  * Blog Schema Definition
@@ -19,6 +27,9 @@ import mongoose from 'mongoose';
  * @property {boolean} [published=true] - Whether the blog is publicly visible
  * @property {Date} [publishedAt] - Date when blog was first published
  * @property {boolean} [notificationSent=false] - Whether notification was sent for this blog
+ * @property {string} [status=draft] - Editorial workflow status (see base/EditorialWorkflow.js)
+ * @property {Date} [publishAt] - Scheduled go-live time
+ * @property {Date} [unpublishAt] - Scheduled take-down time
  * @property {number} [views=0] - Number of views/reads
  * @property {number} [likes=0] - Number of likes/upvotes
  * @property {number} [shares=0] - Number of times shared
@@ -26,7 +37,7 @@ import mongoose from 'mongoose';
  * @property {string[]} [tags] - Array of tags
  * @property {number} [readTime=5] - Estimated reading time in minutes
  * @property {boolean} [featured=false] - Whether this is a featured blog post
- * @property {Array} [comments] - Array of user comments
+ * @property {Array} [comments] - Moderated reader comments and replies (see base/Comments.js)
  */
 const blogSchema = new mongoose.Schema(
   {
@@ -46,11 +57,31 @@ const blogSchema = new mongoose.Schema(
     category: { type: String, default: 'General' },
     tags: [{ type: String }],
     readTime: { type: Number, default: 5 }, // estimated minutes
-    featured: { type: Boolean, default: false }
+    featured: { type: Boolean, default: false },
+    // Reader comments, not selected by default (they hold reader emails)
+    comments: { type: [commentSchema], select: false }
   },
   { timestamps: true }
 );
 
+// Editorial workflow (draft → in_review → approved → published → archived)
+applyEditorialWorkflow(blogSchema);
+
+// Snapshot edits into ContentRevision
+applyRevisionHistory(blogSchema, { contentType: 'blogs' });
+
+// Scheduled go-live / take-down times
+applyPublishSchedule(blogSchema);
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(blogSchema);
+
+// Per-language translations (see config/languages.js)
+applyTranslations(blogSchema, { fields: ['title', 'content'] });
+
+// Weighted text index for search (title > tags > content)
+applySearchIndex(blogSchema, { title: ['title'], tags: ['tags'], body: ['content'] });
+
 /**
  * Middleware to set publishedAt timestamp and trigger notifications
  * Runs before saving a blog document
@@ -82,16 +113,7 @@ blogSchema.pre('save', async function(next) {
       const { sendContentNotification } = await import('../services/notificationService.js');
       
       // Determine target subscription types based on blog category
-      let targetTypes = ['all', 'farming-tips'];
-      if (this.category) {
-        const categoryMap = {
-          'Livestock': ['livestock-updates'],
-          'Agriculture': ['farming-tips'],
-          'Technology': ['farming-tips'],
-          'News': ['newsletters']
-        };
-        targetTypes = [...targetTypes, ...(categoryMap[this.category] || [])];
-      }
+      const targetTypes = getContentSubscriptionTypes('blog', this);
       
       // Create description from content
       const description = this.content
@@ -106,7 +128,7 @@ blogSchema.pre('save', async function(next) {
             this._id,
             this.title,
             description,
-            [...new Set(targetTypes)] // Remove duplicates
+            targetTypes
           );
         } catch (error) {
           console.error('Failed to send blog notification:', error);
@@ -0,0 +1,143 @@
+/**
+ * @file Collection Model
+ * @description An ordered series of articles ("Starting a piggery, parts 1-8").
+ * A series can mix content types: each item references a blog, basic, news
+ * or livestock article by content type path and ID, and the array order is
+ * the reading order.
+ * @module models/Collection
+ */
+
+import mongoose from 'mongoose';
+import { applySlug } from './base/Slug.js';
+import { applySearchIndex } from './base/SearchIndex.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+
+/**
+ * @constant {Array<String>} COLLECTION_CONTENT_TYPES
+ * @description Content type paths a collection item can reference
+ */
+export const COLLECTION_CONTENT_TYPES = ['blogs', 'news', 'basics', ...Object.values(LIVESTOCK_SPECIES).map(config => config.path)];
+
+/**
+ * @constant {mongoose.Schema} collectionItemSchema
+ * @description One article in a series
+ */
+const collectionItemSchema = new mongoose.Schema({
+  /**
+   * @property {String} contentType - Content type path of the article (blogs, basics, piggeries ...)
+   */
+  contentType: {
+    type: String,
+    enum: COLLECTION_CONTENT_TYPES,
+    required: true
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} contentId - ID of the article
+   */
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  /**
+   * @property {String} label - Optional label shown in the series outline ("Part 3: Housing")
+   */
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
+/**
+ * @constant {mongoose.Schema} collectionSchema
+ * @description Schema definition for collection documents
+ */
+const collectionSchema = new mongoose.Schema({
+  /**
+   * @property {String} title - Series title
+   */
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  /**
+   * @property {String} description - Series introduction
+   */
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+
+  /**
+   * @property {String} imageUrl - Cover image
+   */
+  imageUrl: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * @property {Array<String>} tags - Tags for search and filtering
+   */
+  tags: [{ type: String, trim: true }],
+
+  /**
+   * @property {Array<Object>} items - Articles in reading order
+   */
+  items: {
+    type: [collectionItemSchema],
+    default: [],
+    validate: {
+      validator: (items) => {
+        const keys = items.map(item => `${item.contentType}:${item.contentId}`);
+        return new Set(keys).size === keys.length;
+      },
+      message: 'An article can only appear once in a collection'
+    }
+  },
+
+  /**
+   * @property {Boolean} published - Whether the series is publicly visible
+   */
+  published: {
+    type: Boolean,
+    default: false
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} createdBy - Editor who created the series
+   */
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(collectionSchema);
+
+/**
+ * Indexes for optimizing common query patterns
+ */
+// Series containing an article (previous/next navigation)
+collectionSchema.index({ 'items.contentId': 1, published: 1 });
+
+// Public listing
+collectionSchema.index({ published: 1, createdAt: -1 });
+
+// Weighted text index for search (title > tags > description)
+applySearchIndex(collectionSchema, { title: ['title'], tags: ['tags'], body: ['description'] });
+
+/**
+ * @constant {mongoose.Model} Collection
+ * @description Mongoose model for collections
+ */
+export default mongoose.model('Collection', collectionSchema);
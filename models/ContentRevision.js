@@ -0,0 +1,105 @@
+/**
+ * @file ContentRevision Model
+ * @description Snapshot of a content item's editable fields taken on every
+ * create, edit and restore. Revisions are append-only: restoring an old
+ * revision writes a new revision instead of rewriting history.
+ * @module models/ContentRevision
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {mongoose.Schema} contentRevisionSchema
+ * @description Schema definition for content revision documents
+ */
+const contentRevisionSchema = new mongoose.Schema({
+  /**
+   * @property {String} contentType - Content type key as used in API paths (blogs, news, goats, ...)
+   */
+  contentType: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} contentId - ID of the content item
+   */
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  /**
+   * @property {Number} revisionNumber - Sequential revision number per content item, starting at 1
+   */
+  revisionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  /**
+   * @property {Object} snapshot - Values of the tracked fields (title, content, tags, metadata, image ...)
+   */
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  /**
+   * @property {Array<String>} changedFields - Tracked fields that differ from the previous revision
+   */
+  changedFields: [{ type: String }],
+
+  /**
+   * @property {String} action - What produced the revision
+   * @enum ['create', 'update', 'restore']
+   */
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+
+  /**
+   * @property {Number} restoredFrom - Revision number that was restored (restore revisions only)
+   */
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} editor - User who made the change
+   */
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  /**
+   * @property {String} editorName - Editor name at the time of the change
+   */
+  editorName: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes for optimizing common query patterns
+ */
+// One revision number per content item; also serves revision listing
+contentRevisionSchema.index({ contentType: 1, contentId: 1, revisionNumber: -1 }, { unique: true });
+
+// Index for looking up recent changes by editor
+contentRevisionSchema.index({ editor: 1, createdAt: -1 });
+
+/**
+ * @constant {mongoose.Model} ContentRevision
+ * @description Mongoose model for content revisions
+ */
+export default mongoose.model('ContentRevision', contentRevisionSchema);
@@ -11,6 +11,154 @@
  */
 
 import mongoose from 'mongoose';
+import { applyPublishSchedule } from './base/PublishSchedule.js';
+import { applySlug } from './base/Slug.js';
+import { applyTranslations } from './base/Translations.js';
+import { getContentSubscriptionTypes } from '../utils/contentTopics.js';
+
+/**
+ * Ticket Type Schema
+ *
+ * @typedef {Object} TicketTypeSchema
+ * @property {String} key - Identifier used by registrations (e.g. "farmer", "student", "exhibitor")
+ * @property {String} name - Display name
+ * @property {Number} price - Ticket price (0 for free tickets)
+ * @property {Number} capacity - Maximum confirmed attendees on this ticket (unlimited when unset)
+ * @property {String} description - What the ticket includes
+ * @property {Number} confirmedCount - Confirmed registrations on this ticket
+ */
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_-]+$/, 'Ticket type key may only contain letters, numbers, "-" and "_"']
+    },
+    name: { type: String, required: true, trim: true },
+    price: { type: Number, default: 0, min: 0 },
+    capacity: { type: Number, min: [1, 'Ticket capacity must be at least 1'] },
+    description: { type: String, trim: true },
+    confirmedCount: { type: Number, default: 0, min: 0 }
+  },
+  { _id: false }
+);
+
+/**
+ * Recurrence Rule Schema (RFC 5545 RRULE subset)
+ *
+ * Evaluated in local time from the event's startDate, which is always the
+ * first occurrence; every occurrence lasts as long as the first one
+ * (endDate - startDate).
+ *
+ * @typedef {Object} RecurrenceRuleSchema
+ * @property {String} frequency - daily, weekly, monthly or yearly (FREQ)
+ * @property {Number} interval - Every n days/weeks/months/years (INTERVAL, default 1)
+ * @property {Array<String>} byDay - Weekdays (BYDAY): "TU"; monthly rules may number them: "1SA" (first Saturday), "-1FR" (last Friday)
+ * @property {Array<Number>} byMonthDay - Days of the month (BYMONTHDAY), negative counts from the end
+ * @property {Number} count - Total number of occurrences (COUNT)
+ * @property {Date} until - Last possible occurrence start (UNTIL)
+ */
+const recurrenceRuleSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['daily', 'weekly', 'monthly', 'yearly'],
+        message: 'Recurrence frequency must be daily, weekly, monthly or yearly'
+      }
+    },
+    interval: { type: Number, default: 1, min: [1, 'Recurrence interval must be at least 1'] },
+    byDay: {
+      type: [{
+        type: String,
+        uppercase: true,
+        match: [/^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/, 'Invalid recurrence weekday "{VALUE}"']
+      }],
+      default: undefined,
+      validate: [
+        {
+          validator: function(days) {
+            return this.frequency === 'monthly' || !days.some(day => /\d/.test(day));
+          },
+          message: 'Numbered weekdays (e.g. "1SA") are only allowed in monthly rules'
+        },
+        {
+          validator: function(days) {
+            return this.frequency !== 'yearly' || days.length === 0;
+          },
+          message: 'Weekdays cannot be used in yearly rules'
+        }
+      ]
+    },
+    byMonthDay: {
+      type: [{
+        type: Number,
+        min: [-31, 'Recurrence month day must be between -31 and 31'],
+        max: [31, 'Recurrence month day must be between -31 and 31'],
+        validate: {
+          validator: (day) => Number.isInteger(day) && day !== 0,
+          message: 'Recurrence month day must be a whole number other than 0'
+        }
+      }],
+      default: undefined,
+      validate: {
+        validator: function(days) {
+          return ['daily', 'monthly'].includes(this.frequency) || days.length === 0;
+        },
+        message: 'Month days can only be used in daily and monthly rules'
+      }
+    },
+    count: { type: Number, min: [1, 'Recurrence count must be at least 1'] },
+    until: {
+      type: Date,
+      validate: {
+        validator: function(until) {
+          return !until || !this.count;
+        },
+        message: 'A recurrence rule may have a count or an until date, not both'
+      }
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Occurrence Schema
+ *
+ * Stored state of one occurrence of a recurring event, keyed by the start the
+ * rule gives it. Only occurrences that were changed or have registrations
+ * are stored.
+ *
+ * @typedef {Object} OccurrenceSchema
+ * @property {Date} occurrenceDate - Start of the occurrence according to the rule
+ * @property {String} status - scheduled, cancelled or rescheduled
+ * @property {Date} startDate - New start (rescheduled occurrences)
+ * @property {Date} endDate - New end (rescheduled occurrences)
+ * @property {String} location - Location for this occurrence only
+ * @property {String} reason - Note shown to attendees (why it was cancelled or moved)
+ * @property {Number} confirmedCount - Confirmed registrations for this occurrence
+ * @property {Map<String, Number>} ticketCounts - Confirmed registrations per ticket type
+ */
+const occurrenceSchema = new mongoose.Schema(
+  {
+    occurrenceDate: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ['scheduled', 'cancelled', 'rescheduled'],
+      default: 'scheduled'
+    },
+    startDate: Date,
+    endDate: Date,
+    location: { type: String, trim: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    confirmedCount: { type: Number, default: 0, min: 0 },
+    ticketCounts: { type: Map, of: Number, default: {} }
+  },
+  { _id: false }
+);
 
 /**
  * Event Schema
@@ -26,6 +174,15 @@ import mongoose from 'mongoose';
  * @property {Boolean} published - Whether the event is visible to users (default: true)
  * @property {Date} publishedAt - When the event was first published
  * @property {Boolean} notificationSent - Tracks if publication notification was sent
+ * @property {Date} publishAt - Scheduled go-live time (applied by the publish scheduler)
+ * @property {Date} unpublishAt - Scheduled take-down time (applied by the publish scheduler)
+ * @property {Number} capacity - Maximum confirmed attendees (unlimited when unset)
+ * @property {Number} confirmedCount - Confirmed registrations, kept by services/eventRegistrationService.js
+ * @property {Boolean} waitlistEnabled - Whether registrations beyond capacity join a waitlist (default: true)
+ * @property {Array<TicketTypeSchema>} ticketTypes - Ticket types on offer (none: one general admission)
+ * @property {RecurrenceRuleSchema} recurrence - Repeat rule (one-off event when unset); seats are counted per occurrence
+ * @property {Array<OccurrenceSchema>} occurrences - Cancelled/rescheduled occurrences and per-occurrence seat counts
+ * @property {Date} seriesEndsAt - End of the last occurrence of a recurring event (null while the series has no end)
  */
 const eventSchema = new mongoose.Schema(
   {
@@ -38,11 +195,37 @@ const eventSchema = new mongoose.Schema(
     metadata: { type: Object },
     published: { type: Boolean, default: true },
     publishedAt: { type: Date },
-    notificationSent: { type: Boolean, default: false }
+    notificationSent: { type: Boolean, default: false },
+    capacity: { type: Number, min: [1, 'Capacity must be at least 1'] },
+    confirmedCount: { type: Number, default: 0, min: 0 },
+    waitlistEnabled: { type: Boolean, default: true },
+    ticketTypes: {
+      type: [ticketTypeSchema],
+      default: [],
+      validate: {
+        validator: (ticketTypes) => new Set(ticketTypes.map(ticket => ticket.key)).size === ticketTypes.length,
+        message: 'Ticket type keys must be unique'
+      }
+    },
+    recurrence: { type: recurrenceRuleSchema, default: undefined },
+    occurrences: { type: [occurrenceSchema], default: [] },
+    seriesEndsAt: { type: Date, default: null }
   },
   { timestamps: true } // Automatically add createdAt and updatedAt timestamps
 );
 
+// Recurring events that have not finished (see services/eventRecurrenceService.js)
+eventSchema.index({ published: 1, 'recurrence.frequency': 1, seriesEndsAt: 1 });
+
+// Scheduled go-live / take-down times
+applyPublishSchedule(eventSchema);
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(eventSchema);
+
+// Per-language translations (see config/languages.js)
+applyTranslations(eventSchema, { fields: ['title', 'description'] });
+
 /**
  * Pre-save middleware for automatic event publishing actions
  * 
@@ -76,7 +259,7 @@ eventSchema.pre('save', async function(next) {
       const { sendContentNotification } = await import('../services/notificationService.js');
       
       // Define subscriber groups to receive this notification
-      const targetTypes = ['all', 'events'];
+      const targetTypes = getContentSubscriptionTypes('event', this);
       
       // Format the event date in a human-readable format (e.g. "June 15, 2025")
       const eventDate = new Date(this.startDate).toLocaleDateString('en-US', {
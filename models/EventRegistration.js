@@ -7,6 +7,11 @@ const eventRegistrationSchema = new mongoose.Schema(
       ref: 'Event',
       required: true
     },
+    // Occurrence of a recurring event (the start its rule gives it); unset for one-off events
+    occurrenceDate: {
+      type: Date,
+      default: null
+    },
     name: {
       type: String,
       required: true,
@@ -44,9 +49,37 @@ const eventRegistrationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['confirmed', 'pending', 'cancelled'],
+      enum: ['confirmed', 'pending', 'waitlisted', 'cancelled'],
       default: 'confirmed'
     },
+    // Key of the event ticket type (see Event.ticketTypes); unset for general admission
+    ticketType: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    // Ticket price at the time of registration
+    price: {
+      type: Number,
+      min: 0
+    },
+    // Waitlist order: earliest first
+    waitlistedAt: Date,
+    promotedAt: Date,
+    cancelledAt: Date,
+    // Signed code shown as a QR code in the confirmation email (see services/eventCheckInService.js)
+    checkInCode: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Scanner that recorded the check-in (for offline-synced scans)
+    checkInDevice: String,
     metadata: {
       type: Object,
       default: {}
@@ -61,8 +94,10 @@ const eventRegistrationSchema = new mongoose.Schema(
 );
 
 // Index for better query performance
-eventRegistrationSchema.index({ eventId: 1, email: 1 }, { unique: true });
+eventRegistrationSchema.index({ eventId: 1, occurrenceDate: 1, email: 1 }, { unique: true });
 eventRegistrationSchema.index({ eventId: 1 });
 eventRegistrationSchema.index({ email: 1 });
+eventRegistrationSchema.index({ eventId: 1, occurrenceDate: 1, status: 1, waitlistedAt: 1 });
+eventRegistrationSchema.index({ eventId: 1, checkedInAt: 1 });
 
 export default mongoose.model('EventRegistration', eventRegistrationSchema);
@@ -10,6 +10,8 @@
  * @module models/Farm
  */
 import mongoose from 'mongoose';
+import { applySlug } from './base/Slug.js';
+import { applySearchIndex } from './base/SearchIndex.js';
 
 const farmSchema = new mongoose.Schema({
   // Basic farm information
@@ -87,8 +89,13 @@ const farmSchema = new mongoose.Schema({
   },
 });
 
-// Create index for search and sorting
-farmSchema.index({ name: 'text', location: 'text', description: 'text' });
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(farmSchema, { source: 'name' });
+
+// Weighted text index for search (name > location > description)
+applySearchIndex(farmSchema, { title: ['name'], tags: ['location'], body: ['description'] });
+
+// Create index for sorting
 farmSchema.index({ status: 1, featured: -1, price: 1 });
 
 /**
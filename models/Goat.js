@@ -1,122 +1,13 @@
 // models/Goat.js
 /**
  * Goat Model
- * 
- * This model represents goat farming related content including articles, guides,
- * and resources specific to goat production. It tracks user engagement metrics,
- * supports categorization and tagging, and includes a nested comment system.
- * 
- * The model is part of the specialized livestock content series that includes
- * other models like Beef, Dairy, and Piggery.
- * 
+ *
+ * Goat farming content is stored in the shared livestock collection as the
+ * 'goat' discriminator of the Livestock model (see models/Livestock.js and
+ * config/livestockSpecies.js). This module keeps the existing import path.
+ *
  * @module models/Goat
  */
-import mongoose from 'mongoose';
+import { getSpeciesModel } from './Livestock.js';
 
-const GoatSchema = new mongoose.Schema({
-  title: { 
-    type: String, 
-    required: true,
-    trim: true 
-  },
-  content: { 
-    type: String, 
-    required: true 
-  },
-  author: { 
-    type: String, 
-    default: '',
-    trim: true 
-  },
-  category: { 
-    type: String, 
-    default: 'Goat',
-    trim: true 
-  },
-  tags: [{ 
-    type: String,
-    trim: true 
-  }],
-  image: { 
-    type: mongoose.Schema.Types.ObjectId, // GridFS file ID
-    default: null 
-  },
-  imageUrl: { 
-    type: String, 
-    default: null // Legacy field for backward compatibility
-  },
-  metadata: { 
-    type: mongoose.Schema.Types.Mixed, 
-    default: {} 
-  },
-  published: { 
-    type: Boolean, 
-    default: false 
-  },
-  featured: { 
-    type: Boolean, 
-    default: false 
-  },
-  views: { 
-    type: Number, 
-    default: 0,
-    min: 0
-  },
-  likes: { 
-    type: Number, 
-    default: 0,
-    min: 0
-  },
-  shares: { 
-    type: Number, 
-    default: 0,
-    min: 0 
-  },
-  comments: [{
-    content: { 
-      type: String, 
-      required: true 
-    },
-    author: { 
-      type: String, 
-      default: 'Anonymous' 
-    },
-    createdAt: { 
-      type: Date, 
-      default: Date.now 
-    },
-    approved: { 
-      type: Boolean, 
-      default: false 
-    }
-  }]
-}, {
-  timestamps: true,
-  collection: 'goats'
-});
-
-// Create indexes for better search performance
-GoatSchema.index({ title: 'text', content: 'text', tags: 'text' });
-GoatSchema.index({ category: 1, featured: -1, createdAt: -1 });
-GoatSchema.index({ published: 1 });
-
-/**
- * Virtual for comment count
- */
-GoatSchema.virtual('commentCount').get(function() {
-  return this.comments ? this.comments.length : 0;
-});
-
-/**
- * Virtual for approved comments count
- */
-GoatSchema.virtual('approvedCommentCount').get(function() {
-  return this.comments ? this.comments.filter(comment => comment.approved).length : 0;
-});
-
-/**
- * Goat model representing goat farming related articles and content
- * Collection name explicitly set to 'goats' for proper plural form
- * @type {mongoose.Model}
- */
-export default mongoose.model('Goat', GoatSchema, 'goats');
\ No newline at end of file
+export default getSpeciesModel('goat');
@@ -0,0 +1,133 @@
+/**
+ * @file Job Model
+ * @description Background job stored in MongoDB so queued work survives
+ * restarts (see services/jobQueue.js). A worker claims a job by leasing it:
+ * `lockedUntil` is pushed forward while it runs, and a job whose lease ran
+ * out (the worker crashed) is picked up again by the next worker, which
+ * counts the interrupted step as a failed attempt.
+ * @module models/Job
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {mongoose.Schema} jobSchema
+ * @description Schema definition for queued jobs
+ */
+const jobSchema = new mongoose.Schema({
+  /**
+   * @property {String} type - Handler name (e.g. "newsletter.send")
+   */
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  /**
+   * @property {Object} payload - Handler input (e.g. { newsletterId })
+   */
+  payload: {
+    type: Object,
+    default: {}
+  },
+
+  /**
+   * @property {String} status - queued, running, completed, failed or cancelled
+   */
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  /**
+   * @property {Date} runAt - Earliest time the job (or its next step) may run
+   */
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * @property {Number} attempts - Failed runs so far (including steps cut short by a crash)
+   */
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  /**
+   * @property {Number} maxAttempts - Failed runs before the job is marked failed
+   */
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+
+  /**
+   * @property {String} lockedBy - Worker running the job ("<host>:<pid>")
+   */
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * @property {Date} lockedUntil - Lease expiry; after it another worker may take the job over
+   */
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * @property {Object} progress - Handler-defined progress (kept between steps and restarts)
+   */
+  progress: {
+    type: Object,
+    default: {}
+  },
+
+  /**
+   * @property {Object} result - Handler output once completed
+   */
+  result: {
+    type: Object,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Claiming due jobs and taking over expired leases
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// Looking up the job for a document (e.g. the send job of a newsletter)
+jobSchema.index({ type: 1, 'payload.newsletterId': 1, createdAt: -1 });
+
+export default mongoose.model('Job', jobSchema);
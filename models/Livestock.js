@@ -0,0 +1,85 @@
+/**
+ * Livestock Model
+ *
+ * Shared model for all livestock content (dairy, beef, goat, piggery ...).
+ * Every species is a discriminator of this model, keyed by the `type` field,
+ * and all of them live in the single `livestock` collection. Species are
+ * declared in config/livestockSpecies.js.
+ *
+ * The species modules (models/Dairy.js, models/Goat.js, ...) export the
+ * discriminator models so existing imports keep working.
+ *
+ * @module models/Livestock
+ */
+import mongoose from 'mongoose';
+import { getBaseSchema, applyPublicationNotifications } from './base/LivestockBase.js';
+import { applyEditorialWorkflow } from './base/EditorialWorkflow.js';
+import { applyRevisionHistory } from './base/RevisionHistory.js';
+import { applyPublishSchedule } from './base/PublishSchedule.js';
+import { applySlug } from './base/Slug.js';
+import { applyTranslations } from './base/Translations.js';
+import { applySearchIndex } from './base/SearchIndex.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+
+const LivestockSchema = getBaseSchema({}, { collection: 'livestock' });
+
+// Editorial workflow (draft → in_review → approved → published → archived)
+applyEditorialWorkflow(LivestockSchema);
+
+// Snapshot edits into ContentRevision, keyed by the species path (dairies, goats, ...)
+applyRevisionHistory(LivestockSchema, {
+  contentType: (doc) => LIVESTOCK_SPECIES[doc.type]?.path || 'livestock'
+});
+
+// Scheduled go-live / take-down times
+applyPublishSchedule(LivestockSchema);
+
+// publishedAt tracking and one-time subscriber notification
+applyPublicationNotifications(LivestockSchema, (doc) => doc.type);
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(LivestockSchema);
+
+// Per-language translations (see config/languages.js)
+applyTranslations(LivestockSchema, { fields: ['title', 'content'] });
+
+// Weighted text index for search (title > tags > content)
+applySearchIndex(LivestockSchema, { title: ['title'], tags: ['tags'], body: ['content'] });
+
+// Create indexes for better filtering performance
+LivestockSchema.index({ type: 1, published: 1, createdAt: -1 });
+LivestockSchema.index({ type: 1, category: 1, featured: -1, createdAt: -1 });
+
+/**
+ * Virtual for comment count
+ */
+LivestockSchema.virtual('commentCount').get(function() {
+  return this.comments ? this.comments.length : 0;
+});
+
+/**
+ * Virtual for approved comments count
+ */
+LivestockSchema.virtual('approvedCommentCount').get(function() {
+  return this.comments ? this.comments.filter(comment => comment.approved).length : 0;
+});
+
+const Livestock = mongoose.model('Livestock', LivestockSchema);
+
+// One discriminator model per configured species
+const speciesModels = Object.fromEntries(
+  Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [
+    species,
+    Livestock.discriminator(config.modelName, new mongoose.Schema({}), species)
+  ])
+);
+
+/**
+ * Get the discriminator model for a species
+ *
+ * @param {string} species - Species key (dairy, beef, goat, piggery ...)
+ * @returns {mongoose.Model|null} Species model, or null if the species is not configured
+ */
+export const getSpeciesModel = (species) => speciesModels[species] || null;
+
+export default Livestock;
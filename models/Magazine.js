@@ -9,6 +9,11 @@
  */
 
 import mongoose from 'mongoose';
+import { applyEditorialWorkflow } from './base/EditorialWorkflow.js';
+import { applyRevisionHistory } from './base/RevisionHistory.js';
+import { applySlug } from './base/Slug.js';
+import { applyTranslations } from './base/Translations.js';
+import { applySearchIndex } from './base/SearchIndex.js';
 
 /**
  * @constant {mongoose.Schema} magazineSchema
@@ -97,6 +102,24 @@ const magazineSchema = new mongoose.Schema(
   { timestamps: true } // Auto-manages createdAt and updatedAt fields
 );
 
+// Editorial workflow (draft → in_review → approved → published → archived)
+applyEditorialWorkflow(magazineSchema);
+
+// Snapshot edits into ContentRevision
+applyRevisionHistory(magazineSchema, {
+  contentType: 'magazines',
+  fields: ['title', 'description', 'issue', 'tags', 'metadata', 'coverImage', 'pdf']
+});
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(magazineSchema);
+
+// Per-language translations (see config/languages.js)
+applyTranslations(magazineSchema, { fields: ['title', 'description'] });
+
+// Weighted text index for search (title > tags > description)
+applySearchIndex(magazineSchema, { title: ['title'], tags: ['tags'], body: ['description'] });
+
 /**
  * Create indexing on frequently queried fields for better performance
  */
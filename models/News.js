@@ -10,6 +10,37 @@
  */
 
 import mongoose from 'mongoose';
+import { applyEditorialWorkflow } from './base/EditorialWorkflow.js';
+import { applyRevisionHistory } from './base/RevisionHistory.js';
+import { applyPublishSchedule } from './base/PublishSchedule.js';
+import { applySlug } from './base/Slug.js';
+import { applyTranslations } from './base/Translations.js';
+import { applySearchIndex } from './base/SearchIndex.js';
+import { getContentSubscriptionTypes } from '../utils/contentTopics.js';
+
+/**
+ * @constant {mongoose.Schema} marketPriceSchema
+ * @description One reported market price (categories match auction lots)
+ */
+const marketPriceSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+      lowercase: true,
+      enum: ['cattle', 'dairy', 'beef', 'goats', 'sheep', 'pigs', 'poultry', 'equipment', 'other']
+    },
+    breed: { type: String, trim: true },
+    region: { type: String, required: true, trim: true },
+    // Price per head, or per kg live weight when unit is 'kg'
+    price: { type: Number, required: true, min: 0 },
+    unit: { type: String, enum: ['head', 'kg'], default: 'head' },
+    weight: { type: Number, min: 0 },
+    // Market day the price was observed; defaults to the article's publish date
+    observedAt: { type: Date }
+  },
+  { _id: false }
+);
 
 /**
  * @constant {mongoose.Schema} newsSchema
@@ -90,11 +121,42 @@ const newsSchema = new mongoose.Schema(
     /**
      * @property {Number} views - Count of article views for analytics
      */
-    views: { type: Number, default: 0 }
+    views: { type: Number, default: 0 },
+
+    /**
+     * @property {Array<Object>} marketPrices - Prices reported in a Market article
+     * (e.g. a livestock market survey). Feeds the market price index alongside
+     * auction results; see services/marketPriceService.js
+     */
+    marketPrices: {
+      type: [marketPriceSchema],
+      default: undefined
+    }
   },
   { timestamps: true }
 );
 
+// Editorial workflow (draft → in_review → approved → published → archived)
+applyEditorialWorkflow(newsSchema);
+
+// Snapshot edits into ContentRevision
+applyRevisionHistory(newsSchema, { contentType: 'news' });
+
+// Scheduled go-live / take-down times
+applyPublishSchedule(newsSchema);
+
+// Unique URL slug; renamed slugs keep redirecting
+applySlug(newsSchema);
+
+// Per-language translations (see config/languages.js)
+applyTranslations(newsSchema, { fields: ['title', 'content'] });
+
+// Weighted text index for search (title > tags > content)
+applySearchIndex(newsSchema, { title: ['title'], tags: ['tags'], body: ['content'] });
+
+// Market price index: published Market articles with reported prices
+newsSchema.index({ category: 1, published: 1, 'marketPrices.category': 1 });
+
 /**
  * Middleware: Pre-save hook for news articles
  * 
@@ -119,14 +181,7 @@ newsSchema.pre('save', async function(next) {
       const { sendContentNotification } = await import('../services/notificationService.js');
       
       // Determine target subscription types based on news category
-      let targetTypes = ['all', 'newsletters'];
-      const categoryMap = {
-        'livestock': ['livestock-updates'],
-        'agriculture': ['farming-tips'],
-        'technology': ['farming-tips'],
-        'market': ['newsletters']
-      };
-      targetTypes = [...targetTypes, ...(categoryMap[this.category] || [])];
+      const targetTypes = getContentSubscriptionTypes('news', this);
       
       // Create description from content
       const description = this.content
@@ -141,7 +196,7 @@ newsSchema.pre('save', async function(next) {
             this._id,
             this.title,
             description,
-            [...new Set(targetTypes)]
+            targetTypes
           );
         } catch (error) {
           console.error('Failed to send news notification:', error);
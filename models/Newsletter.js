@@ -2,8 +2,10 @@
  * Newsletter Model
  * 
  * This model represents email newsletters that can be created, scheduled, and sent to subscribers.
+ * Sends run in the background job queue; per-recipient status is kept in NewsletterDelivery.
  * It stores the newsletter content, targeting information, sending status, and engagement metrics.
- * The model supports different subscription types and tracks metrics like open and click rates.
+ * Newsletters target subscriber topics and, optionally, saved segments (models/SubscriberSegment.js),
+ * and track metrics like open and click rates.
  * 
  * @module models/Newsletter
  */
@@ -26,12 +28,18 @@ const newsletterSchema = new mongoose.Schema({
     trim: true 
   },
   
-  // Newsletter targeting
+  // Newsletter targeting: subscribers following any of these topics ('all' for everyone)
   targetSubscriptionTypes: [{ 
     type: String, 
     enum: ['all', 'newsletters', 'events', 'auctions', 'farming-tips', 'livestock-updates'],
     required: true
   }],
+
+  // ...who also belong to at least one of these segments (none: no segment restriction)
+  targetSegments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriberSegment'
+  }],
   
   // Delivery status and metrics
   sentAt: { 
@@ -54,12 +62,18 @@ const newsletterSchema = new mongoose.Schema({
     min: 0
   },
   
-  // Newsletter status
+  // Newsletter status (scheduled and sending are managed by services/newsletterDeliveryService.js)
   status: { 
     type: String, 
-    enum: ['draft', 'sent', 'scheduled'], 
+    enum: ['draft', 'scheduled', 'sending', 'sent'], 
     default: 'draft' 
   },
+
+  // When the queued send starts (set when the newsletter is scheduled or sent)
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
   
   // Featured status
   featured: { 
@@ -79,7 +93,9 @@ const newsletterSchema = new mongoose.Schema({
 
 // Index for better query performance
 newsletterSchema.index({ status: 1, sentAt: 1 });
+newsletterSchema.index({ status: 1, scheduledFor: 1 });
 newsletterSchema.index({ createdAt: -1 }); // For sorting by creation date
+newsletterSchema.index({ targetSegments: 1, status: 1 }); // Newsletters using a segment
 
 /**
  * Virtual for calculating open rate
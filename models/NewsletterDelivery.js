@@ -0,0 +1,75 @@
+/**
+ * @file NewsletterDelivery Model
+ * @description Delivery status of one newsletter to one subscriber. The
+ * recipient list is written when sending starts, so a send interrupted by a
+ * restart resumes with the recipients still pending instead of starting over.
+ * @module models/NewsletterDelivery
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {mongoose.Schema} newsletterDeliverySchema
+ * @description Schema definition for per-recipient newsletter deliveries
+ */
+const newsletterDeliverySchema = new mongoose.Schema({
+  newsletterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Newsletter',
+    required: true
+  },
+
+  subscriberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber'
+  },
+
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+
+  /**
+   * @property {String} status - pending, sent, failed or skipped (unsubscribed before their turn)
+   */
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  /**
+   * @property {String} messageId - Provider message ID (SendGrid x-message-id)
+   */
+  messageId: {
+    type: String,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One delivery per subscriber per newsletter
+newsletterDeliverySchema.index({ newsletterId: 1, email: 1 }, { unique: true });
+// Next batch to send and progress counts
+newsletterDeliverySchema.index({ newsletterId: 1, status: 1 });
+
+export default mongoose.model('NewsletterDelivery', newsletterDeliverySchema);
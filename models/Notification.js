@@ -9,6 +9,7 @@
  */
 
 import mongoose from 'mongoose';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
 
 /**
  * @constant {mongoose.Schema} notificationSchema
@@ -27,11 +28,11 @@ const notificationSchema = new mongoose.Schema({
   
   /**
    * @property {String} contentType - The type of content related to this notification
-   * @enum ['blog', 'news', 'event', 'magazine', 'newsletter']
+   * @enum ['blog', 'news', 'event', 'magazine', 'newsletter', ...livestock species keys]
    */
   contentType: { 
     type: String, 
-    enum: ['blog', 'news', 'event', 'magazine', 'newsletter'], 
+    enum: ['blog', 'news', 'event', 'magazine', 'newsletter', ...Object.keys(LIVESTOCK_SPECIES)], 
     required: true 
   },
   
@@ -0,0 +1,56 @@
+/**
+ * @file SlugRedirect Model
+ * @description Old slugs of renamed content. Public routes answer a request
+ * for an old slug with a 301 to the content's current slug, so shared links
+ * and search engine entries keep working after an editor renames a slug.
+ * @module models/SlugRedirect
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {mongoose.Schema} slugRedirectSchema
+ * @description Schema definition for slug redirect documents
+ */
+const slugRedirectSchema = new mongoose.Schema({
+  /**
+   * @property {String} modelName - Model of the content (Blog, News, Goat, ...)
+   */
+  modelName: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * @property {String} fromSlug - Slug the content used to have
+   */
+  fromSlug: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * @property {mongoose.Schema.Types.ObjectId} contentId - Content the old slug now redirects to
+   */
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes for optimizing common query patterns
+ */
+// One redirect per old slug and model; also serves the public lookup
+slugRedirectSchema.index({ modelName: 1, fromSlug: 1 }, { unique: true });
+
+// Index for cleaning up redirects of deleted content
+slugRedirectSchema.index({ contentId: 1 });
+
+/**
+ * @constant {mongoose.Model} SlugRedirect
+ * @description Mongoose model for slug redirects
+ */
+export default mongoose.model('SlugRedirect', slugRedirectSchema);
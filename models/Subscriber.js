@@ -10,6 +10,7 @@
 
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { SUBSCRIPTION_TOPICS } from '../utils/contentTopics.js';
 
 /**
  * @constant {mongoose.Schema} subscriberSchema
@@ -22,7 +23,9 @@ const subscriberSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   
   /**
-   * @property {String} subscriptionType - Content category preferences
+   * @property {String} subscriptionType - Single content category chosen at sign-up.
+   *   Superseded by preferences.topics, which is what recipients are selected by;
+   *   kept for older clients and exports.
    * @enum ['all', 'newsletters', 'events', 'auctions', 'farming-tips', 'livestock-updates']
    */
   subscriptionType: { 
@@ -31,6 +34,53 @@ const subscriberSchema = new mongoose.Schema({
     default: 'all' 
   },
   
+  /**
+   * @property {Object} preferences - What the subscriber receives and how
+   *   (changed through the preference centre, services/subscriberPreferenceService.js)
+   * @property {String[]} preferences.topics - Followed topics (utils/contentTopics.js)
+   * @property {Boolean} preferences.channels.email - Receive emails
+   * @property {Boolean} preferences.channels.push - Receive browser push notifications
+   * @property {String} preferences.frequency - immediate (one email per new article)
+   *   or a daily, weekly or monthly digest (services/digestService.js)
+   */
+  preferences: {
+    topics: {
+      type: [{ type: String, enum: SUBSCRIPTION_TOPICS }],
+      default: () => [...SUBSCRIPTION_TOPICS]
+    },
+    channels: {
+      email: { type: Boolean, default: true },
+      push: { type: Boolean, default: false }
+    },
+    frequency: {
+      type: String,
+      enum: ['immediate', 'daily', 'weekly', 'monthly'],
+      default: 'immediate'
+    }
+  },
+  
+  /**
+   * @property {Date} lastDigestAt - End of the period the last digest covered; the next one starts here
+   */
+  lastDigestAt: { type: Date, default: null },
+  
+  /**
+   * @property {Date} lastDigestAttemptAt - When a digest was last built for the subscriber (sent, empty or failed)
+   */
+  lastDigestAttemptAt: { type: Date, default: null },
+  
+  /**
+   * @property {Object} pushSubscription - Browser push subscription (Web Push API)
+   */
+  pushSubscription: {
+    endpoint: { type: String },
+    expirationTime: { type: Number, default: null },
+    keys: {
+      p256dh: { type: String },
+      auth: { type: String }
+    }
+  },
+  
   /**
    * @property {Boolean} isActive - Whether the subscription is currently active
    */
@@ -180,6 +230,15 @@ subscriberSchema.index({ email: 1, isActive: 1 });
 // Index for filtering subscribers by subscription type
 subscriberSchema.index({ subscriptionType: 1 });
 
+// Index for selecting recipients by topic
+subscriberSchema.index({ 'preferences.topics': 1, isActive: 1 });
+
+// Index for preference-centre and unsubscribe links
+subscriberSchema.index({ unsubscribeToken: 1 });
+
+// Index for finding subscribers due a digest
+subscriberSchema.index({ 'preferences.frequency': 1, lastDigestAt: 1 });
+
 /**
  * @constant {mongoose.Model} Subscriber
  * @description Mongoose model for email subscribers
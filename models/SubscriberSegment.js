@@ -0,0 +1,85 @@
+/**
+ * @file SubscriberSegment Model
+ * @description A saved audience: rules over subscriber fields and
+ *  event/auction registration history. Newsletters target segments through
+ *  Newsletter.targetSegments; the rules are evaluated when a send starts
+ *  (services/segmentService.js), so a segment always reflects current data.
+ * @module models/SubscriberSegment
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @constant {mongoose.Schema} segmentRuleSchema
+ * @description One condition, e.g. { field: 'openCount', operator: 'gte', value: 3 }
+ */
+const segmentRuleSchema = new mongoose.Schema({
+  /**
+   * @property {String} field - Subscriber field or registration history (see SEGMENT_FIELDS in services/segmentService.js)
+   */
+  field: { type: String, required: true },
+
+  /**
+   * @property {String} operator - Comparison allowed for the field
+   */
+  operator: { type: String, required: true },
+
+  /**
+   * @property {*} value - Operand: topics, a date, a number of days, a count, or registration filters
+   */
+  value: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+/**
+ * @constant {mongoose.Schema} subscriberSegmentSchema
+ * @description Schema definition for subscriber segments
+ */
+const subscriberSegmentSchema = new mongoose.Schema({
+  /**
+   * @property {String} name - Unique name shown in the audience builder
+   */
+  name: { type: String, required: true, trim: true, unique: true, maxlength: 100 },
+
+  /**
+   * @property {String} description - What the segment is for
+   */
+  description: { type: String, trim: true, default: '', maxlength: 500 },
+
+  /**
+   * @property {String} match - 'all' (every rule must hold) or 'any' (at least one)
+   */
+  match: { type: String, enum: ['all', 'any'], default: 'all' },
+
+  /**
+   * @property {Array} rules - Conditions a subscriber must meet
+   */
+  rules: { type: [segmentRuleSchema], default: [] },
+
+  /**
+   * @property {Number} lastCount - Reachable subscribers when last counted
+   */
+  lastCount: { type: Number, default: null },
+
+  /**
+   * @property {Date} lastCountedAt - When lastCount was taken
+   */
+  lastCountedAt: { type: Date, default: null },
+
+  /**
+   * @property {ObjectId} createdBy - Editor who created the segment
+   */
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  /**
+   * @property {ObjectId} updatedBy - Editor who last changed the rules
+   */
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: true
+});
+
+/**
+ * @constant {mongoose.Model} SubscriberSegment
+ * @description Mongoose model for saved subscriber segments
+ */
+export default mongoose.model('SubscriberSegment', subscriberSegmentSchema);
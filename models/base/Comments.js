@@ -0,0 +1,97 @@
+/**
+ * Comments
+ *
+ * Moderated reader comments, embedded in the content document they belong to.
+ * Replies point at their parent comment with `parentId`. New comments start as
+ * 'pending'; only 'approved' comments are shown publicly. `approved` mirrors the
+ * status so the existing approvedCommentCount virtuals keep working.
+ */
+import mongoose from 'mongoose';
+
+export const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+// Replies to a comment at this depth are refused
+export const MAX_COMMENT_DEPTH = 3;
+
+export const commentSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  author: {
+    type: String,
+    default: 'Anonymous',
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'pending'
+  },
+  approved: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: String,
+  userAgent: String,
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Build the public comment thread for a content item
+ * Only approved comments are included, and replies to comments that are not
+ * approved are left out with their parent. Email, IP and moderation details
+ * are never returned.
+ *
+ * @param {Array<Object>} comments - Embedded comments of a content document
+ * @returns {Array<Object>} Top-level comments (oldest first), each with nested `replies`
+ */
+export const buildCommentThread = (comments = []) => {
+  const nodes = new Map();
+  for (const comment of comments) {
+    if (comment.status !== 'approved') continue;
+    nodes.set(String(comment._id), {
+      _id: comment._id,
+      parentId: comment.parentId,
+      author: comment.author,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      replies: []
+    });
+  }
+
+  const thread = [];
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  for (const node of [...nodes.values()].sort(byDate)) {
+    if (!node.parentId) {
+      thread.push(node);
+    } else {
+      nodes.get(String(node.parentId))?.replies.push(node);
+    }
+  }
+  return thread;
+};
@@ -0,0 +1,91 @@
+/**
+ * Editorial Workflow
+ *
+ * Shared workflow fields, states and transition rules for publishable content.
+ * Content moves draft → in_review → approved → published → archived, and the
+ * boolean `published` flag is kept in sync with the workflow status so existing
+ * public queries (`{ published: true }`) keep working.
+ */
+import mongoose from 'mongoose';
+
+export const WORKFLOW_STATES = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+/**
+ * Allowed workflow actions keyed by action name.
+ * Each action lists the states it can be applied from and the state it leads to.
+ */
+export const WORKFLOW_ACTIONS = {
+  submit: { from: ['draft'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved' },
+  reject: { from: ['in_review', 'approved'], to: 'draft' },
+  publish: { from: ['approved'], to: 'published' },
+  archive: { from: ['published', 'approved', 'draft'], to: 'archived' },
+  restore: { from: ['archived'], to: 'draft' }
+};
+
+export const workflowFields = {
+  status: {
+    type: String,
+    enum: WORKFLOW_STATES,
+    default: 'draft',
+    index: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComments: [{
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    comment: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now }
+  }]
+};
+
+/**
+ * Get the resulting state for an action, or null if the action is not allowed
+ * from the current state.
+ *
+ * @param {string} currentStatus - Current workflow status
+ * @param {string} action - Workflow action name
+ * @returns {string|null} Next status
+ */
+export const getNextStatus = (currentStatus, action) => {
+  const rule = WORKFLOW_ACTIONS[action];
+  if (!rule || !rule.from.includes(currentStatus || 'draft')) {
+    return null;
+  }
+  return rule.to;
+};
+
+/**
+ * Add workflow fields and the published-flag sync hook to a schema.
+ * Must be applied before any model-specific pre-save hooks so those hooks
+ * see `published` as modified when content goes live.
+ *
+ * @param {mongoose.Schema} schema - Schema of a publishable content model
+ */
+export const applyEditorialWorkflow = (schema) => {
+  schema.add(workflowFields);
+
+  schema.pre('save', function(next) {
+    if (this.isNew || this.isModified('status')) {
+      this.published = this.status === 'published';
+    }
+    next();
+  });
+};
@@ -1,59 +1,149 @@
 /**
  * Livestock Base Schema
- * 
+ *
  * Common fields and methods for all livestock-related models
  */
 import mongoose from 'mongoose';
+import { commentSchema } from './Comments.js';
+import { getContentSubscriptionTypes } from '../../utils/contentTopics.js';
 
 export const commonFields = {
-  image: { 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: 'fs.files', 
-    default: null 
-  },
-  title: { 
-    type: String, 
-    required: true, 
-    trim: true 
-  },
-  content: { 
-    type: String, 
-    required: true 
-  },
-  author: { 
-    type: String, 
-    required: true 
-  },
-  metadata: { 
-    type: Object, 
-    default: {} 
-  },
-  tags: [{ 
-    type: String 
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  author: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  category: {
+    type: String,
+    default: 'Livestock',
+    trim: true
+  },
+  tags: [{
+    type: String,
+    trim: true
   }],
-  published: { 
-    type: Boolean, 
-    default: true 
+  image: {
+    type: mongoose.Schema.Types.ObjectId, // GridFS file ID
+    ref: 'fs.files',
+    default: null
+  },
+  imageUrl: {
+    type: String,
+    default: null // Legacy field for backward compatibility
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   },
-  views: { 
-    type: Number, 
-    default: 0 
+  readTime: {
+    type: Number,
+    default: 5 // estimated minutes
   },
-  likes: { 
-    type: Number, 
-    default: 0 
+  published: {
+    type: Boolean,
+    default: false
+  },
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  likes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shares: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Moderated reader comments (see base/Comments.js). Not selected by default
+  // because they hold reader emails; load with .select('+comments').
+  comments: {
+    type: [commentSchema],
+    select: false
   }
 };
 
-export const getBaseSchema = (additionalFields = {}) => {
+export const getBaseSchema = (additionalFields = {}, options = {}) => {
   return new mongoose.Schema(
     {
       ...commonFields,
       ...additionalFields
     },
-    { 
+    {
       timestamps: true,
-      discriminatorKey: 'type' 
+      discriminatorKey: 'type',
+      ...options
     }
   );
 };
+
+/**
+ * Add publication tracking and subscriber notifications to a livestock schema
+ * Mirrors the Blog/News hooks: publishedAt is set on first publication and a
+ * notification goes out once, the first time the content becomes published.
+ *
+ * @param {mongoose.Schema} schema - Livestock content schema
+ * @param {string|Function} contentType - Notification content type (dairy, beef, goat, piggery),
+ *   or a function returning it for a document
+ */
+export const applyPublicationNotifications = (schema, contentType) => {
+  schema.add({
+    publishedAt: { type: Date },
+    notificationSent: { type: Boolean, default: false }
+  });
+
+  schema.pre('save', async function(next) {
+    const notificationType = typeof contentType === 'function' ? contentType(this) : contentType;
+
+    try {
+      if (this.published && !this.publishedAt) {
+        this.publishedAt = new Date();
+      }
+
+      if (this.published && !this.notificationSent && this.isModified('published')) {
+        this.notificationSent = true;
+
+        const { sendContentNotification } = await import('../../services/notificationService.js');
+
+        const description = this.content
+          .replace(/<[^>]*>/g, '') // Strip HTML
+          .substring(0, 200) + '...';
+
+        process.nextTick(async () => {
+          try {
+            await sendContentNotification(
+              notificationType,
+              this._id,
+              this.title,
+              description,
+              getContentSubscriptionTypes(notificationType, this)
+            );
+          } catch (error) {
+            console.error(`Failed to send ${notificationType} notification:`, error);
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error(`Error in ${notificationType} pre-save middleware:`, error);
+      next(); // Don't block saving if notification fails
+    }
+  });
+};
@@ -0,0 +1,57 @@
+/**
+ * Publish Schedule
+ *
+ * Shared `publishAt` / `unpublishAt` fields for content that can go live or be
+ * taken down at a set time. The fields only record the schedule; the actual
+ * visibility change is made by services/publishScheduler.js so that the
+ * model's own save hooks (publishedAt, subscriber notifications) run when the
+ * content goes live rather than when it was saved.
+ */
+
+export const publishScheduleFields = {
+  publishAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  unpublishAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+};
+
+/**
+ * Add schedule fields and their validation to a schema
+ *
+ * @param {mongoose.Schema} schema - Schema of a schedulable content model
+ */
+export const applyPublishSchedule = (schema) => {
+  schema.add(publishScheduleFields);
+
+  schema.pre('validate', function(next) {
+    if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+      this.invalidate('unpublishAt', 'unpublishAt must be later than publishAt', this.unpublishAt);
+    }
+    next();
+  });
+};
+
+/**
+ * Parse a schedule date from request input
+ * Accepts ISO strings or timestamps; empty values clear the schedule.
+ *
+ * @param {string|number|Date|null|undefined} value - Raw request value
+ * @returns {Date|null|undefined} Parsed date, null to clear, undefined if not provided
+ * @throws {Error} If the value is not a valid date
+ */
+export const parseScheduleDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid schedule date: ${value}`);
+  }
+  return date;
+};
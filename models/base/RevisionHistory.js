@@ -0,0 +1,150 @@
+/**
+ * Revision History
+ *
+ * Schema plugin that snapshots a content item's editable fields into the
+ * ContentRevision collection whenever they change, both through
+ * `document.save()` and through `findByIdAndUpdate` (used by the update
+ * handlers in contentController.js).
+ *
+ * The editor is passed in by the caller:
+ * - documents: `doc.$locals.revisionEditor = req.user` before saving
+ * - updates: `Model.findByIdAndUpdate(id, update, { new: true, revisionEditor: req.user })`
+ *
+ * Updates that don't touch a tracked field (view counters, workflow status,
+ * schedules) don't create revisions.
+ */
+import ContentRevision from '../ContentRevision.js';
+
+export const DEFAULT_REVISION_FIELDS = ['title', 'content', 'tags', 'metadata', 'image'];
+
+/**
+ * Build a snapshot of the tracked fields
+ *
+ * @param {mongoose.Document} doc - Content document
+ * @param {Array<string>} fields - Tracked fields
+ * @returns {Object} Plain snapshot object
+ */
+export const buildSnapshot = (doc, fields) => {
+  const plain = doc.toObject({ depopulate: true, virtuals: false });
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = plain[field] === undefined ? null : plain[field];
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Store a new revision for a document
+ * Failures are logged and never block the save that triggered them.
+ *
+ * @param {Object} options
+ * @param {string} options.contentType - Content type key (blogs, news, goats, ...)
+ * @param {Array<string>} options.fields - Tracked fields
+ * @param {mongoose.Document} options.doc - Saved document
+ * @param {Object} [options.editor] - User making the change
+ * @param {string} [options.action='update'] - create, update or restore
+ * @param {number} [options.restoredFrom] - Restored revision number
+ */
+const recordRevision = async ({ contentType, fields, doc, editor, action = 'update', restoredFrom = null }) => {
+  const snapshot = buildSnapshot(doc, fields);
+
+  // Retry once if a concurrent save took the same revision number
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const previous = await ContentRevision.findOne({ contentType, contentId: doc._id })
+        .sort({ revisionNumber: -1 })
+        .lean();
+
+      const changedFields = fields.filter(field =>
+        !previous || JSON.stringify(previous.snapshot[field] ?? null) !== JSON.stringify(snapshot[field])
+      );
+
+      // Nothing changed since the last revision (e.g. an update resending the same values)
+      if (previous && action === 'update' && changedFields.length === 0) {
+        return;
+      }
+
+      await ContentRevision.create({
+        contentType,
+        contentId: doc._id,
+        revisionNumber: previous ? previous.revisionNumber + 1 : 1,
+        snapshot,
+        changedFields,
+        action,
+        restoredFrom,
+        editor: editor?._id || null,
+        editorName: editor ? (editor.username || editor.companyEmail || 'unknown') : 'system'
+      });
+      return;
+    } catch (error) {
+      if (error.code === 11000 && attempt === 0) continue;
+      console.error(`Failed to record revision for ${contentType} ${doc._id}:`, error);
+      return;
+    }
+  }
+};
+
+/**
+ * Add revision tracking to a content schema
+ *
+ * @param {mongoose.Schema} schema - Content schema
+ * @param {Object} options
+ * @param {string|Function} options.contentType - Content type key stored on revisions (blogs, news, goats, ...),
+ *   or a function returning it for a document (shared collections such as livestock)
+ * @param {Array<string>} [options.fields] - Fields to snapshot
+ */
+export const applyRevisionHistory = (schema, { contentType, fields = DEFAULT_REVISION_FIELDS }) => {
+  const resolveContentType = (doc) => (typeof contentType === 'function' ? contentType(doc) : contentType);
+
+  schema.pre('save', function(next) {
+    this.$locals.revisionAction = this.isNew ? 'create' : this.$locals.revisionAction;
+    this.$locals.revisionPending = this.isNew
+      || this.$locals.revisionAction === 'restore'
+      || fields.some(field => this.isModified(field));
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    if (!doc.$locals.revisionPending) return;
+    doc.$locals.revisionPending = false;
+
+    await recordRevision({
+      contentType: resolveContentType(doc),
+      fields,
+      doc,
+      editor: doc.$locals.revisionEditor,
+      action: doc.$locals.revisionAction || 'update',
+      restoredFrom: doc.$locals.restoredFrom ?? null
+    });
+
+    doc.$locals.revisionAction = undefined;
+    doc.$locals.restoredFrom = undefined;
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+
+    const update = this.getUpdate() || {};
+    const touchedPaths = [
+      ...Object.keys(update).filter(key => !key.startsWith('$')),
+      ...Object.keys(update.$set || {}),
+      ...Object.keys(update.$unset || {})
+    ];
+    const touchesTrackedField = fields.some(field =>
+      touchedPaths.some(path => path === field || path.startsWith(`${field}.`))
+    );
+    if (!touchesTrackedField) return;
+
+    // Without new: true the hook receives the pre-update document
+    const options = this.getOptions();
+    const returnsUpdated = options.new || options.returnDocument === 'after';
+    const current = returnsUpdated ? doc : await this.model.findById(doc._id);
+    if (!current) return;
+
+    await recordRevision({
+      contentType: resolveContentType(current),
+      fields,
+      doc: current,
+      editor: options.revisionEditor
+    });
+  });
+};
@@ -0,0 +1,55 @@
+/**
+ * Search Index
+ *
+ * Weighted text index used by searchController.searchAll. Every searchable
+ * model shares the same index name and tier weights (title > tags > body), so
+ * `$meta: 'textScore'` values can be merged and ranked across collections.
+ *
+ * Translated text (see models/base/Translations.js) is indexed in the same
+ * tier as the canonical field, so apply translations before the search index.
+ */
+
+export const SEARCH_INDEX_NAME = 'content_text_search';
+
+export const SEARCH_WEIGHTS = {
+  title: 10,
+  tags: 5,
+  body: 1
+};
+
+/**
+ * Add the weighted text index to a schema
+ *
+ * @param {mongoose.Schema} schema - Schema of a searchable model
+ * @param {Object} tiers - Fields per weight tier
+ * @param {Array<string>} tiers.title - Title fields
+ * @param {Array<string>} [tiers.tags] - Tag / keyword fields
+ * @param {Array<string>} [tiers.body] - Body text fields
+ */
+export const applySearchIndex = (schema, { title, tags = [], body = [] }) => {
+  const translationSchema = schema.path('translations')?.schema;
+  const withTranslations = (fields) => [
+    ...fields,
+    ...fields
+      .filter(field => translationSchema?.path(field))
+      .map(field => `translations.${field}`)
+  ];
+
+  const weights = Object.fromEntries([
+    ...withTranslations(title).map(field => [field, SEARCH_WEIGHTS.title]),
+    ...tags.map(field => [field, SEARCH_WEIGHTS.tags]),
+    ...withTranslations(body).map(field => [field, SEARCH_WEIGHTS.body])
+  ]);
+
+  schema.index(
+    Object.fromEntries(Object.keys(weights).map(field => [field, 'text'])),
+    {
+      name: SEARCH_INDEX_NAME,
+      weights,
+      default_language: 'english',
+      // Translation entries have a `language` field ('lg', 'sw') that MongoDB
+      // would otherwise read as the stemming language and reject
+      language_override: 'textSearchLanguage'
+    }
+  );
+};
@@ -0,0 +1,161 @@
+/**
+ * Slug
+ *
+ * Schema plugin that gives content a unique, editable URL slug generated from
+ * its title. Renaming a slug (through `document.save()` or through
+ * `findByIdAndUpdate`, as the contentController update handlers do) stores the
+ * old slug in SlugRedirect so it keeps resolving with a 301.
+ *
+ * Slugs are unique per collection: livestock species share one collection, so
+ * a goat article and a dairy article never get the same slug.
+ */
+import SlugRedirect from '../SlugRedirect.js';
+
+// Literal route segments that would shadow a slug (e.g. GET /blogs/admin)
+const RESERVED_SLUGS = ['admin', 'upcoming', 'new'];
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn text into a URL slug ("Dairy Feeds & Nutrition" → "dairy-feeds-nutrition")
+ *
+ * @param {string} text - Text to convert
+ * @returns {string} Slug, or an empty string if nothing usable is left
+ */
+export const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Drop accents
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+/**
+ * Model whose collection slugs must be unique in (the base model for discriminators)
+ */
+const getSlugScopeModel = (Model) => (Model.baseModelName ? Model.db.model(Model.baseModelName) : Model);
+
+/**
+ * Build a slug that no other document in the collection uses, adding -2, -3 ... if needed
+ *
+ * @param {mongoose.Model} Model - Content model
+ * @param {string} text - Requested slug or title
+ * @param {mongoose.Types.ObjectId} [excludeId] - Document being slugged
+ * @returns {Promise<string>} Unique slug
+ */
+export const generateUniqueSlug = async (Model, text, excludeId = null) => {
+  const base = slugify(text) || 'item';
+  const taken = await getSlugScopeModel(Model)
+    .find({ slug: new RegExp(`^${base}(-\\d+)?$`), _id: { $ne: excludeId } })
+    .select('slug')
+    .lean();
+
+  const takenSlugs = new Set(taken.map(doc => doc.slug));
+  if (!takenSlugs.has(base) && !RESERVED_SLUGS.includes(base)) return base;
+
+  let suffix = 2;
+  while (takenSlugs.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Point an old slug at a content item, and drop any redirect the new slug used to be
+ * Failures are logged and never block the save that triggered them.
+ */
+const recordSlugChange = async (modelName, contentId, fromSlug, toSlug) => {
+  try {
+    // A slug that is live again must not redirect anywhere
+    await SlugRedirect.deleteOne({ modelName, fromSlug: toSlug });
+
+    if (fromSlug) {
+      await SlugRedirect.updateOne(
+        { modelName, fromSlug },
+        { $set: { contentId } },
+        { upsert: true }
+      );
+    }
+  } catch (error) {
+    console.error(`Failed to record slug redirect for ${modelName} ${contentId}:`, error);
+  }
+};
+
+/**
+ * Add a unique slug to a content schema
+ *
+ * @param {mongoose.Schema} schema - Content schema
+ * @param {Object} [options]
+ * @param {string} [options.source='title'] - Field the slug is generated from
+ */
+export const applySlug = (schema, { source = 'title' } = {}) => {
+  schema.add({
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true // Content created before slugs is filled in by migration
+    }
+  });
+
+  // Remember the stored slug so renames can be detected after save
+  schema.post('init', function() {
+    this.$locals.savedSlug = this.slug;
+  });
+
+  schema.pre('validate', async function(next) {
+    try {
+      // Documents loaded without the slug field must not get a new one
+      if (!this.isNew && !this.isSelected('slug')) return next();
+
+      if (this.isNew || !this.slug || this.isModified('slug')) {
+        const requested = slugify(this.slug);
+        this.slug = requested && requested === this.$locals.savedSlug
+          ? requested
+          : await generateUniqueSlug(this.constructor, requested || this.get(source), this._id);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    if (doc.slug === doc.$locals.savedSlug) return;
+
+    await recordSlugChange(doc.constructor.modelName, doc._id, doc.$locals.savedSlug, doc.slug);
+    doc.$locals.savedSlug = doc.slug;
+  });
+
+  schema.pre('findOneAndUpdate', async function(next) {
+    try {
+      const update = this.getUpdate() || {};
+      const target = update.$set && update.$set.slug !== undefined ? update.$set : update;
+      if (target.slug === undefined) return next();
+
+      const current = await this.model.findOne(this.getQuery()).select(`slug ${source}`).lean();
+      if (!current) return next();
+
+      const requested = slugify(target.slug);
+      if (!requested || requested === current.slug) {
+        // Empty or unchanged slug: keep the current one
+        target.slug = current.slug || await generateUniqueSlug(this.model, current[source], current._id);
+      } else {
+        target.slug = await generateUniqueSlug(this.model, requested, current._id);
+      }
+
+      this.setUpdate(update);
+      this._slugChange = { contentId: current._id, fromSlug: current.slug, toSlug: target.slug };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    const slugChange = this._slugChange;
+    if (!doc || !slugChange || slugChange.fromSlug === slugChange.toSlug) return;
+
+    await recordSlugChange(this.model.modelName, slugChange.contentId, slugChange.fromSlug, slugChange.toSlug);
+  });
+};
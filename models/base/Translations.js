@@ -0,0 +1,86 @@
+/**
+ * Translations
+ *
+ * Schema plugin that attaches per-language translations to a canonical
+ * content document. Each entry holds the translated text fields for one
+ * language; fields left empty fall back to the canonical (default language)
+ * text when the content is served.
+ *
+ * Public routes serve the negotiated language through
+ * middleware/language.js, which calls `localizeContent` on responses.
+ */
+import mongoose from 'mongoose';
+import { DEFAULT_LANGUAGE, TRANSLATION_LANGUAGES } from '../../config/languages.js';
+
+// Entry fields that are bookkeeping rather than translated text
+const TRANSLATION_META_FIELDS = ['_id', 'language', 'translatedBy', 'updatedAt'];
+
+/**
+ * Add translations to a content schema
+ *
+ * @param {mongoose.Schema} schema - Content schema
+ * @param {Object} options
+ * @param {Array<string>} options.fields - Translatable text fields (title, content, description ...)
+ */
+export const applyTranslations = (schema, { fields }) => {
+  const translationSchema = new mongoose.Schema({
+    language: {
+      type: String,
+      enum: TRANSLATION_LANGUAGES,
+      required: true
+    },
+    ...Object.fromEntries(fields.map(field => [field, { type: String, trim: true }])),
+    translatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  });
+
+  schema.add({ translations: { type: [translationSchema], default: [] } });
+  schema.index({ 'translations.language': 1 });
+
+  schema.static('getTranslatableFields', () => fields);
+
+  schema.pre('validate', function(next) {
+    const languages = (this.translations || []).map(entry => entry.language);
+    if (new Set(languages).size !== languages.length) {
+      this.invalidate('translations', 'Only one translation per language is allowed');
+    }
+    next();
+  });
+};
+
+/**
+ * Serve a plain content object in a language
+ * Translated fields replace the canonical ones; missing fields keep the
+ * canonical text. The translations array is replaced by `availableLanguages`.
+ *
+ * @param {Object} item - Plain content object (lean result or toJSON output)
+ * @param {string} language - Requested language code
+ * @returns {Object} New object in the requested language
+ */
+export const localizeContent = (item, language) => {
+  if (!item || !Array.isArray(item.translations)) return item;
+
+  const { translations, ...content } = item;
+  const translation = translations.find(entry => entry.language === language);
+
+  if (translation) {
+    for (const [field, value] of Object.entries(translation)) {
+      if (!TRANSLATION_META_FIELDS.includes(field) && value) {
+        content[field] = value;
+      }
+    }
+  }
+
+  return {
+    ...content,
+    language: translation ? language : DEFAULT_LANGUAGE,
+    availableLanguages: [DEFAULT_LANGUAGE, ...translations.map(entry => entry.language)]
+  };
+};
@@ -0,0 +1,25 @@
+// routes/auctionCatalogueRoutes.js
+import express from 'express';
+import { importLotCatalogue } from '../controllers/auctionCatalogueController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validateObjectId } from '../middleware/validation.js';
+import { uploadCatalogue } from '../middleware/enhancedFileUpload.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auctions/:auctionId/lots/import
+ * @desc    Upsert lots by lot number from an .xlsx/.csv catalogue (multipart field "catalogue").
+ *          With ?dryRun=true the rows are only validated and a row-level report is returned.
+ * @access  Admin
+ */
+router.post(
+  '/auctions/:auctionId/lots/import',
+  authenticateToken,
+  requireRole(['system_admin', 'editor']),
+  validateObjectId('auctionId'),
+  uploadCatalogue,
+  importLotCatalogue
+);
+
+export default router;
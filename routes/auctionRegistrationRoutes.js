@@ -1,8 +1,104 @@
+// routes/auctionRegistrationRoutes.js
 import express from 'express';
+import {
+  createRegistration,
+  getAllRegistrations,
+  approveRegistration,
+  rejectRegistration,
+  exportRegistrations,
+  getAuctionStats,
+  getRecentActivity,
+  getPerformanceData
+} from '../controllers/auctionRegistrationController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validate, validateObjectId, auctionRegistrationSchemas } from '../middleware/validation.js';
+import { auctionRegistrationRateLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
-// TODO: Add auction registration routes
-// This is a placeholder to prevent server startup errors
+const requireAuctionManager = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   POST /api/auctions/:auctionId/registrations
+ * @desc    Register as a buyer for an upcoming auction
+ * @access  Public
+ */
+router.post(
+  '/auctions/:auctionId/registrations',
+  auctionRegistrationRateLimiter,
+  validateObjectId('auctionId'),
+  validate(auctionRegistrationSchemas.create),
+  createRegistration
+);
+
+/**
+ * @route   GET /api/auctions/stats
+ * @desc    Auction and registration totals
+ * @access  Admin
+ */
+router.get('/auctions/stats', ...requireAuctionManager, getAuctionStats);
+
+/**
+ * @route   GET /api/auctions/activity
+ * @desc    Recent auction registration activity
+ * @access  Admin
+ */
+router.get('/auctions/activity', ...requireAuctionManager, getRecentActivity);
+
+/**
+ * @route   GET /api/auctions/performance
+ * @desc    Monthly auction and registration trends (last six months)
+ * @access  Admin
+ */
+router.get('/auctions/performance', ...requireAuctionManager, getPerformanceData);
+
+/**
+ * @route   GET /api/auction-registrations
+ * @desc    List registrations, filtered by auctionId and status
+ * @access  Admin
+ */
+router.get(
+  '/auction-registrations',
+  ...requireAuctionManager,
+  validate(auctionRegistrationSchemas.query, 'query'),
+  getAllRegistrations
+);
+
+/**
+ * @route   GET /api/auction-registrations/export
+ * @desc    Download registrations as CSV
+ * @access  Admin
+ */
+router.get(
+  '/auction-registrations/export',
+  ...requireAuctionManager,
+  validate(auctionRegistrationSchemas.query, 'query'),
+  exportRegistrations
+);
+
+/**
+ * @route   PUT /api/auction-registrations/:registrationId/approve
+ * @desc    Approve a registration and allocate a bidder number
+ * @access  Admin
+ */
+router.put(
+  '/auction-registrations/:registrationId/approve',
+  ...requireAuctionManager,
+  validateObjectId('registrationId'),
+  approveRegistration
+);
+
+/**
+ * @route   PUT /api/auction-registrations/:registrationId/reject
+ * @desc    Reject a registration, with an optional reason sent to the buyer
+ * @access  Admin
+ */
+router.put(
+  '/auction-registrations/:registrationId/reject',
+  ...requireAuctionManager,
+  validateObjectId('registrationId'),
+  validate(auctionRegistrationSchemas.reject),
+  rejectRegistration
+);
 
 export default router;
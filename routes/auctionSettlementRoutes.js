@@ -0,0 +1,56 @@
+// routes/auctionSettlementRoutes.js
+import express from 'express';
+import {
+  settleAuction,
+  getSettlement,
+  updateInvoiceStatus,
+  getSaleResults
+} from '../controllers/auctionSettlementController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validate, validateObjectId, auctionSettlementSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const requireAuctioneer = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   GET /api/auctions/:auctionId/results
+ * @desc    Sale results of a settled auction: prices by category, breed and weight band
+ * @access  Public
+ */
+router.get('/auctions/:auctionId/results', validateObjectId('auctionId'), getSaleResults);
+
+/**
+ * @route   POST /api/auctions/:auctionId/settlement
+ * @desc    Record floor results, total per buyer and seller, and issue invoices
+ * @access  Admin
+ */
+router.post(
+  '/auctions/:auctionId/settlement',
+  ...requireAuctioneer,
+  validateObjectId('auctionId'),
+  validate(auctionSettlementSchemas.settle),
+  settleAuction
+);
+
+/**
+ * @route   GET /api/auctions/:auctionId/settlement
+ * @desc    Settlement report with buyer and seller totals and invoices
+ * @access  Admin
+ */
+router.get('/auctions/:auctionId/settlement', ...requireAuctioneer, validateObjectId('auctionId'), getSettlement);
+
+/**
+ * @route   PUT /api/auction-invoices/:invoiceId/status
+ * @desc    Mark a buyer invoice paid or void
+ * @access  Admin
+ */
+router.put(
+  '/auction-invoices/:invoiceId/status',
+  ...requireAuctioneer,
+  validateObjectId('invoiceId'),
+  validate(auctionSettlementSchemas.invoiceStatus),
+  updateInvoiceStatus
+);
+
+export default router;
@@ -2,13 +2,33 @@ import express from 'express';
 import { storeInGridFS, storeMultipleFieldsInGridFS } from '../middleware/enhancedFileUpload.js';
 import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
 import { cacheMiddleware, invalidateCache } from '../middleware/cache.js';
-import { cacheProfiles } from '../middleware/enhancedCache.js';
+import { cacheProfiles, invalidateRelatedContent } from '../middleware/enhancedCache.js';
 import { forceContentRefresh } from '../utils/unifiedPerformance.js';
 import { completeAdminRefresh } from '../middleware/forceRefresh.js';
 import { validate, blogSchemas, newsSchemas, magazineSchemas, validateObjectId, validateFileUpload } from '../middleware/validation.js';
 import { sensitiveOperationLimiter } from '../middleware/sanitization.js';
 import processFormData from '../middleware/formDataCompatibility.js';
 import { getNewsletterAnalytics } from '../controllers/emailTrackingController.js';
+import { listRevisions, getRevision, diffRevisions, restoreRevision } from '../controllers/revisionController.js';
+import { getComments, submitComment, getModerationQueue, moderateComment } from '../controllers/commentController.js';
+import { commentRateLimiter } from '../middleware/rateLimiter.js';
+import { resolveSlug } from '../middleware/slugResolver.js';
+import { negotiateLanguage, localizeResponse } from '../middleware/language.js';
+import { listTranslations, saveTranslation, deleteTranslation } from '../controllers/translationController.js';
+import { getRelatedContent } from '../controllers/relatedContentController.js';
+import { getModelByContentType } from '../controllers/searchController.js';
+import {
+  createCollection,
+  getCollections,
+  getAdminCollections,
+  getAdminCollectionById,
+  getCollectionById,
+  updateCollection,
+  deleteCollection,
+  getContentSeries
+} from '../controllers/collectionController.js';
+import livestockRoutes from './livestockRoutes.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
 import {
   createBlog,
   getBlogs,
@@ -41,30 +61,6 @@ import {
   getAdminMagazines,
   updateMagazine,
   deleteMagazine,
-  createPiggery,
-  getPiggeries,
-  getPiggeryById,
-  getAdminPiggeries,
-  updatePiggery,
-  deletePiggery,
-  createDairy,
-  getDairies,
-  getDairyById,
-  getAdminDairies,
-  updateDairy,
-  deleteDairy,
-  createBeef,
-  getBeefs,
-  getBeefById,
-  getAdminBeefs,
-  updateBeef,
-  deleteBeef,
-  createGoat,
-  getGoats,
-  getGoatById,
-  getAdminGoats,
-  updateGoat,
-  deleteGoat, 
   createSubscriber,
   getSubscribers,
   deleteSubscriber,
@@ -78,6 +74,7 @@ import {
   updateNewsletter,
   deleteNewsletter,
   sendNewsletter,
+  cancelNewsletterSending,
   createEvent,
   getEvents,
   getEventById,
@@ -86,6 +83,8 @@ import {
   deleteEvent,
   // Event Registration functions
   registerForEvent,
+  getEventAvailability,
+  cancelEventRegistration,
   getAdminRegistrations,
   getAllEventRegistrations,
   updateEventRegistration,
@@ -103,6 +102,10 @@ import {
   trackLike,
   trackShare,
   getEngagementStats,
+  // Editorial workflow functions
+  transitionContentStatus,
+  assignReviewer,
+  getReviewQueue,
   verifyReadingTimeAccuracy,
   verifyStatisticsAccuracy,
 
@@ -110,6 +113,12 @@ import {
 
 const router = express.Router();
 
+// Serve public content in the requested language (?lang= or Accept-Language)
+router.use(negotiateLanguage, localizeResponse);
+
+// Plural paths the livestock species were served at before the generic router
+const livestockPaths = Object.values(LIVESTOCK_SPECIES).map(species => species.path).join('|');
+
 // File upload routes
 router.post('/upload/images', ...storeInGridFS('file', ['image/*']), (req, res) => {
   if (!req.file) {
@@ -148,7 +157,7 @@ router.post('/blogs',
 );
 router.get('/blogs', getBlogs); // Temporarily disable cache to fix stale data
 router.get('/blogs/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminBlogs);
-router.get('/blogs/:id', validateObjectId('id'), cacheMiddleware(600), getBlogById);
+router.get('/blogs/:id', resolveSlug('Blog'), cacheMiddleware(600), getBlogById);
 router.put('/blogs/:id',
   authenticateToken, requireRole(['system_admin', 'editor']),
   validateObjectId('id'),
@@ -157,6 +166,7 @@ router.put('/blogs/:id',
   processFormData, // Process FormData fields before validation
   validate(blogSchemas.update), // Re-add validation after processing
   invalidateCache(['blogs']),
+  invalidateRelatedContent,
   updateBlog
 );
 router.delete('/blogs/:id',
@@ -165,6 +175,7 @@ router.delete('/blogs/:id',
   validateObjectId('id'),
   forceContentRefresh(['blogs']),
   invalidateCache(['blogs']),
+  invalidateRelatedContent,
   deleteBlog
 );
 
@@ -181,16 +192,17 @@ router.post('/news',
 );
 router.get('/news', cacheProfiles.news, getNews);
 router.get('/news/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminNews);
-router.get('/news/:id', cacheProfiles.news, getNewsById);
+router.get('/news/:id', resolveSlug('News'), cacheProfiles.news, getNewsById);
 router.put('/news/:id', 
   authenticateToken, requireRole(['system_admin', 'editor']), 
   ...storeInGridFS('image', ['image/*'], { optional: true }), 
   processFormData, // Add form data processing
   validate(newsSchemas.update), // Add validation
   invalidateCache(['news']), 
+  invalidateRelatedContent,
   updateNews
 );
-router.delete('/news/:id', authenticateToken, requireRole(['system_admin', 'editor']), forceContentRefresh(['news']), invalidateCache(['news']), deleteNews);
+router.delete('/news/:id', authenticateToken, requireRole(['system_admin', 'editor']), forceContentRefresh(['news']), invalidateCache(['news']), invalidateRelatedContent, deleteNews);
 
 
 // Basic Routes
@@ -215,7 +227,7 @@ router.get('/basics', cacheMiddleware(300), getBasics);
 router.get('/basics/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminBasics);
 
 // Get a single Basic media by ID
-router.get('/basics/:id', cacheMiddleware(600), getBasicById);
+router.get('/basics/:id', resolveSlug('Basic'), cacheMiddleware(600), getBasicById);
 
 // Update a Basic media by ID
 router.put(
@@ -227,16 +239,17 @@ router.put(
   ]),
   validateFileUpload,
   invalidateCache(['basics']),
+  invalidateRelatedContent,
   updateBasic
 );
 
 // Delete a Basic media by ID
-router.delete('/basics/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['basics']), deleteBasic);
+router.delete('/basics/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['basics']), invalidateRelatedContent, deleteBasic);
 // Farms Routes
 router.post('/farms', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), validateFileUpload, ...completeAdminRefresh(['farms']), createFarm);
 router.get('/farms', cacheMiddleware(300), getFarms);
 router.get('/farms/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminFarms);
-router.get('/farms/:id', cacheMiddleware(600), getFarmById);
+router.get('/farms/:id', resolveSlug('Farm'), cacheMiddleware(600), getFarmById);
 router.put('/farms/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), invalidateCache(['farms']), updateFarm);
 router.delete('/farms/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['farms']), deleteFarm);
 
@@ -284,42 +297,22 @@ router.post('/magazines',
 );
 router.get('/magazines', cacheMiddleware(300), getMagazines);
 router.get('/magazines/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminMagazines);
-router.get('/magazines/:id', cacheMiddleware(600), getMagazineById);
+router.get('/magazines/:id', resolveSlug('Magazine'), cacheMiddleware(600), getMagazineById);
 router.put('/magazines/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), ...storeInGridFS('pdf', ['application/pdf'], { optional: true }), invalidateCache(['magazines']), updateMagazine);
 router.delete('/magazines/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['magazines']), deleteMagazine);
 
-// Piggery Routes
-router.post('/piggeries', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), validateFileUpload, ...completeAdminRefresh(['piggeries']), createPiggery);
-router.get('/piggeries', cacheMiddleware(300), getPiggeries);
-router.get('/piggeries/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminPiggeries);
-router.get('/piggeries/:id', cacheMiddleware(600), getPiggeryById);
-router.put('/piggeries/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), invalidateCache(['piggeries']), updatePiggery);
-router.delete('/piggeries/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['piggeries']), deletePiggery);
-
-// Dairy Routes
-router.post('/dairies', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), validateFileUpload, ...completeAdminRefresh(['dairies']), createDairy);
-router.get('/dairies', cacheMiddleware(300), getDairies);
-router.get('/dairies/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminDairies);
-router.get('/dairies/:id', cacheMiddleware(600), getDairyById);
-router.put('/dairies/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), invalidateCache(['dairies']), updateDairy);
-router.delete('/dairies/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['dairies']), deleteDairy);
-
-// Beef Routes
-router.post('/beefs', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), validateFileUpload, ...completeAdminRefresh(['beefs']), createBeef);
-router.get('/beefs', cacheMiddleware(300), getBeefs);
-router.get('/beefs/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminBeefs);
-router.get('/beefs/:id', cacheMiddleware(600), getBeefById);
-router.put('/beefs/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), invalidateCache(['beefs']), updateBeef);
-router.delete('/beefs/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['beefs']), deleteBeef);
-
-// Goat Routes
-router.post('/goats', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), validateFileUpload, ...completeAdminRefresh(['goats']), createGoat);
-router.get('/goats', cacheMiddleware(300), getGoats);
-router.get('/goats/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminGoats);
-router.get('/goats/:id', cacheMiddleware(600), getGoatById);
-router.put('/goats/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), invalidateCache(['goats']), updateGoat);
-router.delete('/goats/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['goats']), deleteGoat);
+// Collection Routes (ordered series of blogs, news, basics and livestock articles)
+router.post('/collections', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['collections']), createCollection);
+router.get('/collections', cacheMiddleware(300), getCollections);
+router.get('/collections/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminCollections);
+router.get('/collections/admin/:id', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), getAdminCollectionById);
+router.get('/collections/:id', resolveSlug('Collection'), cacheMiddleware(600), getCollectionById);
+router.put('/collections/:id', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), invalidateCache(['collections']), updateCollection);
+router.delete('/collections/:id', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), invalidateCache(['collections']), deleteCollection);
 
+// Livestock Routes (dairy, beef, goat, piggery ... see config/livestockSpecies.js)
+// Served at /livestock/:species and at each species' original path (/goats, /dairies, ...)
+router.use(['/livestock/:species', `/:species(${livestockPaths})`], livestockRoutes);
 
 // Subscriber Routes
 router.get('/subscribers', authenticateToken, requireRole(['system_admin', 'editor']), getSubscribers);
@@ -331,7 +324,7 @@ router.put('/subscribers/bulk', authenticateToken, requireRole(['system_admin',
 router.get('/confirm-subscription', confirmSubscription);
 router.get('/unsubscribe', unsubscribeHandler);  // GET route for email links
 router.post('/unsubscribe', unsubscribeHandler); // POST route for forms
-router.put('/email-preferences', updateEmailPreferences);
+router.put('/email-preferences', updateEmailPreferences); // token + sig from an email link
 
 // Newsletter Routes
 router.get('/newsletters', getNewsletters);
@@ -340,18 +333,21 @@ router.post('/newsletters', authenticateToken, requireRole(['system_admin', 'edi
 router.put('/newsletters/:id', authenticateToken, requireRole(['system_admin', 'editor']), updateNewsletter);
 router.delete('/newsletters/:id', authenticateToken, requireRole(['system_admin', 'editor']), deleteNewsletter);
 router.post('/newsletters/:id/send', authenticateToken, requireRole(['system_admin', 'editor']), sendNewsletter);
+router.delete('/newsletters/:id/send', authenticateToken, requireRole(['system_admin', 'editor']), cancelNewsletterSending);
 router.get('/newsletters/:id/analytics', authenticateToken, requireRole(['system_admin', 'editor']), getNewsletterAnalytics);
 
 // Event Routes
 router.post('/events', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*']), validateFileUpload, ...completeAdminRefresh(['events']), createEvent);
 router.get('/events', getEvents);
 router.get('/events/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminEvents);
-router.get('/events/:id', getEventById);
+router.get('/events/:id', resolveSlug('Event'), getEventById);
 router.put('/events/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), updateEvent);
 router.delete('/events/:id', authenticateToken, requireRole(['system_admin', 'editor']), deleteEvent);
 
 // Public Event Registration Route (no authentication required)
 router.post('/events/:eventId/register', registerForEvent);
+router.get('/events/:eventId/availability', validateObjectId('eventId'), getEventAvailability);
+router.post('/events/:eventId/cancel-registration', validateObjectId('eventId'), cancelEventRegistration);
 
 // Event Registration Routes
 router.get('/event-registrations/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminRegistrations);
@@ -364,11 +360,85 @@ router.post('/auctions', authenticateToken, requireRole(['system_admin', 'editor
 router.get('/auctions', getAuctions);
 router.get('/auctions/upcoming', getUpcomingAuctions);
 router.get('/auctions/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminAuctions);
-router.get('/auctions/:id', getAuctionById);
+router.get('/auctions/:id', resolveSlug('Auction'), getAuctionById);
 router.put('/auctions/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), updateAuction);
 router.delete('/auctions/:id', authenticateToken, requireRole(['system_admin', 'editor']), deleteAuction);
 router.post('/auctions/:id/register', registerInterest);
 
+// EDITORIAL WORKFLOW ROUTES
+// Content waiting for review (all items for system admins, assigned items for editors)
+router.get('/workflow/review-queue', authenticateToken, requireRole(['system_admin', 'editor']), getReviewQueue);
+
+// Move content through draft → in_review → approved → published → archived
+router.post('/:contentType/:id/workflow',
+  authenticateToken, requireRole(['system_admin', 'editor']),
+  validateObjectId('id'),
+  invalidateCache(['content']),
+  invalidateRelatedContent,
+  transitionContentStatus
+);
+
+// Assign a reviewer to content
+router.put('/:contentType/:id/reviewer', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), assignReviewer);
+
+// REVISION HISTORY ROUTES
+router.get('/:contentType/:id/revisions', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), listRevisions);
+router.get('/:contentType/:id/revisions/diff', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), diffRevisions);
+router.get('/:contentType/:id/revisions/:revisionNumber', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), getRevision);
+router.post('/:contentType/:id/revisions/:revisionNumber/restore',
+  authenticateToken, requireRole(['system_admin', 'editor']),
+  validateObjectId('id'),
+  invalidateCache(['content']),
+  invalidateRelatedContent,
+  restoreRevision
+);
+
+// COMMENT ROUTES
+// Comments waiting for moderation (query: status, contentType)
+router.get('/comments/moderation', authenticateToken, requireRole(['system_admin', 'editor']), getModerationQueue);
+
+// Approved comments as a thread, and public submission (held for moderation)
+router.get('/:contentType/:id/comments', validateObjectId('id'), getComments);
+router.post('/:contentType/:id/comments', commentRateLimiter, validateObjectId('id'), submitComment);
+
+// Approve, reject or mark a comment as spam
+router.post('/:contentType/:id/comments/:commentId/moderate', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), moderateComment);
+
+// TRANSLATION ROUTES
+router.get('/:contentType/:id/translations', authenticateToken, requireRole(['system_admin', 'editor']), validateObjectId('id'), listTranslations);
+router.put('/:contentType/:id/translations/:language',
+  authenticateToken, requireRole(['system_admin', 'editor']),
+  validateObjectId('id'),
+  invalidateCache(['content']),
+  invalidateRelatedContent,
+  saveTranslation
+);
+router.delete('/:contentType/:id/translations/:language',
+  authenticateToken, requireRole(['system_admin', 'editor']),
+  validateObjectId('id'),
+  invalidateCache(['content']),
+  invalidateRelatedContent,
+  deleteTranslation
+);
+
+// SERIES ROUTES
+// Published series an article belongs to, with previous/next navigation
+router.get('/:contentType/:id/series',
+  resolveSlug(req => getModelByContentType(req.params.contentType)),
+  validateObjectId('id'),
+  cacheMiddleware(300),
+  getContentSeries
+);
+
+// RELATED CONTENT ROUTES
+// Ranked recommendations across blogs, news, basics and livestock (query: limit, contentTypes)
+router.get('/:contentType/:id/related',
+  resolveSlug(req => getModelByContentType(req.params.contentType)),
+  validateObjectId('id'),
+  cacheProfiles.related,
+  getRelatedContent
+);
+
 // ENGAGEMENT TRACKING ROUTES
 // View tracking - increment views when content is accessed
 router.post('/:contentType/:id/view', trackView);
@@ -0,0 +1,37 @@
+// routes/digestRoutes.js
+import express from 'express';
+import { getDigestOverview, previewSubscriberDigest, runDigestSweep } from '../controllers/digestController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validateObjectId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const requireNewsletterEditor = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   GET /api/digests
+ * @desc    Subscribers per digest frequency, next and last sweep
+ * @access  Editor
+ */
+router.get('/digests', ...requireNewsletterEditor, getDigestOverview);
+
+/**
+ * @route   POST /api/digests/run
+ * @desc    Send all due digests now
+ * @access  Editor
+ */
+router.post('/digests/run', ...requireNewsletterEditor, runDigestSweep);
+
+/**
+ * @route   GET /api/digests/subscribers/:subscriberId/preview
+ * @desc    Digest the subscriber would get now (?format=html|text for the email itself)
+ * @access  Editor
+ */
+router.get(
+  '/digests/subscribers/:subscriberId/preview',
+  ...requireNewsletterEditor,
+  validateObjectId('subscriberId'),
+  previewSubscriberDigest
+);
+
+export default router;
@@ -0,0 +1,48 @@
+// routes/eventCheckInRoutes.js
+import express from 'express';
+import {
+  checkInAttendee,
+  syncCheckIns,
+  getEventAttendance
+} from '../controllers/eventCheckInController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validate, validateObjectId, eventCheckInSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const requireEventStaff = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   POST /api/events/:eventId/check-in
+ * @desc    Check in one scanned QR code
+ * @access  Editor
+ */
+router.post(
+  '/events/:eventId/check-in',
+  ...requireEventStaff,
+  validateObjectId('eventId'),
+  validate(eventCheckInSchemas.checkIn),
+  checkInAttendee
+);
+
+/**
+ * @route   POST /api/events/:eventId/check-in/batch
+ * @desc    Sync scans recorded offline ({ scans: [{ code, scannedAt }], deviceId })
+ * @access  Editor
+ */
+router.post(
+  '/events/:eventId/check-in/batch',
+  ...requireEventStaff,
+  validateObjectId('eventId'),
+  validate(eventCheckInSchemas.batch),
+  syncCheckIns
+);
+
+/**
+ * @route   GET /api/events/:eventId/attendance
+ * @desc    Attendance report (registered vs attended, no-show rate); ?include=attendees for the list, ?occurrence= for one date of a recurring event
+ * @access  Editor
+ */
+router.get('/events/:eventId/attendance', ...requireEventStaff, validateObjectId('eventId'), getEventAttendance);
+
+export default router;
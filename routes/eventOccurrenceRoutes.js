@@ -0,0 +1,66 @@
+// routes/eventOccurrenceRoutes.js
+import express from 'express';
+import {
+  getEventOccurrences,
+  rescheduleEventOccurrence,
+  cancelEventOccurrence,
+  restoreEventOccurrence
+} from '../controllers/eventOccurrenceController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validate, validateObjectId, eventOccurrenceSchemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const requireEventEditor = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   GET /api/events/:eventId/occurrences
+ * @desc    Dates of an event in a window (?from=&to=) with seats left
+ * @access  Public
+ */
+router.get(
+  '/events/:eventId/occurrences',
+  validateObjectId('eventId'),
+  validate(eventOccurrenceSchemas.query, 'query'),
+  getEventOccurrences
+);
+
+/**
+ * @route   PUT /api/events/:eventId/occurrences/:occurrenceDate
+ * @desc    Move one date of a recurring event ({ startDate, endDate, location, reason })
+ * @access  Editor
+ */
+router.put(
+  '/events/:eventId/occurrences/:occurrenceDate',
+  ...requireEventEditor,
+  validateObjectId('eventId'),
+  validate(eventOccurrenceSchemas.reschedule),
+  rescheduleEventOccurrence
+);
+
+/**
+ * @route   POST /api/events/:eventId/occurrences/:occurrenceDate/cancel
+ * @desc    Cancel one date of a recurring event and its registrations
+ * @access  Editor
+ */
+router.post(
+  '/events/:eventId/occurrences/:occurrenceDate/cancel',
+  ...requireEventEditor,
+  validateObjectId('eventId'),
+  validate(eventOccurrenceSchemas.cancel),
+  cancelEventOccurrence
+);
+
+/**
+ * @route   DELETE /api/events/:eventId/occurrences/:occurrenceDate
+ * @desc    Undo a cancellation or change: the date follows the series again
+ * @access  Editor
+ */
+router.delete(
+  '/events/:eventId/occurrences/:occurrenceDate',
+  ...requireEventEditor,
+  validateObjectId('eventId'),
+  restoreEventOccurrence
+);
+
+export default router;
@@ -0,0 +1,69 @@
+// routes/liveBiddingRoutes.js
+import express from 'express';
+import {
+  getLiveAuction,
+  placeBid,
+  openLot,
+  closeLot,
+  hammerLot,
+  getBidLedger
+} from '../controllers/liveBiddingController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { authenticateBidder } from '../middleware/bidderAuth.js';
+import { validate, validateObjectId, liveBiddingSchemas } from '../middleware/validation.js';
+import { bidRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+const requireAuctioneer = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   GET /api/auctions/:auctionId/live
+ * @desc    Lot on the block and the bidding state of every lot
+ * @access  Public
+ */
+router.get('/auctions/:auctionId/live', validateObjectId('auctionId'), getLiveAuction);
+
+/**
+ * @route   POST /api/auctions/:auctionId/bids
+ * @desc    Place a bid on the open lot
+ * @access  Bidder (bidder token from the registration approval email)
+ */
+router.post(
+  '/auctions/:auctionId/bids',
+  bidRateLimiter,
+  validateObjectId('auctionId'),
+  authenticateBidder,
+  validate(liveBiddingSchemas.bid),
+  placeBid
+);
+
+/**
+ * @route   POST /api/auctions/:auctionId/lots/:lotNumber/open
+ * @desc    Put a lot on the block
+ * @access  Admin
+ */
+router.post('/auctions/:auctionId/lots/:lotNumber/open', ...requireAuctioneer, validateObjectId('auctionId'), openLot);
+
+/**
+ * @route   POST /api/auctions/:auctionId/lots/:lotNumber/close
+ * @desc    Stop taking bids on the open lot
+ * @access  Admin
+ */
+router.post('/auctions/:auctionId/lots/:lotNumber/close', ...requireAuctioneer, validateObjectId('auctionId'), closeLot);
+
+/**
+ * @route   POST /api/auctions/:auctionId/lots/:lotNumber/hammer
+ * @desc    Hammer the lot: sold if the reserve was met, passed otherwise
+ * @access  Admin
+ */
+router.post('/auctions/:auctionId/lots/:lotNumber/hammer', ...requireAuctioneer, validateObjectId('auctionId'), hammerLot);
+
+/**
+ * @route   GET /api/auctions/:auctionId/ledger
+ * @desc    Bid ledger (every bid attempt and lot command), optionally ?lotNumber=
+ * @access  Admin
+ */
+router.get('/auctions/:auctionId/ledger', ...requireAuctioneer, validateObjectId('auctionId'), getBidLedger);
+
+export default router;
@@ -0,0 +1,33 @@
+// routes/livestockRoutes.js
+// Generic CRUD routes for livestock content. Mounted by contentRoutes.js at
+// /livestock/:species and at each species' legacy path (/goats, /dairies, ...),
+// so the species comes from the parent route's params.
+import express from 'express';
+import { storeInGridFS } from '../middleware/enhancedFileUpload.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { cacheMiddleware, invalidateCache } from '../middleware/cache.js';
+import { invalidateRelatedContent } from '../middleware/enhancedCache.js';
+import { completeAdminRefresh } from '../middleware/forceRefresh.js';
+import { validateFileUpload } from '../middleware/validation.js';
+import { resolveSlug } from '../middleware/slugResolver.js';
+import { getSpeciesModel } from '../models/Livestock.js';
+import { resolveSpeciesKey } from '../config/livestockSpecies.js';
+import {
+  createLivestock,
+  getLivestockList,
+  getLivestockById,
+  getAdminLivestock,
+  updateLivestock,
+  deleteLivestock
+} from '../controllers/contentController.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.post('/', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), validateFileUpload, ...completeAdminRefresh(['livestock']), createLivestock);
+router.get('/', cacheMiddleware(300), getLivestockList);
+router.get('/admin', authenticateToken, requireRole(['system_admin', 'editor']), getAdminLivestock);
+router.get('/:id', resolveSlug(req => getSpeciesModel(resolveSpeciesKey(req.params.species))), cacheMiddleware(600), getLivestockById);
+router.put('/:id', authenticateToken, requireRole(['system_admin', 'editor']), ...storeInGridFS('image', ['image/*'], { optional: true }), invalidateCache(['livestock']), invalidateRelatedContent, updateLivestock);
+router.delete('/:id', authenticateToken, requireRole(['system_admin', 'editor']), invalidateCache(['livestock']), invalidateRelatedContent, deleteLivestock);
+
+export default router;
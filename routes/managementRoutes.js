@@ -6,6 +6,7 @@
 
 import express from 'express';
 import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validate, dataExportSchemas } from '../middleware/validation.js';
 
 // Import management controllers
 import * as emailManagementController from '../controllers/emailManagementController.js';
@@ -31,6 +32,8 @@ router.get('/dashboard/metrics', requireSystemAdmin, adminDashboardOverviewContr
 // Email Management Routes
 router.get('/email/templates', requireSystemAdmin, emailManagementController.getEmailTemplates);
 router.post('/email/templates', requireSystemAdmin, emailManagementController.createEmailTemplate);
+router.get('/email/templates/:name/preview', requireSystemAdmin, emailManagementController.previewEmailTemplate);
+router.post('/email/templates/:name/preview', requireSystemAdmin, emailManagementController.previewEmailTemplate);
 router.put('/email/templates/:id', requireSystemAdmin, emailManagementController.updateEmailTemplate);
 router.delete('/email/templates/:id', requireSystemAdmin, emailManagementController.deleteEmailTemplate);
 router.get('/email/stats', requireSystemAdmin, getOverallEmailAnalytics);  // Enhanced SendGrid analytics
@@ -70,6 +73,8 @@ router.get('/export/activity-logs', requireSystemAdmin, dataExportController.exp
 router.get('/export/content-analytics', requireSystemAdmin, dataExportController.exportContentAnalytics);
 router.get('/export/subscribers', requireSystemAdmin, dataExportController.exportSubscribers);
 router.get('/export/notifications', requireSystemAdmin, dataExportController.exportNotifications);
+router.get('/export/auction-results', requireSystemAdmin, validate(dataExportSchemas.auctionResults, 'query'), dataExportController.exportAuctionResults);
+router.get('/export/event-attendance', requireSystemAdmin, dataExportController.exportEventAttendance);
 router.get('/export/system-report', requireSystemAdmin, dataExportController.generateSystemReport);
 
 export default router;
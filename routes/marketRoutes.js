@@ -0,0 +1,18 @@
+// routes/marketRoutes.js
+import express from 'express';
+import { getMarketPrices } from '../controllers/marketPriceController.js';
+import { validate, marketPriceSchemas } from '../middleware/validation.js';
+import { cacheMiddleware } from '../middleware/cache.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/market/prices
+ * @desc    Livestock price index from sold auction lots and Market news reports.
+ *          Filters: category, breed, region, source, from, to; rollup: interval=week|month;
+ *          series: groupBy=category,region,breed,weightBand; format=series|chart (&metric=)
+ * @access  Public
+ */
+router.get('/market/prices', validate(marketPriceSchemas.query, 'query'), cacheMiddleware(900), getMarketPrices);
+
+export default router;
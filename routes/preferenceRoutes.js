@@ -0,0 +1,31 @@
+// routes/preferenceRoutes.js
+import express from 'express';
+import { getPreferences, updatePreferences, unsubscribe } from '../controllers/preferenceCentreController.js';
+import { generalRateLimiter, unsubscribeRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Every route needs the signature from the email link (?sig=), see utils/preferenceLinks.js
+
+/**
+ * @route   GET /api/preferences/:token
+ * @desc    Subscriber's topics, channels and frequency
+ * @access  Public (signed link)
+ */
+router.get('/preferences/:token', generalRateLimiter, getPreferences);
+
+/**
+ * @route   PUT /api/preferences/:token
+ * @desc    Change topics, channels, frequency or push subscription
+ * @access  Public (signed link)
+ */
+router.put('/preferences/:token', generalRateLimiter, updatePreferences);
+
+/**
+ * @route   POST /api/preferences/:token/unsubscribe
+ * @desc    Unsubscribe from all emails and notifications
+ * @access  Public (signed link)
+ */
+router.post('/preferences/:token/unsubscribe', unsubscribeRateLimiter, unsubscribe);
+
+export default router;
@@ -12,6 +12,7 @@ import {
   searchCacheConfig,
   getSearchMetrics
 } from '../middleware/searchOptimization.js';
+import { negotiateLanguage, localizeResponse } from '../middleware/language.js';
 
 const router = express.Router();
 
@@ -36,6 +37,9 @@ const suggestionRateLimit = rateLimit({
   }
 });
 
+// Serve results in the requested language (?lang= or Accept-Language)
+router.use(negotiateLanguage, localizeResponse);
+
 // Apply performance monitoring and search optimization to all search routes
 router.use(searchPerformanceMiddleware);
 router.use(trackSearchPerformance);
@@ -0,0 +1,76 @@
+// routes/segmentRoutes.js
+import express from 'express';
+import {
+  getSegmentFields,
+  getSegments,
+  getSegment,
+  previewSegmentRules,
+  previewAudience,
+  createSegment,
+  updateSegment,
+  deleteSegment
+} from '../controllers/segmentController.js';
+import { authenticateToken, requireRole } from '../middleware/enhancedAuthMiddleware.js';
+import { validateObjectId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const requireNewsletterEditor = [authenticateToken, requireRole(['system_admin', 'editor'])];
+
+/**
+ * @route   GET /api/segments/fields
+ * @desc    Fields and operators segment rules can use
+ * @access  Editor
+ */
+router.get('/segments/fields', ...requireNewsletterEditor, getSegmentFields);
+
+/**
+ * @route   POST /api/segments/preview
+ * @desc    Count the subscribers matching unsaved rules ({ match, rules })
+ * @access  Editor
+ */
+router.post('/segments/preview', ...requireNewsletterEditor, previewSegmentRules);
+
+/**
+ * @route   POST /api/segments/audience/preview
+ * @desc    Count a newsletter audience ({ targetSubscriptionTypes, targetSegments })
+ * @access  Editor
+ */
+router.post('/segments/audience/preview', ...requireNewsletterEditor, previewAudience);
+
+/**
+ * @route   GET /api/segments
+ * @desc    Saved segments with their last count
+ * @access  Editor
+ */
+router.get('/segments', ...requireNewsletterEditor, getSegments);
+
+/**
+ * @route   POST /api/segments
+ * @desc    Save a segment ({ name, description, match, rules })
+ * @access  Editor
+ */
+router.post('/segments', ...requireNewsletterEditor, createSegment);
+
+/**
+ * @route   GET /api/segments/:id
+ * @desc    A segment with a fresh count and sample of matching subscribers
+ * @access  Editor
+ */
+router.get('/segments/:id', ...requireNewsletterEditor, validateObjectId('id'), getSegment);
+
+/**
+ * @route   PUT /api/segments/:id
+ * @desc    Change a segment's name, description or rules
+ * @access  Editor
+ */
+router.put('/segments/:id', ...requireNewsletterEditor, validateObjectId('id'), updateSegment);
+
+/**
+ * @route   DELETE /api/segments/:id
+ * @desc    Delete a segment not used by a scheduled or sending newsletter
+ * @access  Editor
+ */
+router.delete('/segments/:id', ...requireNewsletterEditor, validateObjectId('id'), deleteSegment);
+
+export default router;
@@ -1,6 +1,15 @@
 import express from 'express';
-import { getBlogRSSFeed, getNewsRSSFeed, getAllContentRSSFeed, generateSitemap } from '../controllers/syndicationController.js';
+import {
+  getBlogRSSFeed,
+  getNewsRSSFeed,
+  getAllContentRSSFeed,
+  getCalendarFeed,
+  getEventCalendar,
+  getAuctionCalendar,
+  generateSitemap
+} from '../controllers/syndicationController.js';
 import { cacheMiddleware } from '../middleware/cache.js';
+import { resolveSlug } from '../middleware/slugResolver.js';
 
 const router = express.Router();
 
@@ -9,6 +18,11 @@ router.get('/rss/blogs', cacheMiddleware(3600), getBlogRSSFeed); // Cache for 1
 router.get('/rss/news', cacheMiddleware(3600), getNewsRSSFeed);
 router.get('/rss/all', cacheMiddleware(3600), getAllContentRSSFeed);
 
+// iCalendar Routes (?type=events|auctions for the feed; events and auctions by ID or slug)
+router.get('/calendar.ics', getCalendarFeed);
+router.get('/calendar/events/:id.ics', resolveSlug('Event'), getEventCalendar);
+router.get('/calendar/auctions/:id.ics', resolveSlug('Auction'), getAuctionCalendar);
+
 // Sitemap Routes
 router.get('/sitemap.xml', cacheMiddleware(86400), generateSitemap); // Cache for 24 hours
 
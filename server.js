@@ -205,6 +205,10 @@ async function initializeServer() {
     notificationService.initialize(server);
     notificationService.startHeartbeat(); // Ensures connection stability
 
+    // Live auction bidding: auction:<id> channels and WebSocket bids
+    const liveBiddingService = (await import('./services/liveBiddingService.js')).default;
+    liveBiddingService.attach(notificationService);
+
     /**
      * WebSocket event handlers
      * 
@@ -451,6 +455,32 @@ const attemptConnection = async () => {
     } catch (error) {
       console.error('Migration error (non-fatal):', error.message);
     }
+
+    // Start applying scheduled publish / unpublish times
+    try {
+      const publishScheduler = (await import('./services/publishScheduler.js')).default;
+      publishScheduler.start();
+    } catch (error) {
+      console.error('Publish scheduler error (non-fatal):', error.message);
+    }
+
+    // Start the background job queue (queued and interrupted newsletter sends)
+    try {
+      const jobQueue = (await import('./services/jobQueue.js')).default;
+      const { registerNewsletterJobs } = await import('./services/newsletterDeliveryService.js');
+      registerNewsletterJobs();
+      jobQueue.start();
+    } catch (error) {
+      console.error('Job queue error (non-fatal):', error.message);
+    }
+
+    // Subscriber digests: register the sweep job and make sure one is queued
+    try {
+      const { registerDigestJobs } = await import('./services/digestService.js');
+      await registerDigestJobs();
+    } catch (error) {
+      console.error('Digest scheduling error (non-fatal):', error.message);
+    }
   } catch (err) {
     console.error(`❌ Database connection attempt ${connectionAttempts} failed:`, err.message);
     dbConnected = false;
@@ -502,6 +532,15 @@ import passwordSetupRoutes from './routes/passwordSetupRoutes.js';
 import fileRoutes from './routes/fileRoutes.js';
 import managementRoutes from './routes/managementRoutes.js';
 import auctionRegistrationRoutes from './routes/auctionRegistrationRoutes.js';
+import liveBiddingRoutes from './routes/liveBiddingRoutes.js';
+import auctionCatalogueRoutes from './routes/auctionCatalogueRoutes.js';
+import auctionSettlementRoutes from './routes/auctionSettlementRoutes.js';
+import marketRoutes from './routes/marketRoutes.js';
+import eventCheckInRoutes from './routes/eventCheckInRoutes.js';
+import eventOccurrenceRoutes from './routes/eventOccurrenceRoutes.js';
+import digestRoutes from './routes/digestRoutes.js';
+import preferenceRoutes from './routes/preferenceRoutes.js';
+import segmentRoutes from './routes/segmentRoutes.js';
 import migrationRoutes from './routes/migrationRoutes.js';
 import performanceRoutes from './routes/performanceRoutes.js';
 import sendgridWebhookRoutes from './routes/sendgridWebhookRoutes.js';
@@ -527,6 +566,15 @@ app.use('/api/push', pushSubscriptionRoutes); // Push notification subscriptions
 app.use('/api/files', fileRoutes); // File serving routes
 app.use('/api/sendgrid', sendgridWebhookRoutes); // SendGrid webhook handling
 app.use('/api', auctionRegistrationRoutes); // Auction registration API endpoints
+app.use('/api', liveBiddingRoutes); // Live auction bidding
+app.use('/api', auctionCatalogueRoutes); // Auction lot catalogue imports
+app.use('/api', auctionSettlementRoutes); // Auction settlement, invoices and sale results
+app.use('/api', marketRoutes); // Livestock market price index
+app.use('/api', eventCheckInRoutes); // Event QR check-in and attendance
+app.use('/api', eventOccurrenceRoutes); // Recurring event occurrences
+app.use('/api', digestRoutes); // Subscriber digests
+app.use('/api', preferenceRoutes); // Subscriber preference centre
+app.use('/api', segmentRoutes); // Subscriber segments
 // Password-specific rate limiter - ENHANCED SECURITY
 const passwordLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -0,0 +1,310 @@
+/**
+ * Auction Settlement Service
+ *
+ * Closes the books on an auction once it has taken place:
+ * - records floor results (final price and winning bidder) for lots that
+ *   were not sold through live bidding
+ * - totals sales per buyer (by bidder number) and per seller
+ * - issues one AuctionInvoice per buyer
+ * - marks the auction completed with a settlement summary
+ *
+ * summarizeSaleResults() builds the public "sale results" figures (average
+ * prices per category, breed and weight band) from any list of lots, so it
+ * also works across auctions.
+ *
+ * @module services/auctionSettlementService
+ */
+import AuctionInvoice from '../models/AuctionInvoice.js';
+
+// Width of the weight bands in sale results (0-99 kg, 100-199 kg, ...)
+export const WEIGHT_BAND_KG = 100;
+
+const isSold = (lot) => lot.sold && lot.finalPrice != null;
+
+const round = (value) => Math.round(value);
+
+export const getWeightBand = (weight) => {
+  const from = Math.floor(weight / WEIGHT_BAND_KG) * WEIGHT_BAND_KG;
+  return `${from}-${from + WEIGHT_BAND_KG - 1} kg`;
+};
+
+// Price statistics for sold lots grouped by keyFn (lots with a null key are skipped)
+const groupPrices = (lots, keyFn) => {
+  const groups = new Map();
+
+  lots.filter(isSold).forEach(lot => {
+    const key = keyFn(lot);
+    if (!key) return;
+
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, prices: [], pricesPerKg: [] });
+    const group = groups.get(id);
+    group.prices.push(lot.finalPrice);
+    if (lot.weight > 0) group.pricesPerKg.push(lot.finalPrice / lot.weight);
+  });
+
+  return Array.from(groups.values())
+    .map(({ key, prices, pricesPerKg }) => ({
+      ...key,
+      lotsSold: prices.length,
+      averagePrice: round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+      minPrice: Math.min(...prices),
+      maxPrice: Math.max(...prices),
+      averagePricePerKg: pricesPerKg.length > 0
+        ? round(pricesPerKg.reduce((sum, price) => sum + price, 0) / pricesPerKg.length)
+        : null
+    }))
+    .sort((a, b) => b.lotsSold - a.lotsSold);
+};
+
+/**
+ * Public sale results for a list of lots (Auction items)
+ * @returns {Object} Totals and average prices per category, breed and weight band
+ */
+export const summarizeSaleResults = (lots) => {
+  const sold = lots.filter(isSold);
+  const grossSales = sold.reduce((sum, lot) => sum + lot.finalPrice, 0);
+
+  return {
+    lotsOffered: lots.length,
+    lotsSold: sold.length,
+    clearanceRate: lots.length > 0 ? round((sold.length / lots.length) * 100) : 0,
+    grossSales,
+    averagePrice: sold.length > 0 ? round(grossSales / sold.length) : null,
+    byCategory: groupPrices(lots, lot => ({ category: lot.category })),
+    byBreed: groupPrices(lots, lot => (lot.breed ? { category: lot.category, breed: lot.breed.trim() } : null)),
+    byWeightBand: groupPrices(lots, lot => (lot.weight > 0
+      ? { category: lot.category, weightBand: getWeightBand(lot.weight) }
+      : null))
+  };
+};
+
+/**
+ * Apply floor results to the auction's lots (not saved)
+ * Each result is { lotNumber, finalPrice, bidderNumber } for a sale or
+ * { lotNumber, sold: false } for a lot that did not sell.
+ *
+ * @returns {Array<Object>} Errors as { lotNumber, message }
+ */
+export const recordLotResults = (auction, results = []) => {
+  const errors = [];
+
+  for (const result of results) {
+    const lot = auction.items.find(item => item.lotNumber === Number(result.lotNumber));
+    const fail = (message) => errors.push({ lotNumber: result.lotNumber ?? null, message });
+
+    if (!lot) {
+      fail('Lot not found');
+      continue;
+    }
+    if (['open', 'closed'].includes(lot.lotStatus)) {
+      fail('Lot is still on the block');
+      continue;
+    }
+    if (lot.lotStatus === 'sold' && lot.hammeredAt) {
+      fail('Lot was sold in live bidding; its result is final');
+      continue;
+    }
+
+    if (result.sold === false) {
+      lot.set({
+        sold: false,
+        lotStatus: 'passed',
+        finalPrice: undefined,
+        winningBidderNumber: undefined,
+        winningRegistration: undefined
+      });
+      continue;
+    }
+
+    const finalPrice = Number(result.finalPrice);
+    if (!Number.isFinite(finalPrice) || finalPrice < 0) {
+      fail('finalPrice must be a number of 0 or more');
+      continue;
+    }
+
+    const registration = auction.registrations.find(reg =>
+      reg.status === 'approved' && reg.bidderNumber && reg.bidderNumber === String(result.bidderNumber));
+    if (!registration) {
+      fail(`No approved bidder with number ${result.bidderNumber}`);
+      continue;
+    }
+
+    lot.set({
+      sold: true,
+      lotStatus: 'sold',
+      finalPrice,
+      winningBidderNumber: registration.bidderNumber,
+      winningRegistration: registration._id
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Totals per buyer and per seller from the auction's lots
+ * @returns {Object} { totals, buyers, sellers }
+ */
+export const buildSettlement = (auction) => {
+  const lots = auction.items.slice().sort((a, b) => a.lotNumber - b.lotNumber);
+  const sold = lots.filter(isSold);
+
+  const buyers = new Map();
+  sold.forEach(lot => {
+    const bidderNumber = lot.winningBidderNumber;
+    if (!bidderNumber) return; // sold before bidder numbers were tracked
+
+    if (!buyers.has(bidderNumber)) {
+      const registration = auction.registrations.find(reg => reg.bidderNumber === bidderNumber && reg.status === 'approved');
+      buyers.set(bidderNumber, {
+        bidderNumber,
+        registrationId: registration?._id || null,
+        buyer: {
+          name: registration?.buyerName || null,
+          email: registration?.buyerEmail || null,
+          phone: registration?.buyerPhone || null,
+          company: registration?.buyerCompany || null
+        },
+        lots: [],
+        total: 0
+      });
+    }
+    const buyer = buyers.get(bidderNumber);
+    buyer.lots.push({
+      lotNumber: lot.lotNumber,
+      description: lot.description,
+      category: lot.category,
+      breed: lot.breed,
+      weight: lot.weight,
+      seller: lot.seller,
+      price: lot.finalPrice
+    });
+    buyer.total += lot.finalPrice;
+  });
+
+  const sellers = new Map();
+  lots.forEach(lot => {
+    const name = lot.seller || 'Unassigned';
+    if (!sellers.has(name)) {
+      sellers.set(name, { seller: name, lotsOffered: 0, lotsSold: 0, grossSales: 0, lots: [] });
+    }
+    const seller = sellers.get(name);
+    seller.lotsOffered++;
+    if (isSold(lot)) {
+      seller.lotsSold++;
+      seller.grossSales += lot.finalPrice;
+    }
+    seller.lots.push({
+      lotNumber: lot.lotNumber,
+      description: lot.description,
+      sold: isSold(lot),
+      finalPrice: isSold(lot) ? lot.finalPrice : null,
+      bidderNumber: isSold(lot) ? lot.winningBidderNumber : null
+    });
+  });
+
+  return {
+    totals: {
+      lotsSold: sold.length,
+      lotsUnsold: lots.length - sold.length,
+      grossSales: sold.reduce((sum, lot) => sum + lot.finalPrice, 0),
+      buyerCount: buyers.size
+    },
+    buyers: Array.from(buyers.values()),
+    sellers: Array.from(sellers.values())
+  };
+};
+
+const formatInvoiceDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Issue or refresh one invoice per buyer
+ * Paid and void invoices are final and never changed; issued invoices of
+ * bidders who no longer hold any lot are voided.
+ *
+ * @returns {Promise<Array<Object>>} The auction's invoices
+ */
+export const issueInvoices = async (auction, buyers) => {
+  const existing = await AuctionInvoice.find({ auction: auction._id }).lean();
+  const final = new Set(existing.filter(invoice => invoice.status !== 'issued').map(invoice => invoice.bidderNumber));
+
+  for (const buyer of buyers) {
+    if (final.has(buyer.bidderNumber)) continue;
+
+    await AuctionInvoice.findOneAndUpdate(
+      { auction: auction._id, bidderNumber: buyer.bidderNumber },
+      {
+        $set: {
+          registrationId: buyer.registrationId,
+          buyer: buyer.buyer,
+          lines: buyer.lots,
+          total: buyer.total,
+          status: 'issued',
+          issuedAt: new Date()
+        },
+        $setOnInsert: {
+          invoiceNumber: `INV-${formatInvoiceDate(auction.date)}-${auction._id.toString().slice(-6).toUpperCase()}-${buyer.bidderNumber}`
+        }
+      },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  await AuctionInvoice.updateMany(
+    { auction: auction._id, status: 'issued', bidderNumber: { $nin: buyers.map(buyer => buyer.bidderNumber) } },
+    { $set: { status: 'void' } }
+  );
+
+  return AuctionInvoice.find({ auction: auction._id }).sort({ bidderNumber: 1 }).lean();
+};
+
+/**
+ * Settle an auction: record floor results, total up, invoice buyers and mark
+ * the auction completed. Can be run again to correct results.
+ *
+ * @param {mongoose.Document} auction - Auction document
+ * @param {Object} options
+ * @param {Array<Object>} [options.results] - Floor results (see recordLotResults)
+ * @param {mongoose.Types.ObjectId} options.userId - Staff user settling the auction
+ * @returns {Promise<Object>} { settlement, buyers, sellers, invoices } or { error, status, errors }
+ */
+export const settleAuction = async (auction, { results = [], userId }) => {
+  if (auction.status === 'cancelled') {
+    return { error: 'A cancelled auction cannot be settled', status: 409 };
+  }
+  if (auction.liveBidding?.currentLot != null) {
+    return { error: `Lot ${auction.liveBidding.currentLot} is still on the block`, status: 409 };
+  }
+  if (new Date(auction.date) > new Date() && !['ongoing', 'completed'].includes(auction.status)) {
+    return { error: 'The auction has not taken place yet', status: 409 };
+  }
+
+  const errors = recordLotResults(auction, results);
+  if (errors.length > 0) {
+    return { error: 'Some lot results could not be recorded; nothing was saved', status: 400, errors };
+  }
+
+  const { totals, buyers, sellers } = buildSettlement(auction);
+
+  auction.status = 'completed';
+  auction.settlement = {
+    ...totals,
+    settledAt: new Date(),
+    settledBy: userId
+  };
+
+  // The date validator only accepts future dates, so validate just the changes
+  await auction.save({ validateModifiedOnly: true });
+  const invoices = await issueInvoices(auction, buyers);
+
+  return { settlement: auction.settlement, buyers, sellers, invoices };
+};
+
+export default {
+  summarizeSaleResults,
+  recordLotResults,
+  buildSettlement,
+  issueInvoices,
+  settleAuction
+};
@@ -0,0 +1,331 @@
+/**
+ * Digest Service
+ *
+ * Subscribers whose preferences.frequency is daily, weekly or monthly get
+ * no email per article (sendContentNotification leaves them out). Instead a
+ * "digest.sweep" job on the job queue (services/jobQueue.js) runs every
+ * DIGEST_SWEEP_INTERVAL_MS (default one hour) and emails every subscriber
+ * whose period has passed the Blog, News, Basic, Event and livestock content
+ * published since their last digest, filtered by the topics they follow
+ * (utils/contentTopics.js) and rendered with the newsletter template.
+ * Subscribers who turned email off get no digest.
+ *
+ * A sweep works in batches (DIGEST_BATCH_SIZE, default 50, with
+ * DIGEST_BATCH_DELAY_MS between them) and queues the next sweep when it is
+ * done. Subscribers with nothing new get no email; their next period starts
+ * from now. A digest that could not be sent is tried again at the next sweep.
+ *
+ * @module services/digestService
+ */
+import Subscriber from '../models/Subscriber.js';
+import Blog from '../models/Blog.js';
+import News from '../models/News.js';
+import Basic from '../models/Basic.js';
+import Event from '../models/Event.js';
+import Livestock from '../models/Livestock.js';
+import Job from '../models/Job.js';
+import jobQueue from './jobQueue.js';
+import { sendDigestToSubscriber } from './emailService.js';
+import { getContentSubscriptionTypes, topicsForSubscriptionType } from '../utils/contentTopics.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+
+export const DIGEST_SWEEP_JOB = 'digest.sweep';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Length of each digest period
+ */
+export const DIGEST_PERIODS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS
+};
+
+export const DIGEST_FREQUENCIES = Object.keys(DIGEST_PERIODS);
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.DIGEST_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.DIGEST_BATCH_SIZE) || 50;
+const BATCH_DELAY_MS = parseInt(process.env.DIGEST_BATCH_DELAY_MS) || 2000;
+const MAX_ARTICLES = parseInt(process.env.DIGEST_MAX_ARTICLES) || 12;
+// Items read per source for a batch, before filtering by topic
+const SOURCE_LIMIT = 100;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com';
+
+// Livestock URL segments on the website
+const LIVESTOCK_PATHS = Object.fromEntries(
+  Object.entries(LIVESTOCK_SPECIES).map(([species, config]) => [species, config.frontendPath])
+);
+
+// Where digest content comes from; Basic has no publishedAt, so its creation date is used
+const DIGEST_SOURCES = [
+  { contentType: 'blog', label: 'Blog', model: Blog, path: 'blogs', dateField: 'publishedAt', textField: 'content' },
+  { contentType: 'news', label: 'News', model: News, path: 'news', dateField: 'publishedAt', textField: 'content' },
+  { contentType: 'basic', label: 'Farming Basics', model: Basic, path: 'basics', dateField: 'createdAt', textField: 'description' },
+  { contentType: 'event', label: 'Events', model: Event, path: 'events', dateField: 'publishedAt', textField: 'description' },
+  { contentType: 'livestock', model: Livestock, dateField: 'publishedAt', textField: 'content' }
+];
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const toDigestItem = (source, item) => {
+  const contentType = source.contentType === 'livestock' ? item.type : source.contentType;
+  const path = source.path || LIVESTOCK_PATHS[item.type] || item.type;
+
+  return {
+    title: item.title,
+    url: `${getFrontendUrl()}/${path}/${item.slug || item._id}`,
+    summary: stripHtml(item[source.textField]).substring(0, 300),
+    contentType: source.label || LIVESTOCK_SPECIES[item.type]?.label || 'Livestock',
+    publishedAt: item[source.dateField],
+    topics: getContentSubscriptionTypes(contentType, item)
+  };
+};
+
+/**
+ * Content published in a period, newest first
+ * @param {Date} since - Exclusive start
+ * @param {Date} until - Inclusive end
+ * @returns {Promise<Object[]>} Digest items { title, url, summary, contentType, publishedAt, topics }
+ */
+export const findPublishedContent = async (since, until) => {
+  const results = await Promise.all(DIGEST_SOURCES.map(async (source) => {
+    const items = await source.model.find({ published: true, [source.dateField]: { $gt: since, $lte: until } })
+      .sort({ [source.dateField]: -1 })
+      .limit(SOURCE_LIMIT)
+      .select(`title slug category type ${source.textField} ${source.dateField}`)
+      .lean();
+    return items.map(item => toDigestItem(source, item));
+  }));
+
+  return results.flat().sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+};
+
+/**
+ * Start of the period a subscriber's next digest covers
+ * @param {Object} subscriber
+ * @param {Date} now
+ * @returns {Date}
+ */
+export const getDigestPeriodStart = (subscriber, now = new Date()) => {
+  if (subscriber.lastDigestAt) {
+    return new Date(subscriber.lastDigestAt);
+  }
+  // First digest: one period back, but not before the subscription started
+  const periodStart = now.getTime() - DIGEST_PERIODS[subscriber.preferences?.frequency || 'weekly'];
+  return new Date(Math.max(periodStart, new Date(subscriber.subscribedAt || 0).getTime()));
+};
+
+/**
+ * Newsletter template values for a subscriber's digest
+ * @param {Object} subscriber - Subscriber with preferences (frequency, topics) and lastDigestAt
+ * @param {Object[]} content - From findPublishedContent, covering at least the subscriber's period
+ * @param {Date} now - End of the period
+ * @returns {Object|null} Template data, or null when nothing new matches the subscriber's topics
+ */
+export const buildDigest = (subscriber, content, now = new Date()) => {
+  const frequency = subscriber.preferences?.frequency || 'weekly';
+  const since = getDigestPeriodStart(subscriber, now);
+  // Records from before topics existed still have only a subscription type
+  const topics = subscriber.preferences?.topics?.length
+    ? subscriber.preferences.topics
+    : topicsForSubscriptionType(subscriber.subscriptionType);
+  const matching = content.filter(item =>
+    new Date(item.publishedAt) > since &&
+    item.topics.some(topic => topics.includes(topic))
+  );
+
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const articles = matching.slice(0, MAX_ARTICLES)
+    .map(({ title, url, summary, contentType, publishedAt }) => ({ title, url, summary, contentType, publishedAt }));
+  const label = `${frequency.charAt(0).toUpperCase()}${frequency.slice(1)} Digest`;
+  const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+
+  return {
+    frequency,
+    campaignId: `digest_${frequency}_${now.toISOString().slice(0, 10)}`,
+    campaignName: label,
+    subject: `Your ${frequency} digest: ${matching.length} new ${matching.length === 1 ? 'article' : 'articles'}`,
+    title: `What's new since ${since.toLocaleDateString('en-US', dateFormat)}`,
+    content: `<p>Here is what we published for you since your last digest.</p>`,
+    articles,
+    articlesHeading: matching.length > articles.length
+      ? `📰 The latest ${articles.length} of ${matching.length} new articles`
+      : '📰 New this period',
+    buttonText: 'Read More on Our Website',
+    buttonLink: getFrontendUrl(),
+    date: now.toLocaleDateString('en-US', dateFormat)
+  };
+};
+
+// Subscribers whose digest period has passed and who were not already handled by this sweep
+const buildDueQuery = (now, sweepStartedAt) => ({
+  isActive: true,
+  permanentFailure: { $ne: true },
+  'preferences.channels.email': { $ne: false },
+  $and: [
+    {
+      $or: DIGEST_FREQUENCIES.map(frequency => ({
+        'preferences.frequency': frequency,
+        $or: [
+          { lastDigestAt: null },
+          { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_PERIODS[frequency]) } }
+        ]
+      }))
+    },
+    { $or: [{ lastDigestAttemptAt: null }, { lastDigestAttemptAt: { $lt: sweepStartedAt } }] }
+  ]
+});
+
+// Queue the next sweep unless one is already waiting
+const queueNextSweep = async (runAt, currentJobId = null) => {
+  const waiting = await Job.findOne({
+    type: DIGEST_SWEEP_JOB,
+    status: { $in: ['queued', 'running'] },
+    ...(currentJobId ? { _id: { $ne: currentJobId } } : {})
+  });
+  return waiting || jobQueue.enqueue(DIGEST_SWEEP_JOB, {}, { runAt });
+};
+
+/**
+ * Job handler: one batch of a digest sweep
+ * @param {mongoose.Document} job - "digest.sweep" job
+ */
+export const processDigestSweepStep = async (job) => {
+  const now = new Date();
+  const progress = { sent: 0, empty: 0, failed: 0, batches: 0, ...job.progress };
+
+  const subscribers = await Subscriber.find(buildDueQuery(now, job.startedAt || now))
+    .sort({ lastDigestAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('email subscriptionType preferences lastDigestAt subscribedAt unsubscribeToken')
+    .lean();
+
+  if (subscribers.length === 0) {
+    await queueNextSweep(new Date(now.getTime() + SWEEP_INTERVAL_MS), job._id);
+    if (progress.batches > 0) {
+      console.log(`[DIGEST] Sweep finished: ${progress.sent} sent, ${progress.empty} with nothing new, ${progress.failed} failed`);
+    }
+    return { done: true, result: progress, progress };
+  }
+
+  const since = new Date(Math.min(...subscribers.map(subscriber => getDigestPeriodStart(subscriber, now).getTime())));
+  const content = await findPublishedContent(since, now);
+
+  for (const subscriber of subscribers) {
+    const digest = buildDigest(subscriber, content, now);
+
+    if (!digest) {
+      await Subscriber.updateOne({ _id: subscriber._id }, { $set: { lastDigestAt: now, lastDigestAttemptAt: now } });
+      progress.empty++;
+      continue;
+    }
+
+    let result;
+    try {
+      result = await sendDigestToSubscriber(subscriber, digest);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await Subscriber.updateOne(
+        { _id: subscriber._id },
+        { $set: { lastDigestAt: now, lastDigestAttemptAt: now, lastEmailSent: now } }
+      );
+      progress.sent++;
+    } else {
+      // Keep lastDigestAt so the next sweep sends the same period again
+      await Subscriber.updateOne({ _id: subscriber._id }, { $set: { lastDigestAttemptAt: now } });
+      console.warn(`[DIGEST] Digest to ${subscriber.email} failed:`, result.error || result.message);
+      progress.failed++;
+    }
+  }
+
+  progress.batches++;
+  return { done: false, delayMs: BATCH_DELAY_MS, progress };
+};
+
+/**
+ * Digest a subscriber would get now, without sending it
+ * @param {Object} subscriber - Subscriber document
+ * @returns {Promise<Object>} { since, until, digest } (digest is null when nothing new matches)
+ */
+export const previewDigest = async (subscriber) => {
+  const now = new Date();
+  const since = getDigestPeriodStart(subscriber, now);
+  const content = await findPublishedContent(since, now);
+  return { since, until: now, digest: buildDigest(subscriber, content, now) };
+};
+
+/**
+ * Run a sweep now (moves a waiting sweep forward, or queues one)
+ * @returns {Promise<mongoose.Document>} The sweep job
+ */
+export const runDigestSweepNow = async () => {
+  const now = new Date();
+  const job = await Job.findOneAndUpdate(
+    { type: DIGEST_SWEEP_JOB, status: 'queued' },
+    { $set: { runAt: now } },
+    { new: true }
+  );
+  if (job) {
+    jobQueue.wake();
+    return job;
+  }
+  return queueNextSweep(now);
+};
+
+/**
+ * Subscribers per frequency and the last and next sweeps
+ * @returns {Promise<Object>}
+ */
+export const getDigestStatus = async () => {
+  const [groups, nextSweep, lastSweep] = await Promise.all([
+    Subscriber.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { $ifNull: ['$preferences.frequency', 'immediate'] }, count: { $sum: 1 } } }
+    ]),
+    Job.findOne({ type: DIGEST_SWEEP_JOB, status: { $in: ['queued', 'running'] } }).sort({ runAt: 1 }).lean(),
+    Job.findOne({ type: DIGEST_SWEEP_JOB, status: { $in: ['completed', 'failed'] } }).sort({ completedAt: -1 }).lean()
+  ]);
+
+  const subscribers = { immediate: 0, ...Object.fromEntries(DIGEST_FREQUENCIES.map(frequency => [frequency, 0])) };
+  groups.forEach(group => { subscribers[group._id] = group.count; });
+
+  return {
+    subscribers,
+    nextSweep: nextSweep ? { status: nextSweep.status, runAt: nextSweep.runAt, progress: nextSweep.progress } : null,
+    lastSweep: lastSweep
+      ? { status: lastSweep.status, completedAt: lastSweep.completedAt, result: lastSweep.result, lastError: lastSweep.lastError }
+      : null
+  };
+};
+
+/**
+ * Register the digest job handler and make sure a sweep is queued
+ */
+export const registerDigestJobs = async () => {
+  jobQueue.register(DIGEST_SWEEP_JOB, processDigestSweepStep, {
+    // A sweep that kept failing must not end the cycle
+    onFailed: () => queueNextSweep(new Date(Date.now() + SWEEP_INTERVAL_MS))
+  });
+  await queueNextSweep(new Date());
+};
+
+export default {
+  DIGEST_PERIODS,
+  DIGEST_FREQUENCIES,
+  findPublishedContent,
+  getDigestPeriodStart,
+  buildDigest,
+  processDigestSweepStep,
+  previewDigest,
+  runDigestSweepNow,
+  getDigestStatus,
+  registerDigestJobs
+};
@@ -1,35 +1,85 @@
 /**
- * Email Service - SendGrid API Integration
+ * Email Service - templates and sending for every platform email
+ *
+ * Delivery goes through the transport chosen by EMAIL_TRANSPORT
+ * (SendGrid, SMTP, a local mailbox directory or memory; see
+ * services/emailTransport.js).
+ *
+ * Templates in templates/email are rendered with utils/templateEngine.js:
+ * layouts/ holds the shared page, partials/ the header, footer and
+ * unsubscribe block, and samples/ the example data used for previews.
+ * Every email gets a plain-text alternative generated from its HTML.
  */
-import sgMail from '@sendgrid/mail';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createTransport } from './emailTransport.js';
+import { TemplateEngine, TemplateError } from '../utils/templateEngine.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { getPreferenceLinks } from '../utils/preferenceLinks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const TEMPLATES_PATH = path.resolve(__dirname, '../templates/email');
+
+// Read every .html file in a templates directory as { name: source }
+const readTemplateDirectory = async (directory) => {
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  const sources = {};
+  for (const file of files.filter(name => name.endsWith('.html'))) {
+    sources[file.replace('.html', '')] = await fs.readFile(path.join(directory, file), 'utf8');
+  }
+  return sources;
+};
+
+// Calendar invite attached to registration emails (built with utils/icalendar.js)
+const calendarAttachment = (calendar, filename) => ({
+  content: Buffer.from(calendar).toString('base64'),
+  filename,
+  type: 'text/calendar',
+  disposition: 'attachment'
+});
+
 class EmailService {
   constructor() {
     this.isInitialized = false;
+    this.transport = null;
     this.config = this.getEmailConfig();
     this.templates = new Map();
+    this.engine = new TemplateEngine();
     this.initialize();
   }
 
   getEmailConfig() {
-    const provider = process.env.EMAIL_SERVICE || 'sendgrid';
+    const provider = (process.env.EMAIL_TRANSPORT || process.env.EMAIL_SERVICE || 'sendgrid').toLowerCase();
     
     console.log('[EMAIL] Email provider selected:', provider);
     console.log('[EMAIL] Environment variables check:', {
       SENDGRID_API_KEY: process.env.SENDGRID_API_KEY ? '[SET]' : '[NOT SET]',
+      SMTP_HOST: (process.env.SMTP_HOST || process.env.EMAIL_HOST) ? '[SET]' : '[NOT SET]',
       EMAIL_FROM: process.env.EMAIL_FROM ? '[SET]' : '[NOT SET]',
-      EMAIL_SERVICE: process.env.EMAIL_SERVICE
+      EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || process.env.EMAIL_SERVICE
     });
     
     return {
       provider,
       apiKey: process.env.SENDGRID_API_KEY,
+      smtp: {
+        host: process.env.SMTP_HOST || process.env.EMAIL_HOST,
+        port: parseInt(process.env.SMTP_PORT || process.env.EMAIL_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === 'true' || process.env.EMAIL_SECURE === 'true',
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS
+      },
+      mailboxDir: process.env.EMAIL_MAILBOX_DIR,
       from: {
         name: process.env.EMAIL_FROM_NAME || 'Ishaazi Livestock Services',
         address: process.env.EMAIL_FROM || 'system@ishaazilivestockservices.com'
@@ -40,102 +90,146 @@ class EmailService {
 
   async initialize() {
     try {
-      if (!this.config.apiKey) {
-        console.warn('[WARNING] SendGrid API key not configured properly. Check your SENDGRID_API_KEY environment variable.');
-        console.warn('[INFO] Email service will continue in degraded mode - emails will not be sent');
-        this.isInitialized = false;
-        return; // Non-blocking - server can continue
-      }
-
-      sgMail.setApiKey(this.config.apiKey);
-      
+      this.transport = createTransport(this.config);
       this.isInitialized = true;
       
-      console.log('[SUCCESS] SendGrid email service initialized successfully');
-      
-      await this.loadTemplates();
+      console.log(`[SUCCESS] Email service initialized with the ${this.transport.name} transport`);
     } catch (error) {
-      console.error('[ERROR] Email service initialization failed:', error.message);
+      console.warn(`[WARNING] Email transport "${this.config.provider}" not configured properly: ${error.message}`);
       console.warn('[INFO] Email service will continue in degraded mode - emails will not be sent');
       this.isInitialized = false;
-      // Non-blocking - don't throw error, just log it
+      // Non-blocking - server can continue
     }
+
+    await this.loadTemplates();
+  }
+
+  /**
+   * Replace the transport (e.g. an in-memory transport in scripts and tests)
+   * @param {Object} transport - From services/emailTransport.js
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    this.config.provider = transport.name;
+    this.isInitialized = true;
   }
 
   async loadTemplates() {
+    this.templates.clear();
+    this.engine.clear();
+
     try {
-      const templatesPath = path.resolve(__dirname, '../templates/email');
-      
-      // Dynamically load all templates from directory
-      const templateFiles = await fs.readdir(templatesPath);
-      const htmlFiles = templateFiles.filter(file => file.endsWith('.html'));
-      
-      for (const file of htmlFiles) {
-        const templateName = file.replace('.html', '');
-        const template = await this.loadTemplate(file);
-        this.templates.set(templateName, template);
+      const layouts = await readTemplateDirectory(path.join(TEMPLATES_PATH, 'layouts'));
+      const partials = await readTemplateDirectory(path.join(TEMPLATES_PATH, 'partials'));
+      const templates = await readTemplateDirectory(TEMPLATES_PATH);
+
+      Object.entries(layouts).forEach(([name, source]) => this.engine.registerLayout(name, source));
+      Object.entries(partials).forEach(([name, source]) => this.engine.registerPartial(name, source));
+
+      // A template with a syntax error is skipped (and reported) instead of breaking the others
+      for (const [templateName, template] of Object.entries(templates)) {
+        try {
+          this.engine.registerTemplate(templateName, template);
+          this.templates.set(templateName, template);
+        } catch (error) {
+          console.warn(`[WARNING] Email template ${templateName} not loaded:`, error.message);
+        }
       }
       
       console.log(`[SUCCESS] Loaded ${this.templates.size} email templates:`, Array.from(this.templates.keys()));
     } catch (error) {
       console.warn('[WARNING] Could not load email templates:', error.message);
       // Fallback to basic templates
-      this.templates.set('newsletter', '<html><body>{{content}}</body></html>');
-      this.templates.set('welcome-subscriber', '<html><body>Welcome {{subscriberEmail}}!</body></html>');
-      this.templates.set('subscription-confirmation', '<html><body>Please confirm your subscription.</body></html>');
+      const fallbacks = {
+        newsletter: '<html><body>{{{content}}}</body></html>',
+        'welcome-subscriber': '<html><body>Welcome {{subscriberEmail}}!</body></html>',
+        'subscription-confirmation': '<html><body>Please confirm your subscription.</body></html>'
+      };
+      Object.entries(fallbacks).forEach(([templateName, template]) => {
+        this.engine.registerTemplate(templateName, template);
+        this.templates.set(templateName, template);
+      });
     }
   }
 
-  async loadTemplate(filename) {
-    try {
-      const templatesPath = path.resolve(__dirname, '../templates/email');
-      const templatePath = path.join(templatesPath, filename);
-      return await fs.readFile(templatePath, 'utf8');
-    } catch (error) {
-      console.warn(`[WARNING] Could not load template ${filename}:`, error.message);
-      return '<html><body>{{content}}</body></html>';
-    }
+  /**
+   * Values every template can use (company details, website and preference links)
+   * @param {Object} data - Template data (subscriberEmail/email and unsubscribeToken personalise the links)
+   */
+  getTemplateDefaults(data = {}) {
+    const baseUrl = process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com';
+
+    return {
+      companyName: this.config.from.name,
+      companyTagline: 'Your trusted partner in livestock farming',
+      companyAddress: process.env.COMPANY_ADDRESS || '',
+      contactEmail: this.config.replyTo,
+      contactPhone: process.env.CONTACT_PHONE || '+256 780 702 921',
+      supportEmail: this.config.replyTo,
+      websiteUrl: baseUrl,
+      logoUrl: process.env.EMAIL_LOGO_URL || '',
+      currentYear: new Date().getFullYear(),
+      ...getPreferenceLinks({ email: data.subscriberEmail || data.email, unsubscribeToken: data.unsubscribeToken })
+    };
   }
 
-  renderTemplate(templateName, data) {
-    const template = this.templates.get(templateName);
-    if (!template) {
-      throw new Error(`Email template "${templateName}" not found`);
-    }
-    
-    // Enhanced template rendering with nested object support
-    let rendered = template;
-    
-    // Replace simple variables {{variable}}
-    rendered = rendered.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return data[key] || match;
-    });
-    
-    // Replace conditional blocks {{#if variable}}...{{/if}}
-    rendered = rendered.replace(/\{\{#if\s+(\w+)\}\}(.*?)\{\{\/if\}\}/gs, (match, condition, content) => {
-      return data[condition] ? content : '';
-    });
-    
-    // Add default unsubscribe and preference URLs if not provided
-    if (!data.unsubscribe_url) {
-      const baseUrl = process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com';
-      data.unsubscribe_url = `${baseUrl}/unsubscribe?email=${encodeURIComponent(data.subscriberEmail || data.email || '')}`;
-      data.manage_preferences_url = `${baseUrl}/preferences?email=${encodeURIComponent(data.subscriberEmail || data.email || '')}`;
+  /**
+   * Render a template to HTML
+   * @param {String} templateName - File name in templates/email without .html
+   * @param {Object} data - Template data; values are HTML-escaped unless written {{{raw}}}
+   * @returns {String} HTML
+   * @throws {TemplateError} Unknown template or render error
+   */
+  renderTemplate(templateName, data = {}) {
+    return this.engine.render(templateName, { ...this.getTemplateDefaults(data), ...data });
+  }
+
+  /**
+   * Render a template to HTML and its plain-text alternative
+   * @returns {Object} { html, text }
+   */
+  renderEmail(templateName, data = {}) {
+    const html = this.renderTemplate(templateName, data);
+    return { html, text: htmlToText(html) };
+  }
+
+  /**
+   * Example data for a template (templates/email/samples/<name>.json), used for previews
+   * @param {String} templateName
+   * @returns {Promise<Object>} Sample data, {} when the template has none
+   */
+  async getTemplateSampleData(templateName) {
+    try {
+      const sample = await fs.readFile(path.join(TEMPLATES_PATH, 'samples', `${path.basename(templateName)}.json`), 'utf8');
+      return JSON.parse(sample);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[WARNING] Could not read sample data for ${templateName}:`, error.message);
+      }
+      return {};
     }
-    
-    // Second pass for any remaining variables
-    rendered = rendered.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return data[key] || '';
-    });
-    
-    return rendered;
   }
 
+  /**
+   * Send an email
+   * Pass either `html` or `templateName` with `templateData`; `text` is
+   * generated from the HTML when not given.
+   */
   async sendEmail(options) {
     if (!options.to) {
       throw new Error('No recipients defined');
     }
 
+    let html = options.html;
+    if (!html && options.templateName) {
+      try {
+        html = this.renderTemplate(options.templateName, options.templateData || {});
+      } catch (error) {
+        console.error(`[ERROR] Email template ${options.templateName} could not be rendered:`, error.message);
+        return { success: false, error: error.message };
+      }
+    }
+
     if (!this.isInitialized) {
       console.warn('[WARNING] Email service not initialized - email not sent');
       console.log('[INFO] Would have sent email to:', options.to);
@@ -143,53 +237,31 @@ class EmailService {
       return { success: false, message: 'Email service not available' };
     }
 
-    const mailOptions = {
-      from: {
-        email: this.config.from.address,
-        name: this.config.from.name
-      },
+    const message = {
+      from: this.config.from,
       to: options.to,
-      subject: options.subject,
-      html: options.html,
-      text: options.text,
       replyTo: this.config.replyTo,
-      
-      // Enhanced SendGrid features
-      trackingSettings: {
-        clickTracking: { enable: true },
-        openTracking: { enable: true },
-        subscriptionTracking: { enable: true },
-        ganalytics: { enable: false } // Can be enabled if you have GA
-      },
-      
-      // Custom headers for tracking
-      customArgs: {
+      subject: options.subject,
+      html,
+      text: options.text || (html ? htmlToText(html) : undefined),
+      categories: options.categories
+        ? (Array.isArray(options.categories) ? options.categories : [options.categories])
+        : undefined,
+      tracking: {
         campaignId: options.campaignId || 'general',
         userId: options.userId || 'anonymous',
         emailType: options.emailType || 'transactional'
       },
-      
-      // Unsubscribe link
-      asm: {
-        groupId: options.unsubscribeGroupId || 1 // Default unsubscribe group
-      }
+      unsubscribeGroupId: options.unsubscribeGroupId,
+      sendAt: options.sendAt,
+      headers: options.headers,
+      // Attachments in SendGrid format ({ content (base64), filename, type, disposition, content_id })
+      attachments: options.attachments && options.attachments.length > 0 ? options.attachments : undefined
     };
 
-    // Add categories for analytics
-    if (options.categories) {
-      mailOptions.categories = Array.isArray(options.categories) 
-        ? options.categories 
-        : [options.categories];
-    }
-
-    // Add send time optimization
-    if (options.sendAt) {
-      mailOptions.sendAt = options.sendAt;
-    }
-
     try {
-      const result = await sgMail.send(mailOptions);
-      console.log('[SUCCESS] Email sent successfully via SendGrid');
+      const result = await this.transport.send(message);
+      console.log(`[SUCCESS] Email sent successfully via ${this.transport.name}`);
       
       // Update subscriber stats
       if (options.to) {
@@ -198,14 +270,11 @@ class EmailService {
       
       return { 
         success: true, 
-        messageId: result[0].headers['x-message-id'],
-        tracking: {
-          openTracking: mailOptions.trackingSettings.openTracking.enable,
-          clickTracking: mailOptions.trackingSettings.clickTracking.enable
-        }
+        messageId: result.messageId,
+        transport: this.transport.name
       };
     } catch (error) {
-      console.error('[ERROR] Email sending failed:', error.message);
+      console.error(`[ERROR] Email sending failed (${this.transport.name}):`, error.message);
       return { success: false, error: error.message };
     }
   }
@@ -235,7 +304,7 @@ class EmailService {
   async sendWelcomeEmailToEditor(companyEmail, tempPassword, createdBy) {
     try {
       const templateData = {
-        adminEmail: companyEmail,
+        companyEmail,
         temporaryPassword: tempPassword,
         createdBy: createdBy,
         loginUrl: `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/admin/login`,
@@ -265,9 +334,10 @@ class EmailService {
   async sendPasswordResetEmail(companyEmail, tempPassword, resetBy) {
     try {
       const templateData = {
-        adminEmail: companyEmail,
-        newPassword: tempPassword,
+        companyEmail,
+        tempPassword,
         resetBy: resetBy,
+        resetDate: new Date().toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' }),
         loginUrl: `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/admin/login`,
         supportEmail: this.config.replyTo
       };
@@ -336,10 +406,13 @@ class EmailService {
     try {
       const templateData = {
         participantEmail: participantEmail,
+        buyerName: auctionDetails.buyerName,
         auctionTitle: auctionDetails.title,
-        auctionDate: auctionDetails.date,
+        auctionDate: new Date(auctionDetails.date).toLocaleDateString(),
         auctionLocation: auctionDetails.location,
+        registrationFee: auctionDetails.registrationFee,
         registrationId: auctionDetails.registrationId,
+        calendarFile: auctionDetails.calendar ? auctionDetails.calendarFileName || 'auction.ics' : null,
         supportEmail: this.config.replyTo
       };
       
@@ -350,7 +423,8 @@ class EmailService {
         subject: `Auction Registration Confirmed - ${auctionDetails.title}`,
         html,
         emailType: 'auction-registration',
-        categories: ['auction', 'registration', 'confirmation']
+        categories: ['auction', 'registration', 'confirmation'],
+        attachments: auctionDetails.calendar ? [calendarAttachment(auctionDetails.calendar, templateData.calendarFile)] : undefined
       });
     } catch (error) {
       console.warn('[WARNING] Auction registration email failed:', error.message);
@@ -362,10 +436,14 @@ class EmailService {
     try {
       const templateData = {
         participantEmail: participantEmail,
+        buyerName: auctionDetails.buyerName,
         auctionTitle: auctionDetails.title,
-        auctionDate: auctionDetails.date,
+        auctionDate: new Date(auctionDetails.date).toLocaleDateString(),
         auctionLocation: auctionDetails.location,
+        bidderNumber: auctionDetails.bidderNumber,
+        biddingUrl: auctionDetails.biddingUrl,
         approvalDate: new Date().toLocaleDateString(),
+        calendarFile: auctionDetails.calendar ? auctionDetails.calendarFileName || 'auction.ics' : null,
         supportEmail: this.config.replyTo
       };
       
@@ -376,7 +454,8 @@ class EmailService {
         subject: `Auction Registration Approved - ${auctionDetails.title}`,
         html,
         emailType: 'auction-approved',
-        categories: ['auction', 'registration', 'approved']
+        categories: ['auction', 'registration', 'approved'],
+        attachments: auctionDetails.calendar ? [calendarAttachment(auctionDetails.calendar, templateData.calendarFile)] : undefined
       });
     } catch (error) {
       console.warn('[WARNING] Auction approval email failed:', error.message);
@@ -388,7 +467,9 @@ class EmailService {
     try {
       const templateData = {
         participantEmail: participantEmail,
+        buyerName: auctionDetails.buyerName,
         auctionTitle: auctionDetails.title,
+        reason: reason,
         rejectionReason: reason,
         rejectionDate: new Date().toLocaleDateString(),
         supportEmail: this.config.replyTo
@@ -416,8 +497,7 @@ class EmailService {
         subscriptionType: subscriptionData.subscriptionType || 'all',
         subscriberName: subscriptionData.name || 'Valued Subscriber',
         welcomeMessage: 'Welcome to Ishaazi Livestock Services!',
-        unsubscribe_url: `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/unsubscribe?email=${encodeURIComponent(subscriberEmail)}`,
-        manage_preferences_url: `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/preferences?email=${encodeURIComponent(subscriberEmail)}`,
+        ...getPreferenceLinks({ email: subscriberEmail, unsubscribeToken: subscriptionData.unsubscribeToken }),
         supportEmail: this.config.replyTo
       };
       
@@ -436,26 +516,60 @@ class EmailService {
     }
   }
 
+  // status: 'confirmed' (default), 'waitlisted' or 'promoted' (moved off the waitlist)
   async sendEventRegistrationConfirmation(participantEmail, eventDetails) {
     try {
+      const status = eventDetails.status || 'confirmed';
+      const eventTitle = eventDetails.eventTitle || eventDetails.title || 'Event';
       const templateData = {
         participantEmail: participantEmail,
-        eventTitle: eventDetails.title || 'Event',
-        eventDate: eventDetails.date || 'TBD',
-        eventLocation: eventDetails.location || 'To be announced',
+        registrantName: eventDetails.registrantName || 'Participant',
+        eventTitle,
+        eventDate: eventDetails.eventDate || eventDetails.date || 'TBD',
+        eventLocation: eventDetails.eventLocation || eventDetails.location || 'To be announced',
         registrationId: eventDetails.registrationId || 'N/A',
         eventDescription: eventDetails.description || '',
+        ticketName: eventDetails.ticketName,
+        ticketPrice: eventDetails.ticketPrice > 0 ? eventDetails.ticketPrice.toLocaleString() : null,
+        confirmed: status !== 'waitlisted',
+        waitlisted: status === 'waitlisted',
+        promoted: status === 'promoted',
+        waitlistPosition: eventDetails.waitlistPosition ? String(eventDetails.waitlistPosition) : null,
+        checkInCode: eventDetails.checkInCode,
+        qrCodeCid: eventDetails.qrCode ? 'check-in-qr' : null,
+        calendarFile: eventDetails.calendar ? eventDetails.calendarFileName || 'event.ics' : null,
         supportEmail: this.config.replyTo
       };
       
       const html = this.renderTemplate('event-registration-confirmation', templateData);
+
+      const attachments = [];
+      if (eventDetails.qrCode) {
+        // Check-in QR code, shown inline through its content ID
+        attachments.push({
+          content: eventDetails.qrCode.toString('base64'),
+          filename: 'check-in-code.png',
+          type: 'image/png',
+          disposition: 'inline',
+          content_id: templateData.qrCodeCid
+        });
+      }
+      if (eventDetails.calendar) {
+        attachments.push(calendarAttachment(eventDetails.calendar, templateData.calendarFile));
+      }
+      const subjects = {
+        confirmed: 'Event Registration Confirmed',
+        waitlisted: 'You\'re on the Waitlist',
+        promoted: 'A Place Opened Up - Registration Confirmed'
+      };
       
       return await this.sendEmail({
         to: participantEmail,
-        subject: `Event Registration Confirmed - ${eventDetails.title || 'Event'}`,
+        subject: `${subjects[status] || subjects.confirmed} - ${eventTitle}`,
         html,
-        emailType: 'event-registration',
-        categories: ['event', 'registration', 'confirmation']
+        emailType: status === 'waitlisted' ? 'event-waitlist' : 'event-registration',
+        categories: ['event', 'registration', status === 'waitlisted' ? 'waitlist' : 'confirmation'],
+        attachments: attachments.length > 0 ? attachments : undefined
       });
     } catch (error) {
       console.warn('[WARNING] Event registration email failed:', error.message);
@@ -463,6 +577,52 @@ class EmailService {
     }
   }
 
+  // subscriber: { _id, email, subscriptionType, unsubscribeToken }
+  async sendNewsletterToSubscriber(subscriber, newsletterData, campaignId) {
+    const templateData = {
+      ...newsletterData,
+      subscriberEmail: subscriber.email,
+      subscriptionType: subscriber.subscriptionType,
+      ...getPreferenceLinks(subscriber, campaignId)
+    };
+
+    const html = this.renderTemplate('newsletter', templateData);
+
+    return await this.sendEmail({
+      to: subscriber.email,
+      subject: newsletterData.subject,
+      html,
+      campaignId,
+      emailType: 'newsletter',
+      categories: ['newsletter', newsletterData.category || 'general'],
+      unsubscribeGroupId: 1, // Newsletter unsubscribe group
+      userId: subscriber._id
+    });
+  }
+
+  // digest: newsletter template values built by services/digestService.js, plus campaignId and frequency
+  async sendDigestToSubscriber(subscriber, digest) {
+    const templateData = {
+      ...digest,
+      subscriberEmail: subscriber.email,
+      subscriptionType: subscriber.subscriptionType,
+      ...getPreferenceLinks(subscriber, digest.campaignId)
+    };
+
+    const html = this.renderTemplate('newsletter', templateData);
+
+    return await this.sendEmail({
+      to: subscriber.email,
+      subject: digest.subject,
+      html,
+      campaignId: digest.campaignId,
+      emailType: 'digest',
+      categories: ['digest', digest.frequency],
+      unsubscribeGroupId: 1, // Newsletter unsubscribe group
+      userId: subscriber._id
+    });
+  }
+
   async sendNewsletter(subscribers, newsletterData) {
     const results = { sent: 0, failed: 0, errors: [] };
     
@@ -471,26 +631,7 @@ class EmailService {
     
     for (const subscriber of subscribers) {
       try {
-        const templateData = {
-          ...newsletterData,
-          subscriberEmail: subscriber.email,
-          subscriptionType: subscriber.subscriptionType,
-          unsubscribe_url: `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/unsubscribe?email=${encodeURIComponent(subscriber.email)}&campaign=${campaignId}`,
-          manage_preferences_url: `${process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com'}/preferences?email=${encodeURIComponent(subscriber.email)}`
-        };
-        
-        const html = this.renderTemplate('newsletter', templateData);
-        
-        const result = await this.sendEmail({
-          to: subscriber.email,
-          subject: newsletterData.subject,
-          html,
-          campaignId,
-          emailType: 'newsletter',
-          categories: ['newsletter', newsletterData.category || 'general'],
-          unsubscribeGroupId: 1, // Newsletter unsubscribe group
-          userId: subscriber._id
-        });
+        const result = await this.sendNewsletterToSubscriber(subscriber, newsletterData, campaignId);
         
         if (result.success) {
           results.sent++;
@@ -512,13 +653,13 @@ class EmailService {
 
   async healthCheck() {
     return this.isInitialized ? 
-      { status: 'healthy', provider: 'sendgrid' } : 
-      { status: 'unhealthy', error: 'SendGrid not initialized' };
+      await this.transport.verify() : 
+      { status: 'unhealthy', provider: this.config.provider, error: `Email transport "${this.config.provider}" not configured` };
   }
 
   getStats() {
     return {
-      provider: 'sendgrid',
+      provider: this.config.provider,
       templatesLoaded: this.templates.size,
       templateNames: Array.from(this.templates.keys()),
       isConfigured: this.isInitialized
@@ -544,12 +685,21 @@ export const sendPasswordResetEmail = (email, pass, by) => emailService.sendPass
 export const sendAccountStatusEmail = (email, active, by) => emailService.sendAccountStatusEmail(email, active, by);
 export const sendSubscriptionConfirmation = (email, token) => emailService.sendSubscriptionConfirmation(email, token);
 export const sendNewsletter = (subscribers, data) => emailService.sendNewsletter(subscribers, data);
+export const sendNewsletterToSubscriber = (subscriber, data, campaignId) => emailService.sendNewsletterToSubscriber(subscriber, data, campaignId);
+export const sendDigestToSubscriber = (subscriber, digest) => emailService.sendDigestToSubscriber(subscriber, digest);
 export const sendAuctionRegistrationConfirmation = (email, details) => emailService.sendAuctionRegistrationConfirmation(email, details);
 export const sendAuctionRegistrationApproved = (email, details) => emailService.sendAuctionRegistrationApproved(email, details);
 export const sendAuctionRegistrationRejected = (email, details, reason) => emailService.sendAuctionRegistrationRejected(email, details, reason);
 export const sendEventRegistrationConfirmation = (email, details) => emailService.sendEventRegistrationConfirmation(email, details);
+export const renderTemplate = (name, data) => emailService.renderTemplate(name, data);
+export const renderEmail = (name, data) => emailService.renderEmail(name, data);
+export const getTemplateSampleData = (name) => emailService.getTemplateSampleData(name);
+export const reloadTemplates = () => emailService.loadTemplates();
 export const getStats = () => emailService.getStats();
 export const getTemplates = () => emailService.getTemplates();
 export const healthCheck = () => emailService.healthCheck();
+export const getTransport = () => emailService.transport;
+export const setTransport = (transport) => emailService.setTransport(transport);
 
+export { TemplateError };
 export default EmailService;
@@ -0,0 +1,258 @@
+/**
+ * Email Transport
+ *
+ * One interface for every way an email can leave the platform, so senders
+ * (services/emailService.js and everything built on it) never talk to a
+ * provider directly. A transport has a `name`, `send(message)`, which
+ * resolves to { messageId } and throws when the message is refused, and
+ * `verify()` for health checks.
+ *
+ * The transport is chosen with EMAIL_TRANSPORT (EMAIL_SERVICE is still read
+ * for existing deployments):
+ *  - sendgrid: SendGrid Web API (SENDGRID_API_KEY)
+ *  - smtp:     any SMTP server (EMAIL_HOST, EMAIL_PORT, EMAIL_SECURE, EMAIL_USER,
+ *              EMAIL_PASS; the SMTP_* names take precedence when set)
+ *  - mailbox:  writes every email as an .eml file to EMAIL_MAILBOX_DIR
+ *              (default tmp/mailbox), to open in a mail client during development
+ *  - memory:   keeps emails in `transport.messages`, for tests and scripts
+ *
+ * Messages are provider-neutral:
+ *   { from: { name, address }, to, replyTo, subject, html, text,
+ *     attachments, categories, headers, unsubscribeGroupId, sendAt,
+ *     tracking: { campaignId, userId, emailType } }
+ * Attachments use the existing SendGrid shape:
+ *   { content (base64), filename, type, disposition, content_id }
+ * Scheduled delivery (sendAt) and unsubscribe groups are SendGrid features;
+ * other transports send immediately and pass the rest on as X- headers.
+ *
+ * @module services/emailTransport
+ */
+import sgMail from '@sendgrid/mail';
+import nodemailer from 'nodemailer';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+export const TRANSPORT_NAMES = ['sendgrid', 'smtp', 'mailbox', 'memory'];
+
+const DEFAULT_MAILBOX_DIR = path.resolve(process.cwd(), 'tmp/mailbox');
+
+// Provider-neutral headers describing the message (used where SendGrid custom args are not available)
+const trackingHeaders = (message) => ({
+  ...(message.tracking?.campaignId ? { 'X-Campaign-Id': String(message.tracking.campaignId) } : {}),
+  ...(message.tracking?.emailType ? { 'X-Email-Type': String(message.tracking.emailType) } : {}),
+  ...(message.categories?.length ? { 'X-Categories': message.categories.join(', ') } : {}),
+  ...message.headers
+});
+
+// Message in nodemailer's format (SMTP and mailbox transports)
+const toNodemailerMessage = (message) => ({
+  from: { name: message.from.name, address: message.from.address },
+  to: message.to,
+  replyTo: message.replyTo,
+  subject: message.subject,
+  html: message.html,
+  text: message.text,
+  headers: trackingHeaders(message),
+  attachments: (message.attachments || []).map(attachment => ({
+    filename: attachment.filename,
+    content: Buffer.from(attachment.content, 'base64'),
+    contentType: attachment.type,
+    contentDisposition: attachment.disposition,
+    ...(attachment.content_id ? { cid: attachment.content_id } : {})
+  }))
+});
+
+/**
+ * SendGrid Web API transport
+ * @param {Object} options - { apiKey }
+ */
+export const createSendGridTransport = ({ apiKey }) => {
+  if (!apiKey) {
+    throw new Error('SENDGRID_API_KEY is not set');
+  }
+  sgMail.setApiKey(apiKey);
+
+  return {
+    name: 'sendgrid',
+
+    async send(message) {
+      const mailOptions = {
+        from: {
+          email: message.from.address,
+          name: message.from.name
+        },
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        replyTo: message.replyTo,
+
+        trackingSettings: {
+          clickTracking: { enable: true },
+          openTracking: { enable: true },
+          subscriptionTracking: { enable: true },
+          ganalytics: { enable: false } // Can be enabled if you have GA
+        },
+
+        // Custom args for event webhook tracking
+        customArgs: {
+          campaignId: message.tracking?.campaignId || 'general',
+          userId: String(message.tracking?.userId || 'anonymous'),
+          emailType: message.tracking?.emailType || 'transactional'
+        },
+
+        // Unsubscribe link
+        asm: {
+          groupId: message.unsubscribeGroupId || 1 // Default unsubscribe group
+        }
+      };
+
+      if (message.categories?.length) {
+        mailOptions.categories = message.categories;
+      }
+      if (message.sendAt) {
+        mailOptions.sendAt = message.sendAt;
+      }
+      if (message.headers && Object.keys(message.headers).length > 0) {
+        mailOptions.headers = message.headers;
+      }
+      if (message.attachments?.length) {
+        mailOptions.attachments = message.attachments;
+      }
+
+      const [response] = await sgMail.send(mailOptions);
+      return { messageId: response?.headers?.['x-message-id'] || null };
+    },
+
+    async verify() {
+      return { status: 'healthy', provider: 'sendgrid' };
+    }
+  };
+};
+
+/**
+ * SMTP transport (any mail server or relay)
+ * @param {Object} options - { host, port, secure, user, pass }
+ */
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('EMAIL_HOST (or SMTP_HOST) is not set');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: Boolean(secure),
+    ...(user ? { auth: { user, pass } } : {}),
+    pool: true
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      if (info.rejected?.length) {
+        throw new Error(`SMTP server rejected ${info.rejected.join(', ')}`);
+      }
+      return { messageId: info.messageId };
+    },
+
+    async verify() {
+      try {
+        await transporter.verify();
+        return { status: 'healthy', provider: 'smtp', host };
+      } catch (error) {
+        return { status: 'unhealthy', provider: 'smtp', host, error: error.message };
+      }
+    }
+  };
+};
+
+/**
+ * Mailbox directory transport: every email becomes an .eml file
+ * @param {Object} options - { directory }
+ */
+export const createMailboxTransport = ({ directory = DEFAULT_MAILBOX_DIR } = {}) => {
+  const writer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'mailbox',
+    directory,
+
+    async send(message) {
+      const info = await writer.sendMail(toNodemailerMessage(message));
+      const recipient = (Array.isArray(message.to) ? message.to[0] : message.to) || 'unknown';
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(recipient).replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, fileName), info.message);
+      logger.info(`[EMAIL] Written to ${path.join(directory, fileName)}`);
+
+      return { messageId: info.messageId, file: fileName };
+    },
+
+    async verify() {
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        return { status: 'healthy', provider: 'mailbox', directory };
+      } catch (error) {
+        return { status: 'unhealthy', provider: 'mailbox', directory, error: error.message };
+      }
+    }
+  };
+};
+
+/**
+ * In-memory transport: emails are kept in `messages` (newest last)
+ */
+export const createMemoryTransport = () => ({
+  name: 'memory',
+  messages: [],
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@memory.local>`;
+    this.messages.push({ ...message, messageId, sentAt: new Date() });
+    return { messageId };
+  },
+
+  clear() {
+    this.messages.length = 0;
+  },
+
+  async verify() {
+    return { status: 'healthy', provider: 'memory', messages: this.messages.length };
+  }
+});
+
+/**
+ * Transport for the email configuration
+ * @param {Object} config - EmailService config: { provider, apiKey, smtp, mailboxDir }
+ * @returns {Object} Transport
+ * @throws {Error} Unknown provider or missing settings
+ */
+export const createTransport = (config) => {
+  switch (config.provider) {
+    case 'sendgrid':
+      return createSendGridTransport({ apiKey: config.apiKey });
+    case 'smtp':
+      return createSmtpTransport(config.smtp || {});
+    case 'mailbox':
+      return createMailboxTransport({ directory: config.mailboxDir || DEFAULT_MAILBOX_DIR });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown email transport "${config.provider}" (use ${TRANSPORT_NAMES.join(', ')})`);
+  }
+};
+
+export default {
+  TRANSPORT_NAMES,
+  createTransport,
+  createSendGridTransport,
+  createSmtpTransport,
+  createMailboxTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,298 @@
+/**
+ * Event Check-In Service
+ *
+ * Every registration carries a check-in code: "<registrationId>.<signature>",
+ * where the signature is an HMAC of the registration ID. The code is printed
+ * as a QR code in the confirmation email and scanned at the gate. A forged or
+ * mistyped code fails the signature check before the database is touched.
+ *
+ * Scanners can work offline and sync later: checkInBatch() accepts the scans
+ * with the time they were taken, so attendance times stay accurate.
+ *
+ * At recurring events the gate can scan for one occurrence, so a code for
+ * next week's session is not let in today.
+ *
+ * @module services/eventCheckInService
+ */
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import QRCode from 'qrcode';
+import EventRegistration from '../models/EventRegistration.js';
+import { getOccurrenceStart } from './eventRecurrenceService.js';
+
+// Scans dated this far in the future are treated as clock drift and dated now
+const CLOCK_DRIFT_MS = 5 * 60 * 1000;
+
+const SIGNATURE_LENGTH = 16;
+
+const getSecret = () => process.env.CHECK_IN_SECRET || process.env.JWT_SECRET;
+
+const sign = (registrationId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`event-check-in:${registrationId}`)
+  .digest('base64url')
+  .slice(0, SIGNATURE_LENGTH);
+
+/**
+ * Check-in code for a registration
+ * @param {mongoose.Types.ObjectId|String} registrationId
+ * @returns {String} "<registrationId>.<signature>"
+ */
+export const signCheckInCode = (registrationId) => `${registrationId}.${sign(String(registrationId))}`;
+
+/**
+ * Registration ID of a check-in code, if its signature is valid
+ * @returns {String|null}
+ */
+export const verifyCheckInCode = (code) => {
+  const [registrationId, signature] = String(code || '').trim().split('.');
+  if (!registrationId || !signature || !mongoose.Types.ObjectId.isValid(registrationId)) return null;
+
+  const expected = Buffer.from(sign(registrationId));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  return registrationId;
+};
+
+/**
+ * QR code image of a check-in code
+ * @returns {Promise<Buffer>} PNG
+ */
+export const renderCheckInQrCode = (code) => QRCode.toBuffer(code, {
+  type: 'png',
+  errorCorrectionLevel: 'M',
+  width: 240,
+  margin: 2
+});
+
+const summarizeRegistration = (registration) => ({
+  _id: registration._id,
+  name: registration.name,
+  email: registration.email,
+  ticketType: registration.ticketType || null,
+  occurrenceDate: registration.occurrenceDate || null,
+  status: registration.status,
+  checkedInAt: registration.checkedInAt || null
+});
+
+// Scan time from an offline device; missing, invalid or future times become now
+const resolveScanTime = (scannedAt) => {
+  const now = new Date();
+  if (!scannedAt) return now;
+  const time = new Date(scannedAt);
+  if (Number.isNaN(time.getTime()) || time.getTime() > now.getTime() + CLOCK_DRIFT_MS) return now;
+  return time > now ? now : time;
+};
+
+/**
+ * Check in one scanned code
+ *
+ * Outcomes: checked_in, duplicate (already checked in), cancelled,
+ * not_confirmed (waitlisted or pending), wrong_event, wrong_occurrence,
+ * invalid (bad signature) and not_found.
+ *
+ * @param {String} code - Scanned check-in code
+ * @param {Object} options
+ * @param {String} options.eventId - Event being scanned for
+ * @param {Date} [options.occurrenceDate] - Occurrence being scanned for (recurring events)
+ * @param {mongoose.Types.ObjectId} [options.userId] - Staff member scanning
+ * @param {String|Date} [options.scannedAt] - When the scan was taken (offline sync)
+ * @param {String} [options.deviceId] - Scanner device
+ * @returns {Promise<Object>} { code, outcome, message, registration }
+ */
+export const checkIn = async (code, { eventId, occurrenceDate, userId, scannedAt, deviceId }) => {
+  const registrationId = verifyCheckInCode(code);
+  if (!registrationId) {
+    return { code, outcome: 'invalid', message: 'Not a valid check-in code' };
+  }
+
+  const registration = await EventRegistration.findById(registrationId);
+  if (!registration) {
+    return { code, outcome: 'not_found', message: 'Registration not found' };
+  }
+  if (registration.eventId.toString() !== String(eventId)) {
+    return { code, outcome: 'wrong_event', message: 'This code is for a different event', registration: summarizeRegistration(registration) };
+  }
+  if (occurrenceDate && registration.occurrenceDate?.getTime() !== new Date(occurrenceDate).getTime()) {
+    return {
+      code,
+      outcome: 'wrong_occurrence',
+      message: registration.occurrenceDate
+        ? `This code is for the ${registration.occurrenceDate.toISOString()} occurrence`
+        : 'This code is not for a specific occurrence',
+      registration: summarizeRegistration(registration)
+    };
+  }
+  if (registration.status === 'cancelled') {
+    return { code, outcome: 'cancelled', message: 'This registration was cancelled', registration: summarizeRegistration(registration) };
+  }
+  if (registration.status !== 'confirmed') {
+    return { code, outcome: 'not_confirmed', message: `This registration is ${registration.status}, not confirmed`, registration: summarizeRegistration(registration) };
+  }
+
+  const checkedIn = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: 'confirmed', checkedInAt: null },
+    {
+      $set: {
+        checkedInAt: resolveScanTime(scannedAt),
+        checkedInBy: userId,
+        ...(deviceId ? { checkInDevice: String(deviceId).slice(0, 100) } : {})
+      }
+    },
+    { new: true }
+  );
+
+  if (!checkedIn) {
+    const current = await EventRegistration.findById(registration._id);
+    return {
+      code,
+      outcome: 'duplicate',
+      message: current?.checkedInAt
+        ? `Already checked in at ${current.checkedInAt.toISOString()}`
+        : 'This registration changed while checking in; scan again',
+      registration: current ? summarizeRegistration(current) : undefined
+    };
+  }
+
+  return { code, outcome: 'checked_in', message: `Welcome, ${checkedIn.name}`, registration: summarizeRegistration(checkedIn) };
+};
+
+/**
+ * Check in scans synced from an offline scanner, oldest first so the first
+ * scan of a code wins and later ones are reported as duplicates
+ *
+ * @param {Array<Object>} scans - [{ code, scannedAt, deviceId }]
+ * @param {Object} options - { eventId, occurrenceDate, userId, deviceId }
+ * @returns {Promise<Object>} { summary: { <outcome>: count }, results }
+ */
+export const checkInBatch = async (scans, { eventId, occurrenceDate, userId, deviceId }) => {
+  const ordered = scans
+    .map((scan, index) => ({ ...scan, index, time: resolveScanTime(scan.scannedAt) }))
+    .sort((a, b) => a.time - b.time || a.index - b.index);
+
+  const results = new Array(scans.length);
+  for (const scan of ordered) {
+    results[scan.index] = await checkIn(scan.code, {
+      eventId,
+      occurrenceDate,
+      userId,
+      scannedAt: scan.scannedAt,
+      deviceId: scan.deviceId || deviceId
+    });
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+    return counts;
+  }, {});
+
+  return { summary, results };
+};
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+/**
+ * Registered vs attended for an event
+ *
+ * No-shows are confirmed registrations without a check-in; they only count
+ * once the event (or, at recurring events, their occurrence) has started.
+ *
+ * @param {mongoose.Document} event - Event
+ * @param {Object} [options]
+ * @param {Boolean} [options.includeAttendees=false] - Add the per-registration list
+ * @param {Date} [options.occurrenceDate] - Only this occurrence (recurring events)
+ * @returns {Promise<Object>} Attendance report
+ */
+export const getAttendanceReport = async (event, { includeAttendees = false, occurrenceDate = null } = {}) => {
+  const registrations = await EventRegistration.find({
+    eventId: event._id,
+    ...(occurrenceDate ? { occurrenceDate } : {})
+  })
+    .select('name email phone status ticketType occurrenceDate registrationDate checkedInAt checkInDevice')
+    .sort({ registrationDate: 1 })
+    .lean();
+
+  const now = new Date();
+  const hasStarted = registration => getOccurrenceStart(event, registration.occurrenceDate) <= now;
+  const started = getOccurrenceStart(event, occurrenceDate) <= now;
+  const confirmed = registrations.filter(registration => registration.status === 'confirmed');
+  const attended = confirmed.filter(registration => registration.checkedInAt);
+  const noShows = confirmed.filter(registration => !registration.checkedInAt && hasStarted(registration)).length;
+
+  const byStatus = registrations.reduce((counts, registration) => {
+    counts[registration.status] = (counts[registration.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  const ticketKeys = [...new Set(confirmed.map(registration => registration.ticketType || 'general'))];
+  const byTicketType = ticketKeys.map(key => {
+    const holders = confirmed.filter(registration => (registration.ticketType || 'general') === key);
+    const arrived = holders.filter(registration => registration.checkedInAt).length;
+    return {
+      ticketType: key,
+      name: (event.ticketTypes || []).find(ticket => ticket.key === key)?.name || 'General admission',
+      confirmed: holders.length,
+      attended: arrived,
+      attendanceRate: percent(arrived, holders.length)
+    };
+  });
+
+  // Check-ins per hour, for planning gate staff at the next field day
+  const arrivals = new Map();
+  attended.forEach(registration => {
+    const hour = new Date(registration.checkedInAt);
+    hour.setUTCMinutes(0, 0, 0);
+    const key = hour.toISOString();
+    arrivals.set(key, (arrivals.get(key) || 0) + 1);
+  });
+
+  const report = {
+    event: {
+      _id: event._id,
+      title: event.title,
+      startDate: event.startDate,
+      location: event.location,
+      capacity: event.capacity ?? null
+    },
+    occurrenceDate: occurrenceDate || null,
+    started,
+    registered: registrations.length,
+    byStatus,
+    confirmed: confirmed.length,
+    attended: attended.length,
+    noShows,
+    attendanceRate: percent(attended.length, confirmed.length),
+    noShowRate: started || noShows > 0 ? percent(noShows, confirmed.length) : null,
+    byTicketType,
+    arrivalsByHour: Array.from(arrivals.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([hour, count]) => ({ hour, count }))
+  };
+
+  if (includeAttendees) {
+    report.attendees = registrations.map(registration => ({
+      _id: registration._id,
+      name: registration.name,
+      email: registration.email,
+      phone: registration.phone || null,
+      ticketType: registration.ticketType || null,
+      occurrenceDate: registration.occurrenceDate || null,
+      status: registration.status,
+      registrationDate: registration.registrationDate,
+      checkedInAt: registration.checkedInAt || null,
+      checkInDevice: registration.checkInDevice || null
+    }));
+  }
+
+  return report;
+};
+
+export default {
+  signCheckInCode,
+  verifyCheckInCode,
+  renderCheckInQrCode,
+  checkIn,
+  checkInBatch,
+  getAttendanceReport
+};
@@ -0,0 +1,569 @@
+/**
+ * Event Recurrence Service
+ *
+ * Expands the recurrence rule of an event (see models/Event.js) into its
+ * occurrences and applies per-occurrence changes: an occurrence can be
+ * cancelled or moved to another time and place without touching the series.
+ *
+ * An occurrence is identified by the start the rule gives it
+ * (`occurrenceDate`); that key stays the same when the occurrence is
+ * rescheduled, so registrations made for it keep pointing at it.
+ *
+ * Rules are evaluated in local time (see utils/icalendar.js), so a weekly
+ * Tuesday event stays on Tuesday whatever its UTC time.
+ *
+ * @module services/eventRecurrenceService
+ */
+import Event from '../models/Event.js';
+import EventRegistration from '../models/EventRegistration.js';
+import { WEEKDAY_CODES, toLocalTime, fromLocalTime, parseRecurrenceRule } from '../utils/icalendar.js';
+
+// Most occurrences returned by one expansion
+export const MAX_OCCURRENCES = 500;
+
+// Date windows for listing occurrences
+export const DEFAULT_WINDOW_DAYS = 90;
+export const MAX_WINDOW_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences are never looked up or generated further ahead than this
+export const OCCURRENCE_HORIZON_YEARS = 2;
+
+// Most rule periods walked by one expansion (a daily rule over 27 years)
+const MAX_RULE_PERIODS = 10000;
+
+// Registrations that tie an occurrence down
+const ACTIVE_STATUSES = ['confirmed', 'pending', 'waitlisted'];
+
+export const isRecurring = (event) => Boolean(event.recurrence?.frequency);
+
+const sameInstant = (a, b) => a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const occurrenceHorizon = () => {
+  const horizon = new Date();
+  horizon.setUTCFullYear(horizon.getUTCFullYear() + OCCURRENCE_HORIZON_YEARS);
+  return horizon;
+};
+
+// "1SA" -> { ordinal: 1, weekday: 6 }
+const parseByDay = (byDay = []) => byDay.map(entry => {
+  const [, ordinal, code] = /^([+-]?\d)?([A-Z]{2})$/.exec(entry);
+  return { ordinal: ordinal ? Number(ordinal) : null, weekday: WEEKDAY_CODES.indexOf(code) };
+});
+
+// First local day of the n-th period of the rule
+const periodStart = (start, rule, period) => {
+  const step = period * (rule.interval || 1);
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(startOfDay(start).getTime() + step * DAY_MS);
+    case 'weekly': {
+      const monday = startOfDay(start).getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+      return new Date(monday + step * 7 * DAY_MS);
+    }
+    case 'monthly':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, 1));
+    default:
+      return new Date(Date.UTC(start.getUTCFullYear() + step, 0, 1));
+  }
+};
+
+// Local days the rule picks in one period, in order
+const daysInPeriod = (first, start, rule) => {
+  const weekdays = parseByDay(rule.byDay);
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth();
+  const monthLength = daysInMonth(year, month);
+  const dayOf = (dayOfMonth) => new Date(Date.UTC(year, month, dayOfMonth));
+  const monthDays = (rule.byMonthDay || []).map(day => (day > 0 ? day : monthLength + day + 1));
+
+  switch (rule.frequency) {
+    case 'daily': {
+      const matches = (weekdays.length === 0 || weekdays.some(({ weekday }) => weekday === first.getUTCDay()))
+        && (monthDays.length === 0 || monthDays.includes(first.getUTCDate()));
+      return matches ? [first] : [];
+    }
+    case 'weekly': {
+      const days = weekdays.length > 0 ? weekdays.map(({ weekday }) => weekday) : [start.getUTCDay()];
+      return days.map(weekday => new Date(first.getTime() + ((weekday + 6) % 7) * DAY_MS));
+    }
+    case 'monthly': {
+      let days;
+      if (monthDays.length > 0) {
+        // BYDAY narrows BYMONTHDAY ("the 13th, if it is a Friday")
+        days = monthDays
+          .filter(day => day >= 1 && day <= monthLength)
+          .map(dayOf)
+          .filter(date => weekdays.length === 0 || weekdays.some(({ weekday }) => weekday === date.getUTCDay()));
+      } else if (weekdays.length > 0) {
+        days = weekdays.flatMap(({ ordinal, weekday }) => {
+          const firstMatch = 1 + ((weekday - first.getUTCDay() + 7) % 7);
+          const all = [];
+          for (let day = firstMatch; day <= monthLength; day += 7) all.push(day);
+          if (ordinal === null) return all.map(dayOf);
+          const pick = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+          return pick ? [dayOf(pick)] : [];
+        });
+      } else {
+        // Months without the start's day (e.g. the 31st) are skipped
+        days = start.getUTCDate() <= monthLength ? [dayOf(start.getUTCDate())] : [];
+      }
+      return days;
+    }
+    default: {
+      const anniversary = new Date(Date.UTC(year, start.getUTCMonth(), start.getUTCDate()));
+      // No 29 February outside leap years
+      return anniversary.getUTCMonth() === start.getUTCMonth() ? [anniversary] : [];
+    }
+  }
+};
+
+const earliest = (...dates) => dates.filter(Boolean).reduce((min, date) => (date < min ? date : min));
+
+/**
+ * Occurrence starts (UTC) the rule gives, from the event's startDate up to
+ * `end`, capped by COUNT and UNTIL and by MAX_RULE_PERIODS
+ *
+ * @param {Date} startDate - First occurrence
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} end - Latest start to generate
+ * @returns {Array<Date>}
+ */
+const ruleDates = (startDate, rule, end) => {
+  const start = toLocalTime(startDate);
+  const timeOfDay = start.getTime() - startOfDay(start).getTime();
+  const last = earliest(rule.until, end);
+  const limit = rule.count || Infinity;
+
+  const dates = [new Date(startDate)]; // the start is always the first occurrence
+  for (let period = 0; dates.length < limit && period < MAX_RULE_PERIODS; period++) {
+    const first = periodStart(start, rule, period);
+    if (fromLocalTime(first) > last) break;
+
+    const days = daysInPeriod(first, start, rule)
+      .map(day => fromLocalTime(new Date(day.getTime() + timeOfDay)))
+      .sort((a, b) => a - b);
+
+    for (const date of days) {
+      if (date <= dates[0]) continue;
+      if (date > last || dates.length >= limit) return dates;
+      if (!sameInstant(date, dates[dates.length - 1])) dates.push(date);
+    }
+  }
+  return dates;
+};
+
+const normalizeTicketCounts = (counts) => Object.fromEntries(counts instanceof Map ? counts : Object.entries(counts || {}));
+
+// Occurrence as seen by attendees: the rule's date with any stored change applied
+const buildOccurrence = (event, occurrenceDate, stored) => {
+  const duration = event.endDate ? Math.max(new Date(event.endDate) - new Date(event.startDate), 0) : null;
+  const rescheduled = stored?.status === 'rescheduled';
+  const startDate = rescheduled && stored.startDate ? new Date(stored.startDate) : new Date(occurrenceDate);
+
+  let endDate = null;
+  if (rescheduled && stored.endDate) {
+    endDate = new Date(stored.endDate);
+  } else if (duration !== null) {
+    endDate = new Date(startDate.getTime() + duration);
+  }
+
+  return {
+    occurrenceDate: isRecurring(event) ? new Date(occurrenceDate) : null,
+    startDate,
+    endDate,
+    location: stored?.location || event.location,
+    status: stored?.status || 'scheduled',
+    reason: stored?.reason || null,
+    confirmedCount: stored?.confirmedCount || 0,
+    ticketCounts: normalizeTicketCounts(stored?.ticketCounts)
+  };
+};
+
+/**
+ * Stored state of an occurrence (see models/Event.js), if any
+ */
+export const getStoredOccurrence = (event, occurrenceDate) => (event.occurrences || [])
+  .find(occurrence => sameInstant(occurrence.occurrenceDate, occurrenceDate)) || null;
+
+/**
+ * Occurrences of an event overlapping a window, earliest first
+ * One-off events have a single occurrence with a null occurrenceDate.
+ * Cancelled occurrences are included (status 'cancelled') so they can be
+ * shown as such.
+ *
+ * @param {Object} event - Event (document or lean object)
+ * @param {Object} options
+ * @param {Date} options.from - Window start
+ * @param {Date} options.to - Window end
+ * @param {Number} [options.limit=MAX_OCCURRENCES] - Most occurrences returned
+ * @returns {Array<Object>} { occurrenceDate, startDate, endDate, location, status, reason, confirmedCount, ticketCounts }
+ */
+export const expandOccurrences = (event, { from, to, limit = MAX_OCCURRENCES }) => {
+  const overlaps = occurrence => occurrence.startDate <= to && (occurrence.endDate || occurrence.startDate) >= from;
+
+  if (!isRecurring(event)) {
+    const occurrence = buildOccurrence(event, event.startDate, null);
+    return overlaps(occurrence) ? [occurrence] : [];
+  }
+
+  const dates = ruleDates(event.startDate, event.recurrence, earliest(to, occurrenceHorizon()));
+
+  // Later occurrences moved back into the window
+  (event.occurrences || [])
+    .filter(stored => stored.status === 'rescheduled' && stored.occurrenceDate > to && stored.startDate <= to)
+    .forEach(stored => {
+      if (isRuleDate(event, stored.occurrenceDate)) dates.push(new Date(stored.occurrenceDate));
+    });
+
+  return dates
+    .map(date => buildOccurrence(event, date, getStoredOccurrence(event, date)))
+    .filter(overlaps)
+    .sort((a, b) => a.startDate - b.startDate)
+    .slice(0, limit);
+};
+
+/**
+ * Whether the rule gives an occurrence starting exactly at date
+ * (dates past the occurrence horizon are refused without expanding the rule)
+ */
+const isRuleDate = (event, date) => new Date(date) <= occurrenceHorizon() &&
+  ruleDates(event.startDate, event.recurrence, new Date(date)).some(ruleDate => sameInstant(ruleDate, date));
+
+/**
+ * One occurrence of a recurring event
+ * @param {Object} event - Event
+ * @param {Date|String} occurrenceDate - Start the rule gives the occurrence
+ * @returns {Object|null} Occurrence (as expandOccurrences), or null if the rule has no such occurrence
+ *  or it is more than OCCURRENCE_HORIZON_YEARS ahead
+ */
+export const findOccurrence = (event, occurrenceDate) => {
+  const date = new Date(occurrenceDate);
+  if (!isRecurring(event) || Number.isNaN(date.getTime()) || !isRuleDate(event, date)) return null;
+  return buildOccurrence(event, date, getStoredOccurrence(event, date));
+};
+
+/**
+ * End of the last occurrence of a recurring event, for listing only events
+ * that have not finished. Null when the series has no end (no COUNT or
+ * UNTIL) or the end lies further than one expansion walks.
+ *
+ * @param {Object} event - { startDate, endDate, recurrence }
+ * @returns {Date|null}
+ */
+export const getSeriesEnd = (event) => {
+  const rule = event.recurrence;
+  if (!rule?.frequency || (!rule.count && !rule.until) || Number.isNaN(new Date(event.startDate).getTime())) return null;
+
+  // UNTIL bounds the last start; COUNT may end the series sooner
+  let lastStart = rule.until ? new Date(rule.until) : null;
+  if (rule.count) {
+    const dates = ruleDates(new Date(event.startDate), rule, lastStart || new Date(8.64e15));
+    if (dates.length >= rule.count) lastStart = dates[dates.length - 1];
+  }
+  if (!lastStart) return null;
+
+  const duration = event.endDate ? Math.max(new Date(event.endDate) - new Date(event.startDate), 0) : 0;
+  return new Date(lastStart.getTime() + duration);
+};
+
+/**
+ * Start of the occurrence a registration is for (its event's start for one-off events)
+ * @returns {Date}
+ */
+export const getOccurrenceStart = (event, occurrenceDate) => {
+  if (!occurrenceDate) return new Date(event.startDate);
+  const stored = getStoredOccurrence(event, occurrenceDate);
+  return stored?.status === 'rescheduled' && stored.startDate ? new Date(stored.startDate) : new Date(occurrenceDate);
+};
+
+/**
+ * Parse an occurrence key from a request (ISO date-time of the rule's start)
+ * @returns {Date|null}
+ */
+export const parseOccurrenceDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Date window from ?from=&to= (either may be omitted)
+ * Defaults to DEFAULT_WINDOW_DAYS from now, or from `from`.
+ *
+ * @returns {Object} { from, to } or { error, status }
+ */
+export const resolveOccurrenceWindow = ({ from, to } = {}) => {
+  const start = from ? new Date(from) : (to ? new Date(new Date(to).getTime() - DEFAULT_WINDOW_DAYS * DAY_MS) : new Date());
+  const end = to ? new Date(to) : new Date(start.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: '`from` and `to` must be valid dates', status: 400 };
+  }
+  if (start > end) {
+    return { error: '`from` must be before `to`', status: 400 };
+  }
+  if (end - start > MAX_WINDOW_DAYS * DAY_MS) {
+    return { error: `The date window can be at most ${MAX_WINDOW_DAYS} days`, status: 400 };
+  }
+  return { from: start, to: end };
+};
+
+/**
+ * Query for events that may have an occurrence in a window
+ * (recurring events are narrowed down further by expandOccurrences)
+ *
+ * @param {Object} window - { from, to }
+ * @returns {Object} MongoDB filter
+ */
+export const occurrenceWindowFilter = ({ from, to }) => ({
+  startDate: { $lte: to },
+  $or: [
+    { startDate: { $gte: from } },
+    { endDate: { $gte: from } },
+    { 'recurrence.frequency': { $exists: true }, seriesEndsAt: { $not: { $lt: from } } }
+  ]
+});
+
+/**
+ * Recurrence settings from an event create/update request body
+ *
+ * The rule may be given as an RRULE string ("FREQ=WEEKLY;BYDAY=TU") or an
+ * object / JSON object; an empty value makes the event one-off again.
+ * Changing the rule or start date of an event is refused while upcoming
+ * occurrences that would disappear still have registrations, and a one-off
+ * event with registrations cannot be made recurring.
+ *
+ * @param {Object} body - Request body
+ * @param {mongoose.Document} [existing] - Event being updated
+ * @returns {Promise<Object>} `{ recurrence }` when given, and `seriesEndsAt` (see getSeriesEnd)
+ * @throws {Error} If the rule is invalid or would drop occurrences with registrations
+ */
+export const parseRecurrenceInput = async (body, existing) => {
+  const fields = {};
+
+  if (body.recurrence !== undefined) {
+    let rule = body.recurrence;
+    if (typeof rule === 'string') {
+      const text = rule.trim();
+      if (!text || text === 'null' || text === 'none') {
+        rule = null;
+      } else if (text.startsWith('{')) {
+        try {
+          rule = JSON.parse(text);
+        } catch {
+          throw new Error('Invalid recurrence format. Use an RRULE such as "FREQ=WEEKLY;BYDAY=TU" or a JSON object.');
+        }
+      } else {
+        rule = parseRecurrenceRule(text);
+      }
+    }
+
+    if (rule) {
+      const byDay = typeof rule.byDay === 'string' ? rule.byDay.split(',') : rule.byDay;
+      const byMonthDay = typeof rule.byMonthDay === 'string' ? rule.byMonthDay.split(',').map(Number) : rule.byMonthDay;
+      rule = {
+        frequency: String(rule.frequency || '').toLowerCase(),
+        interval: rule.interval ? Number(rule.interval) : 1,
+        ...(byDay?.length ? { byDay: byDay.map(day => String(day).trim().toUpperCase()) } : {}),
+        ...(byMonthDay?.length ? { byMonthDay } : {}),
+        ...(rule.count ? { count: Number(rule.count) } : {}),
+        ...(rule.until ? { until: new Date(rule.until) } : {})
+      };
+
+      const validationError = new Event({ recurrence: rule }).validateSync(['recurrence']);
+      if (validationError) {
+        throw new Error(Object.values(validationError.errors).map(error => error.message).join('; '));
+      }
+    }
+    fields.recurrence = rule;
+  }
+
+  // Seats of a one-off event are counted on the event, not per occurrence
+  if (existing && !isRecurring(existing) && fields.recurrence) {
+    const registered = await EventRegistration.exists({ eventId: existing._id, status: { $in: ACTIVE_STATUSES } });
+    if (registered) {
+      throw new Error('An event with registrations cannot be made recurring; create a new recurring event instead');
+    }
+  }
+
+  const startDate = body.startDate ? new Date(body.startDate) : existing?.startDate;
+  const scheduleChanged = fields.recurrence !== undefined || (existing && !sameInstant(startDate, existing.startDate));
+  if (existing && isRecurring(existing) && scheduleChanged) {
+    const registered = await EventRegistration.distinct('occurrenceDate', {
+      eventId: existing._id,
+      occurrenceDate: { $gte: new Date() },
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    const updated = {
+      startDate,
+      endDate: existing.endDate,
+      recurrence: fields.recurrence !== undefined ? fields.recurrence : existing.recurrence
+    };
+    const dropped = registered.filter(date => !isRecurring(updated) || !isRuleDate(updated, date));
+    if (dropped.length > 0) {
+      throw new Error(`This schedule change would remove occurrences that have registrations (${dropped.map(date => date.toISOString()).join(', ')}); cancel or reschedule them first`);
+    }
+  }
+
+  // Stored so listings can leave out finished series without expanding them
+  fields.seriesEndsAt = getSeriesEnd({
+    startDate,
+    endDate: body.endDate ? new Date(body.endDate) : existing?.endDate,
+    recurrence: fields.recurrence !== undefined ? fields.recurrence : existing?.recurrence
+  });
+
+  return fields;
+};
+
+// Stored entry for an occurrence, created on first use
+export const ensureStoredOccurrence = (eventId, occurrenceDate) => Event.updateOne(
+  { _id: eventId, 'occurrences.occurrenceDate': { $ne: occurrenceDate } },
+  { $push: { occurrences: { occurrenceDate, status: 'scheduled', confirmedCount: 0, ticketCounts: {} } } }
+);
+
+const checkOccurrence = (event, occurrenceDate) => {
+  if (!isRecurring(event)) {
+    return { error: 'Only recurring events have occurrences; edit the event itself', status: 400 };
+  }
+  const occurrence = findOccurrence(event, occurrenceDate);
+  if (!occurrence) {
+    return { error: 'This event has no occurrence on that date', status: 404 };
+  }
+  return { occurrence };
+};
+
+/**
+ * Move one occurrence to another time and/or place
+ * Registrations stay with the occurrence.
+ *
+ * @param {mongoose.Document} event - Recurring event
+ * @param {Date} occurrenceDate - Start the rule gives the occurrence
+ * @param {Object} changes - { startDate, endDate, location, reason }
+ * @returns {Promise<Object>} { event, occurrence } or { error, status }
+ */
+export const rescheduleOccurrence = async (event, occurrenceDate, { startDate, endDate, location, reason }) => {
+  const check = checkOccurrence(event, occurrenceDate);
+  if (check.error) return check;
+  if (check.occurrence.status === 'cancelled') {
+    return { error: 'This occurrence is cancelled; restore it before rescheduling', status: 409 };
+  }
+
+  const start = startDate ? new Date(startDate) : check.occurrence.startDate;
+  const end = endDate ? new Date(endDate) : null;
+  if (end && end < start) {
+    return { error: 'The end must be after the start', status: 400 };
+  }
+
+  await ensureStoredOccurrence(event._id, occurrenceDate);
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, 'occurrences.occurrenceDate': occurrenceDate },
+    {
+      $set: {
+        'occurrences.$.status': 'rescheduled',
+        'occurrences.$.startDate': start,
+        ...(end ? { 'occurrences.$.endDate': end } : {}),
+        ...(location ? { 'occurrences.$.location': location } : {}),
+        ...(reason ? { 'occurrences.$.reason': reason } : {})
+      },
+      $unset: {
+        ...(end ? {} : { 'occurrences.$.endDate': '' }),
+        ...(location ? {} : { 'occurrences.$.location': '' }),
+        ...(reason ? {} : { 'occurrences.$.reason': '' })
+      }
+    },
+    { new: true }
+  );
+
+  return { event: updated, occurrence: findOccurrence(updated, occurrenceDate) };
+};
+
+/**
+ * Cancel one occurrence; its active registrations are cancelled with it
+ *
+ * @param {mongoose.Document} event - Recurring event
+ * @param {Date} occurrenceDate - Start the rule gives the occurrence
+ * @param {Object} [options] - { reason }
+ * @returns {Promise<Object>} { event, occurrence, cancelledRegistrations } or { error, status }
+ */
+export const cancelOccurrence = async (event, occurrenceDate, { reason } = {}) => {
+  const check = checkOccurrence(event, occurrenceDate);
+  if (check.error) return check;
+  if (check.occurrence.status === 'cancelled') {
+    return { error: 'This occurrence is already cancelled', status: 409 };
+  }
+
+  await ensureStoredOccurrence(event._id, occurrenceDate);
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, 'occurrences.occurrenceDate': occurrenceDate },
+    {
+      $set: {
+        'occurrences.$.status': 'cancelled',
+        'occurrences.$.confirmedCount': 0,
+        'occurrences.$.ticketCounts': {},
+        ...(reason ? { 'occurrences.$.reason': reason } : {})
+      }
+    },
+    { new: true }
+  );
+
+  const { modifiedCount } = await EventRegistration.updateMany(
+    { eventId: event._id, occurrenceDate, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } }
+  );
+
+  return { event: updated, occurrence: findOccurrence(updated, occurrenceDate), cancelledRegistrations: modifiedCount };
+};
+
+/**
+ * Undo a cancellation or rescheduling: the occurrence follows the rule again
+ * Registrations cancelled with the occurrence stay cancelled.
+ *
+ * @param {mongoose.Document} event - Recurring event
+ * @param {Date} occurrenceDate - Start the rule gives the occurrence
+ * @returns {Promise<Object>} { event, occurrence } or { error, status }
+ */
+export const restoreOccurrence = async (event, occurrenceDate) => {
+  const check = checkOccurrence(event, occurrenceDate);
+  if (check.error) return check;
+  if (check.occurrence.status === 'scheduled') {
+    return { error: 'This occurrence has not been changed', status: 409 };
+  }
+
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, 'occurrences.occurrenceDate': occurrenceDate },
+    {
+      $set: { 'occurrences.$.status': 'scheduled' },
+      $unset: {
+        'occurrences.$.startDate': '',
+        'occurrences.$.endDate': '',
+        'occurrences.$.location': '',
+        'occurrences.$.reason': ''
+      }
+    },
+    { new: true }
+  );
+
+  return { event: updated, occurrence: findOccurrence(updated, occurrenceDate) };
+};
+
+export default {
+  isRecurring,
+  expandOccurrences,
+  resolveOccurrenceWindow,
+  occurrenceWindowFilter,
+  findOccurrence,
+  getSeriesEnd,
+  getOccurrenceStart,
+  parseOccurrenceDate,
+  parseRecurrenceInput,
+  rescheduleOccurrence,
+  cancelOccurrence,
+  restoreOccurrence
+};
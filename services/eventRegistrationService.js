@@ -0,0 +1,579 @@
+/**
+ * Event Registration Service
+ *
+ * Capacity, ticket types and waitlist for event registrations.
+ *
+ * Seats are counted on the Event (`confirmedCount` overall and per ticket
+ * type) and taken with a conditional $inc, so two people can never get the
+ * last seat. Registrations beyond capacity join the waitlist (status
+ * 'waitlisted') when the event allows it, and are promoted in waitlist order
+ * whenever a confirmed seat is given up or the capacity is raised.
+ *
+ * Recurring events have their capacity per occurrence: seats are counted on
+ * the stored occurrence (Event.occurrences, see
+ * services/eventRecurrenceService.js) and each occurrence has its own
+ * waitlist.
+ *
+ * Every status change of a registration that holds or frees a seat must go
+ * through this service, or the counters drift from the registrations.
+ *
+ * @module services/eventRegistrationService
+ */
+import mongoose from 'mongoose';
+import Event from '../models/Event.js';
+import EventRegistration from '../models/EventRegistration.js';
+import { sendEventRegistrationConfirmation } from './emailService.js';
+import { signCheckInCode, renderCheckInQrCode } from './eventCheckInService.js';
+import { ensureStoredOccurrence, findOccurrence, getStoredOccurrence } from './eventRecurrenceService.js';
+import { buildCalendar, eventToCalendarEntry, calendarFileName } from '../utils/icalendar.js';
+
+// Ticket type fields an editor may change (confirmedCount is only moved by $inc)
+const TICKET_TYPE_FIELDS = ['name', 'price', 'capacity', 'description'];
+
+const remainingSeats = (capacity, count) => (capacity ? Math.max(capacity - (count || 0), 0) : null);
+
+const minRemaining = (a, b) => {
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.min(a, b);
+};
+
+export const getTicketType = (event, key) => (event.ticketTypes || []).find(ticket => ticket.key === key) || null;
+
+// Ticket counts of a stored occurrence (a Map on documents, an object when lean)
+const occurrenceTicketCount = (occurrence, key) => (occurrence.ticketCounts instanceof Map
+  ? occurrence.ticketCounts.get(key)
+  : occurrence.ticketCounts?.[key]) || 0;
+
+/**
+ * Seats left overall and per ticket type (null means unlimited)
+ * @param {Object} event - Event
+ * @param {Date} [occurrenceDate] - Occurrence of a recurring event
+ * @returns {Object} { capacity, confirmed, remaining, waitlistEnabled, soldOut, ticketTypes }
+ */
+export const getAvailability = (event, occurrenceDate = null) => {
+  const occurrence = occurrenceDate ? getStoredOccurrence(event, occurrenceDate) || {} : null;
+  const confirmed = occurrence ? occurrence.confirmedCount || 0 : event.confirmedCount || 0;
+  const ticketConfirmed = (ticket) => (occurrence ? occurrenceTicketCount(occurrence, ticket.key) : ticket.confirmedCount);
+  const remaining = remainingSeats(event.capacity, confirmed);
+
+  const ticketTypes = (event.ticketTypes || []).map(ticket => {
+    const ticketRemaining = minRemaining(remaining, remainingSeats(ticket.capacity, ticketConfirmed(ticket)));
+    return {
+      key: ticket.key,
+      name: ticket.name,
+      price: ticket.price,
+      description: ticket.description,
+      capacity: ticket.capacity ?? null,
+      remaining: ticketRemaining,
+      soldOut: ticketRemaining === 0
+    };
+  });
+
+  return {
+    capacity: event.capacity ?? null,
+    confirmed,
+    remaining,
+    waitlistEnabled: event.waitlistEnabled !== false,
+    soldOut: remaining === 0 || (ticketTypes.length > 0 && ticketTypes.every(ticket => ticket.soldOut)),
+    ticketTypes
+  };
+};
+
+/**
+ * Capacity settings from an event create/update request body
+ * Ticket types keep their confirmed counts; a ticket type that still has
+ * confirmed or waitlisted registrations cannot be removed.
+ *
+ * @param {Object} body - Request body (ticketTypes may be a JSON string)
+ * @param {mongoose.Document} [existing] - Event being updated
+ * @returns {Promise<Object>} Fields to store (only those present in the body)
+ * @throws {Error} If a value is invalid
+ */
+export const parseEventCapacityInput = async (body, existing) => {
+  const fields = {};
+
+  if (body.capacity !== undefined) {
+    fields.capacity = body.capacity === '' || body.capacity === null ? null : Number(body.capacity);
+  }
+  if (body.waitlistEnabled !== undefined) {
+    fields.waitlistEnabled = body.waitlistEnabled === true || body.waitlistEnabled === 'true';
+  }
+
+  if (body.ticketTypes !== undefined) {
+    let ticketTypes = body.ticketTypes;
+    if (typeof ticketTypes === 'string') {
+      try {
+        ticketTypes = ticketTypes.trim() ? JSON.parse(ticketTypes) : [];
+      } catch {
+        throw new Error('Invalid ticketTypes format. Must be a JSON array.');
+      }
+    }
+    if (!Array.isArray(ticketTypes)) {
+      throw new Error('Invalid ticketTypes format. Must be a JSON array.');
+    }
+
+    // Counts are kept by this service, never taken from the request
+    const current = new Map((existing?.ticketTypes || []).map(ticket => [ticket.key, ticket]));
+    fields.ticketTypes = ticketTypes.map((ticket = {}) => ({
+      key: String(ticket.key ?? '').trim().toLowerCase(),
+      ...Object.fromEntries(TICKET_TYPE_FIELDS.map(field => [field, ticket[field]]))
+    }));
+
+    const keys = new Set(fields.ticketTypes.map(ticket => ticket.key));
+    const removed = Array.from(current.keys()).filter(key => !keys.has(key));
+    if (existing && removed.length > 0) {
+      const inUse = await EventRegistration.distinct('ticketType', {
+        eventId: existing._id,
+        ticketType: { $in: removed },
+        status: { $in: ['confirmed', 'waitlisted'] }
+      });
+      if (inUse.length > 0) {
+        throw new Error(`Ticket types with registrations cannot be removed: ${inUse.join(', ')}`);
+      }
+    }
+  }
+
+  const validationError = new Event(fields).validateSync(Object.keys(fields));
+  if (validationError) {
+    throw new Error(Object.values(validationError.errors).map(error => error.message).join('; '));
+  }
+
+  return fields;
+};
+
+/**
+ * Store edited ticket types on an existing event without touching their seat
+ * counts: removed types are pulled, new ones pushed with no seats taken, and
+ * the others updated field by field. Writing the whole array back would undo
+ * any seat reserved or released since the event was read.
+ *
+ * @param {ObjectId} eventId
+ * @param {Array<Object>} ticketTypes - As returned by parseEventCapacityInput
+ * @returns {Promise<void>}
+ */
+export const saveTicketTypes = async (eventId, ticketTypes) => {
+  // Cast as the schema would (trimmed, defaults applied)
+  const tickets = new Event({ ticketTypes }).ticketTypes.map(ticket => ticket.toObject());
+  const keys = tickets.map(ticket => ticket.key);
+
+  await Event.updateOne({ _id: eventId }, { $pull: { ticketTypes: { key: { $nin: keys } } } });
+
+  for (const ticket of tickets) {
+    await Event.updateOne(
+      { _id: eventId, 'ticketTypes.key': { $ne: ticket.key } },
+      { $push: { ticketTypes: { ...ticket, confirmedCount: 0 } } }
+    );
+  }
+
+  if (tickets.length === 0) return;
+
+  const update = { $set: {}, $unset: {} };
+  const arrayFilters = tickets.map((ticket, index) => {
+    for (const field of TICKET_TYPE_FIELDS) {
+      const path = `ticketTypes.$[t${index}].${field}`;
+      if (ticket[field] === undefined) {
+        update.$unset[path] = '';
+      } else {
+        update.$set[path] = ticket[field];
+      }
+    }
+    return { [`t${index}.key`]: ticket.key };
+  });
+  if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+  await Event.updateOne({ _id: eventId }, update, { arrayFilters });
+};
+
+/**
+ * Take a seat (overall and on the ticket type) if one is left
+ * @returns {Promise<mongoose.Document|null>} Updated event, or null when full
+ */
+const reserveSeat = async (event, ticketKey, occurrenceDate = null) => {
+  if (occurrenceDate) return reserveOccurrenceSeat(event, ticketKey, occurrenceDate);
+
+  const query = { _id: event._id };
+  const update = { $inc: { confirmedCount: 1 } };
+
+  if (event.capacity) {
+    query.confirmedCount = { $lt: event.capacity };
+  }
+
+  const ticket = ticketKey ? getTicketType(event, ticketKey) : null;
+  if (ticketKey) {
+    if (!ticket) return null; // ticket type no longer offered
+    query.ticketTypes = {
+      $elemMatch: ticket.capacity
+        ? { key: ticketKey, confirmedCount: { $lt: ticket.capacity } }
+        : { key: ticketKey }
+    };
+    update.$inc['ticketTypes.$.confirmedCount'] = 1;
+  }
+
+  return Event.findOneAndUpdate(query, update, { new: true });
+};
+
+// Seat on one occurrence of a recurring event
+const reserveOccurrenceSeat = async (event, ticketKey, occurrenceDate) => {
+  const ticket = ticketKey ? getTicketType(event, ticketKey) : null;
+  if (ticketKey && !ticket) return null;
+
+  await ensureStoredOccurrence(event._id, occurrenceDate);
+
+  const match = { occurrenceDate, status: { $ne: 'cancelled' } };
+  const update = { $inc: { 'occurrences.$.confirmedCount': 1 } };
+  if (event.capacity) {
+    match.confirmedCount = { $lt: event.capacity };
+  }
+  if (ticketKey) {
+    // Missing counts are zero, so "not at capacity" rather than "below capacity"
+    if (ticket.capacity) match[`ticketCounts.${ticketKey}`] = { $not: { $gte: ticket.capacity } };
+    update.$inc[`occurrences.$.ticketCounts.${ticketKey}`] = 1;
+  }
+
+  return Event.findOneAndUpdate({ _id: event._id, occurrences: { $elemMatch: match } }, update, { new: true });
+};
+
+// Give a seat back
+const releaseSeat = (eventId, ticketKey, occurrenceDate = null) => {
+  if (occurrenceDate) {
+    const match = { occurrenceDate, confirmedCount: { $gt: 0 } };
+    const update = { $inc: { 'occurrences.$.confirmedCount': -1 } };
+    if (ticketKey) {
+      match[`ticketCounts.${ticketKey}`] = { $gt: 0 };
+      update.$inc[`occurrences.$.ticketCounts.${ticketKey}`] = -1;
+    }
+    return Event.updateOne({ _id: eventId, occurrences: { $elemMatch: match } }, update);
+  }
+
+  const query = { _id: eventId, confirmedCount: { $gt: 0 } };
+  const update = { $inc: { confirmedCount: -1 } };
+
+  if (ticketKey) {
+    query.ticketTypes = { $elemMatch: { key: ticketKey, confirmedCount: { $gt: 0 } } };
+    update.$inc['ticketTypes.$.confirmedCount'] = -1;
+  }
+
+  return Event.updateOne(query, update);
+};
+
+/**
+ * 1-based place of a waitlisted registration in its event's (occurrence's) waitlist
+ */
+export const getWaitlistPosition = async (registration) => {
+  if (registration.status !== 'waitlisted') return null;
+  const ahead = await EventRegistration.countDocuments({
+    eventId: registration.eventId,
+    occurrenceDate: registration.occurrenceDate || null,
+    status: 'waitlisted',
+    waitlistedAt: { $lt: registration.waitlistedAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Confirmation, waitlist or promotion email (failures are logged, not thrown)
+ * Confirmed registrants get their check-in QR code.
+ *
+ * @param {mongoose.Document} event - Event
+ * @param {mongoose.Document} registration - Registration
+ * @param {String} kind - confirmed, waitlisted or promoted
+ */
+export const sendRegistrationEmail = async (event, registration, kind) => {
+  try {
+    const ticket = registration.ticketType ? getTicketType(event, registration.ticketType) : null;
+    const occurrence = registration.occurrenceDate ? findOccurrence(event, registration.occurrenceDate) : null;
+
+    let checkInCode = null;
+    let qrCode = null;
+    if (kind !== 'waitlisted') {
+      checkInCode = registration.checkInCode;
+      if (!checkInCode) {
+        // Registered before check-in codes existed
+        checkInCode = signCheckInCode(registration._id);
+        await EventRegistration.updateOne({ _id: registration._id }, { $set: { checkInCode } });
+      }
+      qrCode = await renderCheckInQrCode(checkInCode);
+    }
+
+    // Nothing to put in the calendar until the place is confirmed
+    const calendar = kind !== 'waitlisted'
+      ? buildCalendar([eventToCalendarEntry(event, occurrence)], { name: event.title })
+      : null;
+
+    const result = await sendEventRegistrationConfirmation(registration.email, {
+      eventTitle: event.title,
+      eventDate: new Date(occurrence ? occurrence.startDate : event.startDate).toLocaleDateString(),
+      eventLocation: (occurrence ? occurrence.location : event.location) || 'Location TBD',
+      registrantName: registration.name,
+      registrationId: registration._id.toString(),
+      status: kind,
+      ticketName: ticket?.name,
+      ticketPrice: registration.price,
+      waitlistPosition: kind === 'waitlisted' ? await getWaitlistPosition(registration) : null,
+      checkInCode,
+      qrCode,
+      calendar,
+      calendarFileName: calendar ? calendarFileName(event) : undefined
+    });
+
+    if (!result || !result.success) {
+      console.error(`Failed to send event ${kind} email:`, result?.error || result?.message || 'Unknown email error');
+    }
+  } catch (error) {
+    console.error(`Event ${kind} email error:`, error.message);
+  }
+};
+
+/**
+ * Register someone for an event: confirmed while seats are left, otherwise
+ * waitlisted (or refused when the event has no waitlist). A cancelled
+ * registration for the same email is reused.
+ *
+ * @param {mongoose.Document} event - Published, upcoming event
+ * @param {Object} attendee - { name, email, phone, ticketType }
+ * @param {Date} [occurrenceDate] - Occurrence of a recurring event (required for those)
+ * @returns {Promise<Object>} { registration, waitlisted, waitlistPosition } or { error, status }
+ */
+export const registerAttendee = async (event, { name, email, phone, ticketType }, occurrenceDate = null) => {
+  let ticket = null;
+  if (event.ticketTypes.length > 0) {
+    const key = ticketType ? String(ticketType).trim().toLowerCase() : (event.ticketTypes.length === 1 ? event.ticketTypes[0].key : null);
+    if (!key) {
+      return { error: `Please choose a ticket type: ${event.ticketTypes.map(t => t.key).join(', ')}`, status: 400 };
+    }
+    ticket = getTicketType(event, key);
+    if (!ticket) {
+      return { error: `Unknown ticket type "${key}"`, status: 400 };
+    }
+  } else if (ticketType) {
+    return { error: 'This event does not offer ticket types', status: 400 };
+  }
+
+  const alreadyRegistered = occurrenceDate
+    ? 'You are already registered for this date'
+    : 'You are already registered for this event';
+
+  const existing = await EventRegistration.findOne({ eventId: event._id, occurrenceDate, email });
+  if (existing && existing.status !== 'cancelled') {
+    return { error: alreadyRegistered, status: 409 };
+  }
+
+  const reserved = await reserveSeat(event, ticket?.key, occurrenceDate);
+  if (!reserved && !getAvailability(event).waitlistEnabled) {
+    return { error: ticket ? `${ticket.name} tickets are sold out` : 'This event is fully booked', status: 409 };
+  }
+
+  const now = new Date();
+  const set = {
+    name,
+    email,
+    status: reserved ? 'confirmed' : 'waitlisted',
+    registrationDate: now
+  };
+  // $unset clears what a reused (cancelled) registration had before
+  const unset = { promotedAt: '', cancelledAt: '', checkedInAt: '', checkedInBy: '', checkInDevice: '' };
+
+  if (phone) {
+    set.phone = phone;
+  } else {
+    unset.phone = '';
+  }
+  if (ticket) {
+    set.ticketType = ticket.key;
+    set.price = ticket.price;
+  } else {
+    unset.ticketType = '';
+    unset.price = '';
+  }
+  if (reserved) {
+    unset.waitlistedAt = '';
+  } else {
+    set.waitlistedAt = now;
+  }
+
+  let registration;
+  try {
+    if (existing) {
+      if (!existing.checkInCode) set.checkInCode = signCheckInCode(existing._id);
+      registration = await EventRegistration.findOneAndUpdate(
+        { _id: existing._id, status: 'cancelled' },
+        { $set: set, $unset: unset },
+        { new: true, runValidators: true }
+      );
+    } else {
+      const _id = new mongoose.Types.ObjectId();
+      registration = await EventRegistration.create({
+        _id,
+        eventId: event._id,
+        occurrenceDate,
+        checkInCode: signCheckInCode(_id),
+        ...set
+      });
+    }
+  } catch (error) {
+    if (reserved) await releaseSeat(event._id, ticket?.key, occurrenceDate);
+    if (error.code === 11000) {
+      return { error: alreadyRegistered, status: 409 };
+    }
+    throw error;
+  }
+
+  if (!registration) {
+    // Re-registered concurrently
+    if (reserved) await releaseSeat(event._id, ticket?.key, occurrenceDate);
+    return { error: alreadyRegistered, status: 409 };
+  }
+
+  const waitlisted = registration.status === 'waitlisted';
+  await sendRegistrationEmail(reserved || event, registration, waitlisted ? 'waitlisted' : 'confirmed');
+
+  return {
+    registration,
+    waitlisted,
+    waitlistPosition: waitlisted ? await getWaitlistPosition(registration) : null
+  };
+};
+
+/**
+ * Confirm waitlisted registrations, earliest first, while seats are left.
+ * A registration whose ticket type is still full is skipped, so someone
+ * further down the list may get a seat on another ticket type.
+ *
+ * For a recurring event without an occurrence, every occurrence with a
+ * waitlist is promoted.
+ *
+ * @param {mongoose.Types.ObjectId|String} eventId - Event
+ * @param {Date} [occurrenceDate] - Occurrence of a recurring event
+ * @returns {Promise<Array<mongoose.Document>>} Promoted registrations
+ */
+export const promoteFromWaitlist = async (eventId, occurrenceDate) => {
+  const promoted = [];
+  let event = await Event.findById(eventId);
+  if (!event) return promoted;
+
+  if (event.recurrence?.frequency && !occurrenceDate) {
+    const dates = await EventRegistration.distinct('occurrenceDate', { eventId, status: 'waitlisted' });
+    for (const date of dates.filter(Boolean)) {
+      promoted.push(...await promoteFromWaitlist(eventId, date));
+    }
+    return promoted;
+  }
+
+  const occurrence = occurrenceDate ? findOccurrence(event, occurrenceDate) : null;
+  if (occurrenceDate && (!occurrence || occurrence.status === 'cancelled')) return promoted;
+  if ((occurrence ? occurrence.startDate : new Date(event.startDate)) < new Date()) return promoted;
+
+  const waitlist = await EventRegistration.find({ eventId, occurrenceDate: occurrenceDate || null, status: 'waitlisted' })
+    .sort({ waitlistedAt: 1 });
+
+  for (const registration of waitlist) {
+    if (getAvailability(event, occurrenceDate).remaining === 0) break;
+
+    const reserved = await reserveSeat(event, registration.ticketType, occurrenceDate);
+    if (!reserved) continue;
+    event = reserved;
+
+    const confirmed = await EventRegistration.findOneAndUpdate(
+      { _id: registration._id, status: 'waitlisted' },
+      { $set: { status: 'confirmed', promotedAt: new Date() } },
+      { new: true }
+    );
+    if (!confirmed) {
+      // Cancelled while we were promoting
+      await releaseSeat(event._id, registration.ticketType, occurrenceDate);
+      event = await Event.findById(eventId);
+      continue;
+    }
+
+    promoted.push(confirmed);
+    await sendRegistrationEmail(event, confirmed, 'promoted');
+  }
+
+  return promoted;
+};
+
+/**
+ * Move a registration to another status, taking or freeing its seat
+ * A freed seat goes to the waitlist.
+ *
+ * @param {mongoose.Document} registration - Registration
+ * @param {String} status - confirmed, pending, waitlisted or cancelled
+ * @returns {Promise<Object>} { registration, promoted } or { error, status }
+ */
+export const changeRegistrationStatus = async (registration, status) => {
+  const from = registration.status;
+  if (from === status) return { registration, promoted: [] };
+
+  const event = await Event.findById(registration.eventId);
+  if (!event) {
+    return { error: 'Event not found', status: 404 };
+  }
+
+  const { occurrenceDate } = registration;
+  if (occurrenceDate && status !== 'cancelled' && findOccurrence(event, occurrenceDate)?.status === 'cancelled') {
+    return { error: 'This date of the event has been cancelled', status: 409 };
+  }
+
+  if (status === 'confirmed') {
+    const reserved = await reserveSeat(event, registration.ticketType, occurrenceDate);
+    if (!reserved) {
+      return { error: 'No seats left for this registration\'s ticket type', status: 409 };
+    }
+  }
+
+  const set = { status };
+  const unset = {};
+  if (status === 'cancelled') set.cancelledAt = new Date();
+  if (status === 'waitlisted') set.waitlistedAt = new Date();
+  if (status === 'confirmed' && from === 'waitlisted') set.promotedAt = new Date();
+  if (status !== 'cancelled') unset.cancelledAt = '';
+
+  const updated = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: from },
+    { $set: set, ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}) },
+    { new: true }
+  );
+  if (!updated) {
+    if (status === 'confirmed') await releaseSeat(event._id, registration.ticketType, occurrenceDate);
+    return { error: 'The registration was changed by someone else; reload and try again', status: 409 };
+  }
+
+  let promoted = [];
+  if (from === 'confirmed') {
+    await releaseSeat(event._id, registration.ticketType, occurrenceDate);
+    promoted = await promoteFromWaitlist(event._id, occurrenceDate);
+  }
+  if (status === 'confirmed') {
+    await sendRegistrationEmail(event, updated, from === 'waitlisted' ? 'promoted' : 'confirmed');
+  }
+
+  return { registration: updated, promoted };
+};
+
+/**
+ * Cancel a registration; a confirmed seat goes to the waitlist
+ * @returns {Promise<Object>} { registration, promoted } or { error, status }
+ */
+export const cancelRegistration = (registration) => changeRegistrationStatus(registration, 'cancelled');
+
+/**
+ * Free the seat of a registration that has been deleted
+ * @returns {Promise<Array<mongoose.Document>>} Promoted registrations
+ */
+export const releaseDeletedRegistration = async (registration) => {
+  if (registration.status !== 'confirmed') return [];
+  await releaseSeat(registration.eventId, registration.ticketType, registration.occurrenceDate);
+  return promoteFromWaitlist(registration.eventId, registration.occurrenceDate);
+};
+
+export default {
+  getAvailability,
+  parseEventCapacityInput,
+  saveTicketTypes,
+  registerAttendee,
+  promoteFromWaitlist,
+  changeRegistrationStatus,
+  cancelRegistration,
+  releaseDeletedRegistration
+};
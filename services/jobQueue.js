@@ -0,0 +1,305 @@
+/**
+ * Job Queue
+ *
+ * Persistent background job queue backed by the `jobs` collection
+ * (models/Job.js), so queued and half-finished work survives restarts.
+ *
+ * Handlers are registered by type and run one step at a time. A step
+ * returns `{ done: true, result }` when the job is finished, or
+ * `{ done: false, delayMs, progress }` to be queued again for its next step;
+ * long jobs such as newsletter sends work in small throttled batches this way
+ * and pick up where they left off after a crash.
+ *
+ * Each step is claimed with an atomic findOneAndUpdate that leases the job to
+ * this worker (JOB_LEASE_MS, 5 minutes by default), and the lease is renewed
+ * while the step runs. A job whose lease has run out (its worker died) is
+ * taken over by the next worker, which counts the interrupted step as a
+ * failed attempt, and a worker that lost its lease cannot overwrite the job
+ * afterwards. A step that throws is retried with backoff until the job's
+ * maxAttempts is reached.
+ *
+ * @module services/jobQueue
+ */
+import os from 'os';
+import Job from '../models/Job.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_POLL_MS = 5000;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+const MAX_STEPS_PER_RUN = 50;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+class JobQueue {
+    constructor() {
+        this.handlers = new Map();
+        this.pollInterval = parseInt(process.env.JOB_QUEUE_POLL_MS) || DEFAULT_POLL_MS;
+        this.leaseDuration = parseInt(process.env.JOB_LEASE_MS) || DEFAULT_LEASE_MS;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.timer = null;
+        this.started = false;
+        this.running = false;
+    }
+
+    /**
+     * Register the handler for a job type
+     *
+     * @param {string} type - Job type (e.g. "newsletter.send")
+     * @param {Function} handler - async (job) => { done, result } | { done: false, delayMs, progress }
+     * @param {Object} [options]
+     * @param {Function} [options.onFailed] - async (job, error) called once the job has used up its attempts
+     */
+    register(type, handler, { onFailed } = {}) {
+        this.handlers.set(type, { run: handler, onFailed });
+    }
+
+    /**
+     * Add a job to the queue
+     *
+     * @param {string} type - Registered job type
+     * @param {Object} payload - Handler input
+     * @param {Object} [options]
+     * @param {Date} [options.runAt] - Earliest start (default now)
+     * @param {number} [options.maxAttempts] - Failed steps before giving up
+     * @param {ObjectId} [options.createdBy] - User who queued the job
+     * @returns {Promise<mongoose.Document>} The queued job
+     */
+    async enqueue(type, payload = {}, { runAt = new Date(), maxAttempts, createdBy } = {}) {
+        const job = await Job.create({
+            type,
+            payload,
+            runAt,
+            ...(maxAttempts ? { maxAttempts } : {}),
+            createdBy: createdBy || null
+        });
+
+        if (job.runAt <= new Date()) {
+            this.wake();
+        }
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running job; a running step finishes but the job
+     * is not continued
+     *
+     * @returns {Promise<boolean>} Whether the job was cancelled
+     */
+    async cancel(jobId) {
+        const { modifiedCount } = await Job.updateOne(
+            { _id: jobId, status: { $in: ['queued', 'running'] } },
+            { $set: { status: 'cancelled', lockedBy: null, lockedUntil: null, completedAt: new Date() } }
+        );
+        return modifiedCount > 0;
+    }
+
+    /**
+     * Start polling for due jobs. Safe to call more than once.
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        logger.info(`📬 Job queue started (${this.handlers.size} job type(s), polling every ${this.pollInterval}ms)`);
+        this.scheduleNextRun(0);
+    }
+
+    /**
+     * Stop polling; a job being run is left to its lease
+     */
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run due jobs soon instead of waiting for the next poll
+     */
+    wake() {
+        if (this.started && !this.running) {
+            this.scheduleNextRun(0);
+        }
+    }
+
+    scheduleNextRun(delay = this.pollInterval) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            const nextDelay = await this.runDueJobs();
+            if (this.started && !this.timer) {
+                this.scheduleNextRun(nextDelay);
+            }
+        }, delay);
+
+        // Don't keep the process alive just for the queue
+        this.timer.unref();
+    }
+
+    /**
+     * Run due job steps until none are left (or MAX_STEPS_PER_RUN)
+     *
+     * @returns {Promise<number>} Delay until the next run, shorter than the
+     *   poll interval when a job asked to continue sooner
+     */
+    async runDueJobs() {
+        if (this.running || this.handlers.size === 0) {
+            return this.pollInterval;
+        }
+
+        this.running = true;
+        try {
+            for (let steps = 0; steps < MAX_STEPS_PER_RUN; steps++) {
+                const job = await this.claimNext();
+                if (!job) break;
+                await this.processJob(job);
+            }
+
+            const next = await Job.findOne({ type: { $in: [...this.handlers.keys()] }, status: 'queued' })
+                .sort({ runAt: 1 })
+                .select('runAt')
+                .lean();
+            return next
+                ? Math.min(Math.max(new Date(next.runAt).getTime() - Date.now(), 0), this.pollInterval)
+                : this.pollInterval;
+        } catch (error) {
+            logger.error('Job queue run failed:', error);
+            return this.pollInterval;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Lease a job whose worker stopped renewing its lease, or else the next due job
+     *
+     * @returns {Promise<mongoose.Document|null>}
+     */
+    async claimNext() {
+        const now = new Date();
+        const types = { $in: [...this.handlers.keys()] };
+        const lease = {
+            status: 'running',
+            lockedBy: this.workerId,
+            lockedUntil: new Date(now.getTime() + this.leaseDuration)
+        };
+
+        // The step of an expired lease never finished: count it as a failed attempt
+        let job = await Job.findOneAndUpdate(
+            { type: types, status: 'running', lockedUntil: { $lt: now } },
+            { $set: { ...lease, lastError: 'Worker stopped before the step finished' }, $inc: { attempts: 1 } },
+            { sort: { lockedUntil: 1 }, new: true }
+        );
+
+        if (!job) {
+            job = await Job.findOneAndUpdate(
+                { type: types, status: 'queued', runAt: { $lte: now } },
+                { $set: lease },
+                { sort: { runAt: 1 }, new: true }
+            );
+        }
+
+        if (job && !job.startedAt) {
+            job.startedAt = now;
+            await Job.updateOne({ _id: job._id }, { $set: { startedAt: now } });
+        }
+        return job;
+    }
+
+    /**
+     * Run one step of a claimed job and record the outcome
+     *
+     * @param {mongoose.Document} job - Job leased to this worker
+     */
+    async processJob(job) {
+        const { run } = this.handlers.get(job.type);
+        const owned = { _id: job._id, status: 'running', lockedBy: this.workerId };
+
+        // Taken over from workers that died too often
+        if (job.attempts >= job.maxAttempts) {
+            await this.recordFailure(job, new Error(job.lastError || 'Too many failed attempts'), job.attempts);
+            return;
+        }
+
+        // Renew the lease while the step runs so a long step is not taken over
+        const heartbeat = setInterval(() => {
+            Job.updateOne(owned, { $set: { lockedUntil: new Date(Date.now() + this.leaseDuration) } })
+                .catch(error => logger.warn(`Job ${job.type} ${job._id} lease renewal failed: ${error.message}`));
+        }, Math.max(Math.floor(this.leaseDuration / 3), 1000));
+        heartbeat.unref();
+
+        try {
+            const outcome = await run(job) || { done: true };
+
+            if (outcome.done) {
+                await Job.updateOne(owned, {
+                    $set: {
+                        status: 'completed',
+                        result: outcome.result ?? null,
+                        ...(outcome.progress ? { progress: outcome.progress } : {}),
+                        lockedBy: null,
+                        lockedUntil: null,
+                        completedAt: new Date()
+                    }
+                });
+                return;
+            }
+
+            await Job.updateOne(owned, {
+                $set: {
+                    status: 'queued',
+                    runAt: new Date(Date.now() + (outcome.delayMs || 0)),
+                    ...(outcome.progress ? { progress: outcome.progress } : {}),
+                    lockedBy: null,
+                    lockedUntil: null
+                }
+            });
+        } catch (error) {
+            await this.recordFailure(job, error, job.attempts + 1);
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Queue a failed step for a retry with backoff, or fail the job once it
+     * has used up its attempts
+     *
+     * @param {mongoose.Document} job - Job leased to this worker
+     * @param {Error} error - Why the step failed
+     * @param {number} attempts - Failed attempts including this one
+     */
+    async recordFailure(job, error, attempts) {
+        const { onFailed } = this.handlers.get(job.type);
+        const failed = attempts >= job.maxAttempts;
+        logger.error(`Job ${job.type} ${job._id} failed (attempt ${attempts}/${job.maxAttempts}):`, error);
+
+        await Job.updateOne({ _id: job._id, status: 'running', lockedBy: this.workerId }, {
+            $set: {
+                status: failed ? 'failed' : 'queued',
+                attempts,
+                lastError: error.message,
+                runAt: new Date(Date.now() + Math.min(30000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)),
+                lockedBy: null,
+                lockedUntil: null,
+                ...(failed ? { completedAt: new Date() } : {})
+            }
+        });
+
+        if (failed && onFailed) {
+            try {
+                await onFailed(job, error);
+            } catch (hookError) {
+                logger.error(`Job ${job.type} ${job._id} failure handler failed:`, hookError);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+export default jobQueue;
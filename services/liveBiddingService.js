@@ -0,0 +1,463 @@
+/**
+ * Live Bidding Service
+ *
+ * Runs online bidding on auction lots. The auctioneer opens one lot at a time,
+ * approved registrants bid on it (over HTTP or the WebSocket), and the
+ * auctioneer closes and hammers it: sold to the highest bidder if the reserve
+ * was met, passed otherwise.
+ *
+ * Bids are applied with a single conditional findOneAndUpdate on the lot
+ * (still open, amount at least the current bid plus the increment), so two
+ * bidders racing for the same increment cannot both win. Every attempt and
+ * every lot command is written to the append-only AuctionLedger and pushed to
+ * watchers on the `auction:<id>` channel of the notification WebSocket.
+ *
+ * Registrants have no user account: approval issues a bidder token (a JWT of
+ * type 'bidder' carrying auctionId, registrationId and bidderNumber), and each
+ * bid re-checks that the registration is still approved.
+ *
+ * @module services/liveBiddingService
+ */
+import jwt from 'jsonwebtoken';
+import Auction from '../models/Auction.js';
+import AuctionLedger from '../models/AuctionLedger.js';
+import logger from '../utils/logger.js';
+
+const CHANNEL_PREFIX = 'auction:';
+
+// Bidder tokens stay valid for a day after the auction date
+const BIDDER_TOKEN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Staff roles that may watch any auction channel
+const STAFF_ROLES = ['system_admin', 'editor'];
+
+// A failed ledger write is retried before the bid or command is acknowledged
+const LEDGER_WRITE_ATTEMPTS = 3;
+const LEDGER_RETRY_DELAY_MS = 200;
+
+// Lot fields loaded for bidding decisions
+const LIVE_FIELDS = 'title status date bidIncrement liveBidding items registrations._id registrations.status registrations.bidderNumber';
+
+export const auctionChannel = (auctionId) => `${CHANNEL_PREFIX}${auctionId}`;
+
+const getIncrement = (auction, item) => item.bidIncrement || auction.bidIncrement || 1;
+
+const getNextMinimumBid = (auction, item) =>
+  item.currentBid != null ? item.currentBid + getIncrement(auction, item) : item.startingPrice;
+
+/**
+ * Public view of a lot: the reserve itself stays hidden, only whether it is met
+ */
+const summarizeLot = (auction, item) => ({
+  lotNumber: item.lotNumber,
+  description: item.description,
+  category: item.category,
+  breed: item.breed,
+  startingPrice: item.startingPrice,
+  lotStatus: item.lotStatus || 'pending',
+  currentBid: item.currentBid ?? null,
+  currentBidderNumber: item.currentBidderNumber || null,
+  bidCount: item.bidCount || 0,
+  nextMinimumBid: getNextMinimumBid(auction, item),
+  bidIncrement: getIncrement(auction, item),
+  reserveMet: item.currentBid != null && (!item.reservePrice || item.currentBid >= item.reservePrice),
+  finalPrice: item.finalPrice ?? null,
+  winningBidderNumber: item.winningBidderNumber || null
+});
+
+const findLot = (auction, lotNumber) => auction?.items.find(item => item.lotNumber === lotNumber);
+
+class LiveBiddingService {
+  constructor() {
+    this.notifications = null;
+  }
+
+  /**
+   * Hook into the notification WebSocket: authorize `auction:<id>`
+   * subscriptions, send the live state on subscribe and accept
+   * `place_bid` messages from bidder connections.
+   *
+   * @param {NotificationWebSocketService} notificationService
+   */
+  attach(notificationService) {
+    this.notifications = notificationService;
+
+    notificationService.registerChannel(CHANNEL_PREFIX, (ws, channel) => {
+      if (ws.bidder) return channel === auctionChannel(ws.bidder.auctionId);
+      return STAFF_ROLES.includes(ws.userRole);
+    });
+
+    notificationService.on('channelSubscribed', async ({ ws, channel }) => {
+      if (!channel.startsWith(CHANNEL_PREFIX)) return;
+      try {
+        const state = await this.getLiveState(channel.slice(CHANNEL_PREFIX.length));
+        if (state) notificationService.sendToClient(ws, { type: 'auction_state', channel, ...state });
+      } catch (error) {
+        logger.error(`Failed to send live auction state: ${error.message}`);
+      }
+    });
+
+    notificationService.on('placeBid', async ({ ws, lotNumber, amount }) => {
+      if (!ws.bidder) {
+        notificationService.sendToClient(ws, { type: 'bid_result', success: false, message: 'Only registered bidders can bid' });
+        return;
+      }
+      try {
+        const result = await this.placeBid({
+          bidder: ws.bidder,
+          lotNumber,
+          amount,
+          channel: 'websocket',
+          ipAddress: ws.ipAddress
+        });
+        notificationService.sendToClient(ws, result.error
+          ? { type: 'bid_result', success: false, message: result.error }
+          : { type: 'bid_result', success: true, bid: result.bid, lot: result.lot });
+      } catch (error) {
+        logger.error(`WebSocket bid failed: ${error.message}`);
+        notificationService.sendToClient(ws, { type: 'bid_result', success: false, message: 'Failed to place bid' });
+      }
+    });
+
+    logger.info('🔨 Live bidding attached to WebSocket channels');
+  }
+
+  /**
+   * Bidder token for an approved registration
+   * @returns {string} Signed JWT
+   */
+  signBidderToken(auction, registration) {
+    const expiresAt = new Date(auction.date).getTime() + BIDDER_TOKEN_GRACE_MS;
+    return jwt.sign(
+      {
+        type: 'bidder',
+        auctionId: auction._id.toString(),
+        registrationId: registration._id.toString(),
+        bidderNumber: registration.bidderNumber
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: Math.max(Math.floor((expiresAt - Date.now()) / 1000), 60) }
+    );
+  }
+
+  /**
+   * @returns {Object|null} Decoded bidder token, or null if invalid
+   */
+  verifyBidderToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.type === 'bidder' ? decoded : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Current lot and the state of every lot
+   * @returns {Object|null} null if the auction does not exist
+   */
+  async getLiveState(auctionId) {
+    const auction = await Auction.findById(auctionId).select(LIVE_FIELDS).lean();
+    if (!auction) return null;
+
+    return {
+      auctionId: auction._id,
+      title: auction.title,
+      status: auction.status,
+      currentLot: auction.liveBidding?.currentLot ?? null,
+      lots: auction.items
+        .slice()
+        .sort((a, b) => a.lotNumber - b.lotNumber)
+        .map(item => summarizeLot(auction, item))
+    };
+  }
+
+  /**
+   * Put a lot on the block. Only one lot is open at a time; a closed lot can
+   * be reopened until it is hammered.
+   *
+   * Lot commands take a ledger context: { actor: { userId, username }, channel, ipAddress }
+   */
+  async openLot(auctionId, lotNumber, context) {
+    const now = new Date();
+    const auction = await Auction.findOneAndUpdate(
+      {
+        _id: auctionId,
+        status: { $nin: ['completed', 'cancelled'] },
+        $or: [{ 'liveBidding.currentLot': null }, { 'liveBidding.currentLot': lotNumber }],
+        items: { $elemMatch: { lotNumber, lotStatus: { $in: ['pending', 'closed', null] } } }
+      },
+      {
+        $set: {
+          status: 'ongoing',
+          'liveBidding.currentLot': lotNumber,
+          'items.$.lotStatus': 'open',
+          'items.$.openedAt': now
+        },
+        $min: { 'liveBidding.startedAt': now }
+      },
+      { new: true, projection: LIVE_FIELDS }
+    ).lean();
+
+    if (!auction) return this.explainLotConflict(auctionId, lotNumber);
+
+    const lot = summarizeLot(auction, findLot(auction, lotNumber));
+    await this.record({ auction: auction._id, lotNumber, entryType: 'lot_opened', ...context });
+    this.publish(auction._id, 'lot_opened', { lot });
+
+    return { auction, lot };
+  }
+
+  /**
+   * Stop taking bids on the open lot (it can still be reopened)
+   */
+  async closeLot(auctionId, lotNumber, context) {
+    const auction = await Auction.findOneAndUpdate(
+      {
+        _id: auctionId,
+        'liveBidding.currentLot': lotNumber,
+        items: { $elemMatch: { lotNumber, lotStatus: 'open' } }
+      },
+      { $set: { 'items.$.lotStatus': 'closed', 'items.$.closedAt': new Date() } },
+      { new: true, projection: LIVE_FIELDS }
+    ).lean();
+
+    if (!auction) return this.explainLotConflict(auctionId, lotNumber);
+
+    const lot = summarizeLot(auction, findLot(auction, lotNumber));
+    await this.record({
+      auction: auction._id,
+      lotNumber,
+      entryType: 'lot_closed',
+      amount: lot.currentBid ?? undefined,
+      bidderNumber: lot.currentBidderNumber || undefined,
+      ...context
+    });
+    this.publish(auction._id, 'lot_closed', { lot });
+
+    return { auction, lot };
+  }
+
+  /**
+   * Hammer the lot on the block: sold to the highest bidder if the reserve
+   * was met, passed otherwise. An open lot is closed first.
+   */
+  async hammerLot(auctionId, lotNumber, context) {
+    let auction = await Auction.findById(auctionId).select(LIVE_FIELDS).lean();
+    let item = findLot(auction, lotNumber);
+
+    if (item?.lotStatus === 'open') {
+      const closed = await this.closeLot(auctionId, lotNumber, context);
+      if (closed.error) return closed;
+      ({ auction } = closed);
+      item = findLot(auction, lotNumber);
+    }
+
+    if (!item || item.lotStatus !== 'closed' || auction.liveBidding?.currentLot !== lotNumber) {
+      return this.explainLotConflict(auctionId, lotNumber);
+    }
+
+    const sold = item.currentBid != null && (!item.reservePrice || item.currentBid >= item.reservePrice);
+    const update = sold
+      ? {
+          'items.$.lotStatus': 'sold',
+          'items.$.sold': true,
+          'items.$.finalPrice': item.currentBid,
+          'items.$.winningBidderNumber': item.currentBidderNumber,
+          'items.$.winningRegistration': item.currentRegistration
+        }
+      : { 'items.$.lotStatus': 'passed', 'items.$.sold': false };
+
+    auction = await Auction.findOneAndUpdate(
+      {
+        _id: auctionId,
+        'liveBidding.currentLot': lotNumber,
+        items: { $elemMatch: { lotNumber, lotStatus: 'closed' } }
+      },
+      { $set: { ...update, 'items.$.hammeredAt': new Date(), 'liveBidding.currentLot': null } },
+      { new: true, projection: LIVE_FIELDS }
+    ).lean();
+
+    if (!auction) return this.explainLotConflict(auctionId, lotNumber);
+
+    const lot = summarizeLot(auction, findLot(auction, lotNumber));
+    await this.record({
+      auction: auction._id,
+      lotNumber,
+      entryType: sold ? 'lot_sold' : 'lot_passed',
+      amount: item.currentBid ?? undefined,
+      bidderNumber: sold ? item.currentBidderNumber : undefined,
+      registrationId: sold ? item.currentRegistration : undefined,
+      ...context
+    });
+    this.publish(auction._id, sold ? 'lot_sold' : 'lot_passed', { lot });
+
+    return { auction, lot, sold };
+  }
+
+  /**
+   * Place a bid on the open lot
+   *
+   * @param {Object} params
+   * @param {Object} params.bidder - Decoded bidder token
+   * @param {number} params.lotNumber
+   * @param {number} params.amount
+   * @param {string} [params.channel] - 'http' or 'websocket'
+   * @param {string} [params.ipAddress]
+   * @returns {Object} { bid, lot } or { error, status }
+   */
+  async placeBid({ bidder, lotNumber, amount, channel = 'http', ipAddress }) {
+    lotNumber = Number(lotNumber);
+    amount = Number(amount);
+    if (!Number.isInteger(lotNumber) || !Number.isFinite(amount) || amount <= 0) {
+      return { error: 'lotNumber and a positive amount are required', status: 400 };
+    }
+
+    const entry = {
+      auction: bidder.auctionId,
+      lotNumber,
+      amount,
+      bidderNumber: bidder.bidderNumber,
+      registrationId: bidder.registrationId,
+      channel,
+      ipAddress
+    };
+
+    const reject = async (reason, status) => {
+      await this.record({ ...entry, entryType: 'bid_rejected', rejectionReason: reason });
+      return { error: reason, status };
+    };
+
+    const auction = await Auction.findById(bidder.auctionId).select(LIVE_FIELDS).lean();
+    if (!auction) {
+      return { error: 'Auction not found', status: 404 };
+    }
+
+    const registration = auction.registrations.find(reg => reg._id.toString() === bidder.registrationId);
+    if (!registration || registration.status !== 'approved' || registration.bidderNumber !== bidder.bidderNumber) {
+      return reject('Bidder is not approved for this auction', 403);
+    }
+
+    const item = findLot(auction, lotNumber);
+    if (!item) {
+      return reject('Lot not found', 404);
+    }
+    if (auction.liveBidding?.currentLot !== lotNumber || item.lotStatus !== 'open') {
+      return reject('Lot is not open for bidding', 409);
+    }
+    if (item.currentBidderNumber === bidder.bidderNumber) {
+      return reject('You already hold the highest bid', 409);
+    }
+
+    const increment = getIncrement(auction, item);
+    const minimum = getNextMinimumBid(auction, item);
+    if (amount < minimum) {
+      return reject(`Bid must be at least ${minimum}`, 400);
+    }
+
+    const updated = await Auction.findOneAndUpdate(
+      {
+        _id: auction._id,
+        'liveBidding.currentLot': lotNumber,
+        items: {
+          $elemMatch: {
+            lotNumber,
+            lotStatus: 'open',
+            currentBidderNumber: { $ne: bidder.bidderNumber },
+            $or: [
+              { currentBid: null, startingPrice: { $lte: amount } },
+              { currentBid: { $lte: amount - increment } }
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          'items.$.currentBid': amount,
+          'items.$.currentBidderNumber': bidder.bidderNumber,
+          'items.$.currentRegistration': registration._id
+        },
+        $inc: { 'items.$.bidCount': 1 }
+      },
+      { new: true, projection: LIVE_FIELDS }
+    ).lean();
+
+    if (!updated) {
+      // Another bid or a lot command got in first
+      return reject('Outbid or lot closed before your bid was placed', 409);
+    }
+
+    const lot = summarizeLot(updated, findLot(updated, lotNumber));
+    const bid = { lotNumber, amount, bidderNumber: bidder.bidderNumber, sequence: lot.bidCount };
+
+    await this.record({ ...entry, entryType: 'bid', sequence: bid.sequence });
+    this.publish(updated._id, 'bid_placed', { bid, lot });
+
+    return { bid, lot };
+  }
+
+  /**
+   * Ledger entries of an auction, oldest first
+   */
+  async getLedger(auctionId, { lotNumber } = {}) {
+    const filter = { auction: auctionId };
+    if (lotNumber !== undefined) filter.lotNumber = lotNumber;
+    return AuctionLedger.find(filter).sort({ createdAt: 1, _id: 1 }).lean();
+  }
+
+  /**
+   * Work out why a conditional lot update matched nothing
+   * @returns {Object} { error, status }
+   */
+  async explainLotConflict(auctionId, lotNumber) {
+    const auction = await Auction.findById(auctionId).select('status liveBidding items.lotNumber items.lotStatus').lean();
+    if (!auction) return { error: 'Auction not found', status: 404 };
+
+    const item = findLot(auction, lotNumber);
+    if (!item) return { error: `Lot ${lotNumber} not found`, status: 404 };
+
+    if (['completed', 'cancelled'].includes(auction.status)) {
+      return { error: `Auction is ${auction.status}`, status: 409 };
+    }
+
+    const currentLot = auction.liveBidding?.currentLot;
+    if (currentLot != null && currentLot !== lotNumber) {
+      return { error: `Lot ${currentLot} is still on the block`, status: 409 };
+    }
+
+    return { error: `Lot ${lotNumber} is ${item.lotStatus || 'pending'}`, status: 409 };
+  }
+
+  /**
+   * Append a ledger entry, retrying transient failures. If every attempt
+   * fails the full entry is logged at error level so it can be replayed.
+   * @returns {Promise<boolean>} Whether the entry was written
+   */
+  async record(entry) {
+    // Timestamped when it happened, not when a retry got through
+    const stamped = { createdAt: new Date(), ...entry };
+
+    for (let attempt = 1; attempt <= LEDGER_WRITE_ATTEMPTS; attempt++) {
+      try {
+        await AuctionLedger.create(stamped);
+        return true;
+      } catch (error) {
+        const retryable = error.name !== 'ValidationError' && attempt < LEDGER_WRITE_ATTEMPTS;
+        logger.warn(`Auction ledger write failed (${entry.entryType}, lot ${entry.lotNumber}, attempt ${attempt}): ${error.message}`);
+        if (!retryable) break;
+        await new Promise(resolve => setTimeout(resolve, LEDGER_RETRY_DELAY_MS * attempt));
+      }
+    }
+
+    logger.error(`Auction ledger entry NOT recorded, replay manually: ${JSON.stringify(stamped)}`);
+    return false;
+  }
+
+  publish(auctionId, type, data) {
+    this.notifications?.publish(auctionChannel(auctionId), { type, ...data });
+  }
+}
+
+const liveBiddingService = new LiveBiddingService();
+
+export default liveBiddingService;
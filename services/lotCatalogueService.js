@@ -0,0 +1,248 @@
+/**
+ * Lot Catalogue Service
+ *
+ * Imports auction lot lists from auctioneers' spreadsheets (.xlsx or .csv).
+ * The first row holds the column headers. Headers are matched loosely
+ * ("Lot No", "lot_number" and "LOT NUMBER" all mean lotNumber), and every
+ * row is validated against the Auction `items` sub-schema, so category enum,
+ * weight and price rules are the same as for lots entered by hand.
+ *
+ * Lots are upserted by lot number. A lot that has been on the block
+ * (see services/liveBiddingService.js) can no longer be changed by an import.
+ *
+ * @module services/lotCatalogueService
+ */
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+
+// Largest catalogue accepted in one import
+export const MAX_CATALOGUE_ROWS = 1000;
+
+// Normalized header -> items field
+const COLUMN_ALIASES = {
+  lotnumber: 'lotNumber',
+  lotno: 'lotNumber',
+  lot: 'lotNumber',
+  description: 'description',
+  category: 'category',
+  breed: 'breed',
+  age: 'age',
+  weight: 'weight',
+  weightkg: 'weight',
+  condition: 'condition',
+  startingprice: 'startingPrice',
+  startprice: 'startingPrice',
+  reserveprice: 'reservePrice',
+  reserve: 'reservePrice',
+  bidincrement: 'bidIncrement',
+  increment: 'bidIncrement',
+  seller: 'seller',
+  consignor: 'seller',
+  vendor: 'seller',
+  notes: 'notes'
+};
+
+const REQUIRED_COLUMNS = ['lotNumber', 'description', 'category', 'startingPrice'];
+
+// Lots in these live-bidding states are locked against imports
+const LOCKED_LOT_STATUSES = ['open', 'closed', 'sold', 'passed'];
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain value of an exceljs cell (formulas, rich text and hyperlinks included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return null;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+  }
+  return value;
+};
+
+// Spreadsheet cells to item fields: numbers stay numbers, category is lowercased
+const toItemFields = (values) => {
+  const fields = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (value === null) continue;
+    fields[field] = field === 'category' ? String(value).toLowerCase() : value;
+  }
+  return fields;
+};
+
+/**
+ * Read the first worksheet of an uploaded catalogue
+ *
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object>} { rows: [{ row, values }], ignoredColumns } or { error }
+ */
+export const parseCatalogue = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  try {
+    if (extension === '.csv') {
+      await workbook.csv.read(Readable.from(file.buffer));
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (error) {
+    return { error: `Could not read catalogue file: ${error.message}` };
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet || worksheet.rowCount < 2) {
+    return { error: 'Catalogue is empty: expected a header row and at least one lot' };
+  }
+
+  // Column number -> field, from the header row
+  const columns = new Map();
+  const ignoredColumns = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const header = cellValue(cell.value);
+    const field = COLUMN_ALIASES[normalizeHeader(header)];
+    if (field && !Array.from(columns.values()).includes(field)) {
+      columns.set(colNumber, field);
+    } else if (header !== null) {
+      ignoredColumns.push(String(header));
+    }
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => !Array.from(columns.values()).includes(field));
+  if (missing.length > 0) {
+    return { error: `Missing required columns: ${missing.join(', ')}` };
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    columns.forEach((field, colNumber) => {
+      values[field] = cellValue(row.getCell(colNumber).value);
+    });
+    if (Object.values(values).every(value => value === null)) return;
+
+    rows.push({ row: rowNumber, values });
+  });
+
+  if (rows.length === 0) {
+    return { error: 'Catalogue has no lots' };
+  }
+  if (rows.length > MAX_CATALOGUE_ROWS) {
+    return { error: `Catalogue has ${rows.length} lots; at most ${MAX_CATALOGUE_ROWS} can be imported at once` };
+  }
+
+  return { rows, ignoredColumns };
+};
+
+/**
+ * Validate catalogue rows against the auction's lots
+ *
+ * @param {mongoose.Document} auction - Target auction
+ * @param {Array<Object>} rows - From parseCatalogue
+ * @returns {Object} { lots: [{ row, lotNumber, action, fields }], errors: [{ row, lotNumber, field, message }] }
+ */
+export const validateCatalogueRows = (auction, rows) => {
+  const lots = [];
+  const errors = [];
+  const seen = new Map(); // lotNumber -> first row
+  const itemSchema = auction.schema.path('items').schema;
+  const probe = new auction.constructor(); // unattached subdocuments throw instead of reporting errors
+
+  for (const { row, values } of rows) {
+    const fields = toItemFields(values);
+    const lotNumber = Number(fields.lotNumber);
+    const rowErrors = [];
+    const addError = (field, message) => rowErrors.push({ row, lotNumber: fields.lotNumber ?? null, field, message });
+
+    // Type check each cell first (weight "heavy"): a bad cast throws while
+    // building the subdocument instead of being reported
+    const castable = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const schemaType = itemSchema.path(field);
+      try {
+        schemaType.cast(value);
+        castable[field] = value;
+      } catch {
+        addError(field, `${field} must be a ${schemaType.instance.toLowerCase()}`);
+      }
+    }
+
+    // Same rules as the Auction items sub-schema
+    probe.items = [castable];
+    const validationError = probe.validateSync('items');
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => addError(error.path, error.message));
+    }
+
+    if (fields.lotNumber !== undefined && (!Number.isInteger(lotNumber) || lotNumber < 1)) {
+      addError('lotNumber', 'lotNumber must be a whole number of 1 or more');
+    }
+    if (fields.reservePrice !== undefined && Number(fields.reservePrice) < Number(fields.startingPrice)) {
+      addError('reservePrice', 'reservePrice cannot be below startingPrice');
+    }
+
+    if (Number.isInteger(lotNumber)) {
+      if (seen.has(lotNumber)) {
+        addError('lotNumber', `Lot ${lotNumber} already appears in row ${seen.get(lotNumber)}`);
+      } else {
+        seen.set(lotNumber, row);
+      }
+
+      const existing = auction.items.find(item => item.lotNumber === lotNumber);
+      if (existing && LOCKED_LOT_STATUSES.includes(existing.lotStatus)) {
+        addError('lotNumber', `Lot ${lotNumber} is ${existing.lotStatus} and can no longer be changed`);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      continue;
+    }
+
+    lots.push({
+      row,
+      lotNumber,
+      action: auction.items.some(item => item.lotNumber === lotNumber) ? 'update' : 'create',
+      fields: { ...fields, lotNumber }
+    });
+  }
+
+  return { lots, errors };
+};
+
+/**
+ * Upsert validated lots into the auction by lot number
+ * Only the columns present in the catalogue are changed on existing lots.
+ *
+ * @param {mongoose.Document} auction - Target auction
+ * @param {Array<Object>} lots - From validateCatalogueRows
+ */
+export const applyCatalogue = async (auction, lots) => {
+  for (const { lotNumber, fields } of lots) {
+    const existing = auction.items.find(item => item.lotNumber === lotNumber);
+    if (existing) {
+      existing.set(fields);
+    } else {
+      auction.items.push(fields);
+    }
+  }
+
+  // Only the lots are validated, so catalogues can be loaded for an auction
+  // whose date validator would reject a full save
+  return auction.save({ validateModifiedOnly: true });
+};
+
+export default {
+  parseCatalogue,
+  validateCatalogueRows,
+  applyCatalogue
+};
@@ -0,0 +1,314 @@
+/**
+ * Market Price Service
+ *
+ * Livestock price index built from two sources:
+ * - sold auction lots (Auction.items with a finalPrice), dated by the auction
+ *   and located by the auction's location
+ * - prices reported in published Market news articles (News.marketPrices),
+ *   dated by observedAt or the article's publish date
+ *
+ * Every price becomes a point with a per-head price and, when the weight is
+ * known, a price per kg. Points are rolled up into weekly (ISO weeks, from
+ * Monday) or monthly periods and grouped into series by category and region
+ * (optionally breed and weight band).
+ *
+ * @module services/marketPriceService
+ */
+import Auction from '../models/Auction.js';
+import News from '../models/News.js';
+import { getWeightBand } from './auctionSettlementService.js';
+
+export const PRICE_INTERVALS = ['week', 'month'];
+export const PRICE_SOURCES = ['auction', 'market_report'];
+export const SERIES_GROUPS = ['category', 'region', 'breed', 'weightBand'];
+export const CHART_METRICS = ['averagePrice', 'medianPrice', 'averagePricePerKg'];
+
+// Default window when no `from` is given
+export const DEFAULT_LOOKBACK_MONTHS = 12;
+
+// Longest time series returned (about five years of weeks)
+export const MAX_PERIODS = 260;
+
+const round = (value) => Math.round(value);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Exact, case-insensitive match that tolerates stray whitespace in stored values
+const looseMatch = (text) => new RegExp(`^\\s*${escapeRegex(text.trim())}\\s*$`, 'i');
+
+const normalizeLabel = (text) => String(text || '').trim().replace(/\s+/g, ' ');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * First day (UTC) of the week or month containing date
+ */
+export const getPeriodStart = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'month') {
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  }
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// "2026-03" for months, "2026-03-02" (the Monday) for weeks
+const formatPeriod = (start, interval) => start.toISOString().slice(0, interval === 'month' ? 7 : 10);
+
+const nextPeriodStart = (start, interval) => (interval === 'month'
+  ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+  : new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000));
+
+// Period labels from `from` to `to`, both included
+const listPeriods = (from, to, interval) => {
+  const periods = [];
+  for (let start = getPeriodStart(from, interval); start <= to; start = nextPeriodStart(start, interval)) {
+    periods.push(formatPeriod(start, interval));
+  }
+  return periods;
+};
+
+// Price points from sold lots of published auctions
+const auctionPricePoints = async ({ from, to, category, breed, region }) => {
+  const auctionMatch = {
+    published: true,
+    status: { $ne: 'cancelled' },
+    date: { $gte: from, $lte: to },
+    'items.sold': true
+  };
+  if (region) auctionMatch.location = looseMatch(region);
+
+  const lotMatch = { 'items.sold': true, 'items.finalPrice': { $ne: null } };
+  if (category) lotMatch['items.category'] = category;
+  if (breed) lotMatch['items.breed'] = looseMatch(breed);
+
+  const lots = await Auction.aggregate([
+    { $match: auctionMatch },
+    { $unwind: '$items' },
+    { $match: lotMatch },
+    {
+      $project: {
+        _id: 0,
+        auctionId: '$_id',
+        date: 1,
+        location: 1,
+        category: '$items.category',
+        breed: '$items.breed',
+        weight: '$items.weight',
+        price: '$items.finalPrice'
+      }
+    }
+  ]);
+
+  return lots.map(lot => ({
+    source: 'auction',
+    sourceId: lot.auctionId,
+    date: lot.date,
+    category: lot.category,
+    breed: normalizeLabel(lot.breed) || null,
+    region: normalizeLabel(lot.location),
+    weight: lot.weight > 0 ? lot.weight : null,
+    price: lot.price,
+    pricePerKg: lot.weight > 0 ? lot.price / lot.weight : null
+  }));
+};
+
+// Price points reported in published Market articles
+const reportedPricePoints = async ({ from, to, category, breed, region }) => {
+  const priceMatch = { date: { $gte: from, $lte: to } };
+  if (category) priceMatch['price.category'] = category;
+  if (breed) priceMatch['price.breed'] = looseMatch(breed);
+  if (region) priceMatch['price.region'] = looseMatch(region);
+
+  const prices = await News.aggregate([
+    { $match: { category: 'Market', published: true, 'marketPrices.0': { $exists: true } } },
+    { $unwind: '$marketPrices' },
+    {
+      $project: {
+        _id: 0,
+        articleId: '$_id',
+        price: '$marketPrices',
+        date: { $ifNull: ['$marketPrices.observedAt', { $ifNull: ['$publishedAt', '$createdAt'] }] }
+      }
+    },
+    { $match: priceMatch }
+  ]);
+
+  return prices.map(({ articleId, price, date }) => {
+    const weight = price.weight > 0 ? price.weight : null;
+    const perKg = price.unit === 'kg';
+
+    return {
+      source: 'market_report',
+      sourceId: articleId,
+      date,
+      category: price.category,
+      breed: normalizeLabel(price.breed) || null,
+      region: normalizeLabel(price.region),
+      weight,
+      price: perKg ? (weight ? price.price * weight : null) : price.price,
+      pricePerKg: perKg ? price.price : (weight ? price.price / weight : null)
+    };
+  });
+};
+
+// Statistics for the points of one period
+const summarizePoints = (points) => {
+  const prices = points.map(point => point.price).filter(price => price != null).sort((a, b) => a - b);
+  const pricesPerKg = points.map(point => point.pricePerKg).filter(price => price != null);
+  const middle = Math.floor(prices.length / 2);
+
+  return {
+    count: points.length,
+    averagePrice: prices.length > 0 ? round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null,
+    medianPrice: prices.length === 0
+      ? null
+      : round(prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2),
+    minPrice: prices.length > 0 ? prices[0] : null,
+    maxPrice: prices.length > 0 ? prices[prices.length - 1] : null,
+    averagePricePerKg: pricesPerKg.length > 0
+      ? round(pricesPerKg.reduce((sum, price) => sum + price, 0) / pricesPerKg.length)
+      : null,
+    sources: PRICE_SOURCES.reduce((counts, source) => ({
+      ...counts,
+      [source]: points.filter(point => point.source === source).length
+    }), {})
+  };
+};
+
+// Series key for a point; grouping is case-insensitive, labels keep the first spelling seen
+const seriesKey = (point, groupBy) => groupBy.map(group => {
+  if (group === 'weightBand') return point.weight ? getWeightBand(point.weight) : '';
+  return String(point[group] || '').toLowerCase();
+}).join('|');
+
+const seriesLabel = (key) => Object.entries(key)
+  .map(([group, value]) => (group === 'category' ? capitalize(value) : value))
+  .join(' · ');
+
+/**
+ * Build the price index
+ *
+ * @param {Object} options
+ * @param {Date} options.from - Start of the window
+ * @param {Date} options.to - End of the window
+ * @param {String} [options.interval='month'] - week or month
+ * @param {String} [options.category] - Lot category (cattle, goats, ...)
+ * @param {String} [options.breed] - Breed (case-insensitive)
+ * @param {String} [options.region] - Region: auction location or reported market region
+ * @param {String} [options.source] - auction or market_report; both when omitted
+ * @param {Array<String>} [options.groupBy=['category','region']] - Series grouping
+ * @param {Number} [options.limit=20] - Most series returned (largest first)
+ * @returns {Promise<Object>} { interval, from, to, groupBy, periods, series } or { error, status }
+ */
+export const buildPriceIndex = async ({
+  from,
+  to,
+  interval = 'month',
+  category,
+  breed,
+  region,
+  source,
+  groupBy = ['category', 'region'],
+  limit = 20
+}) => {
+  if (from > to) {
+    return { error: '`from` must be before `to`', status: 400 };
+  }
+
+  const periods = listPeriods(from, to, interval);
+  if (periods.length > MAX_PERIODS) {
+    return { error: `At most ${MAX_PERIODS} ${interval}s can be returned; narrow the date range`, status: 400 };
+  }
+
+  const filters = { from, to, category, breed, region };
+  const [auctionPoints, reportedPoints] = await Promise.all([
+    source === 'market_report' ? [] : auctionPricePoints(filters),
+    source === 'auction' ? [] : reportedPricePoints(filters)
+  ]);
+
+  // Points without a value for a grouping field cannot be placed in a series
+  const points = [...auctionPoints, ...reportedPoints]
+    .filter(point => groupBy.every(group => (group === 'weightBand' ? point.weight : point[group])));
+
+  const seriesMap = new Map();
+  points.forEach(point => {
+    const id = seriesKey(point, groupBy);
+    if (!seriesMap.has(id)) {
+      const key = {};
+      groupBy.forEach(group => {
+        key[group] = group === 'weightBand' ? getWeightBand(point.weight) : point[group];
+      });
+      seriesMap.set(id, { key, periods: new Map(), count: 0 });
+    }
+
+    const series = seriesMap.get(id);
+    const period = formatPeriod(getPeriodStart(point.date, interval), interval);
+    if (!series.periods.has(period)) series.periods.set(period, []);
+    series.periods.get(period).push(point);
+    series.count++;
+  });
+
+  const series = Array.from(seriesMap.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ key, periods: seriesPeriods, count }) => {
+      const points = periods
+        .filter(period => seriesPeriods.has(period))
+        .map(period => ({ period, ...summarizePoints(seriesPeriods.get(period)) }));
+
+      const priced = points.filter(point => point.averagePrice != null);
+      const latest = priced[priced.length - 1] || null;
+      const previous = priced[priced.length - 2] || null;
+
+      return {
+        key,
+        label: seriesLabel(key),
+        count,
+        points,
+        latest,
+        // Percent change of the average price between the last two priced periods
+        change: latest && previous && previous.averagePrice > 0
+          ? Math.round(((latest.averagePrice - previous.averagePrice) / previous.averagePrice) * 1000) / 10
+          : null
+      };
+    });
+
+  return {
+    interval,
+    from,
+    to,
+    groupBy,
+    periods,
+    totalSeries: seriesMap.size,
+    series
+  };
+};
+
+/**
+ * Chart-ready form of a price index: one label per period and one dataset
+ * per series, with null for periods without prices
+ *
+ * @param {Object} index - From buildPriceIndex
+ * @param {String} [metric='averagePrice'] - One of CHART_METRICS
+ * @returns {Object} { labels, metric, datasets: [{ label, key, data }] }
+ */
+export const toChartData = (index, metric = 'averagePrice') => ({
+  labels: index.periods,
+  metric,
+  datasets: index.series.map(series => {
+    const byPeriod = new Map(series.points.map(point => [point.period, point]));
+    return {
+      label: series.label,
+      key: series.key,
+      data: index.periods.map(period => byPeriod.get(period)?.[metric] ?? null)
+    };
+  })
+});
+
+export default {
+  buildPriceIndex,
+  toChartData,
+  getPeriodStart
+};
@@ -0,0 +1,342 @@
+/**
+ * Newsletter Delivery Service
+ *
+ * Newsletters are sent by the background job queue (services/jobQueue.js)
+ * rather than inside the HTTP request. Sending a newsletter queues a
+ * "newsletter.send" job at its scheduledFor time. The job's first step writes
+ * one NewsletterDelivery per recipient; every following step sends the next
+ * batch of pending deliveries (NEWSLETTER_BATCH_SIZE, default 50) and waits
+ * NEWSLETTER_BATCH_DELAY_MS (default 2s) before the next one, to stay within
+ * provider rate limits.
+ *
+ * Because each recipient's status is stored as soon as they are sent to, a
+ * send interrupted by a restart resumes with the recipients still pending.
+ * At most the batch in flight when the process died can be sent twice.
+ *
+ * @module services/newsletterDeliveryService
+ */
+import mongoose from 'mongoose';
+import Newsletter from '../models/Newsletter.js';
+import NewsletterDelivery from '../models/NewsletterDelivery.js';
+import Subscriber from '../models/Subscriber.js';
+import Job from '../models/Job.js';
+import jobQueue from './jobQueue.js';
+import { sendNewsletterToSubscriber } from './emailService.js';
+import { buildNewsletterAudienceQuery } from './segmentService.js';
+
+export const NEWSLETTER_SEND_JOB = 'newsletter.send';
+
+const BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE) || 50;
+const BATCH_DELAY_MS = parseInt(process.env.NEWSLETTER_BATCH_DELAY_MS) || 2000;
+const RECIPIENT_WRITE_CHUNK = 500;
+
+/**
+ * Subscribers a newsletter goes to: those following any of its target topics who
+ * receive email, limited to its target segments when it has any
+ * @param {Object} newsletter - Newsletter
+ * @returns {Promise<Object>} MongoDB filter on Subscriber
+ */
+export const buildRecipientQuery = (newsletter) => buildNewsletterAudienceQuery(newsletter);
+
+// Values for templates/email/newsletter.html
+const newsletterTemplateData = (newsletter) => ({
+  title: newsletter.title,
+  subject: newsletter.subject,
+  content: newsletter.body,
+  date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+});
+
+const findActiveJob = (newsletterId) => Job.findOne({
+  type: NEWSLETTER_SEND_JOB,
+  'payload.newsletterId': new mongoose.Types.ObjectId(String(newsletterId)),
+  status: { $in: ['queued', 'running'] }
+}).sort({ createdAt: -1 });
+
+const countDeliveries = async (newsletterId) => {
+  const groups = await NewsletterDelivery.aggregate([
+    { $match: { newsletterId: new mongoose.Types.ObjectId(String(newsletterId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+  groups.forEach(group => { counts[group._id] = group.count; });
+  counts.total = counts.pending + counts.sent + counts.failed + counts.skipped;
+  return counts;
+};
+
+/**
+ * Queue a newsletter for sending, now or at scheduledFor
+ * Scheduling an already scheduled newsletter moves it to the new time.
+ *
+ * @param {mongoose.Document} newsletter - Newsletter
+ * @param {Object} [options]
+ * @param {Date|String} [options.scheduledFor] - Send time (now when omitted or in the past)
+ * @param {ObjectId} [options.userId] - User queueing the send
+ * @returns {Promise<Object>} { newsletter, job, recipients } or { error, status }
+ */
+export const scheduleNewsletterSend = async (newsletter, { scheduledFor, userId } = {}) => {
+  if (newsletter.status === 'sent') {
+    return { error: 'This newsletter has already been sent', status: 400 };
+  }
+  if (newsletter.status === 'sending') {
+    return { error: 'This newsletter is being sent', status: 409 };
+  }
+
+  const runAt = scheduledFor ? new Date(scheduledFor) : new Date();
+  if (Number.isNaN(runAt.getTime())) {
+    return { error: 'scheduledFor must be a valid date', status: 400 };
+  }
+
+  const recipients = await Subscriber.countDocuments(await buildRecipientQuery(newsletter));
+  if (recipients === 0) {
+    return { error: 'No active subscribers found for the selected topics and segments', status: 400 };
+  }
+
+  const previous = await findActiveJob(newsletter._id);
+  if (previous) {
+    await jobQueue.cancel(previous._id);
+  }
+
+  const sendAt = runAt > new Date() ? runAt : new Date();
+  const job = await jobQueue.enqueue(NEWSLETTER_SEND_JOB, { newsletterId: newsletter._id }, {
+    runAt: sendAt,
+    createdBy: userId
+  });
+
+  newsletter.status = 'scheduled';
+  newsletter.scheduledFor = sendAt;
+  await newsletter.save();
+
+  return { newsletter, job, recipients };
+};
+
+// Mark a send as finished; recipients never reached are recorded as failed with the reason
+const finishNewsletterSend = async (newsletterId, reason = null) => {
+  if (reason) {
+    await NewsletterDelivery.updateMany(
+      { newsletterId, status: 'pending' },
+      { $set: { status: 'failed', error: reason } }
+    );
+  }
+
+  const counts = await countDeliveries(newsletterId);
+  await Newsletter.updateOne(
+    { _id: newsletterId },
+    { $set: { status: 'sent', sentAt: new Date(), sentTo: counts.sent } }
+  );
+  return counts;
+};
+
+/**
+ * Stop a scheduled or running send
+ * A newsletter that had not started goes back to draft; one that was being
+ * sent is marked sent to the recipients reached so far.
+ *
+ * @param {mongoose.Document} newsletter - Newsletter
+ * @returns {Promise<Object>} { newsletter, counts } or { error, status }
+ */
+export const cancelNewsletterSend = async (newsletter) => {
+  const job = await findActiveJob(newsletter._id);
+  if (!job || !['scheduled', 'sending'].includes(newsletter.status)) {
+    return { error: 'This newsletter is not scheduled or being sent', status: 409 };
+  }
+
+  await jobQueue.cancel(job._id);
+
+  if (newsletter.status === 'scheduled') {
+    newsletter.status = 'draft';
+    newsletter.scheduledFor = null;
+    await newsletter.save();
+    return { newsletter, counts: null };
+  }
+
+  const counts = await finishNewsletterSend(newsletter._id, 'Sending was cancelled');
+  return { newsletter: await Newsletter.findById(newsletter._id), counts };
+};
+
+// Write a pending delivery for every recipient (idempotent, so a restarted first step is harmless)
+const queueRecipients = async (newsletter) => {
+  const cursor = Subscriber.find(await buildRecipientQuery(newsletter)).select('_id email').lean().cursor();
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await NewsletterDelivery.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const subscriber of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { newsletterId: newsletter._id, email: subscriber.email.toLowerCase() },
+        update: { $setOnInsert: { subscriberId: subscriber._id, status: 'pending' } },
+        upsert: true
+      }
+    });
+    if (operations.length >= RECIPIENT_WRITE_CHUNK) {
+      await flush();
+    }
+  }
+  await flush();
+};
+
+// Send one batch of pending deliveries
+const sendBatch = async (newsletter, deliveries, campaignId) => {
+  const subscribers = await Subscriber.find({ _id: { $in: deliveries.map(delivery => delivery.subscriberId) } })
+    .select('email subscriptionType isActive unsubscribeToken preferences.channels')
+    .lean();
+  const byId = new Map(subscribers.map(subscriber => [subscriber._id.toString(), subscriber]));
+  const data = newsletterTemplateData(newsletter);
+  const sentTo = [];
+
+  for (const delivery of deliveries) {
+    const subscriber = byId.get(String(delivery.subscriberId));
+    if (!subscriber || !subscriber.isActive || subscriber.preferences?.channels?.email === false) {
+      await NewsletterDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'skipped', error: 'Unsubscribed before delivery' } }
+      );
+      continue;
+    }
+
+    let result;
+    try {
+      result = await sendNewsletterToSubscriber(subscriber, data, campaignId);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await NewsletterDelivery.updateOne(
+      { _id: delivery._id },
+      result.success
+        ? { $set: { status: 'sent', sentAt: new Date(), messageId: result.messageId || null, error: null }, $inc: { attempts: 1 } }
+        : { $set: { status: 'failed', error: result.error || result.message || 'Send failed' }, $inc: { attempts: 1 } }
+    );
+    if (result.success) {
+      sentTo.push(subscriber._id);
+    }
+  }
+
+  if (sentTo.length > 0) {
+    await Subscriber.updateMany({ _id: { $in: sentTo } }, { $set: { lastEmailSent: new Date() } });
+    await Newsletter.updateOne({ _id: newsletter._id }, { $inc: { sentTo: sentTo.length } });
+  }
+};
+
+/**
+ * Job handler: one step of a newsletter send
+ * @param {mongoose.Document} job - "newsletter.send" job
+ */
+export const processNewsletterSendStep = async (job) => {
+  const newsletter = await Newsletter.findById(job.payload.newsletterId);
+  if (!newsletter) {
+    return { done: true, result: { skipped: 'Newsletter was deleted' } };
+  }
+  if (newsletter.status === 'sent') {
+    return { done: true, result: { skipped: 'Newsletter was already sent' } };
+  }
+
+  const progress = { ...job.progress };
+
+  if (!progress.recipientsQueued) {
+    await queueRecipients(newsletter);
+    const counts = await countDeliveries(newsletter._id);
+
+    // 'sending' when a restarted first step runs again; anything else means the
+    // send was cancelled while recipients were being queued
+    const { matchedCount } = await Newsletter.updateOne(
+      { _id: newsletter._id, status: { $in: ['scheduled', 'sending'] } },
+      { $set: { status: 'sending', sentTo: counts.sent } }
+    );
+    if (matchedCount === 0) {
+      await NewsletterDelivery.deleteMany({ newsletterId: newsletter._id, status: 'pending' });
+      return { done: true, result: { skipped: 'Sending was cancelled' } };
+    }
+
+    return {
+      done: false,
+      delayMs: 0,
+      progress: { recipientsQueued: true, total: counts.total, batches: 0, campaignId: `newsletter_${newsletter._id}` }
+    };
+  }
+
+  const deliveries = await NewsletterDelivery.find({ newsletterId: newsletter._id, status: 'pending' })
+    .sort({ _id: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  if (deliveries.length === 0) {
+    const counts = await finishNewsletterSend(newsletter._id);
+    console.log(`[NEWSLETTER] Campaign ${progress.campaignId}: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+    return { done: true, result: counts, progress };
+  }
+
+  await sendBatch(newsletter, deliveries, progress.campaignId);
+
+  return {
+    done: false,
+    delayMs: BATCH_DELAY_MS,
+    progress: { ...progress, batches: (progress.batches || 0) + 1 }
+  };
+};
+
+/**
+ * Delivery progress of a newsletter (for the analytics endpoint)
+ * @param {ObjectId|String} newsletterId
+ * @returns {Promise<Object>} Job state, per-status recipient counts and recent failures
+ */
+export const getNewsletterDeliveryProgress = async (newsletterId) => {
+  const [job, counts, recentFailures] = await Promise.all([
+    Job.findOne({ type: NEWSLETTER_SEND_JOB, 'payload.newsletterId': new mongoose.Types.ObjectId(String(newsletterId)) })
+      .sort({ createdAt: -1 })
+      .lean(),
+    countDeliveries(newsletterId),
+    NewsletterDelivery.find({ newsletterId, status: 'failed' })
+      .sort({ updatedAt: -1 })
+      .limit(10)
+      .select('email error attempts updatedAt')
+      .lean()
+  ]);
+
+  const done = counts.sent + counts.failed + counts.skipped;
+
+  return {
+    jobStatus: job?.status || null,
+    scheduledFor: job?.runAt && job.status === 'queued' && !job.startedAt ? job.runAt : null,
+    startedAt: job?.startedAt || null,
+    completedAt: job?.completedAt || null,
+    lastError: job?.lastError || null,
+    ...counts,
+    percentComplete: counts.total > 0 ? Math.round((done / counts.total) * 1000) / 10 : 0,
+    recentFailures
+  };
+};
+
+// A send that kept failing: back to draft if nobody was reached, otherwise sent to those reached
+const failNewsletterSend = async (job, error) => {
+  const { newsletterId } = job.payload;
+  const counts = await countDeliveries(newsletterId);
+
+  if (counts.sent === 0) {
+    await NewsletterDelivery.deleteMany({ newsletterId });
+    await Newsletter.updateOne({ _id: newsletterId }, { $set: { status: 'draft', scheduledFor: null, sentTo: 0 } });
+    return;
+  }
+  await finishNewsletterSend(newsletterId, `Sending stopped: ${error.message}`);
+};
+
+/**
+ * Register the newsletter job handler with the job queue
+ */
+export const registerNewsletterJobs = () => {
+  jobQueue.register(NEWSLETTER_SEND_JOB, processNewsletterSendStep, { onFailed: failNewsletterSend });
+};
+
+export default {
+  buildRecipientQuery,
+  scheduleNewsletterSend,
+  cancelNewsletterSend,
+  processNewsletterSendStep,
+  getNewsletterDeliveryProgress,
+  registerNewsletterJobs
+};
@@ -7,7 +7,7 @@
  * 
  * The service handles:
  * - Creating notifications when new content is published
- * - Sending email notifications to subscribers
+ * - Sending email and push notifications to subscribers who follow the content's topics
  * - Managing notification preferences
  * - Tracking notification delivery and open rates
  * - Batching notifications to prevent overwhelming users
@@ -16,43 +16,10 @@
  */
 import Subscriber from '../models/Subscriber.js';
 import Notification from '../models/Notification.js';
-
-/**
- * Creates a transporter using the centralized email service
- * @returns {Object} Email service instance
- */
-const createTransporter = async () => {
-  try {
-    // Import the centralized email service functions (singleton)
-    const { sendEmail } = await import('./emailService.js');
-    
-    return {
-      sendMail: async (mailOptions) => {
-        // Adapt the mailOptions to our EmailService format
-        const result = await sendEmail({
-          to: mailOptions.to,
-          subject: mailOptions.subject,
-          html: mailOptions.html,
-          text: mailOptions.text
-        });
-        
-        return result;
-      }
-    };
-  } catch (error) {
-    console.error('❌ Failed to initialize email service for notifications:', error.message);
-    // Return a mock transporter that logs instead of sending
-    return {
-      sendMail: async (mailOptions) => {
-        console.log('[NOTIFICATION] Would send email:', {
-          to: mailOptions.to,
-          subject: mailOptions.subject
-        });
-        return { success: false, message: 'Email service not available' };
-      }
-    };
-  }
-};
+import { sendEmail } from './emailService.js';
+import { DIGEST_FREQUENCIES } from './digestService.js';
+import { buildAudienceQuery } from './subscriberPreferenceService.js';
+import { getPreferenceLinks } from '../utils/preferenceLinks.js';
 
 /**
  * Creates an HTML email template for content notifications
@@ -66,9 +33,10 @@ const createTransporter = async () => {
  * @param {string} contentUrl - URL to view the full content
  * @param {string} subscriberEmail - Email of the subscriber (for tracking)
  * @param {string|null} notificationId - Optional ID for tracking notification opens
+ * @param {Object} links - Unsubscribe and preference links (utils/preferenceLinks.js)
  * @returns {string} Complete HTML template for the notification email
  */
-const createNotificationTemplate = (title, description, contentType, contentUrl, subscriberEmail, notificationId = null) => {
+const createNotificationTemplate = (title, description, contentType, contentUrl, subscriberEmail, notificationId = null, links = getPreferenceLinks({ email: subscriberEmail })) => {
   // Use environment-appropriate base URL for tracking
   const baseUrl = process.env.NODE_ENV === 'production' 
     ? (process.env.BASE_URL || 'https://ishaazilivestockservices-production.up.railway.app')
@@ -250,8 +218,8 @@ const createNotificationTemplate = (title, description, contentType, contentUrl,
                 <p>You're receiving this because you subscribed to content notifications.</p>
                 <p>Email sent to: ${subscriberEmail}</p>
                 <p>
-                    <a href="${baseUrl}/api/content/unsubscribe?email=${encodeURIComponent(subscriberEmail)}&source=notification">Unsubscribe</a> | 
-                    <a href="${baseUrl}/api/content/preferences?email=${encodeURIComponent(subscriberEmail)}">Manage Preferences</a>
+                    <a href="${links.unsubscribe_url}">Unsubscribe</a> | 
+                    <a href="${links.manage_preferences_url}">Manage Preferences</a>
                 </p>
             </div>
         </div>
@@ -272,7 +240,23 @@ const createNotificationTemplate = (title, description, contentType, contentUrl,
 </html>`;
 };
 
+/**
+ * Push a notification to the subscribers who enabled push for the topics.
+ * The push service is loaded on first use: it refuses to load without VAPID keys,
+ * and that must not stop email notifications.
+ */
+const sendContentPush = async (targetTopics, payload) => {
+  try {
+    const { sendTopicPushNotification } = await import('./pushNotificationService.js');
+    return await sendTopicPushNotification(targetTopics, payload);
+  } catch (error) {
+    console.warn('[PUSH] Content push skipped:', error.message);
+    return { sent: 0, failed: 0, skipped: true };
+  }
+};
+
 // Send automated notification to subscribers
+// targetSubscriptionTypes: topics the content belongs to (utils/contentTopics.js), or ['all']
 export const sendContentNotification = async (contentType, contentId, title, description, targetSubscriptionTypes = ['all']) => {
   try {
     // Create notification record
@@ -286,30 +270,32 @@ export const sendContentNotification = async (contentType, contentId, title, des
     });
     await notification.save();
 
-    // Get relevant subscribers
-    const subscriberQuery = { isActive: true };
-    
-    if (!targetSubscriptionTypes.includes('all')) {
-      subscriberQuery.subscriptionType = { $in: targetSubscriptionTypes };
-    }
+    // Generate content URL
+    const baseUrl = process.env.NODE_ENV === 'production' 
+      ? (process.env.BASE_URL || 'https://ishaazilivestockservices-production.up.railway.app')
+      : 'http://localhost:3000';
+    const contentUrl = `${baseUrl}/${contentType}/${contentId}`;
+
+    // Push subscribers are notified right away, whatever their email frequency
+    const push = await sendContentPush(targetSubscriptionTypes, { title, body: description, url: contentUrl });
+
+    // Email subscribers following these topics (digest subscribers get this in their next digest instead)
+    const subscriberQuery = {
+      ...buildAudienceQuery(targetSubscriptionTypes, 'email'),
+      'preferences.frequency': { $nin: DIGEST_FREQUENCIES }
+    };
 
     const subscribers = await Subscriber.find(subscriberQuery);
     
     if (subscribers.length === 0) {
-      notification.status = 'failed';
-      notification.errorMessage = 'No subscribers found';
+      notification.status = push.sent > 0 ? 'sent' : 'failed';
+      notification.sentTo = push.sent;
+      notification.errorMessage = 'No email subscribers found';
       await notification.save();
-      return { success: false, message: 'No subscribers found' };
+      return { success: push.sent > 0, message: 'No email subscribers found', data: { sent: 0, failed: 0, push } };
     }
-
-    // Generate content URL
-    const baseUrl = process.env.NODE_ENV === 'production' 
-      ? (process.env.BASE_URL || 'https://ishaazilivestockservices-production.up.railway.app')
-      : 'http://localhost:3000';
-    const contentUrl = `${baseUrl}/${contentType}/${contentId}`;
     
     // Send emails in batches with Railway optimizations
-    const transporter = await createTransporter();
     const BATCH_SIZE = 10; // Reduced for Railway
     const DELAY_BETWEEN_BATCHES = 3000; // 3 seconds for Railway
 
@@ -331,22 +317,23 @@ export const sendContentNotification = async (contentType, contentId, title, des
             contentType, 
             contentUrl, 
             subscriber.email, 
-            notification._id
+            notification._id,
+            getPreferenceLinks(subscriber, `notification_${notification._id}`)
           );
           
-          await transporter.sendMail({
-            from: `"Ishaazi Livestock Services" <${process.env.EMAIL_FROM || 'system@ishaazilivestockservices.com'}>`,
+          const result = await sendEmail({
             to: subscriber.email,
             subject: `🌾 New ${contentType}: ${title}`,
             html: htmlContent,
-            // Railway-specific mail options
-            priority: 'normal',
-            envelope: {
-              from: process.env.EMAIL_FROM || 'system@ishaazilivestockservices.com',
-              to: subscriber.email
-            }
+            campaignId: `notification_${notification._id}`,
+            emailType: 'content-notification',
+            categories: ['notification', contentType],
+            userId: subscriber._id
           });
           
+          if (!result.success) {
+            return { success: false, email: subscriber.email, error: result.error || result.message };
+          }
           return { success: true, email: subscriber.email };
         } catch (error) {
           console.error(`❌ Failed to send to ${subscriber.email}:`, error.message);
@@ -403,7 +390,8 @@ export const sendContentNotification = async (contentType, contentId, title, des
       data: {
         sent: totalSent,
         failed: totalFailed,
-        errors: errors.slice(0, 5) // Limit error details
+        errors: errors.slice(0, 5), // Limit error details
+        push
       }
     };
 
@@ -10,6 +10,8 @@
  * - Per-user connection tracking
  * - Role-based notification filtering
  * - Broadcast and targeted notification delivery
+ * - Named channels (e.g. `auction:<id>` for live bidding) that clients
+ *   subscribe to, with per-prefix access checks
  * - Connection state management
  * - Error handling and reconnection support
  * 
@@ -32,6 +34,8 @@ class NotificationWebSocketService extends EventEmitter {
     super();
     this.wss = null;
     this.clients = new Map(); // Map of userId -> Set of WebSocket connections
+    this.channels = new Map(); // Map of channel name -> Set of WebSocket connections
+    this.channelAuthorizers = new Map(); // Map of channel prefix -> (ws, channel) => boolean
     this.connectionCount = 0;
   }
 
@@ -90,8 +94,10 @@ class NotificationWebSocketService extends EventEmitter {
    * @param {http.IncomingMessage} request - The HTTP request with authenticated user
    */
   handleConnection(ws, request) {
-    const userId = request.user.userId;
-    const userRole = request.user.role;
+    // Bidder tokens (live auction bidding) identify an auction registration, not a user
+    const bidder = request.user.type === 'bidder' ? request.user : null;
+    const userId = bidder ? `bidder:${bidder.registrationId}` : (request.user.userId || request.user.id);
+    const userRole = bidder ? 'bidder' : request.user.role;
     
     // Store the connection
     if (!this.clients.has(userId)) {
@@ -103,6 +109,9 @@ class NotificationWebSocketService extends EventEmitter {
     // Add user info to the WebSocket
     ws.userId = userId;
     ws.userRole = userRole;
+    ws.bidder = bidder;
+    ws.ipAddress = request.socket.remoteAddress;
+    ws.channels = new Set();
     ws.isAlive = true;
 
     console.log(`WebSocket connected: User ${userId} (${userRole}), Total connections: ${this.connectionCount}`);
@@ -173,12 +182,82 @@ class NotificationWebSocketService extends EventEmitter {
         }
         break;
       
+      case 'subscribe':
+        this.subscribe(ws, message.channel);
+        break;
+
+      case 'unsubscribe':
+        this.unsubscribe(ws, message.channel);
+        break;
+
+      case 'place_bid':
+        this.emit('placeBid', {
+          ws,
+          lotNumber: message.lotNumber,
+          amount: message.amount
+        });
+        break;
+      
       default:
         console.log('Unknown message type:', message.type);
     }
   }
 
+  /**
+   * Allows subscriptions to channels starting with `prefix`
+   * Channels without a registered prefix cannot be subscribed to.
+   *
+   * @param {string} prefix - Channel prefix, e.g. 'auction:'
+   * @param {Function} authorize - (ws, channel) => boolean
+   */
+  registerChannel(prefix, authorize) {
+    this.channelAuthorizers.set(prefix, authorize);
+  }
+
+  subscribe(ws, channel) {
+    const prefix = typeof channel === 'string' &&
+      Array.from(this.channelAuthorizers.keys()).find(p => channel.startsWith(p));
+
+    if (!prefix || !this.channelAuthorizers.get(prefix)(ws, channel)) {
+      this.sendToClient(ws, { type: 'subscription_rejected', channel });
+      return;
+    }
+
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(ws);
+    ws.channels.add(channel);
+
+    this.sendToClient(ws, { type: 'subscription_confirmed', channel });
+    this.emit('channelSubscribed', { ws, channel });
+  }
+
+  unsubscribe(ws, channel) {
+    if (this.channels.has(channel)) {
+      this.channels.get(channel).delete(ws);
+      if (this.channels.get(channel).size === 0) {
+        this.channels.delete(channel);
+      }
+    }
+    ws.channels?.delete(channel);
+  }
+
+  // Send a message to every subscriber of a channel
+  publish(channel, data) {
+    let sentCount = 0;
+    this.channels.get(channel)?.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        this.sendToClient(ws, { channel, ...data });
+        sentCount++;
+      }
+    });
+    return sentCount;
+  }
+
   handleDisconnection(ws) {
+    ws.channels?.forEach(channel => this.unsubscribe(ws, channel));
+
     if (ws.userId && this.clients.has(ws.userId)) {
       this.clients.get(ws.userId).delete(ws);
       if (this.clients.get(ws.userId).size === 0) {
@@ -245,7 +324,8 @@ class NotificationWebSocketService extends EventEmitter {
     this.clients.forEach((connections, userId) => {
       if (userId !== excludeUserId) {
         connections.forEach(ws => {
-          if (ws.readyState === WebSocket.OPEN) {
+          // Bidders only receive their auction channel
+          if (ws.readyState === WebSocket.OPEN && !ws.bidder) {
             this.sendToClient(ws, {
               type: 'broadcast',
               ...notification
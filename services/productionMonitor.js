@@ -209,13 +209,13 @@ class ProductionMonitor extends EventEmitter {
     // Email alerting
     if (process.env.ALERT_EMAIL) {
       try {
-        const { default: EmailService } = await import('../services/emailService.js');
-        await EmailService.sendAlert({
+        const { sendEmail } = await import('../services/emailService.js');
+        await sendEmail({
           to: process.env.ALERT_EMAIL,
           subject: `🚨 Production Alert: ${alert.metric}`,
-          message: alert.message,
-          severity: alert.severity,
-          timestamp: alert.timestamp
+          text: `${alert.message}\n\nSeverity: ${alert.severity}\nTime: ${alert.timestamp}`,
+          html: `<p>${alert.message}</p><p>Severity: <strong>${alert.severity}</strong><br>Time: ${alert.timestamp}</p>`,
+          emailType: 'alert'
         });
       } catch (error) {
         console.error('Failed to send email alert:', error);
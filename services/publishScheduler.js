@@ -0,0 +1,184 @@
+/**
+ * Publish Scheduler
+ *
+ * Background job that applies scheduled `publishAt` / `unpublishAt` times on
+ * articles and events. Runs on a cron schedule (every minute by default,
+ * override with PUBLISH_SCHEDULER_CRON).
+ *
+ * Visibility changes go through `document.save()` so each model's own save
+ * hooks run at go-live time: publishedAt is stamped and the subscriber
+ * notification from services/notificationService.js is sent, guarded by the
+ * model's `notificationSent` flag.
+ *
+ * Each due item is claimed with an atomic findOneAndUpdate that clears the
+ * schedule field, so an item is only processed once even if two ticks or two
+ * server instances overlap.
+ *
+ * @module services/publishScheduler
+ */
+import { CronExpressionParser } from 'cron-parser';
+import Blog from '../models/Blog.js';
+import News from '../models/News.js';
+import Dairy from '../models/Dairy.js';
+import Beef from '../models/Beef.js';
+import Goat from '../models/Goat.js';
+import Piggery from '../models/Piggery.js';
+import Event from '../models/Event.js';
+import { invalidateRelatedContentFor } from '../middleware/enhancedCache.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_CRON = '* * * * *';
+const MAX_ITEMS_PER_RUN = 100;
+
+// Content using the editorial workflow: only approved content is published on schedule
+const workflowModels = [Blog, News, Dairy, Beef, Goat, Piggery];
+
+class PublishScheduler {
+    constructor() {
+        this.cronExpression = process.env.PUBLISH_SCHEDULER_CRON || DEFAULT_CRON;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the scheduler. Safe to call more than once.
+     */
+    start() {
+        if (this.timer) return;
+
+        try {
+            CronExpressionParser.parse(this.cronExpression);
+        } catch (error) {
+            logger.error(`Invalid PUBLISH_SCHEDULER_CRON "${this.cronExpression}", using "${DEFAULT_CRON}": ${error.message}`);
+            this.cronExpression = DEFAULT_CRON;
+        }
+
+        logger.info(`🗓️  Publish scheduler started (${this.cronExpression})`);
+        this.scheduleNextRun();
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Set a timer for the next cron occurrence
+     */
+    scheduleNextRun() {
+        const nextRun = CronExpressionParser.parse(this.cronExpression).next().toDate();
+        const delay = Math.max(nextRun.getTime() - Date.now(), 1000);
+
+        this.timer = setTimeout(async () => {
+            await this.runDueJobs();
+            if (this.timer) {
+                this.scheduleNextRun();
+            }
+        }, delay);
+
+        // Don't keep the process alive just for the scheduler
+        this.timer.unref();
+    }
+
+    /**
+     * Publish and unpublish everything that is due
+     *
+     * @returns {Object} Counts of items published and unpublished
+     */
+    async runDueJobs() {
+        if (this.running) {
+            return { published: 0, unpublished: 0 };
+        }
+
+        this.running = true;
+        const now = new Date();
+        const results = { published: 0, unpublished: 0 };
+
+        try {
+            for (const Model of workflowModels) {
+                results.published += await this.processDue(Model, 'publishAt',
+                    { status: 'approved', publishAt: { $lte: now } },
+                    (doc) => { doc.status = 'published'; });
+
+                // Archived items must also leave cached related-content lists
+                results.unpublished += await this.processDue(Model, 'unpublishAt',
+                    { status: 'published', unpublishAt: { $lte: now } },
+                    (doc) => { doc.status = 'archived'; },
+                    (doc) => invalidateRelatedContentFor(doc._id));
+            }
+
+            // Skip events already published at or after their scheduled time (applied before)
+            results.published += await this.processDue(Event, 'publishAt',
+                {
+                    published: false,
+                    publishAt: { $lte: now },
+                    $expr: { $not: [{ $gte: ['$publishedAt', '$publishAt'] }] }
+                },
+                (doc) => { doc.published = true; });
+
+            results.unpublished += await this.processDue(Event, 'unpublishAt',
+                { published: true, unpublishAt: { $lte: now } },
+                (doc) => { doc.published = false; });
+
+            if (results.published || results.unpublished) {
+                logger.info(`🗓️  Publish scheduler: ${results.published} published, ${results.unpublished} unpublished`);
+            }
+        } catch (error) {
+            logger.error('Publish scheduler run failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        return results;
+    }
+
+    /**
+     * Claim and apply due items for one model and schedule field
+     *
+     * @param {mongoose.Model} Model - Content model
+     * @param {string} field - Schedule field being applied (publishAt or unpublishAt)
+     * @param {Object} query - Query matching due items
+     * @param {Function} apply - Applies the visibility change to a claimed document
+     * @param {Function} [onApplied] - Called with each document once saved
+     * @returns {number} Number of items processed
+     */
+    async processDue(Model, field, query, apply, onApplied) {
+        let processed = 0;
+
+        while (processed < MAX_ITEMS_PER_RUN) {
+            // Clearing the field claims the item; the pre-update document keeps the due time
+            const doc = await Model.findOneAndUpdate(
+                query,
+                { $set: { [field]: null } },
+                { sort: { [field]: 1 }, new: false }
+            );
+            if (!doc) break;
+
+            const dueAt = doc[field];
+            doc[field] = null;
+            apply(doc);
+
+            try {
+                await doc.save();
+                processed++;
+                onApplied?.(doc);
+            } catch (error) {
+                logger.error(`Failed to apply ${field} for ${Model.modelName} ${doc._id}:`, error);
+                // Put the schedule back so the item is retried on the next run
+                await Model.updateOne({ _id: doc._id }, { $set: { [field]: dueAt } });
+                break;
+            }
+        }
+
+        return processed;
+    }
+}
+
+// Export singleton instance
+const publishScheduler = new PublishScheduler();
+export default publishScheduler;
@@ -7,11 +7,16 @@
  * 
  * The service uses the Web Push API with VAPID authentication to securely deliver
  * notifications to supported browsers, even when the website is not open.
+ *
+ * Only subscribers who turned on the push channel in their preferences
+ * (services/subscriberPreferenceService.js) and registered a browser receive
+ * pushes. A browser subscription the push service reports as gone is removed.
  * 
  * @module services/pushNotificationService
  */
 import webpush from 'web-push';
 import Subscriber from '../models/Subscriber.js';
+import { buildAudienceQuery } from './subscriberPreferenceService.js';
 import dotenv from 'dotenv';
 import { dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
@@ -79,6 +84,15 @@ try {
   throw error;
 }
 
+// The browser unsubscribed or the subscription expired: stop pushing to it
+const forgetExpiredSubscription = async (subscriberId, error) => {
+  if (error.statusCode !== 404 && error.statusCode !== 410) return;
+  await Subscriber.updateOne(
+    { _id: subscriberId },
+    { $unset: { pushSubscription: 1 }, $set: { 'preferences.channels.push': false } }
+  );
+};
+
 /**
  * Send a push notification to a single subscriber
  * 
@@ -96,9 +110,12 @@ try {
 export const sendPushNotification = async (subscriberId, payload) => {
   try {
     const subscriber = await Subscriber.findById(subscriberId);
-    if (!subscriber || !subscriber.pushSubscription) {
+    if (!subscriber || !subscriber.pushSubscription?.endpoint) {
       return { success: false, error: 'No push subscription found' };
     }
+    if (!subscriber.isActive || subscriber.preferences?.channels?.push !== true) {
+      return { success: false, error: 'Subscriber has not enabled push notifications' };
+    }
 
     const notificationPayload = JSON.stringify({
       title: payload.title,
@@ -109,10 +126,15 @@ export const sendPushNotification = async (subscriberId, payload) => {
       data: payload.data || {}
     });
 
-    await webpush.sendNotification(
-      subscriber.pushSubscription,
-      notificationPayload
-    );
+    try {
+      await webpush.sendNotification(
+        subscriber.pushSubscription,
+        notificationPayload
+      );
+    } catch (error) {
+      await forgetExpiredSubscription(subscriber._id, error);
+      throw error;
+    }
 
     return { success: true };
   } catch (error) {
@@ -155,12 +177,28 @@ export const sendBulkPushNotification = async (subscriberIds, payload) => {
   return results;
 };
 
+/**
+ * Push a notification to every subscriber who enabled push for any of the topics
+ *
+ * @param {string[]} targetTopics - Topics (utils/contentTopics.js), or ['all']
+ * @param {Object} payload - The notification payload (see sendPushNotification)
+ * @returns {Promise<Object>} Results with counts of sent and failed notifications
+ */
+export const sendTopicPushNotification = async (targetTopics, payload) => {
+  const subscribers = await Subscriber.find({
+    ...buildAudienceQuery(targetTopics, 'push'),
+    'pushSubscription.endpoint': { $exists: true }
+  }).select('_id').lean();
+
+  return sendBulkPushNotification(subscribers.map(subscriber => subscriber._id), payload);
+};
+
 // Subscribe user to push notifications
 export const subscribeToPush = async (subscriberId, subscription) => {
   try {
     await Subscriber.findByIdAndUpdate(subscriberId, {
       pushSubscription: subscription,
-      pushEnabled: true
+      'preferences.channels.push': true
     });
     return { success: true };
   } catch (error) {
@@ -172,8 +210,8 @@ export const subscribeToPush = async (subscriberId, subscription) => {
 export const unsubscribeFromPush = async (subscriberId) => {
   try {
     await Subscriber.findByIdAndUpdate(subscriberId, {
-      pushSubscription: null,
-      pushEnabled: false
+      $unset: { pushSubscription: 1 },
+      $set: { 'preferences.channels.push': false }
     });
     return { success: true };
   } catch (error) {
@@ -184,6 +222,7 @@ export const unsubscribeFromPush = async (subscriberId) => {
 export default {
   sendPushNotification,
   sendBulkPushNotification,
+  sendTopicPushNotification,
   subscribeToPush,
   unsubscribeFromPush
 };
@@ -0,0 +1,454 @@
+/**
+ * Segment Service
+ *
+ * Saved subscriber segments (models/SubscriberSegment.js) and the newsletter
+ * audiences built from them. A segment is a list of rules combined with
+ * 'all' or 'any'. Each rule compares one field from SEGMENT_FIELDS:
+ * subscriber fields (topics, confirmation, engagement, sign-up date, bounce
+ * state) or registration history (event and auction registrations, matched
+ * to subscribers by email).
+ *
+ * Rules are stored as written and compiled into a MongoDB filter each time
+ * they are evaluated, so "opened in the last 30 days" is always relative to
+ * now. A newsletter with target segments goes to the subscribers in any of
+ * them who also follow one of its target topics and receive email.
+ *
+ * @module services/segmentService
+ */
+import mongoose from 'mongoose';
+import Subscriber from '../models/Subscriber.js';
+import SubscriberSegment from '../models/SubscriberSegment.js';
+import Newsletter from '../models/Newsletter.js';
+import EventRegistration from '../models/EventRegistration.js';
+import Auction from '../models/Auction.js';
+import { buildAudienceQuery } from './subscriberPreferenceService.js';
+import { SUBSCRIPTION_TOPICS } from '../utils/contentTopics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RULES = 20;
+const SAMPLE_SIZE = 5;
+
+const DATE_OPERATORS = ['before', 'after', 'withinLastDays', 'notWithinLastDays'];
+const NUMBER_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+const REGISTRATION_OPERATORS = ['registered', 'notRegistered'];
+
+/**
+ * Fields a rule can use, with their operators (the audience builder lists these)
+ */
+export const SEGMENT_FIELDS = {
+  topics: { label: 'Followed topics', type: 'topics', operators: ['includesAny', 'includesAll', 'excludes'], values: SUBSCRIPTION_TOPICS },
+  isConfirmed: { label: 'Email confirmed', type: 'boolean', operators: ['is'] },
+  lastOpened: { label: 'Last opened an email', type: 'date', operators: [...DATE_OPERATORS, 'never'] },
+  subscribedAt: { label: 'Subscribed', type: 'date', operators: DATE_OPERATORS },
+  openCount: { label: 'Emails opened', type: 'number', operators: NUMBER_OPERATORS },
+  clickCount: { label: 'Links clicked', type: 'number', operators: NUMBER_OPERATORS },
+  bounceState: { label: 'Bounce state', type: 'choice', operators: ['is', 'isNot'], values: ['none', 'bounced', 'permanent'] },
+  eventRegistration: {
+    label: 'Event registrations',
+    type: 'registration',
+    operators: REGISTRATION_OPERATORS,
+    filters: ['eventIds', 'since', 'until', 'statuses', 'attended'],
+    statuses: ['confirmed', 'pending', 'waitlisted', 'cancelled']
+  },
+  auctionRegistration: {
+    label: 'Auction registrations',
+    type: 'registration',
+    operators: REGISTRATION_OPERATORS,
+    filters: ['auctionIds', 'since', 'until', 'statuses'],
+    statuses: ['pending', 'approved', 'rejected']
+  }
+};
+
+// Registrations that count when a rule names no statuses
+const DEFAULT_REGISTRATION_STATUSES = {
+  eventRegistration: ['confirmed', 'pending', 'waitlisted'],
+  auctionRegistration: ['pending', 'approved']
+};
+
+const NUMBER_MONGO_OPERATORS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+const invalid = (index, message) => ({ error: `Rule ${index + 1}: ${message}`, status: 400 });
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const parseIds = (value) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+  return [...new Set(value.map(String))];
+};
+
+// Registration filters: { eventIds | auctionIds, since, until, statuses, attended }
+const parseRegistrationFilters = (field, value, index) => {
+  const input = value || {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return invalid(index, 'registration filters must be an object');
+  }
+
+  const filters = {};
+  const idsKey = field === 'eventRegistration' ? 'eventIds' : 'auctionIds';
+  const ids = parseIds(input[idsKey]);
+  if (ids === null) return invalid(index, `${idsKey} must be a list of IDs`);
+  if (ids.length > 0) filters[idsKey] = ids;
+
+  for (const key of ['since', 'until']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const date = parseDate(input[key]);
+    if (!date) return invalid(index, `${key} must be a valid date`);
+    filters[key] = date;
+  }
+
+  if (input.statuses !== undefined) {
+    const allowed = SEGMENT_FIELDS[field].statuses;
+    if (!Array.isArray(input.statuses) || input.statuses.length === 0 || input.statuses.some(status => !allowed.includes(status))) {
+      return invalid(index, `statuses must be among: ${allowed.join(', ')}`);
+    }
+    filters.statuses = [...new Set(input.statuses)];
+  }
+
+  if (field === 'eventRegistration' && input.attended !== undefined) {
+    if (typeof input.attended !== 'boolean') return invalid(index, 'attended must be true or false');
+    filters.attended = input.attended;
+  }
+
+  return { value: filters };
+};
+
+const parseRule = (rule, index) => {
+  if (!rule || typeof rule !== 'object') return invalid(index, 'must be an object with field, operator and value');
+
+  const definition = SEGMENT_FIELDS[rule.field];
+  if (!definition) {
+    return invalid(index, `unknown field "${rule.field}". Fields: ${Object.keys(SEGMENT_FIELDS).join(', ')}`);
+  }
+  if (!definition.operators.includes(rule.operator)) {
+    return invalid(index, `${rule.field} supports: ${definition.operators.join(', ')}`);
+  }
+
+  const { field, operator } = rule;
+  let { value } = rule;
+
+  switch (definition.type) {
+    case 'topics':
+      if (!Array.isArray(value) || value.length === 0 || value.some(topic => !SUBSCRIPTION_TOPICS.includes(topic))) {
+        return invalid(index, `topics must be a list among: ${SUBSCRIPTION_TOPICS.join(', ')}`);
+      }
+      value = [...new Set(value)];
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return invalid(index, `${field} must be true or false`);
+      break;
+    case 'choice':
+      if (!definition.values.includes(value)) return invalid(index, `${field} must be one of: ${definition.values.join(', ')}`);
+      break;
+    case 'number':
+      value = Number(value);
+      if (!Number.isInteger(value) || value < 0) return invalid(index, `${field} must be a whole number of 0 or more`);
+      break;
+    case 'date':
+      if (operator === 'never') {
+        value = null;
+      } else if (operator === 'withinLastDays' || operator === 'notWithinLastDays') {
+        value = Number(value);
+        if (!Number.isInteger(value) || value < 1) return invalid(index, 'the number of days must be a whole number of 1 or more');
+      } else {
+        value = parseDate(value);
+        if (!value) return invalid(index, `${field} must be compared with a valid date`);
+      }
+      break;
+    case 'registration': {
+      const filters = parseRegistrationFilters(field, value, index);
+      if (filters.error) return filters;
+      value = filters.value;
+      break;
+    }
+    default:
+      break;
+  }
+
+  return { value: { field, operator, value } };
+};
+
+/**
+ * Validate a segment definition from the audience builder
+ *
+ * @param {Object} input - { name, description, match, rules }
+ * @param {Object} [options]
+ * @param {boolean} [options.requireName=true] - false for previews of unsaved rules
+ * @returns {{ value: Object }|{ error: string, status: number }}
+ */
+export const parseSegmentDefinition = (input = {}, { requireName = true } = {}) => {
+  const value = {};
+
+  if (requireName || input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { error: 'Segment name is required', status: 400 };
+    value.name = name;
+  }
+  if (input.description !== undefined) {
+    value.description = String(input.description || '').trim();
+  }
+
+  const match = input.match ?? 'all';
+  if (!['all', 'any'].includes(match)) {
+    return { error: 'match must be "all" or "any"', status: 400 };
+  }
+  value.match = match;
+
+  const rules = input.rules ?? [];
+  if (!Array.isArray(rules)) {
+    return { error: 'rules must be a list', status: 400 };
+  }
+  if (rules.length > MAX_RULES) {
+    return { error: `A segment can have at most ${MAX_RULES} rules`, status: 400 };
+  }
+
+  value.rules = [];
+  for (const [index, rule] of rules.entries()) {
+    const parsed = parseRule(rule, index);
+    if (parsed.error) return parsed;
+    value.rules.push(parsed.value);
+  }
+
+  return { value };
+};
+
+// Lowercased emails of everyone with a matching event or auction registration
+const findRegisteredEmails = async (field, filters) => {
+  const statuses = filters.statuses || DEFAULT_REGISTRATION_STATUSES[field];
+  const dateRange = {};
+  if (filters.since) dateRange.$gte = new Date(filters.since);
+  if (filters.until) dateRange.$lte = new Date(filters.until);
+  const hasDateRange = Object.keys(dateRange).length > 0;
+
+  if (field === 'eventRegistration') {
+    const query = { status: { $in: statuses } };
+    if (filters.eventIds?.length) query.eventId = { $in: filters.eventIds.map(id => new mongoose.Types.ObjectId(id)) };
+    if (hasDateRange) query.registrationDate = dateRange;
+    if (filters.attended === true) query.checkedInAt = { $ne: null };
+    if (filters.attended === false) query.checkedInAt = null;
+
+    const emails = await EventRegistration.distinct('email', query);
+    return emails.map(email => email.toLowerCase());
+  }
+
+  // Auction registrations are embedded in the auction
+  const registrationMatch = { 'registrations.status': { $in: statuses } };
+  if (hasDateRange) registrationMatch['registrations.registeredAt'] = dateRange;
+
+  const [result] = await Auction.aggregate([
+    ...(filters.auctionIds?.length
+      ? [{ $match: { _id: { $in: filters.auctionIds.map(id => new mongoose.Types.ObjectId(id)) } } }]
+      : []),
+    { $unwind: '$registrations' },
+    { $match: registrationMatch },
+    { $group: { _id: null, emails: { $addToSet: { $toLower: '$registrations.email' } } } }
+  ]);
+  return result?.emails || [];
+};
+
+const BOUNCE_STATES = {
+  permanent: { permanentFailure: true },
+  bounced: {
+    permanentFailure: { $ne: true },
+    $or: [{ lastBounced: { $ne: null } }, { 'stats.bounces': { $gt: 0 } }]
+  },
+  none: {
+    permanentFailure: { $ne: true },
+    lastBounced: null,
+    'stats.bounces': { $not: { $gt: 0 } }
+  }
+};
+
+// MongoDB filter on Subscriber for one rule
+const compileRule = async ({ field, operator, value }, now) => {
+  const definition = SEGMENT_FIELDS[field];
+
+  switch (definition.type) {
+    case 'topics': {
+      const operators = { includesAny: '$in', includesAll: '$all', excludes: '$nin' };
+      return { 'preferences.topics': { [operators[operator]]: value } };
+    }
+    case 'boolean':
+      return { [field]: value ? true : { $ne: true } };
+    case 'choice':
+      return operator === 'is' ? BOUNCE_STATES[value] : { $nor: [BOUNCE_STATES[value]] };
+    case 'number':
+      return { [field]: operator === 'eq' ? value : { [NUMBER_MONGO_OPERATORS[operator]]: value } };
+    case 'date': {
+      if (operator === 'never') return { [field]: null };
+      if (operator === 'before') return { [field]: { $lt: new Date(value) } };
+      if (operator === 'after') return { [field]: { $gt: new Date(value) } };
+      const cutoff = new Date(now.getTime() - value * DAY_MS);
+      return operator === 'withinLastDays'
+        ? { [field]: { $gte: cutoff } }
+        : { $or: [{ [field]: null }, { [field]: { $lt: cutoff } }] };
+    }
+    case 'registration': {
+      const emails = await findRegisteredEmails(field, value || {});
+      // Subscriber emails were not always stored lowercased
+      const registered = { $in: [{ $toLower: '$email' }, emails] };
+      return { $expr: operator === 'registered' ? registered : { $not: [registered] } };
+    }
+    default:
+      throw new Error(`Unsupported segment field: ${field}`);
+  }
+};
+
+/**
+ * MongoDB filter on Subscriber for a segment's rules (no rules: everyone)
+ *
+ * @param {Object} segment - { match, rules } as stored or from parseSegmentDefinition
+ * @param {Date} [now] - Reference time for relative date rules
+ * @returns {Promise<Object>}
+ */
+export const compileSegmentQuery = async (segment, now = new Date()) => {
+  const rules = segment.rules || [];
+  if (rules.length === 0) return {};
+
+  const conditions = [];
+  for (const rule of rules) {
+    conditions.push(await compileRule(rule, now));
+  }
+  return segment.match === 'any' ? { $or: conditions } : { $and: conditions };
+};
+
+// Subscribers who can be emailed
+const reachableQuery = (targetTopics = ['all']) => ({
+  ...buildAudienceQuery(targetTopics, 'email'),
+  permanentFailure: { $ne: true }
+});
+
+/**
+ * Subscribers a newsletter goes to: those following any of its target topics who
+ * receive email and, when it targets segments, belong to at least one of them
+ *
+ * @param {Object} target - { targetSubscriptionTypes, targetSegments } (a Newsletter or an unsaved audience)
+ * @returns {Promise<Object>} MongoDB filter on Subscriber
+ */
+export const buildNewsletterAudienceQuery = async ({ targetSubscriptionTypes = ['all'], targetSegments = [] } = {}) => {
+  const base = reachableQuery(targetSubscriptionTypes?.length ? targetSubscriptionTypes : ['all']);
+  if (!targetSegments?.length) return base;
+
+  const segments = await SubscriberSegment.find({ _id: { $in: targetSegments } }).lean();
+  if (segments.length === 0) {
+    // Every targeted segment was deleted: send to nobody rather than everybody
+    return { _id: { $in: [] } };
+  }
+
+  const now = new Date();
+  const segmentQueries = [];
+  for (const segment of segments) {
+    segmentQueries.push(await compileSegmentQuery(segment, now));
+  }
+  return { $and: [base, { $or: segmentQueries }] };
+};
+
+/**
+ * Reachable subscribers matching a filter, with a few example addresses
+ * @returns {Promise<{ count: number, sample: string[] }>}
+ */
+const countAudience = async (query) => {
+  const [count, sample] = await Promise.all([
+    Subscriber.countDocuments(query),
+    Subscriber.find(query).sort({ subscribedAt: -1 }).limit(SAMPLE_SIZE).select('email').lean()
+  ]);
+  return { count, sample: sample.map(subscriber => subscriber.email) };
+};
+
+/**
+ * Live count of a segment's rules, saved or not
+ * @param {Object} segment - { match, rules }
+ * @returns {Promise<{ count: number, sample: string[] }>} Reachable (active, emailable) subscribers
+ */
+export const previewSegment = async (segment) => countAudience({
+  $and: [reachableQuery(), await compileSegmentQuery(segment)]
+});
+
+/**
+ * Count a saved segment and remember the result on it
+ * @param {mongoose.Document} segment
+ * @returns {Promise<{ count: number, sample: string[] }>}
+ */
+export const refreshSegmentCount = async (segment) => {
+  const preview = await previewSegment(segment);
+  await SubscriberSegment.updateOne(
+    { _id: segment._id },
+    { $set: { lastCount: preview.count, lastCountedAt: new Date() } }
+  );
+  segment.lastCount = preview.count;
+  segment.lastCountedAt = new Date();
+  return preview;
+};
+
+/**
+ * Live count of a newsletter audience (topics and segments)
+ * @param {Object} target - { targetSubscriptionTypes, targetSegments }
+ * @returns {Promise<{ count: number, sample: string[] }>}
+ */
+export const previewNewsletterAudience = async (target) => countAudience(await buildNewsletterAudienceQuery(target));
+
+/**
+ * Check the segments a newsletter is to target
+ * @param {Array} segmentIds
+ * @returns {Promise<{ segmentIds: mongoose.Types.ObjectId[] }|{ error: string, status: number }>}
+ */
+export const resolveTargetSegments = async (segmentIds) => {
+  const ids = parseIds(segmentIds);
+  if (ids === null) {
+    return { error: 'targetSegments must be a list of segment IDs', status: 400 };
+  }
+  if (ids.length === 0) return { segmentIds: [] };
+
+  const found = await SubscriberSegment.find({ _id: { $in: ids } }).select('_id').lean();
+  if (found.length !== ids.length) {
+    const known = new Set(found.map(segment => segment._id.toString()));
+    return { error: `Unknown segments: ${ids.filter(id => !known.has(id)).join(', ')}`, status: 400 };
+  }
+  return { segmentIds: found.map(segment => segment._id) };
+};
+
+/**
+ * Delete a segment unless a scheduled or sending newsletter targets it.
+ * Draft newsletters stop targeting it.
+ * @param {String} segmentId
+ * @returns {Promise<{ segment: Object, detachedFrom: number }|{ error: string, status: number }>}
+ */
+export const deleteSegment = async (segmentId) => {
+  const segment = await SubscriberSegment.findById(segmentId);
+  if (!segment) {
+    return { error: 'Segment not found', status: 404 };
+  }
+
+  const inUse = await Newsletter.find({ targetSegments: segment._id, status: { $in: ['scheduled', 'sending'] } })
+    .select('title')
+    .lean();
+  if (inUse.length > 0) {
+    return {
+      error: `This segment is targeted by newsletters being sent or scheduled: ${inUse.map(newsletter => newsletter.title).join(', ')}`,
+      status: 409
+    };
+  }
+
+  const detached = await Newsletter.updateMany(
+    { targetSegments: segment._id, status: 'draft' },
+    { $pull: { targetSegments: segment._id } }
+  );
+  await segment.deleteOne();
+
+  return { segment, detachedFrom: detached.modifiedCount };
+};
+
+export default {
+  SEGMENT_FIELDS,
+  parseSegmentDefinition,
+  compileSegmentQuery,
+  buildNewsletterAudienceQuery,
+  previewSegment,
+  refreshSegmentCount,
+  previewNewsletterAudience,
+  resolveTargetSegments,
+  deleteSegment
+};
@@ -0,0 +1,264 @@
+/**
+ * Subscriber Preference Service
+ *
+ * Subscribers choose any set of topics (utils/contentTopics.js), whether
+ * they want email and/or browser push, and how often email arrives
+ * (immediately or as a digest, services/digestService.js). Every send
+ * selects its recipients with buildAudienceQuery, so a preference change
+ * applies to content notifications, newsletters, digests and push alike.
+ *
+ * The preference centre identifies a subscriber by the signed token in
+ * their email links (utils/preferenceLinks.js) instead of a login.
+ *
+ * The older single `subscriptionType` is still accepted from existing
+ * clients and translated into topics.
+ *
+ * @module services/subscriberPreferenceService
+ */
+import Subscriber from '../models/Subscriber.js';
+import { DIGEST_FREQUENCIES } from './digestService.js';
+import { SUBSCRIPTION_TOPICS, topicsForSubscriptionType } from '../utils/contentTopics.js';
+import { verifyPreferenceSignature } from '../utils/preferenceLinks.js';
+
+export const DELIVERY_CHANNELS = ['email', 'push'];
+
+// immediate: one email per new article; daily / weekly / monthly: a digest
+export const FREQUENCIES = ['immediate', ...DIGEST_FREQUENCIES];
+
+/**
+ * MongoDB filter for the active subscribers who receive content on a channel
+ *
+ * @param {string[]} [targetTopics=['all']] - Topics the content belongs to; 'all' reaches everyone
+ * @param {string} [channel='email'] - email or push
+ * @returns {Object} Filter on Subscriber
+ */
+export const buildAudienceQuery = (targetTopics = ['all'], channel = 'email') => {
+  const query = {
+    isActive: true,
+    // Email is opt-out, push is opt-in
+    [`preferences.channels.${channel}`]: channel === 'email' ? { $ne: false } : true
+  };
+
+  if (!targetTopics.includes('all')) {
+    query['preferences.topics'] = { $in: targetTopics };
+  }
+
+  return query;
+};
+
+/**
+ * Topics a subscriber follows (from subscriptionType for records not yet migrated)
+ * @param {Object} subscriber
+ * @returns {string[]}
+ */
+export const getSubscriberTopics = (subscriber) => subscriber.preferences?.topics?.length
+  ? subscriber.preferences.topics
+  : topicsForSubscriptionType(subscriber.subscriptionType);
+
+const isPushSubscription = (value) => Boolean(
+  value && typeof value === 'object' &&
+  typeof value.endpoint === 'string' && /^https:\/\//.test(value.endpoint) &&
+  typeof value.keys?.p256dh === 'string' && typeof value.keys?.auth === 'string'
+);
+
+/**
+ * Validate a preference change
+ *
+ * Accepts topics (array), subscriptionType (legacy single type), channels
+ * ({ email, push } booleans), frequency, and pushSubscription (the browser's
+ * Web Push subscription, or null to forget it). Unknown fields are ignored.
+ *
+ * @param {Object} input - Request body
+ * @returns {{ value: Object }|{ error: string, status: number }}
+ */
+export const parsePreferenceChanges = (input = {}) => {
+  const value = {};
+
+  if (input.topics !== undefined) {
+    if (!Array.isArray(input.topics)) {
+      return { error: 'Topics must be a list', status: 400 };
+    }
+    const unknown = input.topics.filter(topic => !SUBSCRIPTION_TOPICS.includes(topic));
+    if (unknown.length > 0) {
+      return { error: `Unknown topics: ${unknown.join(', ')}. Topics must be among: ${SUBSCRIPTION_TOPICS.join(', ')}`, status: 400 };
+    }
+    value.topics = [...new Set(input.topics)];
+  } else if (input.subscriptionType !== undefined) {
+    const topics = topicsForSubscriptionType(input.subscriptionType);
+    if (topics.length === 0) {
+      return { error: `Subscription type must be one of: all, ${SUBSCRIPTION_TOPICS.join(', ')}`, status: 400 };
+    }
+    value.topics = topics;
+  }
+
+  if (input.channels !== undefined) {
+    if (!input.channels || typeof input.channels !== 'object') {
+      return { error: 'Channels must be an object such as { "email": true, "push": false }', status: 400 };
+    }
+    value.channels = {};
+    for (const channel of DELIVERY_CHANNELS) {
+      if (input.channels[channel] === undefined) continue;
+      if (typeof input.channels[channel] !== 'boolean') {
+        return { error: `channels.${channel} must be true or false`, status: 400 };
+      }
+      value.channels[channel] = input.channels[channel];
+    }
+  }
+
+  if (input.frequency !== undefined) {
+    if (!FREQUENCIES.includes(input.frequency)) {
+      return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}`, status: 400 };
+    }
+    value.frequency = input.frequency;
+  }
+
+  if (input.pushSubscription !== undefined) {
+    if (input.pushSubscription !== null && !isPushSubscription(input.pushSubscription)) {
+      return { error: 'pushSubscription must have an https endpoint and keys.p256dh and keys.auth', status: 400 };
+    }
+    value.pushSubscription = input.pushSubscription;
+  }
+
+  return { value };
+};
+
+/**
+ * Apply validated changes (from parsePreferenceChanges) to a subscriber document. Does not save.
+ * @param {mongoose.Document} subscriber
+ * @param {Object} changes
+ */
+export const applyPreferenceChanges = (subscriber, changes) => {
+  if (changes.topics) {
+    subscriber.preferences.topics = changes.topics;
+    // Keep the legacy single type meaningful for older clients
+    if (changes.topics.length === SUBSCRIPTION_TOPICS.length) {
+      subscriber.subscriptionType = 'all';
+    } else if (changes.topics.length === 1) {
+      subscriber.subscriptionType = changes.topics[0];
+    }
+  }
+
+  if (changes.pushSubscription !== undefined) {
+    if (changes.pushSubscription) {
+      const { endpoint, expirationTime = null, keys } = changes.pushSubscription;
+      subscriber.pushSubscription = { endpoint, expirationTime, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+      subscriber.preferences.channels.push = true;
+    } else {
+      subscriber.pushSubscription = undefined;
+      subscriber.preferences.channels.push = false;
+    }
+  }
+
+  if (changes.channels) {
+    Object.assign(subscriber.preferences.channels, changes.channels);
+  }
+
+  const frequency = subscriber.preferences.frequency;
+  if (changes.frequency && changes.frequency !== frequency) {
+    // Switching to a digest: the first one covers articles published from now on
+    if (DIGEST_FREQUENCIES.includes(changes.frequency) && !DIGEST_FREQUENCIES.includes(frequency)) {
+      subscriber.lastDigestAt = new Date();
+    }
+    subscriber.preferences.frequency = changes.frequency;
+  }
+};
+
+/**
+ * What the preference centre shows
+ * @param {Object} subscriber
+ * @returns {Object}
+ */
+export const summarizePreferences = (subscriber) => ({
+  email: subscriber.email,
+  isActive: subscriber.isActive,
+  isConfirmed: subscriber.isConfirmed,
+  topics: getSubscriberTopics(subscriber),
+  channels: {
+    email: subscriber.preferences?.channels?.email !== false,
+    push: subscriber.preferences?.channels?.push === true
+  },
+  pushRegistered: Boolean(subscriber.pushSubscription?.endpoint),
+  frequency: subscriber.preferences?.frequency || 'immediate',
+  subscribedAt: subscriber.subscribedAt,
+  unsubscribedAt: subscriber.unsubscribedAt,
+  availableTopics: SUBSCRIPTION_TOPICS,
+  availableFrequencies: FREQUENCIES
+});
+
+/**
+ * Subscriber a signed preference link belongs to
+ * @param {String} token - unsubscribeToken from the link
+ * @param {String} signature - sig from the link
+ * @returns {Promise<{ subscriber: mongoose.Document }|{ error: string, status: number }>}
+ */
+export const findSubscriberByLink = async (token, signature) => {
+  if (!verifyPreferenceSignature(token, signature)) {
+    return { error: 'This preferences link is invalid. Please use the link from one of our recent emails.', status: 403 };
+  }
+
+  const subscriber = await Subscriber.findOne({ unsubscribeToken: String(token) });
+  if (!subscriber) {
+    return { error: 'Subscriber not found', status: 404 };
+  }
+  return { subscriber };
+};
+
+/**
+ * Change preferences through a signed link. Choosing preferences also
+ * reactivates a subscriber who had unsubscribed.
+ * @returns {Promise<{ subscriber: mongoose.Document }|{ error: string, status: number }>}
+ */
+export const updatePreferencesByLink = async (token, signature, input) => {
+  const parsed = parsePreferenceChanges(input);
+  if (parsed.error) return parsed;
+
+  const found = await findSubscriberByLink(token, signature);
+  if (found.error) return found;
+
+  const { subscriber } = found;
+  applyPreferenceChanges(subscriber, parsed.value);
+
+  if (!subscriber.isActive && input.resubscribe === true) {
+    subscriber.isActive = true;
+    subscriber.unsubscribedAt = null;
+    subscriber.unsubscribeReason = null;
+  }
+
+  await subscriber.save();
+  return { subscriber };
+};
+
+/**
+ * Unsubscribe through a signed link
+ * @param {String} [reason] - Optional reason given by the subscriber
+ * @returns {Promise<{ subscriber: mongoose.Document, alreadyUnsubscribed: boolean }|{ error: string, status: number }>}
+ */
+export const unsubscribeByLink = async (token, signature, reason = null) => {
+  const found = await findSubscriberByLink(token, signature);
+  if (found.error) return found;
+
+  const { subscriber } = found;
+  if (!subscriber.isActive) {
+    return { subscriber, alreadyUnsubscribed: true };
+  }
+
+  subscriber.isActive = false;
+  subscriber.unsubscribedAt = new Date();
+  subscriber.unsubscribeReason = reason ? String(reason).slice(0, 500) : null;
+  await subscriber.save();
+
+  return { subscriber, alreadyUnsubscribed: false };
+};
+
+export default {
+  DELIVERY_CHANNELS,
+  FREQUENCIES,
+  buildAudienceQuery,
+  getSubscriberTopics,
+  parsePreferenceChanges,
+  applyPreferenceChanges,
+  summarizePreferences,
+  findSubscriberByLink,
+  updatePreferencesByLink,
+  unsubscribeByLink
+};
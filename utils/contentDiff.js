@@ -0,0 +1,219 @@
+/**
+ * Content Diff Utilities
+ *
+ * Field-level and word-level diffs between two content revisions.
+ * Text fields get an HTML rendering with <ins>/<del> markup that keeps the
+ * original HTML tags intact, so the result can be shown directly in the admin.
+ *
+ * @module utils/contentDiff
+ */
+
+// Beyond this many edits the texts are treated as fully rewritten
+const MAX_EDIT_DISTANCE = 2000;
+
+// HTML tags, runs of whitespace and words are diffed as separate tokens
+const TOKEN_PATTERN = /<[^>]+>|\s+|[^<\s]+/g;
+
+/**
+ * Escape plain text for HTML output
+ *
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const isTag = (token) => token.startsWith('<');
+
+/**
+ * Shortest edit script between two token arrays (Myers' algorithm)
+ *
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<[string, string]>} Operations as [type, token], type is equal/delete/insert
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return [...a.map(token => ['delete', token]), ...b.map(token => ['insert', token])];
+    }
+
+    // State before step d, for diagonals -d-1 .. d+1
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const state = trace[d];
+    const get = (k) => state[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push(['insert', b[y - 1]]);
+        y--;
+      } else {
+        ops.push(['delete', a[x - 1]]);
+        x--;
+      }
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two strings token by token
+ *
+ * @param {string} oldText - Previous value
+ * @param {string} newText - New value
+ * @returns {Array<{type: string, value: string}>} Consecutive segments of equal/delete/insert tokens
+ */
+export const diffText = (oldText = '', newText = '') => {
+  const a = String(oldText || '').match(TOKEN_PATTERN) || [];
+  const b = String(newText || '').match(TOKEN_PATTERN) || [];
+
+  // Common prefix and suffix are cheap to strip and keep the edit search small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(token => ['equal', token])
+  ];
+
+  const segments = [];
+  for (const [type, token] of ops) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      segments.push({ type, tokens: [token] });
+    }
+  }
+
+  return segments.map(({ type, tokens }) => ({ type, value: tokens.join('') }));
+};
+
+/**
+ * Render a diff as HTML with <ins>/<del> markup
+ * Tags are never wrapped: inserted tags are kept and deleted tags are dropped,
+ * so the output stays well-formed.
+ *
+ * @param {string} oldText - Previous value
+ * @param {string} newText - New value
+ * @param {Object} [options]
+ * @param {boolean} [options.isHtml=true] - Whether the values are HTML (otherwise they are escaped first)
+ * @returns {string} HTML diff
+ */
+export const htmlDiff = (oldText = '', newText = '', { isHtml = true } = {}) => {
+  const prepare = (text) => (isHtml ? String(text || '') : escapeHtml(text || ''));
+
+  return diffText(prepare(oldText), prepare(newText)).map(({ type, value }) => {
+    if (type === 'equal') return value;
+
+    const tokens = value.match(TOKEN_PATTERN) || [];
+    const wrapper = type === 'insert' ? 'ins' : 'del';
+    let html = '';
+    let text = '';
+
+    const flushText = () => {
+      if (text.trim()) html += `<${wrapper}>${text}</${wrapper}>`;
+      else html += text;
+      text = '';
+    };
+
+    for (const token of tokens) {
+      if (isTag(token)) {
+        flushText();
+        if (type === 'insert') html += token;
+      } else {
+        text += token;
+      }
+    }
+    flushText();
+
+    return html;
+  }).join('');
+};
+
+/**
+ * Compare two revision snapshots field by field
+ *
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @param {Array<string>} fields - Fields to compare
+ * @param {Object} [options]
+ * @param {Array<string>} [options.htmlFields=['content', 'description']] - Fields holding HTML
+ * @returns {Array<Object>} One entry per field with before/after values and, for text fields, an HTML diff
+ */
+export const diffSnapshots = (fromSnapshot = {}, toSnapshot = {}, fields = [], { htmlFields = ['content', 'description'] } = {}) => {
+  return fields.map((field) => {
+    const before = fromSnapshot[field] ?? null;
+    const after = toSnapshot[field] ?? null;
+    const changed = JSON.stringify(before) !== JSON.stringify(after);
+
+    const entry = { field, changed, before, after };
+
+    const isText = (value) => value === null || typeof value === 'string';
+    if (changed && isText(before) && isText(after)) {
+      entry.html = htmlDiff(before, after, { isHtml: htmlFields.includes(field) });
+    }
+
+    return entry;
+  });
+};
+
+export default {
+  diffText,
+  htmlDiff,
+  diffSnapshots
+};
@@ -0,0 +1,75 @@
+/**
+ * Content Topics
+ *
+ * The topics a subscriber can follow, and which of them a piece of
+ * published content belongs to. Publish notifications (models/Blog.js,
+ * models/News.js, models/Event.js, models/base/LivestockBase.js) and digests
+ * (services/digestService.js) both select subscribers with it, so an article
+ * reaches the same readers whichever way they receive it.
+ *
+ * @module utils/contentTopics
+ */
+
+/**
+ * Topics a subscriber can choose (Subscriber.preferences.topics)
+ * @constant {string[]}
+ */
+export const SUBSCRIPTION_TOPICS = ['newsletters', 'events', 'auctions', 'farming-tips', 'livestock-updates'];
+
+// Blog categories (capitalised in the blog editor)
+const BLOG_CATEGORY_TYPES = {
+  Livestock: ['livestock-updates'],
+  Agriculture: ['farming-tips'],
+  Technology: ['farming-tips'],
+  News: ['newsletters']
+};
+
+// News categories
+const NEWS_CATEGORY_TYPES = {
+  livestock: ['livestock-updates'],
+  agriculture: ['farming-tips'],
+  technology: ['farming-tips'],
+  market: ['newsletters']
+};
+
+/**
+ * Topics a published item is sent to
+ *
+ * @param {string} contentType - blog, news, basic, event, or a livestock species (dairy, beef, goat, piggery ...)
+ * @param {Object} [item] - The content (only `category` is read)
+ * @returns {string[]} Topics from SUBSCRIPTION_TOPICS
+ */
+export const getContentSubscriptionTypes = (contentType, item = {}) => {
+  let types;
+  switch (contentType) {
+    case 'blog':
+      types = ['farming-tips', ...(BLOG_CATEGORY_TYPES[item.category] || [])];
+      break;
+    case 'news':
+      types = ['newsletters', ...(NEWS_CATEGORY_TYPES[item.category] || [])];
+      break;
+    case 'basic':
+      types = ['farming-tips'];
+      break;
+    case 'event':
+      types = ['events'];
+      break;
+    default:
+      // Livestock species
+      types = ['livestock-updates'];
+  }
+  return [...new Set(types)];
+};
+
+/**
+ * Topics of a single legacy subscription type ('all' is every topic)
+ *
+ * @param {string} [subscriptionType]
+ * @returns {string[]}
+ */
+export const topicsForSubscriptionType = (subscriptionType) => {
+  if (!subscriptionType || subscriptionType === 'all') return [...SUBSCRIPTION_TOPICS];
+  return SUBSCRIPTION_TOPICS.includes(subscriptionType) ? [subscriptionType] : [];
+};
+
+export default getContentSubscriptionTypes;
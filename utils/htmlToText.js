@@ -0,0 +1,89 @@
+/**
+ * HTML to plain text
+ *
+ * Builds the text/plain alternative sent alongside every HTML email.
+ * Headings, paragraphs, lists and table rows become separate lines and
+ * links keep their address ("Read more (https://...)").
+ *
+ * @module utils/htmlToText
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  rarr: '→',
+  larr: '←',
+  bull: '•',
+  middot: '·',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+/**
+ * Decode HTML entities
+ * @param {String} text
+ * @returns {String}
+ */
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Convert an HTML email to readable plain text
+ * @param {String} html
+ * @returns {String}
+ */
+export const htmlToText = (html) => {
+  if (!html) return '';
+
+  let text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ');
+
+  // Links: keep the address unless the link text already is the address
+  text = text.replace(/<a\b[^>]*?href\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi, (match, quote, href, inner) => {
+    const label = stripTags(inner);
+    const address = href.trim().replace(/^mailto:/i, '');
+    if (!address || address.startsWith('#') || address.startsWith('cid:')) return label;
+    if (!label || label === address) return address;
+    return `${label} (${address})`;
+  });
+
+  text = text
+    .replace(/<img\b[^>]*?alt\s*=\s*(["'])(.*?)\1[^>]*>/gi, (match, quote, alt) => (alt ? `[${alt}]` : ''))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n----------\n\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi, (match, inner) => `\n\n${stripTags(inner)}\n\n`)
+    .replace(/<\/(td|th)>/gi, ' ')
+    .replace(/<\/?(p|div|table|tr|ul|ol|blockquote|section|header|footer)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+export default htmlToText;
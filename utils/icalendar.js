@@ -0,0 +1,375 @@
+/**
+ * @file iCalendar Utility
+ * @description Builds iCalendar (RFC 5545) documents for events and auctions:
+ * the subscribable calendar feed, single-item .ics downloads and the .ics
+ * attached to registration emails.
+ *
+ * Times are written in UTC. Events store full start/end timestamps; auctions
+ * store a date plus "HH:MM" start and end times in local (East Africa) time,
+ * which are converted with LOCAL_UTC_OFFSET_MINUTES.
+ *
+ * Recurring events are the exception: a recurrence rule is evaluated in
+ * local time (a weekly Tuesday market stays on Tuesday), so their entries use
+ * local times with the Africa/Kampala VTIMEZONE. Cancelled occurrences become
+ * EXDATEs and rescheduled ones RECURRENCE-ID overrides.
+ */
+
+const BASE_URL = process.env.BASE_URL || 'https://ishaazilivestockservices.com';
+
+const UID_DOMAIN = 'ishaazilivestockservices.com';
+
+const PRODUCT_ID = '-//Ishaazi Livestock Services//Events and Auctions//EN';
+
+// East Africa Time (Africa/Kampala) has no daylight saving, so a fixed offset is exact
+export const LOCAL_UTC_OFFSET_MINUTES = 180;
+
+const LOCAL_TIME_ZONE = 'Africa/Kampala';
+
+// Weekday codes by Date#getUTCDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Length given to events that have no end date
+export const DEFAULT_EVENT_DURATION_MINUTES = 120;
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets; continuation lines start with a space
+ * Multi-byte characters are never split.
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1; // room for the leading space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME (20260315T070000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Shift a UTC instant to local wall-clock time, read back with the UTC getters
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export const toLocalTime = (date) => new Date(new Date(date).getTime() + LOCAL_UTC_OFFSET_MINUTES * 60 * 1000);
+
+/**
+ * Inverse of toLocalTime
+ * @param {Date} date - Local wall-clock time
+ * @returns {Date}
+ */
+export const fromLocalTime = (date) => new Date(date.getTime() - LOCAL_UTC_OFFSET_MINUTES * 60 * 1000);
+
+// Local DATE-TIME for use with TZID (20260315T100000)
+const formatLocalDateTime = (date) => formatDateTime(toLocalTime(date)).slice(0, -1);
+
+/**
+ * RRULE value of a stored recurrence rule (see models/Event.js)
+ * @param {Object} rule - { frequency, interval, byDay, byMonthDay, count, until }
+ * @returns {string} e.g. "FREQ=MONTHLY;BYDAY=1SA;COUNT=12"
+ */
+export const formatRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatDateTime(rule.until)}`);
+  return parts.join(';');
+};
+
+// UNTIL as a date (20261231), a UTC date-time (20261231T210000Z) or ISO 8601
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return new Date(value);
+  const [, year, month, day, hours, minutes, seconds] = match;
+  if (hours === undefined) {
+    // A bare date runs to the end of that local day
+    return fromLocalTime(new Date(Date.UTC(year, month - 1, day, 23, 59, 59)));
+  }
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Recurrence rule from an RRULE value
+ * Supports FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL and WKST=MO.
+ *
+ * @param {string} value - e.g. "RRULE:FREQ=WEEKLY;BYDAY=TU"
+ * @returns {Object} { frequency, interval, byDay, byMonthDay, count, until }
+ * @throws {Error} If the rule uses an unsupported or malformed part
+ */
+export const parseRecurrenceRule = (value) => {
+  const rule = {};
+  const text = String(value).trim().replace(/^RRULE:/i, '');
+
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, val = ''] = part.split('=').map(item => item.trim());
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = val.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(val);
+        break;
+      case 'BYDAY':
+        rule.byDay = val.toUpperCase().split(',');
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map(Number);
+        break;
+      case 'COUNT':
+        rule.count = Number(val);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        break;
+      case 'WKST':
+        if (val.toUpperCase() !== 'MO') throw new Error('Only WKST=MO is supported');
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part "${key}"`);
+    }
+  }
+
+  if (!rule.frequency) {
+    throw new Error('Recurrence rule must have a FREQ');
+  }
+  return rule;
+};
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/[ \t]+/g, ' ').trim();
+
+/**
+ * Local "HH:MM" on an auction's date, as a UTC Date
+ * The auction date's calendar day (UTC) is the local day of the sale.
+ */
+const localTimeOnDate = (date, time) => {
+  const day = new Date(date);
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+  return fromLocalTime(new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes)));
+};
+
+const eventEnd = (startDate, endDate) => {
+  const start = new Date(startDate);
+  return endDate && new Date(endDate) > start
+    ? new Date(endDate)
+    : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+};
+
+/**
+ * Calendar entry for an Event document, or for one occurrence of a recurring
+ * event (e.g. the date someone registered for)
+ *
+ * @param {Object} event - Event (document or lean object)
+ * @param {Object} [occurrence] - From services/eventRecurrenceService.js
+ * @returns {Object} Entry for buildCalendar
+ */
+export const eventToCalendarEntry = (event, occurrence = null) => {
+  const start = new Date(occurrence ? occurrence.startDate : event.startDate);
+
+  return {
+    uid: occurrence?.occurrenceDate
+      ? `event-${event._id}-${formatDateTime(occurrence.occurrenceDate)}@${UID_DOMAIN}`
+      : `event-${event._id}@${UID_DOMAIN}`,
+    start,
+    end: eventEnd(start, occurrence ? occurrence.endDate : event.endDate),
+    summary: event.title,
+    description: [stripHtml(event.description), occurrence?.reason].filter(Boolean).join('\n'),
+    location: occurrence ? occurrence.location : event.location,
+    url: `${BASE_URL}/events/${event.slug || event._id}`,
+    lastModified: event.updatedAt,
+    status: occurrence?.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    categories: ['Event']
+  };
+};
+
+/**
+ * Calendar entries for an Event: one entry, or for a recurring event the
+ * series (RRULE, with cancelled dates as EXDATEs) plus one override per
+ * rescheduled occurrence
+ *
+ * @param {Object} event - Event (document or lean object)
+ * @returns {Array<Object>} Entries for buildCalendar
+ */
+export const eventToCalendarEntries = (event) => {
+  if (!event.recurrence?.frequency) return [eventToCalendarEntry(event)];
+
+  const series = {
+    ...eventToCalendarEntry(event),
+    localTime: true,
+    recurrenceRule: formatRecurrenceRule(event.recurrence),
+    exceptionDates: (event.occurrences || [])
+      .filter(occurrence => occurrence.status === 'cancelled')
+      .map(occurrence => occurrence.occurrenceDate)
+  };
+
+  const overrides = (event.occurrences || [])
+    .filter(occurrence => occurrence.status === 'rescheduled')
+    .map(occurrence => ({
+      ...series,
+      recurrenceRule: undefined,
+      exceptionDates: undefined,
+      recurrenceId: occurrence.occurrenceDate,
+      start: new Date(occurrence.startDate),
+      end: occurrence.endDate
+        ? eventEnd(occurrence.startDate, occurrence.endDate)
+        : new Date(new Date(occurrence.startDate).getTime() + (series.end - series.start)),
+      location: occurrence.location || event.location,
+      description: [series.description, occurrence.reason].filter(Boolean).join('\n')
+    }));
+
+  return [series, ...overrides];
+};
+
+/**
+ * Calendar entry for an Auction document
+ * @param {Object} auction - Auction (document or lean object)
+ * @returns {Object} Entry for buildCalendar
+ */
+export const auctionToCalendarEntry = (auction) => {
+  const start = localTimeOnDate(auction.date, auction.startTime);
+  let end = localTimeOnDate(auction.date, auction.endTime);
+  if (end <= start) end = new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+
+  const lines = [stripHtml(auction.description)];
+  if (auction.auctioneer?.name) lines.push(`Auctioneer: ${auction.auctioneer.name}`);
+  if (auction.registrationDeadline) {
+    lines.push(`Registration closes: ${new Date(auction.registrationDeadline).toDateString()}`);
+  }
+
+  return {
+    uid: `auction-${auction._id}@${UID_DOMAIN}`,
+    start,
+    end,
+    summary: auction.title,
+    description: lines.filter(Boolean).join('\n'),
+    location: auction.location,
+    url: `${BASE_URL}/auctions/${auction.slug || auction._id}`,
+    lastModified: auction.updatedAt,
+    status: auction.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    categories: ['Auction']
+  };
+};
+
+// DTSTART, DTEND, RECURRENCE-ID and EXDATE, in UTC or (localTime entries) with the local TZID
+const formatTimeProperty = (name, dates, localTime) => (localTime
+  ? `${name};TZID=${LOCAL_TIME_ZONE}:${dates.map(formatLocalDateTime).join(',')}`
+  : `${name}:${dates.map(formatDateTime).join(',')}`);
+
+const buildEntry = (entry, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (entry.recurrenceId) lines.push(formatTimeProperty('RECURRENCE-ID', [entry.recurrenceId], entry.localTime));
+  lines.push(
+    formatTimeProperty('DTSTART', [entry.start], entry.localTime),
+    formatTimeProperty('DTEND', [entry.end], entry.localTime)
+  );
+  if (entry.recurrenceRule) lines.push(`RRULE:${entry.recurrenceRule}`);
+  if (entry.exceptionDates?.length) lines.push(formatTimeProperty('EXDATE', entry.exceptionDates, entry.localTime));
+  lines.push(`SUMMARY:${escapeText(entry.summary)}`);
+
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  if (entry.categories) lines.push(`CATEGORIES:${entry.categories.map(escapeText).join(',')}`);
+  if (entry.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(entry.lastModified)}`);
+  lines.push(`STATUS:${entry.status || 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ *
+ * @param {Array<Object>} entries - From eventToCalendarEntry / auctionToCalendarEntry
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {string} [options.description] - Calendar description
+ * @param {string} [options.method='PUBLISH'] - iTIP method
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export const buildCalendar = (entries, { name, description, method = 'PUBLISH' } = {}) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  // Ask subscribed calendar apps to refresh hourly
+  lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+
+  if (entries.some(entry => entry.localTime)) {
+    const offset = `+${String(LOCAL_UTC_OFFSET_MINUTES / 60).padStart(2, '0')}00`;
+    lines.push(
+      'BEGIN:VTIMEZONE',
+      `TZID:${LOCAL_TIME_ZONE}`,
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'TZNAME:EAT',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    );
+  }
+
+  entries.forEach(entry => lines.push(...buildEntry(entry, stamp)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * File name for a single-item download
+ * @param {Object} item - Event or auction
+ * @returns {string} e.g. "dairy-field-day.ics"
+ */
+export const calendarFileName = (item) => `${String(item.slug || item._id).replace(/[^a-z0-9-]/gi, '-')}.ics`;
+
+export default {
+  buildCalendar,
+  eventToCalendarEntry,
+  eventToCalendarEntries,
+  formatRecurrenceRule,
+  parseRecurrenceRule,
+  auctionToCalendarEntry,
+  calendarFileName
+};
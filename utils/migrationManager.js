@@ -3,7 +3,25 @@
  * Handles one-time migrations that need to run automatically
  */
 
+import crypto from 'crypto';
 import User from '../models/User.js';
+import Blog from '../models/Blog.js';
+import News from '../models/News.js';
+import Basic from '../models/Basic.js';
+import Magazine from '../models/Magazine.js';
+import Livestock from '../models/Livestock.js';
+import Farm from '../models/Farm.js';
+import Event from '../models/Event.js';
+import EventRegistration from '../models/EventRegistration.js';
+import Auction from '../models/Auction.js';
+import Collection from '../models/Collection.js';
+import Subscriber from '../models/Subscriber.js';
+import { generateUniqueSlug } from '../models/base/Slug.js';
+import { SEARCH_INDEX_NAME } from '../models/base/SearchIndex.js';
+import { LIVESTOCK_SPECIES } from '../config/livestockSpecies.js';
+import { signCheckInCode } from '../services/eventCheckInService.js';
+import { getSeriesEnd } from '../services/eventRecurrenceService.js';
+import { SUBSCRIPTION_TOPICS } from './contentTopics.js';
 import logger from '../utils/logger.js';
 
 class MigrationManager {
@@ -14,6 +32,73 @@ class MigrationManager {
                 description: 'Fix users with incorrect password setup flags (both hasSetPassword and isTemporaryPassword)',
                 version: '2.0.0',
                 run: this.fixTemporaryPasswordFlags
+            },
+            {
+                // Runs before the content backfills so moved livestock documents are included
+                id: 'move-livestock-to-shared-collection-v1',
+                description: 'Move dairy, beef, goat and piggery content into the shared livestock collection',
+                version: '2.1.0',
+                run: this.moveLivestockToSharedCollection
+            },
+            {
+                id: 'backfill-content-workflow-status-v1',
+                description: 'Backfill editorial workflow status from the published flag on existing content',
+                version: '2.2.0',
+                run: this.backfillContentWorkflowStatus
+            },
+            {
+                id: 'mark-livestock-notifications-sent-v1',
+                description: 'Mark already published livestock content as notified so scheduling does not resend notifications',
+                version: '2.3.0',
+                run: this.markLivestockNotificationsSent
+            },
+            {
+                id: 'backfill-comment-moderation-status-v1',
+                description: 'Set moderation status on existing comments from their approved flag',
+                version: '2.4.0',
+                run: this.backfillCommentModerationStatus
+            },
+            {
+                id: 'backfill-content-slugs-v1',
+                description: 'Generate URL slugs for existing content',
+                version: '2.5.0',
+                run: this.backfillContentSlugs
+            },
+            {
+                id: 'rebuild-weighted-text-indexes-v1',
+                description: 'Replace unweighted text indexes with the weighted search index',
+                version: '2.6.0',
+                run: this.rebuildWeightedTextIndexes
+            },
+            {
+                id: 'backfill-event-confirmed-counts-v1',
+                description: 'Count confirmed registrations on each event for capacity tracking',
+                version: '2.7.0',
+                run: this.backfillEventConfirmedCounts
+            },
+            {
+                id: 'backfill-event-check-in-codes-v1',
+                description: 'Give existing event registrations a signed check-in code',
+                version: '2.8.0',
+                run: this.backfillEventCheckInCodes
+            },
+            {
+                id: 'event-registration-occurrence-index-v1',
+                description: 'Allow one registration per email per occurrence of a recurring event',
+                version: '2.9.0',
+                run: this.replaceEventRegistrationUniqueIndex
+            },
+            {
+                id: 'backfill-subscriber-topics-v1',
+                description: 'Turn each subscriber\'s subscription type into topics and email/push channel preferences',
+                version: '2.10.0',
+                run: this.backfillSubscriberTopics
+            },
+            {
+                id: 'backfill-event-series-ends-v1',
+                description: 'Store when each recurring event series ends so finished series leave listings and feeds',
+                version: '2.11.0',
+                run: this.backfillEventSeriesEnds
             }
         ];
     }
@@ -97,6 +182,295 @@ class MigrationManager {
         logger.info(`🎉 Successfully fixed password flags for ${allUsersToFix.length} users`);
     }
 
+    /**
+     * Set the editorial workflow status on content created before the workflow existed.
+     * Published content becomes 'published', everything else becomes 'draft'.
+     * Uses the raw collections so save hooks (notifications) are not triggered.
+     */
+    async backfillContentWorkflowStatus() {
+        const models = [Blog, News, Basic, Magazine, Livestock];
+
+        for (const Model of models) {
+            const missingStatus = { status: { $exists: false } };
+
+            const published = await Model.collection.updateMany(
+                { ...missingStatus, published: true },
+                { $set: { status: 'published' } }
+            );
+            const drafts = await Model.collection.updateMany(
+                missingStatus,
+                { $set: { status: 'draft' } }
+            );
+
+            logger.info(`✅ ${Model.modelName}: ${published.modifiedCount} published, ${drafts.modifiedCount} draft`);
+        }
+    }
+
+    /**
+     * Livestock content gained publication notifications with scheduled publishing.
+     * Content that was already live must not trigger a notification the next time it is saved.
+     */
+    async markLivestockNotificationsSent() {
+        const result = await Livestock.collection.updateMany(
+            { published: true, notificationSent: { $exists: false } },
+            { $set: { notificationSent: true } }
+        );
+
+        logger.info(`✅ Livestock: marked ${result.modifiedCount} published items as notified`);
+    }
+
+    /**
+     * Comments gained a moderation status (pending, approved, rejected, spam) and threading.
+     * Existing comments keep their visibility: approved ones become 'approved', the rest 'pending'.
+     */
+    async backfillCommentModerationStatus() {
+        for (const Model of [Blog, Livestock]) {
+            const result = await Model.collection.updateMany(
+                { comments: { $elemMatch: { status: { $exists: false } } } },
+                [{
+                    $set: {
+                        comments: {
+                            $map: {
+                                input: '$comments',
+                                as: 'comment',
+                                in: {
+                                    $mergeObjects: ['$$comment', {
+                                        status: { $ifNull: ['$$comment.status', { $cond: ['$$comment.approved', 'approved', 'pending'] }] },
+                                        parentId: { $ifNull: ['$$comment.parentId', null] },
+                                        depth: { $ifNull: ['$$comment.depth', 0] }
+                                    }]
+                                }
+                            }
+                        }
+                    }
+                }]
+            );
+
+            logger.info(`✅ ${Model.modelName}: set comment status on ${result.modifiedCount} items`);
+        }
+    }
+
+    /**
+     * Give every existing content item a unique slug generated from its title (name for farms).
+     * Oldest content is slugged first so it keeps the plain slug when titles repeat.
+     * Uses the raw collections so save hooks (notifications, revisions) are not triggered.
+     */
+    async backfillContentSlugs() {
+        const sources = [
+            [Blog, 'title'], [News, 'title'], [Basic, 'title'], [Magazine, 'title'],
+            [Livestock, 'title'], [Event, 'title'], [Auction, 'title'], [Farm, 'name']
+        ];
+
+        for (const [Model, source] of sources) {
+            const cursor = Model.collection
+                .find({ slug: { $exists: false } }, { projection: { [source]: 1 } })
+                .sort({ createdAt: 1 });
+            let count = 0;
+
+            for await (const doc of cursor) {
+                const slug = await generateUniqueSlug(Model, doc[source], doc._id);
+                await Model.collection.updateOne({ _id: doc._id }, { $set: { slug } });
+                count++;
+            }
+
+            logger.info(`✅ ${Model.modelName}: generated ${count} slugs`);
+        }
+    }
+
+    /**
+     * A collection can only have one text index, so the old unweighted ones
+     * must be dropped before the weighted search index can be built.
+     */
+    async rebuildWeightedTextIndexes() {
+        const models = [Blog, News, Basic, Magazine, Farm, Livestock, Collection];
+
+        for (const Model of models) {
+            const indexes = await Model.collection.indexes().catch(() => []);
+            const outdated = indexes.filter(index => index.key._fts === 'text' && index.name !== SEARCH_INDEX_NAME);
+
+            for (const index of outdated) {
+                await Model.collection.dropIndex(index.name);
+                logger.info(`🗑️  ${Model.modelName}: dropped text index ${index.name}`);
+            }
+
+            await Model.createIndexes();
+            logger.info(`✅ ${Model.modelName}: weighted search index ready`);
+        }
+    }
+
+    /**
+     * Events now keep a count of confirmed registrations (see
+     * services/eventRegistrationService.js); seed it from the registrations
+     * made before capacity tracking existed.
+     */
+    async backfillEventConfirmedCounts() {
+        const counts = await EventRegistration.aggregate([
+            { $match: { status: 'confirmed' } },
+            { $group: { _id: '$eventId', count: { $sum: 1 } } }
+        ]);
+
+        for (const { _id, count } of counts) {
+            await Event.collection.updateOne({ _id }, { $set: { confirmedCount: count } });
+        }
+
+        logger.info(`✅ Event: confirmed counts set on ${counts.length} events`);
+    }
+
+    /**
+     * Registrations made before QR check-in need a code to be scanned at the gate
+     */
+    async backfillEventCheckInCodes() {
+        const cursor = EventRegistration.collection.find({ checkInCode: { $exists: false } }, { projection: { _id: 1 } });
+        let count = 0;
+
+        for await (const doc of cursor) {
+            await EventRegistration.collection.updateOne({ _id: doc._id }, { $set: { checkInCode: signCheckInCode(doc._id) } });
+            count++;
+        }
+
+        logger.info(`✅ EventRegistration: generated ${count} check-in codes`);
+    }
+
+    /**
+     * Registrations of recurring events are unique per occurrence, so the old
+     * one-per-event unique index must go before the new one can be built.
+     */
+    async replaceEventRegistrationUniqueIndex() {
+        const indexes = await EventRegistration.collection.indexes().catch(() => []);
+        const outdated = indexes.find(index => index.unique && index.name === 'eventId_1_email_1');
+
+        if (outdated) {
+            await EventRegistration.collection.dropIndex(outdated.name);
+            logger.info(`🗑️  EventRegistration: dropped unique index ${outdated.name}`);
+        }
+
+        await EventRegistration.createIndexes();
+        logger.info('✅ EventRegistration: per-occurrence unique index ready');
+    }
+
+    /**
+     * Subscribers now follow a set of topics instead of one subscription type
+     * ('all' becomes every topic) and choose email and push separately.
+     * Email stays on; push is on only for subscribers who already registered a
+     * browser. Subscribers created before unsubscribe tokens existed get one,
+     * so their emails can carry signed preference links.
+     */
+    async backfillSubscriberTopics() {
+        const missingTopics = { 'preferences.topics': { $exists: false } };
+
+        const everything = await Subscriber.collection.updateMany(
+            { ...missingTopics, subscriptionType: { $nin: SUBSCRIPTION_TOPICS } },
+            { $set: { 'preferences.topics': SUBSCRIPTION_TOPICS } }
+        );
+        let single = 0;
+        for (const topic of SUBSCRIPTION_TOPICS) {
+            const result = await Subscriber.collection.updateMany(
+                { ...missingTopics, subscriptionType: topic },
+                { $set: { 'preferences.topics': [topic] } }
+            );
+            single += result.modifiedCount;
+        }
+
+        const channels = await Subscriber.collection.updateMany(
+            { 'preferences.channels': { $exists: false } },
+            [{
+                $set: {
+                    'preferences.channels': {
+                        email: true,
+                        push: { $eq: [{ $type: '$pushSubscription.endpoint' }, 'string'] }
+                    }
+                }
+            }]
+        );
+
+        const cursor = Subscriber.collection.find(
+            { $or: [{ unsubscribeToken: { $exists: false } }, { unsubscribeToken: null }] },
+            { projection: { _id: 1 } }
+        );
+        let tokens = 0;
+        for await (const doc of cursor) {
+            await Subscriber.collection.updateOne(
+                { _id: doc._id },
+                { $set: { unsubscribeToken: crypto.randomBytes(32).toString('hex') } }
+            );
+            tokens++;
+        }
+
+        logger.info(`✅ Subscriber: ${everything.modifiedCount} given every topic, ${single} given one topic, ${channels.modifiedCount} given channels, ${tokens} given unsubscribe tokens`);
+    }
+
+    /**
+     * Recurring events now store when their series ends (Event.seriesEndsAt),
+     * so a finished COUNT series is no longer listed as upcoming
+     */
+    async backfillEventSeriesEnds() {
+        const cursor = Event.collection.find(
+            { 'recurrence.frequency': { $exists: true }, seriesEndsAt: { $exists: false } },
+            { projection: { startDate: 1, endDate: 1, recurrence: 1 } }
+        );
+        let count = 0;
+        for await (const doc of cursor) {
+            await Event.collection.updateOne({ _id: doc._id }, { $set: { seriesEndsAt: getSeriesEnd(doc) } });
+            count++;
+        }
+
+        logger.info(`✅ Event: series end stored on ${count} recurring events`);
+    }
+
+    /**
+     * Copy each species' legacy collection into the shared livestock collection.
+     * Documents keep their _id (so comments, revisions and engagement still match)
+     * and get the species as their discriminator `type`. The legacy collection is
+     * renamed to `<name>_pre_livestock` as a backup once every document is copied.
+     * Safe to re-run: documents are upserted by _id.
+     */
+    async moveLivestockToSharedCollection() {
+        // Native driver database: Mongoose's Connection.listCollections() returns an array, not a cursor
+        const db = User.db.db;
+        const target = db.collection(Livestock.collection.collectionName);
+        const existing = (await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name);
+        const batchSize = 500;
+
+        for (const [species, config] of Object.entries(LIVESTOCK_SPECIES)) {
+            const legacyName = config.legacyCollection;
+            if (!legacyName || !existing.includes(legacyName)) continue;
+
+            const source = db.collection(legacyName);
+            const cursor = source.find({});
+            let batch = [];
+            let copied = 0;
+
+            for await (const doc of cursor) {
+                batch.push({
+                    replaceOne: {
+                        filter: { _id: doc._id },
+                        replacement: { ...doc, type: species },
+                        upsert: true
+                    }
+                });
+
+                if (batch.length === batchSize) {
+                    await target.bulkWrite(batch, { ordered: false });
+                    copied += batch.length;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                await target.bulkWrite(batch, { ordered: false });
+                copied += batch.length;
+            }
+
+            const sourceCount = await source.countDocuments();
+            const movedCount = await target.countDocuments({ type: species });
+            if (movedCount < sourceCount) {
+                throw new Error(`${config.modelName}: only ${movedCount} of ${sourceCount} documents copied, keeping ${legacyName}`);
+            }
+
+            await source.rename(`${legacyName}_pre_livestock`, { dropTarget: true });
+            logger.info(`✅ ${config.modelName}: moved ${copied} documents from ${legacyName} (backup: ${legacyName}_pre_livestock)`);
+        }
+    }
+
     /**
      * Check if a migration has already been run
      */
@@ -0,0 +1,71 @@
+/**
+ * Preference Links
+ *
+ * Unsubscribe and manage-preferences links in emails carry the subscriber's
+ * unsubscribeToken and an HMAC signature of it:
+ * "<FRONTEND_URL>/preferences?token=<token>&sig=<signature>". The preference
+ * centre (routes/preferenceRoutes.js) only acts on a token whose signature
+ * checks out, so links cannot be built by guessing, and changing
+ * PREFERENCES_SECRET invalidates every link sent before.
+ *
+ * @module utils/preferenceLinks
+ */
+import crypto from 'crypto';
+
+const SIGNATURE_LENGTH = 22;
+
+const getSecret = () => process.env.PREFERENCES_SECRET || process.env.JWT_SECRET;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://ishaazilivestockservices.com';
+
+/**
+ * Signature of a subscriber's unsubscribe token
+ * @param {String} token - Subscriber.unsubscribeToken
+ * @returns {String}
+ */
+export const signPreferenceToken = (token) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`subscriber-preferences:${token}`)
+  .digest('base64url')
+  .slice(0, SIGNATURE_LENGTH);
+
+/**
+ * Whether a signature belongs to the token
+ * @returns {Boolean}
+ */
+export const verifyPreferenceSignature = (token, signature) => {
+  if (!token || !signature) return false;
+
+  const expected = Buffer.from(signPreferenceToken(String(token)));
+  const actual = Buffer.from(String(signature));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Unsubscribe and preference-centre links for an email
+ * @param {Object} subscriber - { email, unsubscribeToken }
+ * @param {String} [campaignId] - Added to the unsubscribe link for reporting
+ * @returns {{ unsubscribe_url: String, manage_preferences_url: String }}
+ */
+export const getPreferenceLinks = (subscriber = {}, campaignId = null) => {
+  const baseUrl = getFrontendUrl();
+  const campaign = campaignId ? `&campaign=${encodeURIComponent(campaignId)}` : '';
+
+  // Subscribers created before tokens existed get one from the migration;
+  // until then their links identify them by email as before
+  if (!subscriber.unsubscribeToken) {
+    const email = encodeURIComponent(subscriber.email || '');
+    return {
+      unsubscribe_url: `${baseUrl}/unsubscribe?email=${email}${campaign}`,
+      manage_preferences_url: `${baseUrl}/preferences?email=${email}`
+    };
+  }
+
+  const query = `token=${subscriber.unsubscribeToken}&sig=${signPreferenceToken(subscriber.unsubscribeToken)}`;
+  return {
+    unsubscribe_url: `${baseUrl}/unsubscribe?${query}${campaign}`,
+    manage_preferences_url: `${baseUrl}/preferences?${query}`
+  };
+};
+
+export default getPreferenceLinks;
@@ -0,0 +1,455 @@
+/**
+ * Template Engine
+ *
+ * Handlebars-style templates for the email templates in templates/email:
+ *
+ *   {{name}}, {{order.total}}     value, HTML-escaped
+ *   {{{content}}}                 value, unescaped (trusted HTML such as newsletter bodies)
+ *   {{#if x}}…{{else}}…{{/if}}    also {{#unless}}
+ *   {{#each items}}…{{else}}…{{/each}}
+ *                                 arrays and objects; {{this}}, {{@index}}, {{@number}},
+ *                                 {{@first}}, {{@last}}, {{@key}}, {{../outer}}
+ *   {{#with obj}}…{{/with}}
+ *   {{> footer}}                  partial (templates/email/partials)
+ *   {{!< base}}                   render inside a layout (templates/email/layouts); the layout
+ *                                 places the page with {{{body}}}
+ *   {{#block "styles"}}…{{/block}} content handed to the layout as {{{blocks.styles}}}
+ *   {{formatDate date "long"}}    helper call
+ *   {{! comment }}, {{!-- comment --}}
+ *
+ * Names not found in the current scope are looked up in the enclosing
+ * scopes, so values like {{unsubscribe_url}} work inside loops.
+ *
+ * @module utils/templateEngine
+ */
+
+const MAX_PARTIAL_DEPTH = 10;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+/**
+ * Escape a value for HTML text and attribute values
+ * @param {*} value
+ * @returns {String}
+ */
+export const escapeHtml = (value) => String(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Syntax or render error in a template, with the template name and line
+ */
+export class TemplateError extends Error {
+  constructor(message, { template, line } = {}) {
+    super(template ? `${template}${line ? `:${line}` : ''}: ${message}` : message);
+    this.name = 'TemplateError';
+    this.template = template;
+    this.line = line;
+  }
+}
+
+const BLOCK_HELPERS = ['if', 'unless', 'each', 'with', 'block'];
+
+// Split "formatDate startDate \"long\"" into arguments, keeping quoted strings together
+const splitArguments = (expression) => (expression.match(/"[^"]*"|'[^']*'|\S+/g) || []);
+
+const parseArgument = (token) => {
+  if (/^(["']).*\1$/.test(token)) return { type: 'literal', value: token.slice(1, -1) };
+  if (/^-?\d+(\.\d+)?$/.test(token)) return { type: 'literal', value: Number(token) };
+  if (token === 'true' || token === 'false') return { type: 'literal', value: token === 'true' };
+  if (token === 'null') return { type: 'literal', value: null };
+  return { type: 'path', value: token };
+};
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+// Tokens: text, output (escaped / raw), comment, layout, open, else, close, partial
+const tokenize = (source, template) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const start = source.indexOf('{{', position);
+    if (start === -1) {
+      tokens.push({ type: 'text', value: source.slice(position) });
+      break;
+    }
+    if (start > position) {
+      tokens.push({ type: 'text', value: source.slice(position, start) });
+    }
+
+    const line = lineAt(source, start);
+    let closer = '}}';
+    let bodyStart = start + 2;
+    let raw = false;
+
+    if (source.startsWith('{{{', start)) {
+      closer = '}}}';
+      bodyStart = start + 3;
+      raw = true;
+    } else if (source.startsWith('{{!--', start)) {
+      closer = '--}}';
+      bodyStart = start + 5;
+    }
+
+    const end = source.indexOf(closer, bodyStart);
+    if (end === -1) {
+      throw new TemplateError(`Unclosed "${source.slice(start, start + 3)}" tag`, { template, line });
+    }
+
+    const body = source.slice(bodyStart, end).trim();
+    position = end + closer.length;
+
+    if (closer === '--}}') continue;
+    if (raw) {
+      tokens.push({ type: 'output', expression: body, escape: false, line });
+    } else if (body.startsWith('!<')) {
+      tokens.push({ type: 'layout', name: body.slice(2).trim(), line });
+    } else if (body.startsWith('!')) {
+      continue;
+    } else if (body.startsWith('#')) {
+      const [name, ...args] = splitArguments(body.slice(1));
+      tokens.push({ type: 'open', name, args, line });
+    } else if (body.startsWith('/')) {
+      tokens.push({ type: 'close', name: body.slice(1).trim(), line });
+    } else if (body === 'else' || body === '^') {
+      tokens.push({ type: 'else', line });
+    } else if (body.startsWith('>')) {
+      const [name, context] = splitArguments(body.slice(1));
+      tokens.push({ type: 'partial', name, context, line });
+    } else {
+      tokens.push({ type: 'output', expression: body, escape: true, line });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a template into a tree
+ * @param {String} source - Template text
+ * @param {String} [template] - Name used in error messages
+ * @returns {Object} { layout, nodes }
+ */
+export const parseTemplate = (source, template = 'template') => {
+  const tokens = tokenize(source, template);
+  const root = { nodes: [], layout: null };
+  const stack = [{ node: null, children: root.nodes }];
+
+  for (const token of tokens) {
+    const frame = stack[stack.length - 1];
+
+    switch (token.type) {
+      case 'text':
+        frame.children.push({ type: 'text', value: token.value });
+        break;
+      case 'output': {
+        const [name, ...args] = splitArguments(token.expression);
+        if (!name) throw new TemplateError('Empty tag', { template, line: token.line });
+        frame.children.push({ type: 'output', name, args: args.map(parseArgument), escape: token.escape, line: token.line });
+        break;
+      }
+      case 'layout':
+        if (stack.length > 1 || root.layout) {
+          throw new TemplateError('A layout must be declared once, outside any block', { template, line: token.line });
+        }
+        root.layout = token.name;
+        break;
+      case 'partial':
+        if (!token.name) throw new TemplateError('Partial name missing', { template, line: token.line });
+        frame.children.push({ type: 'partial', name: token.name, context: token.context, line: token.line });
+        break;
+      case 'open': {
+        if (!BLOCK_HELPERS.includes(token.name)) {
+          throw new TemplateError(`Unknown block "#${token.name}"`, { template, line: token.line });
+        }
+        if (token.args.length !== 1) {
+          throw new TemplateError(`"#${token.name}" takes one argument`, { template, line: token.line });
+        }
+        const node = { type: 'block', name: token.name, argument: parseArgument(token.args[0]), body: [], inverse: [], line: token.line };
+        frame.children.push(node);
+        stack.push({ node, children: node.body });
+        break;
+      }
+      case 'else':
+        if (!frame.node || frame.node.name === 'block' || frame.node.name === 'with' || frame.children === frame.node.inverse) {
+          throw new TemplateError('Unexpected {{else}}', { template, line: token.line });
+        }
+        frame.children = frame.node.inverse;
+        break;
+      case 'close':
+        if (!frame.node || frame.node.name !== token.name) {
+          throw new TemplateError(
+            frame.node ? `Expected {{/${frame.node.name}}} but found {{/${token.name}}}` : `Unexpected {{/${token.name}}}`,
+            { template, line: token.line }
+          );
+        }
+        stack.pop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new TemplateError(`Unclosed {{#${open.name}}}`, { template, line: open.line });
+  }
+  return root;
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const stringify = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+/**
+ * Default helpers
+ */
+export const defaultHelpers = {
+  formatDate: (value, style = 'long') => {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    if (style === 'short') return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    if (style === 'datetime') {
+      return date.toLocaleString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  },
+  formatNumber: (value) => (value === null || value === undefined || value === '' ? '' : Number(value).toLocaleString('en-US')),
+  truncate: (value, length = 160) => {
+    const text = stringify(value);
+    return text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…` : text;
+  },
+  default: (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value)
+};
+
+class Scope {
+  constructor(context, parent = null, data = {}) {
+    this.context = context;
+    this.parent = parent;
+    this.data = data;
+  }
+
+  child(context, data = {}) {
+    return new Scope(context, this, data);
+  }
+
+  lookup(path) {
+    if (path === 'this' || path === '.') return this.context;
+    if (path.startsWith('@')) {
+      for (let scope = this; scope; scope = scope.parent) {
+        if (path.slice(1) in scope.data) return scope.data[path.slice(1)];
+      }
+      return undefined;
+    }
+
+    let scope = this;
+    let rest = path;
+    while (rest.startsWith('../')) {
+      scope = scope.parent || scope;
+      rest = rest.slice(3);
+    }
+    if (rest.startsWith('this.')) {
+      return this.walk(scope.context, rest.slice(5).split('.'));
+    }
+
+    const [first, ...segments] = rest.split('.');
+    for (let candidate = scope; candidate; candidate = candidate.parent) {
+      const context = candidate.context;
+      if (context !== null && typeof context === 'object' && first in context) {
+        return this.walk(context[first], segments);
+      }
+    }
+    return undefined;
+  }
+
+  walk(value, segments) {
+    return segments.reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value);
+  }
+}
+
+/**
+ * Template registry and renderer
+ */
+export class TemplateEngine {
+  constructor({ helpers = {} } = {}) {
+    this.templates = new Map();
+    this.partials = new Map();
+    this.layouts = new Map();
+    this.helpers = { ...defaultHelpers, ...helpers };
+  }
+
+  registerTemplate(name, source) {
+    this.templates.set(name, parseTemplate(source, name));
+  }
+
+  registerPartial(name, source) {
+    this.partials.set(name, parseTemplate(source, `partials/${name}`));
+  }
+
+  registerLayout(name, source) {
+    this.layouts.set(name, parseTemplate(source, `layouts/${name}`));
+  }
+
+  registerHelper(name, helper) {
+    this.helpers[name] = helper;
+  }
+
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  names() {
+    return Array.from(this.templates.keys());
+  }
+
+  clear() {
+    this.templates.clear();
+    this.partials.clear();
+    this.layouts.clear();
+  }
+
+  /**
+   * Render a registered template (inside its layout, if it declares one)
+   * @param {String} name - Template name
+   * @param {Object} data - Template values
+   * @returns {String} HTML
+   */
+  render(name, data = {}) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new TemplateError(`Email template "${name}" not found`);
+    }
+    return this.renderTree(template, data, name);
+  }
+
+  /**
+   * Render template text that is not registered (e.g. a template being edited)
+   */
+  renderString(source, data = {}, name = 'template') {
+    return this.renderTree(parseTemplate(source, name), data, name);
+  }
+
+  renderTree(tree, data, name) {
+    const state = { blocks: {}, depth: 0, template: name };
+    const body = this.renderNodes(tree.nodes, new Scope(data), state);
+    if (!tree.layout) return body;
+
+    const layout = this.layouts.get(tree.layout);
+    if (!layout) {
+      throw new TemplateError(`Layout "${tree.layout}" not found`, { template: name });
+    }
+    return this.renderNodes(layout.nodes, new Scope({ ...data, body, blocks: state.blocks }), { ...state, template: `layouts/${tree.layout}` });
+  }
+
+  renderNodes(nodes, scope, state) {
+    let output = '';
+    for (const node of nodes) {
+      output += this.renderNode(node, scope, state);
+    }
+    return output;
+  }
+
+  evaluate(argument, scope) {
+    return argument.type === 'literal' ? argument.value : scope.lookup(argument.value);
+  }
+
+  renderNode(node, scope, state) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'output': {
+        const helper = this.helpers[node.name];
+        let value;
+        if (helper && (node.args.length > 0 || scope.lookup(node.name) === undefined)) {
+          try {
+            value = helper(...node.args.map(argument => this.evaluate(argument, scope)));
+          } catch (error) {
+            throw new TemplateError(`Helper "${node.name}" failed: ${error.message}`, { template: state.template, line: node.line });
+          }
+        } else {
+          value = scope.lookup(node.name);
+        }
+        const text = stringify(value);
+        return node.escape ? escapeHtml(text) : text;
+      }
+
+      case 'partial': {
+        const partial = this.partials.get(node.name);
+        if (!partial) {
+          throw new TemplateError(`Partial "${node.name}" not found`, { template: state.template, line: node.line });
+        }
+        if (state.depth >= MAX_PARTIAL_DEPTH) {
+          throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep`, { template: state.template, line: node.line });
+        }
+        const partialScope = node.context ? scope.child(scope.lookup(node.context)) : scope;
+        return this.renderNodes(partial.nodes, partialScope, { ...state, depth: state.depth + 1, template: `partials/${node.name}` });
+      }
+
+      case 'block':
+        return this.renderBlock(node, scope, state);
+
+      default:
+        return '';
+    }
+  }
+
+  renderBlock(node, scope, state) {
+    const value = this.evaluate(node.argument, scope);
+
+    switch (node.name) {
+      case 'if':
+        return this.renderNodes(isTruthy(value) ? node.body : node.inverse, scope, state);
+
+      case 'unless':
+        return this.renderNodes(isTruthy(value) ? node.inverse : node.body, scope, state);
+
+      case 'with':
+        return isTruthy(value) ? this.renderNodes(node.body, scope.child(value), state) : '';
+
+      case 'block':
+        state.blocks[String(value ?? node.argument.value)] = this.renderNodes(node.body, scope, state);
+        return '';
+
+      case 'each': {
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : (value && typeof value === 'object' ? Object.entries(value) : []);
+        if (entries.length === 0) {
+          return this.renderNodes(node.inverse, scope, state);
+        }
+        return entries.map(([key, item], index) => this.renderNodes(node.body, scope.child(item, {
+          index,
+          number: index + 1,
+          key,
+          first: index === 0,
+          last: index === entries.length - 1
+        }), state)).join('');
+      }
+
+      default:
+        return '';
+    }
+  }
+}
+
+export default {
+  TemplateEngine,
+  TemplateError,
+  parseTemplate,
+  escapeHtml,
+  defaultHelpers
+};